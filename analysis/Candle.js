@@ -0,0 +1,90 @@
+/**
+ * One OHLCV candle with numeric fields, built once where klines enter the bot (ExchangeManager.fetchPairData,
+ * backtests, the v3 streams) so analyzers never index raw kline arrays or do math on price strings.
+ * Instances are frozen; the constructor throws on values that aren't finite numbers or don't form a candle.
+ */
+class Candle {
+    /**
+     * @param {Object} fields
+     * @param {boolean} [fields.closed] - false while the candle is still in progress
+     */
+    constructor({ openTime, open, high, low, close, volume, closeTime = null, quoteVolume = 0, trades = 0, closed = true }) {
+        this.openTime = Candle.toNumber('openTime', openTime);
+        this.open = Candle.toNumber('open', open);
+        this.high = Candle.toNumber('high', high);
+        this.low = Candle.toNumber('low', low);
+        this.close = Candle.toNumber('close', close);
+        this.volume = Candle.toNumber('volume', volume);
+        this.closeTime = closeTime === null ? null : Candle.toNumber('closeTime', closeTime);
+        this.quoteVolume = Candle.toNumber('quoteVolume', quoteVolume);
+        this.trades = Candle.toNumber('trades', trades);
+        this.closed = !!closed;
+
+        if (this.low > Math.min(this.open, this.close) || this.high < Math.max(this.open, this.close)) {
+            throw new Error(`Candle ${this.openTime} has open/close outside its low-high range`);
+        }
+        if (this.volume < 0) throw new Error(`Candle ${this.openTime} has a negative volume`);
+        Object.freeze(this);
+    }
+
+    static toNumber(field, value) {
+        const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+        if (!Number.isFinite(number)) throw new Error(`Candle ${field} is not a number: ${value}`);
+        return number;
+    }
+
+    /**
+     * From a kline array, [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, ...]
+     * @param {number} [now] - The candle is live while its closeTime hasn't passed
+     */
+    static fromKline(kline, now = Date.now()) {
+        if (!Array.isArray(kline)) throw new Error(`Kline is not an array: ${JSON.stringify(kline)}`);
+        const [openTime, open, high, low, close, volume, closeTime = null, quoteVolume = 0, trades = 0] = kline;
+        return new Candle({
+            openTime, open, high, low, close, volume, closeTime, quoteVolume, trades,
+            closed: closeTime !== null && Number(closeTime) < now
+        });
+    }
+
+    /**
+     * A kline array (oldest first) as candles, throws unless open times strictly increase
+     */
+    static fromKlines(klines, now = Date.now()) {
+        if (!Array.isArray(klines)) throw new Error('Klines are not an array');
+        const candles = klines.map(kline => Candle.fromKline(kline, now));
+        Candle.assertOrdered(candles);
+        return candles;
+    }
+
+    static assertOrdered(candles) {
+        for (let i = 1; i < candles.length; i++) {
+            if (candles[i].openTime <= candles[i - 1].openTime) {
+                throw new Error(`Candle open times don't increase at ${candles[i].openTime}`);
+            }
+        }
+    }
+
+    static isCandles(candles) {
+        return Array.isArray(candles) && candles.every(candle => candle instanceof Candle);
+    }
+
+    get isBullish() {
+        return this.close > this.open;
+    }
+
+    get body() {
+        return Math.abs(this.close - this.open);
+    }
+
+    get range() {
+        return this.high - this.low;
+    }
+
+    // Back to the kline layout the market data store and mock server use
+    toKline() {
+        return [this.openTime, String(this.open), String(this.high), String(this.low), String(this.close), String(this.volume),
+            this.closeTime, String(this.quoteVolume), this.trades];
+    }
+}
+
+module.exports = Candle;
@@ -0,0 +1,103 @@
+const Candle = require('./Candle');
+
+/**
+ * Keeps rolling indicator state per series (e.g. 'BTCUSDT:1h') so each update only feeds the
+ * candles that are new since the previous call, instead of recomputing over the whole array.
+ *
+ * update() takes the Candle array as fetched (REST klines or a websocket-maintained buffer):
+ * every candle except the last is final and committed once, the last one is only previewed while
+ * it is still in progress (not `closed`), so it can change freely until a newer candle shows up.
+ *
+ * A window that slid on keeps its state: the series resumes after the last committed candle as long as
+ * the array still holds it, and is only rebuilt from the array on the first call, a gap or a rewind.
+ * Each series returns as many values as technicalindicators gives for the array (see
+ * analysis/streamingIndicators.js), but the ones with an exponential memory (EMA, RSI, MACD, ADX, ATR)
+ * carry their history since the (re)build, so they differ slightly from getIndicators() over the array alone.
+ */
+class IndicatorEngine {
+    /**
+     * @param {Object} definitions - { name: { create: () => StreamingIndicator, input: candle => value } },
+     *                               input receives a Candle
+     * @param {Object} [options]
+     * @param {number} [options.minCandles] - Shorter candle arrays return null
+     */
+    constructor(definitions, { minCandles = 0 } = {}) {
+        this.definitions = definitions;
+        this.minCandles = minCandles;
+        this.states = new Map(); // key -> { indicators, series, warmup, fed, lastOpenTime }
+    }
+
+    _createState() {
+        const indicators = {};
+        const series = {};
+        Object.entries(this.definitions).forEach(([name, definition]) => {
+            indicators[name] = definition.create();
+            series[name] = [];
+        });
+        // warmup: name -> candles fed before the indicator's first value
+        return { indicators, series, warmup: {}, fed: 0, lastOpenTime: null };
+    }
+
+    /**
+     * Index of the first candle after the last committed one, -1 when the array doesn't continue the series
+     */
+    _resumeIndex(state, candles) {
+        for (let i = candles.length - 1; i >= 0; i--) {
+            const { openTime } = candles[i];
+            if (openTime === state.lastOpenTime) return i + 1;
+            if (openTime < state.lastOpenTime || (i > 0 && candles[i - 1].openTime >= openTime)) return -1;
+        }
+        return -1;
+    }
+
+    _commit(state, candle) {
+        Object.entries(this.definitions).forEach(([name, definition]) => {
+            const value = state.indicators[name].next(definition.input(candle));
+            if (value === undefined) return;
+            if (state.warmup[name] === undefined) state.warmup[name] = state.fed;
+            state.series[name].push(value);
+        });
+        state.fed++;
+    }
+
+    /**
+     * @param {string} key - Series id, e.g. `${symbol}:${interval}`
+     * @param {Candle[]} candles - Oldest first
+     * @returns {Object|null} { name: values[] } with the in-progress candle's value last, null for invalid input
+     */
+    update(key, candles) {
+        if (!Candle.isCandles(candles) || candles.length < this.minCandles || !candles.length) return null;
+
+        let state = this.states.get(key);
+        let from = state ? this._resumeIndex(state, candles) : -1;
+        if (from === -1) {
+            state = this._createState();
+            this.states.set(key, state);
+            from = 0;
+        }
+        const pending = candles.slice(from);
+        const live = pending.length && !pending[pending.length - 1].closed ? pending.pop() : null;
+        pending.forEach(candle => this._commit(state, candle));
+        if (pending.length) state.lastOpenTime = pending[pending.length - 1].openTime;
+
+        const result = {};
+        Object.entries(this.definitions).forEach(([name, definition]) => {
+            const series = state.series[name];
+            // as many values as the array's candles give after the warm-up, the live one's included
+            const warmup = state.warmup[name];
+            const length = warmup === undefined ? 0 : Math.max(0, candles.length - warmup - (live ? 1 : 0));
+            if (series.length > candles.length) series.splice(0, series.length - candles.length);
+            const values = length ? series.slice(-length) : [];
+            const value = live ? state.indicators[name].peek(definition.input(live)) : undefined;
+            if (value !== undefined) values.push(value);
+            result[name] = values;
+        });
+        return result;
+    }
+
+    reset(key) {
+        this.states.delete(key);
+    }
+}
+
+module.exports = IndicatorEngine;
@@ -1,5 +1,6 @@
 const AnalysisConfig = require('./AnalysisConfig');
 const OrderBookUtils = require('./OrderBookUtils');
+const Candle = require('./Candle');
 // Timeframe Utility Functions
 const TimeframeUtils = {
     getTimeframeType: (timeframe) => {
@@ -104,21 +105,21 @@ const EarlyDetectionUtils = {
         if (!candles || candles.length < AnalysisConfig.MIN_DATA_POINTS.EARLY_DETECTION) return false;
         
         const [prev3, prev2, prev1, current] = candles.slice(-4);
-        const closes = candles.map(c => c[4]);
+        const closes = candles.map(c => c.close);
         
         const isUptrend = closes[closes.length-6] < closes[closes.length-5] && 
                         closes[closes.length-5] < closes[closes.length-4] && 
                         closes[closes.length-4] < closes[closes.length-3];
         
-        const isPullback = prev3[4] > prev2[4] && 
-                        prev2[4] > prev1[4] && 
-                        current[4] > prev1[4] &&
-                        current[3] < prev1[4] &&
-                        (prev1[4] - current[3]) / prev1[4] < AnalysisConfig.PRICE.PULLBACK_MAX_DIP;
+        const isPullback = prev3.close > prev2.close && 
+                        prev2.close > prev1.close && 
+                        current.close > prev1.close &&
+                        current.low < prev1.close &&
+                        (prev1.close - current.low) / prev1.close < AnalysisConfig.PRICE.PULLBACK_MAX_DIP;
         
-        const volumePattern = prev3[5] > prev2[5] && 
-                             prev2[5] > prev1[5] && 
-                             current[5] > prev1[5];
+        const volumePattern = prev3.volume > prev2.volume && 
+                             prev2.volume > prev1.volume && 
+                             current.volume > prev1.volume;
         
         return isUptrend && isPullback && volumePattern;
     },
@@ -172,10 +173,10 @@ const PriceAnalyzer = {
         const patternWindow = candles.slice(-patternWindowSize);
         
         const getVolatilityType = (candles) => {
-            const highs = candles.map(c => c[2]);
-            const lows = candles.map(c => c[3]);
+            const highs = candles.map(c => c.high);
+            const lows = candles.map(c => c.low);
             const range = Math.max(...highs) - Math.min(...lows);
-            const avgPrice = candles.reduce((sum, c) => sum + c[4], 0) / candles.length;
+            const avgPrice = candles.reduce((sum, c) => sum + c.close, 0) / candles.length;
             const volatility = range / avgPrice;
             
             return volatility > 0.1 ? "HIGH" :
@@ -195,16 +196,16 @@ const PriceAnalyzer = {
         const patternChanges = [];
         
         for (let i = 1; i < mainWindow.length; i++) {
-            const prevClose = IndicatorUtils.extractNumber(mainWindow[i-1][4]);
-            const currClose = IndicatorUtils.extractNumber(mainWindow[i][4]);
+            const prevClose = IndicatorUtils.extractNumber(mainWindow[i-1].close);
+            const currClose = IndicatorUtils.extractNumber(mainWindow[i].close);
             
             if (prevClose !== 0) {
                 const change = IndicatorUtils.calculatePercentageChange(currClose, prevClose);
                 priceChanges.push(change);
                 
                 if (i < patternWindow.length) {
-                    const patternPrev = IndicatorUtils.extractNumber(patternWindow[i-1][4]);
-                    const patternCurr = IndicatorUtils.extractNumber(patternWindow[i][4]);
+                    const patternPrev = IndicatorUtils.extractNumber(patternWindow[i-1].close);
+                    const patternCurr = IndicatorUtils.extractNumber(patternWindow[i].close);
                     if (patternPrev !== 0) {
                         patternChanges.push(
                             IndicatorUtils.calculatePercentageChange(patternCurr, patternPrev)
@@ -235,7 +236,7 @@ const PriceAnalyzer = {
                 (isStrongDeceleration ? "STRONG_DOWN" : "DOWN");
         }
 
-        const lastThree = candles.slice(-3).map(c => c[4]);
+        const lastThree = candles.slice(-3).map(c => c.close);
         const potentialReversal = (
             (trendStrength.includes("UP") && lastThree[0] > lastThree[1] && lastThree[1] > lastThree[2]) ||
             (trendStrength.includes("DOWN") && lastThree[0] < lastThree[1] && lastThree[1] < lastThree[2])
@@ -258,16 +259,16 @@ const PriceAnalyzer = {
         const first = candles[0];
         const last = candles[candles.length - 1];
         return IndicatorUtils.calculatePercentageChange(
-            IndicatorUtils.extractNumber(last[4]),
-            IndicatorUtils.extractNumber(first[4])
+            IndicatorUtils.extractNumber(last.close),
+            IndicatorUtils.extractNumber(first.close)
         );
     },
 
     detectEarlyTrend: (candles) => {
         if (!candles || candles.length < AnalysisConfig.MIN_DATA_POINTS.EARLY_DETECTION) return null;
         
-        const prices = candles.map(c => c[4]);
-        const volumes = candles.map(c => c[5]);
+        const prices = candles.map(c => c.close);
+        const volumes = candles.map(c => c.volume);
         const currentPrice = prices[prices.length-1];
         const currentVolume = volumes[volumes.length-1];
         
@@ -302,9 +303,9 @@ const PriceAnalyzer = {
         if (!candles || candles.length < AnalysisConfig.MIN_DATA_POINTS.TREND_ANALYSIS) return 0;
         
         const recent = candles.slice(-5);
-        const highs = recent.map(c => c[2]);
+        const highs = recent.map(c => c.high);
         const avgHigh = highs.reduce((sum, h) => sum + h, 0) / highs.length;
-        const current = candles[candles.length - 1][4];
+        const current = candles[candles.length - 1].close;
         
         if (current === 0) return 0;
         return (avgHigh - current) / current;
@@ -314,9 +315,9 @@ const PriceAnalyzer = {
         if (!candles || candles.length < AnalysisConfig.MIN_DATA_POINTS.TREND_ANALYSIS) return 0;
         
         const recent = candles.slice(-5);
-        const lows = recent.map(c => c[3]);
+        const lows = recent.map(c => c.low);
         const avgLow = lows.reduce((sum, l) => sum + l, 0) / lows.length;
-        const current = candles[candles.length - 1][4];
+        const current = candles[candles.length - 1].close;
         
         if (avgLow === 0) return 0;
         return (current - avgLow) / avgLow;
@@ -332,7 +333,7 @@ const PriceAnalyzer = {
         for (let i = 0; i < recentData.length; i++) {
             const weight = i + 1;
             const candle = recentData[i];
-            weightedSum += (Math.min(candle[3], candle[4]) * weight);
+            weightedSum += (Math.min(candle.low, candle.close) * weight);
             weightSum += weight;
         }
         
@@ -363,7 +364,7 @@ const VolumeAnalyzer = {
             return emptyResult;
         }
 
-        const validCandles = candles.filter(c => c && Array.isArray(c) && c.length >= 6);
+        const validCandles = candles.filter(c => c instanceof Candle);
         if (validCandles.length === 0) {
             return emptyResult;
         }
@@ -377,7 +378,7 @@ const VolumeAnalyzer = {
             
             const priceChanges = candles.slice(-VOLATILITY_LOOKBACK)
                 .map((c, i, arr) => 
-                    i > 0 ? Math.abs(c[4] - arr[i-1][4]) / Math.max(arr[i-1][4], MIN_VOLUME_FOR_ANALYSIS) : 0
+                    i > 0 ? Math.abs(c.close - arr[i-1].close) / Math.max(arr[i-1].close, MIN_VOLUME_FOR_ANALYSIS) : 0
                 )
                 .filter(v => v > 0);
             
@@ -403,14 +404,14 @@ const VolumeAnalyzer = {
         const slicedCandles = validCandles.slice(-analysisWindow);
         
         const volumes = slicedCandles.map(c => 
-            Math.max(IndicatorUtils.extractNumber(c[5]), MIN_VOLUME_FOR_ANALYSIS)
+            Math.max(IndicatorUtils.extractNumber(c.volume), MIN_VOLUME_FOR_ANALYSIS)
         );
         
         const avgVolume = volumes.length > 0 ? 
             volumes.reduce((sum, vol) => sum + vol, 0) / volumes.length : 0;
         
         const currentVolume = Math.max(
-            IndicatorUtils.extractNumber(validCandles[validCandles.length - 1][5]),
+            IndicatorUtils.extractNumber(validCandles[validCandles.length - 1].volume),
             MIN_VOLUME_FOR_ANALYSIS
         );
 
@@ -470,16 +471,16 @@ const PatternDetector = {
 
         if (!candles || candles.length < AnalysisConfig.MIN_DATA_POINTS.PATTERN_DETECTION) return emptyResult;
         
-        const validCandles = candles.filter(c => c && c.length >= 6);
+        const validCandles = candles.filter(c => c instanceof Candle);
         if (validCandles.length < AnalysisConfig.MIN_DATA_POINTS.PATTERN_DETECTION) return emptyResult;
         
         const [prev2, prev1, current] = validCandles.slice(-3);
         const bodySize = (candle) => {
-            const body = Math.abs(candle[4] - candle[1]);
-            const range = candle[2] - candle[3];
+            const body = Math.abs(candle.close - candle.open);
+            const range = candle.high - candle.low;
             // Consider wicks if they exceed maximum allowed ratio
-            const upperWickRatio = (candle[2] - Math.max(candle[1], candle[4])) / range;
-            const lowerWickRatio = (Math.min(candle[1], candle[4]) - candle[3]) / range;
+            const upperWickRatio = (candle.high - Math.max(candle.open, candle.close)) / range;
+            const lowerWickRatio = (Math.min(candle.open, candle.close) - candle.low) / range;
             
             if (upperWickRatio > AnalysisConfig.PATTERNS.MAX_WICK_RATIO || 
                 lowerWickRatio > AnalysisConfig.PATTERNS.MAX_WICK_RATIO) {
@@ -491,31 +492,31 @@ const PatternDetector = {
         
         return {
             isThreeWhiteSoldiers: (
-                prev2[4] > prev2[1] && 
-                prev1[4] > prev1[1] && 
-                current[4] > current[1] &&
+                prev2.close > prev2.open && 
+                prev1.close > prev1.open && 
+                current.close > current.open &&
                 bodySize(current) > avgBodySize * AnalysisConfig.PATTERNS.BODY_SIZE_RATIO &&
-                current[4] > prev1[4] * 1.005 && // Explicit progression check
-                prev1[4] > prev2[4] * 1.005
+                current.close > prev1.close * 1.005 && // Explicit progression check
+                prev1.close > prev2.close * 1.005
             ),
             isThreeBlackCrows: (
-                prev2[4] < prev2[1] && 
-                prev1[4] < prev1[1] && 
-                current[4] < current[1] &&
+                prev2.close < prev2.open && 
+                prev1.close < prev1.open && 
+                current.close < current.open &&
                 bodySize(current) > avgBodySize * AnalysisConfig.PATTERNS.BODY_SIZE_RATIO &&
-                current[4] < prev2[4] // Added progressive close requirement
+                current.close < prev2.close // Added progressive close requirement
             ),
             isEveningStar: (
-                prev2[4] > prev2[1] && 
-                Math.abs(prev1[4] - prev1[1]) < avgBodySize * AnalysisConfig.PATTERNS.SMALL_BODY_RATIO &&
-                current[4] < current[1] &&
-                current[4] < prev2[4] * (1 - AnalysisConfig.PATTERNS.STAR_PATTERN_PRICE_CHANGE)
+                prev2.close > prev2.open && 
+                Math.abs(prev1.close - prev1.open) < avgBodySize * AnalysisConfig.PATTERNS.SMALL_BODY_RATIO &&
+                current.close < current.open &&
+                current.close < prev2.close * (1 - AnalysisConfig.PATTERNS.STAR_PATTERN_PRICE_CHANGE)
             ),
             isMorningStar: (
-                prev2[4] < prev2[1] && 
-                Math.abs(prev1[4] - prev1[1]) < avgBodySize * AnalysisConfig.PATTERNS.SMALL_BODY_RATIO &&
-                current[4] > current[1] &&
-                current[4] > prev2[4] * (1 + AnalysisConfig.PATTERNS.STAR_PATTERN_PRICE_CHANGE)
+                prev2.close < prev2.open && 
+                Math.abs(prev1.close - prev1.open) < avgBodySize * AnalysisConfig.PATTERNS.SMALL_BODY_RATIO &&
+                current.close > current.open &&
+                current.close > prev2.close * (1 + AnalysisConfig.PATTERNS.STAR_PATTERN_PRICE_CHANGE)
             )
         };
     },
@@ -527,23 +528,23 @@ const PatternDetector = {
             return emptyResult;
         }
 
-        const lastBody = Math.abs(lastCandle[4] - lastCandle[1]);
-        const prevBody = Math.abs(previousCandle[4] - previousCandle[1]);
+        const lastBody = Math.abs(lastCandle.close - lastCandle.open);
+        const prevBody = Math.abs(previousCandle.close - previousCandle.open);
         
         return {
             bullish: (
-                lastCandle[4] > lastCandle[1] &&
-                previousCandle[4] < previousCandle[1] &&
+                lastCandle.close > lastCandle.open &&
+                previousCandle.close < previousCandle.open &&
                 lastBody > prevBody * 0.5 && // Reduced from full body requirement
-                (lastCandle[4] > previousCandle[1] || lastCandle[1] < previousCandle[4]) && // Partial engulf allowed
+                (lastCandle.close > previousCandle.open || lastCandle.open < previousCandle.close) && // Partial engulf allowed
                 volumeIncrease > AnalysisConfig.VOLUME.ENGULFING_INCREASE_REQUIRED * 0.7 // Volume threshold reduced
             ),
             bearish: (
-                lastCandle[4] < lastCandle[1] &&
-                previousCandle[4] > previousCandle[1] &&
+                lastCandle.close < lastCandle.open &&
+                previousCandle.close > previousCandle.open &&
                 lastBody > prevBody * AnalysisConfig.PATTERNS.BODY_SIZE_RATIO &&
-                lastCandle[4] < previousCandle[1] &&
-                lastCandle[1] > previousCandle[4] &&
+                lastCandle.close < previousCandle.open &&
+                lastCandle.open > previousCandle.close &&
                 volumeIncrease > AnalysisConfig.VOLUME.ENGULFING_INCREASE_REQUIRED
             )
         };
@@ -556,8 +557,8 @@ const PatternDetector = {
             return emptyResult;
         }
         return {
-            gapUp: lastCandle[1] > previousCandle[4] * (1 + AnalysisConfig.PRICE.GAP_PERCENTAGE),
-            gapDown: lastCandle[1] < previousCandle[4] * (1 - AnalysisConfig.PRICE.GAP_PERCENTAGE)
+            gapUp: lastCandle.open > previousCandle.close * (1 + AnalysisConfig.PRICE.GAP_PERCENTAGE),
+            gapDown: lastCandle.open < previousCandle.close * (1 - AnalysisConfig.PRICE.GAP_PERCENTAGE)
         };
     },
 
@@ -611,20 +612,20 @@ const PatternDetector = {
     
     detectSupportBreak: (candles, supportLevel) => {
         if (!supportLevel || !candles || candles.length < AnalysisConfig.MIN_DATA_POINTS.PATTERN_DETECTION) return false;
-        const validCandles = candles.filter(c => c && c.length >= 5);
+        const validCandles = candles.filter(c => c instanceof Candle);
         if (validCandles.length < AnalysisConfig.MIN_DATA_POINTS.PATTERN_DETECTION) return false;
         
         const [, prev1, current] = validCandles.slice(-3);
-        return prev1[3] > supportLevel && current[4] < supportLevel;
+        return prev1.low > supportLevel && current.close < supportLevel;
     },
     
     detectResistanceBreak: (candles, resistanceLevel) => {
         if (!resistanceLevel || !candles || candles.length < AnalysisConfig.MIN_DATA_POINTS.PATTERN_DETECTION) return false;
-        const validCandles = candles.filter(c => c && c.length >= 5);
+        const validCandles = candles.filter(c => c instanceof Candle);
         if (validCandles.length < AnalysisConfig.MIN_DATA_POINTS.PATTERN_DETECTION) return false;
         
         const [, prev1, current] = validCandles.slice(-3);
-        return prev1[2] < resistanceLevel && current[4] > resistanceLevel;
+        return prev1.high < resistanceLevel && current.close > resistanceLevel;
     }
 };
 
@@ -1022,8 +1023,7 @@ const IndicatorAnalyzer = {
 // Enhanced Main Analysis Class
 class MarketAnalyzer {
     static validateCandles(candles, minLength = AnalysisConfig.MIN_DATA_POINTS.DEFAULT) {
-        return candles && Array.isArray(candles) && candles.length >= minLength && 
-               candles.every(c => c && Array.isArray(c) && c.length >= 6);
+        return Candle.isCandles(candles) && candles.length >= minLength;
     }
 
     static analyzeCandles(candles, analysisWindow) {
@@ -1142,7 +1142,7 @@ class MarketAnalyzer {
         
         // Calculate average volume in the order book for context
         const allOrders = [...(orderBook.bids || []), ...(orderBook.asks || [])];
-        const avgVolume = allOrders.reduce((sum, order) => sum + parseFloat(order[1]), 0) / Math.max(allOrders.length, 1);
+        const avgVolume = allOrders.reduce((sum, order) => sum + order.quantity, 0) / Math.max(allOrders.length, 1);
         
         return {
             orderBookImbalance: imbalance,
@@ -1179,19 +1179,19 @@ class MarketAnalyzer {
         const candleAnalysis = this.analyzeCandles(candles, analysisWindow);
         const lastCandle = candles[candles.length - 1];
         const previousCandle = candles[candles.length - 2];
-        const currentPrice = IndicatorUtils.extractNumber(lastCandle[4]);
+        const currentPrice = IndicatorUtils.extractNumber(lastCandle.close);
 
         const volumeIncrease = IndicatorUtils.calculatePercentageChange(
-            IndicatorUtils.extractNumber(lastCandle[5]),
-            IndicatorUtils.extractNumber(previousCandle[5])
+            IndicatorUtils.extractNumber(lastCandle.volume),
+            IndicatorUtils.extractNumber(previousCandle.volume)
         );
 
         const advancedPatterns = PatternDetector.detectCandlestick(candles);
         const engulfingPatterns = PatternDetector.detectEngulfing(lastCandle, previousCandle, volumeIncrease);
         const gaps = PatternDetector.detectGaps(lastCandle, previousCandle);
 
-        const volatility = (IndicatorUtils.extractNumber(lastCandle[2]) - IndicatorUtils.extractNumber(lastCandle[3])) / 
-            Math.max(IndicatorUtils.extractNumber(lastCandle[1]), 0.0001);
+        const volatility = (IndicatorUtils.extractNumber(lastCandle.high) - IndicatorUtils.extractNumber(lastCandle.low)) / 
+            Math.max(IndicatorUtils.extractNumber(lastCandle.open), 0.0001);
         
         const oversold = TimeframeUtils.getIndicatorConfig('RSI', 'OVERSOLD', timeframe);
         const overbought = TimeframeUtils.getIndicatorConfig('RSI', 'OVERBOUGHT', timeframe);
@@ -1213,8 +1213,8 @@ class MarketAnalyzer {
         const atrAnalysis = IndicatorAnalyzer.analyzeATR(indicators?.atr, timeframe);
         const emaAnalysis = IndicatorAnalyzer.analyzeEMA(indicators?.ema, currentPrice, timeframe);
 
-        const prices = candles.map(c => c[4]);
-        const volumes = candles.map(c => c[5]);
+        const prices = candles.map(c => c.close);
+        const volumes = candles.map(c => c.volume);
         const volumeDivergence = PatternDetector.detectVolumeDivergence(prices, volumes);
 
         const supportLevel = Math.min(...prices.slice(-10));
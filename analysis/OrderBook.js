@@ -0,0 +1,63 @@
+/**
+ * A depth snapshot with numeric { price, quantity } levels, bids best (highest) first and asks best (lowest)
+ * first. Built once from the exchange's [price, qty] string tuples; the constructor throws on
+ * non-numeric or unsorted levels. Instances are frozen.
+ */
+class OrderBook {
+    /**
+     * @param {Object} snapshot
+     * @param {Array} snapshot.bids - [{ price, quantity }] or [price, quantity] tuples
+     * @param {Array} snapshot.asks
+     * @param {number} [snapshot.time] - When the snapshot was taken, if known
+     */
+    constructor({ bids = [], asks = [], lastUpdateId = null, time = null }) {
+        this.bids = Object.freeze(OrderBook.toLevels('bid', bids, (a, b) => a > b));
+        this.asks = Object.freeze(OrderBook.toLevels('ask', asks, (a, b) => a < b));
+        this.lastUpdateId = lastUpdateId;
+        this.time = time;
+        Object.freeze(this);
+    }
+
+    static toLevels(side, levels, isBetter) {
+        if (!Array.isArray(levels)) throw new Error(`Order book ${side}s are not an array`);
+        let previous = null;
+        return levels.map(level => {
+            const price = Number(Array.isArray(level) ? level[0] : level.price);
+            const quantity = Number(Array.isArray(level) ? level[1] : level.quantity);
+            if (!(price > 0) || !(quantity >= 0)) throw new Error(`Invalid ${side} level ${JSON.stringify(level)}`);
+            if (previous !== null && !isBetter(previous, price)) throw new Error(`Order book ${side}s are not sorted at ${price}`);
+            previous = price;
+            return Object.freeze({ price, quantity });
+        });
+    }
+
+    /**
+     * From a depth response, { lastUpdateId, bids: [[price, qty]], asks: [[price, qty]] }
+     */
+    static fromDepth(depth, time = depth?.time ?? null) {
+        if (!depth || typeof depth !== 'object') throw new Error('Depth snapshot is missing');
+        return new OrderBook({ bids: depth.bids, asks: depth.asks, lastUpdateId: depth.lastUpdateId ?? null, time });
+    }
+
+    get bestBid() {
+        return this.bids[0]?.price ?? null;
+    }
+
+    get bestAsk() {
+        return this.asks[0]?.price ?? null;
+    }
+
+    get midPrice() {
+        return this.bestBid !== null && this.bestAsk !== null ? (this.bestBid + this.bestAsk) / 2 : null;
+    }
+
+    get spread() {
+        return this.bestBid !== null && this.bestAsk !== null ? this.bestAsk - this.bestBid : null;
+    }
+
+    get isEmpty() {
+        return !this.bids.length || !this.asks.length;
+    }
+}
+
+module.exports = OrderBook;
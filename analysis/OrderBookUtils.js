@@ -1,4 +1,4 @@
-// Add to your utility modules
+// Order book helpers, over OrderBook levels ({ price, quantity } numbers)
 const OrderBookUtils = {
     calculateOrderBookImbalance: (orderBook, depth = 10) => {
         if (!orderBook || !orderBook.bids || !orderBook.asks) return 0;
@@ -6,8 +6,8 @@ const OrderBookUtils = {
         const topBids = orderBook.bids.slice(0, depth);
         const topAsks = orderBook.asks.slice(0, depth);
         
-        const totalBidVolume = topBids.reduce((sum, bid) => sum + parseFloat(bid[1]), 0);
-        const totalAskVolume = topAsks.reduce((sum, ask) => sum + parseFloat(ask[1]), 0);
+        const totalBidVolume = topBids.reduce((sum, bid) => sum + bid.quantity, 0);
+        const totalAskVolume = topAsks.reduce((sum, ask) => sum + ask.quantity, 0);
         
         if (totalBidVolume + totalAskVolume === 0) return 0;
         
@@ -24,8 +24,8 @@ const OrderBookUtils = {
         let supportSum = 0;
         let supportVolume = 0;
         bids.forEach(bid => {
-            const price = parseFloat(bid[0]);
-            const volume = parseFloat(bid[1]);
+            const price = bid.price;
+            const volume = bid.quantity;
             supportSum += price * volume;
             supportVolume += volume;
         });
@@ -34,8 +34,8 @@ const OrderBookUtils = {
         let resistanceSum = 0;
         let resistanceVolume = 0;
         asks.forEach(ask => {
-            const price = parseFloat(ask[0]);
-            const volume = parseFloat(ask[1]);
+            const price = ask.price;
+            const volume = ask.quantity;
             resistanceSum += price * volume;
             resistanceVolume += volume;
         });
@@ -53,33 +53,33 @@ const OrderBookUtils = {
         
         // Calculate average order size in the order book
         const allOrders = [...orderBook.bids, ...orderBook.asks];
-        const avgSize = allOrders.reduce((sum, order) => sum + parseFloat(order[1]), 0) / allOrders.length;
+        const avgSize = allOrders.reduce((sum, order) => sum + order.quantity, 0) / allOrders.length;
         const largeOrderThreshold = avgSize * thresholdMultiplier;
         
         // Find large bids (within 2% of current price)
         const largeBids = orderBook.bids
             .filter(bid => {
-                const price = parseFloat(bid[0]);
-                return parseFloat(bid[1]) > largeOrderThreshold && 
+                const price = bid.price;
+                return bid.quantity > largeOrderThreshold && 
                        price >= currentPrice * 0.98;
             })
             .map(bid => ({
-                price: parseFloat(bid[0]),
-                volume: parseFloat(bid[1]),
-                distancePercent: ((currentPrice - parseFloat(bid[0])) / currentPrice) * 100
+                price: bid.price,
+                volume: bid.quantity,
+                distancePercent: ((currentPrice - bid.price) / currentPrice) * 100
             }));
         
         // Find large asks (within 2% of current price)
         const largeAsks = orderBook.asks
             .filter(ask => {
-                const price = parseFloat(ask[0]);
-                return parseFloat(ask[1]) > largeOrderThreshold && 
+                const price = ask.price;
+                return ask.quantity > largeOrderThreshold && 
                        price <= currentPrice * 1.02;
             })
             .map(ask => ({
-                price: parseFloat(ask[0]),
-                volume: parseFloat(ask[1]),
-                distancePercent: ((parseFloat(ask[0]) - currentPrice) / currentPrice) * 100
+                price: ask.price,
+                volume: ask.quantity,
+                distancePercent: ((ask.price - currentPrice) / currentPrice) * 100
             }));
         
         return { largeBids, largeAsks };
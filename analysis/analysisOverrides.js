@@ -0,0 +1,39 @@
+const AnalysisConfig = require('./AnalysisConfig');
+
+// Untouched copy, every application of overrides starts from it
+const DEFAULTS = structuredClone(AnalysisConfig);
+let applied = null;
+
+// Own properties only, so inherited ones ('SCORING.constructor.length') don't pass for config values
+const getPathValue = (object, path) =>
+    path.split('.').reduce((value, key) => (value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined), object);
+
+/**
+ * True when `path` (e.g. 'SCORING.CONSENSUS_THRESHOLDS.BUY') names a numeric AnalysisConfig value
+ */
+const isAnalysisPath = (path) => typeof getPathValue(DEFAULTS, path) === 'number';
+
+/**
+ * Resets AnalysisConfig to its defaults and applies per-pair overrides on top.
+ * MarketAnalyzer reads the shared AnalysisConfig object directly, which is safe because the bot
+ * analyzes one pair at a time: call this right before analyzing a pair.
+ * @param {Object} [overrides] - { 'INDICATORS.RSI.OVERSOLD.MEDIUM_TERM': 30, ... }
+ */
+const applyAnalysisOverrides = (overrides = {}) => {
+    const key = JSON.stringify(overrides || {});
+    if (key === applied) return;
+
+    Object.keys(AnalysisConfig).forEach(section => {
+        AnalysisConfig[section] = structuredClone(DEFAULTS[section]);
+    });
+    Object.entries(overrides || {}).forEach(([path, value]) => {
+        if (!isAnalysisPath(path)) throw new Error(`Unknown AnalysisConfig value ${path}`);
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.length ? getPathValue(AnalysisConfig, keys.join('.')) : AnalysisConfig;
+        target[last] = value;
+    });
+    applied = key;
+};
+
+module.exports = { applyAnalysisOverrides, isAnalysisPath, getPathValue, DEFAULTS };
@@ -1,34 +1,57 @@
 
-const { RSI, StochasticRSI, MACD, EMA, ADX, AwesomeOscillator, ATR } = require('technicalindicators');
+const { RSI, StochasticRSI, MACD, EMA, ADX, AwesomeOscillator, ATR, BollingerBands } = require('technicalindicators');
+const streaming = require('./streamingIndicators');
+const IndicatorEngine = require('./IndicatorEngine');
+const Candle = require('./Candle');
 
+const MIN_CANDLES = 20; // Minimum 20 candles for reliable indicators
+
+// Get last values safely
+const getLast = (arr) => {
+  if (!Array.isArray(arr)) return null;
+  const val = arr[arr.length - 1];
+  return typeof val === 'object' ? { ...val } : val; // Handle objects (like MACD)
+};
+
+const buildIndicatorResult = (series, lastClose) => {
+  const { rsi, stoch_rsi, macd, adx, ao, atr, ema, bbands } = series;
+  return {
+    // Full series (for debugging/charting)
+    rsi, stoch_rsi, macd, adx, ao, atr, ema, bbands,
+
+    // Current values (for trading logic)
+    current: {
+      rsi: getLast(rsi),
+      stoch_rsi: getLast(stoch_rsi),
+      macd: getLast(macd),
+      adx: getLast(adx),
+      ao: getLast(ao),
+      atr: getLast(atr),
+      ema: getLast(ema),
+      bbands: getLast(bbands)
+    },
+
+    // Additional useful metrics
+    volatility: getLast(atr) / lastClose * 100, // ATR as % of price
+    trendStrength: getLast(adx) > 25 ? 'STRONG' : 'WEAK'
+  };
+};
+
+/**
+ * @param {Candle[]} candleArray
+ */
 const getIndicators = (candleArray) => {
   // Validation
-  if (!Array.isArray(candleArray) || candleArray.length < 20) { // Minimum 20 candles for reliable indicators
+  if (!Candle.isCandles(candleArray) || candleArray.length < MIN_CANDLES) {
     console.warn('Invalid candle array or insufficient data length');
     return null;
   }
 
   try {
-    // Data extraction with error handling
-    const extractData = (index) => {
-      const values = [];
-      for (const candle of candleArray) {
-        const val = Number(candle[index]);
-        if (isNaN(val)) {
-          console.warn('Invalid candle data at index', index, candle);
-          return null;
-        }
-        values.push(val);
-      }
-      return values;
-    };
-
-    const highs = extractData(2);
-    const lows = extractData(3);
-    const closes = extractData(4);
-    const volumes = extractData(5);
-
-    if (!highs || !lows || !closes || !volumes) return null;
+    const highs = candleArray.map(c => c.high);
+    const lows = candleArray.map(c => c.low);
+    const closes = candleArray.map(c => c.close);
+    const volumes = candleArray.map(c => c.volume);
 
     const commonParams = { high: highs, low: lows, close: closes };
 
@@ -50,7 +73,8 @@ const getIndicators = (candleArray) => {
       adx,
       ao,
       atr,
-      ema
+      ema,
+      bbands
     ] = [
       calculateWithFallback(RSI.calculate, { values: closes, period: 14 }),
       calculateWithFallback(StochasticRSI.calculate, {
@@ -76,35 +100,11 @@ const getIndicators = (candleArray) => {
         slowPeriod: 34
       }),
       calculateWithFallback(ATR.calculate, { ...commonParams, period: 14 }),
-      calculateWithFallback(EMA.calculate, { values: closes, period: 8 })//maybe period 20
+      calculateWithFallback(EMA.calculate, { values: closes, period: 8 }),//maybe period 20
+      calculateWithFallback(BollingerBands.calculate, { values: closes, period: 20, stdDev: 2 })
     ];
 
-    // Get last values safely
-    const getLast = (arr) => {
-      if (!Array.isArray(arr)) return null;
-      const val = arr[arr.length - 1];
-      return typeof val === 'object' ? { ...val } : val; // Handle objects (like MACD)
-    };
-
-    return {
-      // Full series (for debugging/charting)
-      rsi, stoch_rsi, macd, adx, ao, atr, ema,
-      
-      // Current values (for trading logic)
-      current: {
-        rsi: getLast(rsi),
-        stoch_rsi: getLast(stoch_rsi),
-        macd: getLast(macd),
-        adx: getLast(adx),
-        ao: getLast(ao),
-        atr: getLast(atr),
-        ema: getLast(ema)
-      },
-      
-      // Additional useful metrics
-      volatility: getLast(atr) / closes[closes.length - 1] * 100, // ATR as % of price
-      trendStrength: getLast(adx) > 25 ? 'STRONG' : 'WEAK'
-    };
+    return buildIndicatorResult({ rsi, stoch_rsi, macd, adx, ao, atr, ema, bbands }, closes[closes.length - 1]);
 
   } catch (error) {
     console.error('Indicator calculation failed:', error);
@@ -115,4 +115,37 @@ const getIndicators = (candleArray) => {
 // Helper for backtesting
 getIndicators.getLast = (arr) => arr ? arr[arr.length - 1] : null;
 
-module.exports = { getIndicators };
+// Same indicators and parameters as getIndicators, fed one candle at a time
+const INDICATOR_DEFINITIONS = {
+  rsi: { create: () => new streaming.RSI(14), input: c => c.close },
+  stoch_rsi: {
+    create: () => new streaming.StochasticRSI({ rsiPeriod: 14, stochasticPeriod: 14, kPeriod: 3, dPeriod: 3 }),
+    input: c => c.close
+  },
+  macd: { create: () => new streaming.MACD({ fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 }), input: c => c.close },
+  adx: { create: () => new streaming.ADX(14), input: c => c },
+  ao: { create: () => new streaming.AwesomeOscillator({ fastPeriod: 5, slowPeriod: 34 }), input: c => c },
+  atr: { create: () => new streaming.ATR(14), input: c => c },
+  ema: { create: () => new streaming.EMA(8), input: c => c.close },
+  bbands: { create: () => new streaming.BollingerBands({ period: 20, stdDev: 2 }), input: c => c.close }
+};
+
+/**
+ * getIndicators() backed by an IndicatorEngine: indicators are updated with the candles that are new
+ * since the last call for the same key instead of being recomputed over the whole array.
+ * @returns {{ update: (key: string, candleArray: Candle[]) => Object|null, engine: IndicatorEngine }}
+ */
+const createIndicatorEngine = (options = {}) => {
+  const engine = new IndicatorEngine(INDICATOR_DEFINITIONS, { minCandles: MIN_CANDLES, ...options });
+  const update = (key, candleArray) => {
+    if (!Candle.isCandles(candleArray) || candleArray.length < MIN_CANDLES) {
+      console.warn('Invalid candle array or insufficient data length');
+      return null;
+    }
+    const series = engine.update(key, candleArray);
+    return series && buildIndicatorResult(series, candleArray[candleArray.length - 1].close);
+  };
+  return { update, engine };
+};
+
+module.exports = { getIndicators, createIndicatorEngine };
@@ -0,0 +1,475 @@
+/**
+ * Streaming versions of the technicalindicators classes used by the bots. Each one takes a single
+ * value per call and keeps only the state the next value needs, so an update costs O(period) at most.
+ *
+ * They follow the library's generators step by step, including the order of floating point
+ * operations and its quirks (SMA running sums, EMA seeding, RSI rounded to 2 decimals, 0 treated as
+ * "no value" in a few places), so a series fed one value at a time matches X.calculate() exactly.
+ * The library's number formatter is a no-op unless setConfig('precision') is used, which nothing here does.
+ */
+
+class StreamingIndicator {
+    /**
+     * Feeds the next value and returns the indicator's value for it, undefined while warming up
+     */
+    next() {
+        throw new Error(`${this.constructor.name} must implement next()`);
+    }
+
+    // Copy of the rolling state, nested indicators included
+    save() {
+        const state = {};
+        Object.entries(this).forEach(([key, value]) => {
+            if (value instanceof StreamingIndicator) state[key] = value.save();
+            else state[key] = Array.isArray(value) ? value.slice() : value;
+        });
+        return state;
+    }
+
+    restore(state) {
+        Object.entries(state).forEach(([key, value]) => {
+            if (this[key] instanceof StreamingIndicator) this[key].restore(value);
+            else this[key] = value;
+        });
+    }
+
+    /**
+     * Value for an input that isn't final yet (the candle still in progress), state is left untouched
+     */
+    peek(input) {
+        const state = this.save();
+        const value = this.next(input);
+        this.restore(state);
+        return value;
+    }
+}
+
+// technicalindicators' FixedSizeLinkedList: the last `size` values with a lazily maintained high/low
+class FixedSizeWindow extends StreamingIndicator {
+    constructor(size, maintainHigh = false, maintainLow = false) {
+        super();
+        this.size = size;
+        this.maintainHigh = maintainHigh;
+        this.maintainLow = maintainLow;
+        this.values = [];
+        this.periodHigh = 0;
+        this.periodLow = Infinity;
+    }
+
+    next(value) {
+        if (this.values.length === this.size) {
+            const lastShift = this.values.shift();
+            this.values.push(value);
+            if (this.maintainHigh && lastShift == this.periodHigh) {
+                this.periodHigh = this.rescan(this.periodHigh, (high, current) => high <= current);
+            }
+            if (this.maintainLow && lastShift == this.periodLow) {
+                this.periodLow = this.rescan(this.periodLow, (low, current) => low >= current);
+            }
+        } else {
+            this.values.push(value);
+        }
+        if (this.maintainHigh && this.periodHigh <= value) this.periodHigh = value;
+        if (this.maintainLow && this.periodLow >= value) this.periodLow = value;
+    }
+
+    // The library walks its list with `while (list.next())`, which stops at the first 0 (an RSI of 0 in StochRSI)
+    rescan(extreme, replaces) {
+        let result = this.values[0] ? this.values[0] : extreme;
+        for (let i = 1; i < this.values.length && this.values[i]; i++) {
+            if (replaces(result, this.values[i])) result = this.values[i];
+        }
+        return result;
+    }
+}
+
+class SMA extends StreamingIndicator {
+    constructor(period) {
+        super();
+        this.period = period;
+        this.values = [0]; // the library seeds its list with a 0 that the period-th value shifts out
+        this.sum = 0;
+        this.counter = 1;
+        this.result = undefined;
+    }
+
+    next(value) {
+        if (this.counter < this.period) {
+            this.counter++;
+            this.values.push(value);
+            this.sum = this.sum + value;
+        } else {
+            this.sum = this.sum - this.values.shift() + value;
+            this.result = this.sum / this.period;
+            this.values.push(value);
+        }
+        return this.result;
+    }
+}
+
+/**
+ * Seeded with the SMA of the first `period` values. An SMA of exactly 0 counts as no seed and
+ * gets smoothed with the same value right away, as in the library.
+ */
+class EMA extends StreamingIndicator {
+    constructor(period, exponent = 2 / (period + 1)) {
+        super();
+        this.exponent = exponent;
+        this.sma = new SMA(period);
+        this.previous = undefined;
+    }
+
+    next(value) {
+        if (this.previous === undefined) {
+            this.previous = this.sma.next(value);
+            if (this.previous === undefined || this.previous) return this.previous;
+        }
+        this.previous = ((value - this.previous) * this.exponent) + this.previous;
+        return this.previous;
+    }
+}
+
+// Wilder's moving average, an EMA with 1/period as exponent and a plain SMA seed
+class WEMA extends EMA {
+    constructor(period) {
+        super(period, 1 / period);
+    }
+
+    next(value) {
+        if (this.previous === undefined) {
+            this.previous = this.sma.next(value);
+            return this.previous;
+        }
+        this.previous = ((value - this.previous) * this.exponent) + this.previous;
+        return this.previous;
+    }
+}
+
+// Running sum smoothing used by ADX (seeded with the sum, not the mean, of the first `period` values)
+class WilderSmoothing extends StreamingIndicator {
+    constructor(period) {
+        super();
+        this.period = period;
+        this.sum = 0;
+        this.counter = 1;
+        this.result = 0;
+    }
+
+    next(value) {
+        if (this.counter < this.period) {
+            this.counter++;
+            this.sum = this.sum + value;
+            this.result = undefined;
+        } else if (this.counter == this.period) {
+            this.counter++;
+            this.sum = this.sum + value;
+            this.result = this.sum;
+        } else {
+            this.result = this.result - (this.result / this.period) + value;
+        }
+        return this.result;
+    }
+}
+
+// AverageGain / AverageLoss, `direction` 1 averages rises and -1 drops
+class AverageChange extends StreamingIndicator {
+    constructor(period, direction) {
+        super();
+        this.period = period;
+        this.direction = direction;
+        this.started = false;
+        this.lastValue = undefined;
+        this.counter = 1;
+        this.sum = 0;
+        this.average = undefined;
+    }
+
+    next(value) {
+        if (!this.started) {
+            this.started = true;
+            this.lastValue = value;
+            return undefined;
+        }
+        let change = this.direction > 0 ? value - this.lastValue : this.lastValue - value;
+        change = change > 0 ? change : 0;
+        if (change > 0) this.sum = this.sum + change;
+        if (this.counter < this.period) {
+            this.counter++;
+        } else if (this.average === undefined) {
+            this.average = this.sum / this.period;
+        } else {
+            this.average = ((this.average * (this.period - 1)) + change) / this.period;
+        }
+        this.lastValue = value;
+        return this.average;
+    }
+}
+
+class RSI extends StreamingIndicator {
+    constructor(period) {
+        super();
+        this.gain = new AverageChange(period, 1);
+        this.loss = new AverageChange(period, -1);
+        this.current = undefined;
+    }
+
+    next(value) {
+        const avgGain = this.gain.next(value);
+        const avgLoss = this.loss.next(value);
+        if (avgGain !== undefined && avgLoss !== undefined) {
+            if (avgLoss === 0) {
+                this.current = 100;
+            } else if (avgGain === 0) {
+                this.current = 0;
+            } else {
+                let rs = avgGain / avgLoss;
+                rs = isNaN(rs) ? 0 : rs;
+                this.current = parseFloat((100 - (100 / (1 + rs))).toFixed(2));
+            }
+        }
+        return this.current;
+    }
+}
+
+// Stochastic oscillator, input { high, low, close }, output { k, d }
+class Stochastic extends StreamingIndicator {
+    constructor(period, signalPeriod) {
+        super();
+        this.period = period;
+        this.index = 1;
+        this.highs = new FixedSizeWindow(period, true, false);
+        this.lows = new FixedSizeWindow(period, false, true);
+        this.dSma = new SMA(signalPeriod);
+    }
+
+    next({ high, low, close }) {
+        this.highs.next(high);
+        this.lows.next(low);
+        if (this.index < this.period) {
+            this.index++;
+            return undefined;
+        }
+        const periodLow = this.lows.periodLow;
+        let k = (close - periodLow) / (this.highs.periodHigh - periodLow) * 100;
+        k = isNaN(k) ? 0 : k; // flat period
+        const d = this.dSma.next(k);
+        return { k, d };
+    }
+}
+
+// Output { stochRSI, k, d }
+class StochasticRSI extends StreamingIndicator {
+    constructor({ rsiPeriod, stochasticPeriod, kPeriod, dPeriod }) {
+        super();
+        this.rsi = new RSI(rsiPeriod);
+        this.stochastic = new Stochastic(stochasticPeriod, kPeriod);
+        this.dSma = new SMA(dPeriod);
+        this.result = undefined;
+    }
+
+    next(value) {
+        const lastRSI = this.rsi.next(value);
+        if (lastRSI !== undefined) {
+            const stochasticRSI = this.stochastic.next({ high: lastRSI, low: lastRSI, close: lastRSI });
+            if (stochasticRSI !== undefined && stochasticRSI.d !== undefined) {
+                const d = this.dSma.next(stochasticRSI.d);
+                if (d !== undefined) this.result = { stochRSI: stochasticRSI.k, k: stochasticRSI.d, d };
+            }
+        }
+        return this.result;
+    }
+}
+
+// EMA oscillator and signal, output { MACD, signal, histogram }
+class MACD extends StreamingIndicator {
+    constructor({ fastPeriod, slowPeriod, signalPeriod }) {
+        super();
+        this.slowPeriod = slowPeriod;
+        this.index = 0;
+        this.fastMA = new EMA(fastPeriod);
+        this.slowMA = new EMA(slowPeriod);
+        this.signalMA = new EMA(signalPeriod);
+        this.fast = undefined;
+        this.slow = undefined;
+        this.macd = undefined;
+        this.signal = undefined;
+    }
+
+    next(value) {
+        this.fast = this.fastMA.next(value);
+        this.slow = this.slowMA.next(value);
+        if (this.index < this.slowPeriod) {
+            this.index++;
+            if (this.index < this.slowPeriod) return undefined;
+        }
+        if (this.fast && this.slow) {
+            this.macd = this.fast - this.slow;
+            this.signal = this.signalMA.next(this.macd);
+        }
+        const histogram = this.macd - this.signal;
+        return {
+            MACD: this.macd,
+            signal: this.signal ? this.signal : undefined,
+            histogram: isNaN(histogram) ? undefined : histogram
+        };
+    }
+}
+
+// Input { high, low, close }
+class TrueRange extends StreamingIndicator {
+    constructor() {
+        super();
+        this.previousClose = undefined;
+    }
+
+    next({ high, low, close }) {
+        if (this.previousClose === undefined) {
+            this.previousClose = close;
+            return undefined;
+        }
+        const previousClose = this.previousClose;
+        const result = Math.max(
+            high - low,
+            isNaN(Math.abs(high - previousClose)) ? 0 : Math.abs(high - previousClose),
+            isNaN(Math.abs(low - previousClose)) ? 0 : Math.abs(low - previousClose)
+        );
+        this.previousClose = close;
+        return result;
+    }
+}
+
+// +DM (direction 1) or -DM (direction -1), input { high, low }
+class DirectionalMovement extends StreamingIndicator {
+    constructor(direction) {
+        super();
+        this.direction = direction;
+        this.last = undefined;
+    }
+
+    next({ high, low }) {
+        let value;
+        if (this.last) {
+            const upMove = high - this.last.high;
+            const downMove = this.last.low - low;
+            value = this.direction > 0
+                ? ((upMove > downMove && upMove > 0) ? upMove : 0)
+                : ((downMove > upMove && downMove > 0) ? downMove : 0);
+        }
+        this.last = { high, low };
+        return value;
+    }
+}
+
+// Input { high, low, close }, output { adx, pdi, mdi }
+class ADX extends StreamingIndicator {
+    constructor(period) {
+        super();
+        this.trueRange = new TrueRange();
+        this.plusDM = new DirectionalMovement(1);
+        this.minusDM = new DirectionalMovement(-1);
+        this.emaTR = new WilderSmoothing(period);
+        this.emaPDM = new WilderSmoothing(period);
+        this.emaMDM = new WilderSmoothing(period);
+        this.emaDX = new WEMA(period);
+        this.pdi = undefined;
+        this.mdi = undefined;
+        this.adx = undefined;
+    }
+
+    next(tick) {
+        const tr = this.trueRange.next(tick);
+        const pdm = this.plusDM.next(tick);
+        const mdm = this.minusDM.next(tick);
+        if (tr === undefined) return undefined;
+        const atr = this.emaTR.next(tr);
+        const apdm = this.emaPDM.next(pdm);
+        const amdm = this.emaMDM.next(mdm);
+        if (atr != undefined && apdm != undefined && amdm != undefined) {
+            this.pdi = (apdm) * 100 / atr;
+            this.mdi = (amdm) * 100 / atr;
+            const dx = (Math.abs(this.pdi - this.mdi) / (this.pdi + this.mdi)) * 100;
+            this.adx = this.emaDX.next(dx);
+        }
+        return this.adx != undefined ? { adx: this.adx, pdi: this.pdi, mdi: this.mdi } : undefined;
+    }
+}
+
+// Input { high, low, close }
+class ATR extends StreamingIndicator {
+    constructor(period) {
+        super();
+        this.trueRange = new TrueRange();
+        this.wema = new WEMA(period);
+    }
+
+    next(tick) {
+        const trange = this.trueRange.next(tick);
+        return trange === undefined ? undefined : this.wema.next(trange);
+    }
+}
+
+// Input { high, low }
+class AwesomeOscillator extends StreamingIndicator {
+    constructor({ fastPeriod, slowPeriod }) {
+        super();
+        this.slowSMA = new SMA(slowPeriod);
+        this.fastSMA = new SMA(fastPeriod);
+        this.result = undefined;
+    }
+
+    next({ high, low }) {
+        const medianPrice = (high + low) / 2;
+        const slow = this.slowSMA.next(medianPrice);
+        const fast = this.fastSMA.next(medianPrice);
+        if (slow !== undefined && fast !== undefined) this.result = fast - slow;
+        return this.result;
+    }
+}
+
+// Population standard deviation over `period` values
+class SD extends StreamingIndicator {
+    constructor(period) {
+        super();
+        this.period = period;
+        this.window = new FixedSizeWindow(period);
+        this.sma = new SMA(period);
+        this.result = undefined;
+    }
+
+    next(value) {
+        this.window.next(value);
+        const mean = this.sma.next(value);
+        if (mean) {
+            let sum = 0;
+            for (const x of this.window.values) sum = sum + (Math.pow((x - mean), 2));
+            this.result = Math.sqrt(sum / (this.period));
+        }
+        return this.result;
+    }
+}
+
+// Output { middle, upper, lower, pb }
+class BollingerBands extends StreamingIndicator {
+    constructor({ period, stdDev }) {
+        super();
+        this.stdDev = stdDev;
+        this.sma = new SMA(period);
+        this.sd = new SD(period);
+        this.result = undefined;
+    }
+
+    next(value) {
+        const middle = this.sma.next(value);
+        const sd = this.sd.next(value);
+        if (middle) {
+            const upper = middle + (sd * this.stdDev);
+            const lower = middle - (sd * this.stdDev);
+            this.result = { middle, upper, lower, pb: (value - lower) / (upper - lower) };
+        }
+        return this.result;
+    }
+}
+
+module.exports = {
+    StreamingIndicator, SMA, EMA, WEMA, WilderSmoothing, RSI, StochasticRSI, MACD, ADX, ATR, AwesomeOscillator, BollingerBands
+};
@@ -0,0 +1,51 @@
+const PaperExchangeManager = require('../bot/PaperExchangeManager');
+
+/**
+ * PaperExchangeManager that also serves market data, from HistoricalData at the
+ * simulated clock, so nothing touches an exchange.
+ * Order sizing, precision and balance checks still run through the real ExchangeManager code.
+ */
+class BacktestExchangeManager extends PaperExchangeManager {
+    constructor(config, data, simulator, clock) {
+        super(config, simulator);
+        this.data = data;
+        this.clock = clock;
+    }
+
+    async init() {
+        this.getVenue().exchangeInfo = { symbols: this.data.getSymbolInfos() };
+    }
+
+    // The data files carry every pair's symbol info, whatever exchange it trades on
+    getVenue() {
+        return super.getVenue();
+    }
+
+    async request(pairOrVenue, method, ...args) {
+        const simulatedCall = this.simulatedCalls.get(method);
+        if (!simulatedCall) {
+            throw new Error(`${method} is not available while backtesting`);
+        }
+        return simulatedCall(pairOrVenue, ...args);
+    }
+
+    async makeQueuedReq(apiFunction) {
+        throw new Error(`${apiFunction.name} is not available while backtesting`);
+    }
+
+    // Fills are matched by BacktestRunner against each candle's high/low
+    async fetchPairData(pair, timeframe1, timeframe2) {
+        const now = this.clock();
+        const orders = pair.tradeable ? this.simulator.getOrders(pair.joinedPair) : [];
+        // Keeps the in-memory journal current for the risk manager's daily loss limit
+        if (pair.tradeable) await this.syncJournal(pair, orders);
+        return this.toMarketData(pair, [
+            this.data.getKlines(pair.joinedPair, timeframe1, now),
+            this.data.getKlines(pair.joinedPair, timeframe2, now, { partialFrom: timeframe1 }),
+            orders,
+            this.data.getDepth(pair.joinedPair, now)
+        ], [timeframe1, timeframe2], now);
+    }
+}
+
+module.exports = BacktestExchangeManager;
@@ -0,0 +1,103 @@
+const { Table } = require('console-table-printer');
+const { buildRoundTrips, summarizeRoundTrips, maxDrawdown, sharpeRatio } = require('../utils/tradeStats');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+class BacktestReport {
+    /**
+     * @param {Object} result
+     * @param {Array} result.pairs - Pairs that were replayed
+     * @param {Array} result.fills - Every simulated fill
+     * @param {Object} result.equityCurves - Per symbol P&L marked to the last close, one value per step
+     * @param {Array} result.portfolioCurve - Total account value in quote currency, one value per step
+     * @param {number} result.balance - Starting quote balance
+     * @param {number} result.start - First simulated timestamp
+     * @param {number} result.end - Last simulated timestamp
+     */
+    constructor(result) {
+        this.result = result;
+    }
+
+    summarize() {
+        const { pairs, fills, equityCurves, portfolioCurve, balance, start, end } = this.result;
+        const { trips, open } = buildRoundTrips(fills);
+
+        const perPair = pairs.map(pair => {
+            const symbol = pair.joinedPair;
+            const pairTrips = trips.filter(t => t.symbol === symbol);
+            const curve = equityCurves[symbol] || [];
+            const stats = summarizeRoundTrips(pairTrips);
+            const endPnl = curve.length ? curve[curve.length - 1] : 0;
+            return {
+                pair: pair.key,
+                ...stats,
+                unrealizedPnl: endPnl - stats.realizedPnl,
+                totalPnl: endPnl,
+                maxDrawdown: maxDrawdown(curve, pair.orderQty),
+                openPosition: open[symbol] ? { qty: open[symbol].heldQty, cost: open[symbol].cost } : null
+            };
+        });
+
+        const finalValue = portfolioCurve.length ? portfolioCurve[portfolioCurve.length - 1] : balance;
+        const stepMs = portfolioCurve.length > 1 ? (end - start) / (portfolioCurve.length - 1) : 0;
+        return {
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            startBalance: balance,
+            finalValue,
+            returnPercent: balance > 0 ? ((finalValue - balance) / balance) * 100 : 0,
+            maxDrawdown: maxDrawdown(portfolioCurve),
+            sharpe: stepMs ? sharpeRatio(portfolioCurve, YEAR_MS / stepMs) : 0,
+            overall: summarizeRoundTrips(trips),
+            pairs: perPair,
+            trips
+        };
+    }
+
+    print() {
+        const summary = this.summarize();
+        const table = new Table({
+            columns: [
+                { name: 'pair', title: 'Pair', alignment: 'left', color: 'custom_blue' },
+                { name: 'trades', title: 'Trades', alignment: 'right' },
+                { name: 'winRate', title: 'Win %', alignment: 'right' },
+                { name: 'avgProfit', title: 'Avg %', alignment: 'right' },
+                { name: 'realized', title: 'Realized', alignment: 'right' },
+                { name: 'unrealized', title: 'Unrealized', alignment: 'right' },
+                { name: 'fees', title: 'Fees', alignment: 'right' },
+                { name: 'drawdown', title: 'Max DD', alignment: 'right' },
+                { name: 'profitFactor', title: 'PF', alignment: 'right' }
+            ],
+            colorMap: {
+                custom_green: '\x1b[32m',
+                custom_red: '\x1b[31m',
+                custom_blue: '\x1b[34m'
+            }
+        });
+
+        summary.pairs.forEach(p => {
+            table.addRow({
+                pair: p.pair,
+                trades: p.totalTrades,
+                winRate: p.winRate.toFixed(1),
+                avgProfit: p.averageProfit.toFixed(2),
+                realized: p.realizedPnl.toFixed(2),
+                unrealized: p.unrealizedPnl.toFixed(2),
+                fees: p.totalFees.toFixed(2),
+                drawdown: `${p.maxDrawdown.amount.toFixed(2)} (${p.maxDrawdown.percent.toFixed(1)}%)`,
+                profitFactor: Number.isFinite(p.profitFactor) ? p.profitFactor.toFixed(2) : '∞'
+            }, { color: p.totalPnl > 0 ? 'custom_green' : p.totalPnl < 0 ? 'custom_red' : 'white' });
+        });
+
+        console.log('\x1b[33m%s\x1b[0m', `\n=== Backtest ${summary.start} → ${summary.end} ===`);
+        table.printTable();
+        console.log(`Start balance: ${summary.startBalance.toFixed(2)}`);
+        console.log(`Final value:   ${summary.finalValue.toFixed(2)} (${summary.returnPercent.toFixed(2)}%)`);
+        console.log(`Max drawdown:  ${summary.maxDrawdown.amount.toFixed(2)} (${summary.maxDrawdown.percent.toFixed(2)}%)`);
+        console.log(`Sharpe:        ${summary.sharpe.toFixed(2)}`);
+        console.log(`Trades: ${summary.overall.totalTrades} | Win rate: ${summary.overall.winRate.toFixed(1)}% | Avg: ${summary.overall.averageProfit.toFixed(2)}%`);
+        return summary;
+    }
+}
+
+module.exports = BacktestReport;
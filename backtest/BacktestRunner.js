@@ -0,0 +1,164 @@
+const TradingBot = require('../bot/Bot');
+const OrderSimulator = require('../bot/classes/OrderSimulator');
+const Candle = require('../analysis/Candle');
+const BacktestExchangeManager = require('./BacktestExchangeManager');
+const BacktestReport = require('./BacktestReport');
+
+// The bot logs every decision; keep the console readable unless asked otherwise
+const muteConsole = () => {
+    const { log, warn, time, timeEnd } = console;
+    console.log = console.warn = console.time = console.timeEnd = () => {};
+    return () => Object.assign(console, { log, warn, time, timeEnd });
+};
+
+/**
+ * Replays historical klines through TradingBot.processPair on a simulated clock.
+ * Each step is the close of a primary timeframe candle: resting orders are first
+ * matched against that candle's high/low, then the bot runs its normal decision path.
+ */
+class BacktestRunner {
+    /**
+     * @param {Object} options
+     * @param {Object} options.config - Bot config (the live config is a good base)
+     * @param {Array} options.pairs - Pair settings as found in pairs.json
+     * @param {HistoricalData} options.data
+     * @param {number} options.balance - Starting balance for every quote asset
+     * @param {number} options.feePercent
+     * @param {number} options.minCandles - Candles needed on both timeframes before trading starts
+     * @param {boolean} [options.verbose]
+     * @param {number} [options.start] - Only replay steps from this time on, earlier candles are still history
+     * @param {number} [options.end] - Only replay steps up to this time
+     */
+    constructor({ config, pairs, data, balance, feePercent, minCandles, verbose = false, start = null, end = null }) {
+        this.config = {
+            ...config,
+            telegramAlertEnabled: false,
+            printTable: false,
+            saveData: false,
+            journalFile: null, // keep backtest orders and state out of the live and paper files
+            paperJournalFile: null,
+            stateFile: null,
+            paperStateFile: null,
+            pairDelay: 0,
+            loopDelay: 0
+        };
+        this.data = data;
+        this.pairs = pairs
+            .map(pair => ({ ...pair, joinedPair: pair.key.replace('_', ''), tradeable: true }))
+            .filter(pair => data.has(pair.joinedPair));
+        this.minCandles = minCandles;
+        this.verbose = verbose;
+        this.start = start;
+        this.end = end;
+        this.now = 0;
+
+        const clock = () => this.now;
+        const quoteAssets = [...new Set(this.pairs.map(pair => data.getSymbolInfo(pair.joinedPair).quoteAsset))];
+        this.startValue = balance * quoteAssets.length;
+        this.simulator = new OrderSimulator({
+            balances: Object.fromEntries(quoteAssets.map(asset => [asset, balance])),
+            feePercent,
+            clock
+        });
+        this.exchangeManager = new BacktestExchangeManager(this.config, data, this.simulator, clock);
+        this.bot = new TradingBot({ config: this.config, exchangeManager: this.exchangeManager, clock });
+
+        // Per symbol cash flow and holdings, used to mark P&L to market each step
+        this.positions = Object.fromEntries(this.pairs.map(pair => [pair.joinedPair, { cash: 0, qty: 0 }]));
+        this.equityCurves = Object.fromEntries(this.pairs.map(pair => [pair.joinedPair, []]));
+        this.lastPrices = {};
+        this.portfolioCurve = [];
+        this.errors = 0;
+    }
+
+    buildTimeline() {
+        const primary = this.config.klinesInterval_1;
+        const steps = new Set();
+        this.pairs.forEach(pair => this.data.getTimeline(pair.joinedPair, primary).forEach(t => steps.add(t)));
+        return [...steps]
+            .filter(t => (this.start === null || t >= this.start) && (this.end === null || t <= this.end))
+            .sort((a, b) => a - b);
+    }
+
+    hasEnoughHistory(pair) {
+        return [this.config.klinesInterval_1, this.config.klinesInterval_2].every(interval =>
+            this.data.getKlines(pair.joinedPair, interval, this.now).length >= this.minCandles
+        );
+    }
+
+    applyFill(fill) {
+        const position = this.positions[fill.symbol];
+        if (fill.side === 'BUY') {
+            position.cash -= fill.quoteQty;
+            position.qty += fill.qty - fill.commission;
+        } else {
+            position.cash += fill.quoteQty - fill.commission;
+            position.qty -= fill.qty;
+        }
+    }
+
+    recordEquity() {
+        let total = 0;
+        this.pairs.forEach(pair => {
+            const symbol = pair.joinedPair;
+            const { cash, qty } = this.positions[symbol];
+            const pnl = cash + qty * (this.lastPrices[symbol] || 0);
+            this.equityCurves[symbol].push(pnl);
+            total += pnl;
+        });
+        this.portfolioCurve.push(this.startValue + total);
+    }
+
+    async step(time) {
+        this.now = time;
+        const primary = this.config.klinesInterval_1;
+
+        for (const pair of this.pairs) {
+            const kline = this.data.getCandleClosingAt(pair.joinedPair, primary, time);
+            if (!kline) continue;
+            const candle = Candle.fromKline(kline, time);
+
+            this.lastPrices[pair.joinedPair] = candle.close;
+            this.simulator.matchOrders(pair.joinedPair, candle.high, candle.low).forEach(fill => this.applyFill(fill));
+
+            if (!this.hasEnoughHistory(pair)) continue;
+            try {
+                const result = await this.bot.processPair(pair);
+                // Same bookkeeping as processAllPairs, the risk manager reads other pairs' state from it
+                if (result) this.bot.botDataLogger[pair.key] = result;
+            } catch (error) {
+                this.errors++;
+                console.error(`Error processing ${pair.key} at ${new Date(time).toISOString()}:`, error);
+            }
+        }
+        this.recordEquity();
+    }
+
+    async run() {
+        const timeline = this.buildTimeline();
+        if (!timeline.length) throw new Error('No historical candles found for the selected pairs');
+
+        await this.exchangeManager.init();
+        const restoreConsole = this.verbose ? () => {} : muteConsole();
+        try {
+            for (const time of timeline) {
+                await this.step(time);
+            }
+        } finally {
+            restoreConsole();
+        }
+
+        if (this.errors) console.warn(`${this.errors} errors while replaying`);
+        return new BacktestReport({
+            pairs: this.pairs,
+            fills: this.simulator.fills,
+            equityCurves: this.equityCurves,
+            portfolioCurve: this.portfolioCurve,
+            balance: this.startValue,
+            start: timeline[0],
+            end: timeline[timeline.length - 1]
+        });
+    }
+}
+
+module.exports = BacktestRunner;
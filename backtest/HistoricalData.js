@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+
+const KLINES_LIMIT = 120; // Same window utils/binance-spot.klines fetches live
+
+/**
+ * Stored OHLCV + depth snapshots for a set of symbols.
+ *
+ * One JSON file per symbol, named <dataDir>/<SYMBOL>.json:
+ * {
+ *   "symbol": "BTCUSDT",
+ *   "symbolInfo": { ...exchangeInfo.symbols entry, optional },
+ *   "klines": { "1h": [[openTime, open, high, low, close, volume, closeTime, ...]], "4h": [...] },
+ *   "depth": [{ "time": 1713830397164, "bids": [["price", "qty"]], "asks": [["price", "qty"]] }]
+ * }
+ */
+class HistoricalData {
+    constructor() {
+        this.symbols = {};
+    }
+
+    static load(dataDir, pairs) {
+        const data = new HistoricalData();
+        pairs.forEach(pair => {
+            const file = path.join(dataDir, `${pair.joinedPair}.json`);
+            if (!fs.existsSync(file)) {
+                console.warn(`No historical data for ${pair.key} (${file})`);
+                return;
+            }
+            data.addSymbol(pair, JSON.parse(fs.readFileSync(file)));
+        });
+        return data;
+    }
+
+    /**
+     * Same data read from a MarketDataStore (see backtest/record.js)
+     * @param {MarketDataStore} store
+     * @param {Array} pairs
+     * @param {string[]} intervals
+     * @param {Object} [range] - { start, end } openTimes, the whole store when omitted
+     */
+    static fromStore(store, pairs, intervals, { start, end } = {}) {
+        const data = new HistoricalData();
+        pairs.forEach(pair => {
+            const klines = Object.fromEntries(intervals.map(interval =>
+                [interval, store.getKlines(pair.joinedPair, interval, { start, end })]
+            ));
+            if (!Object.values(klines).some(candles => candles.length)) {
+                console.warn(`No recorded data for ${pair.key} in ${store.dir}`);
+                return;
+            }
+            const depth = store.getDepth(pair.joinedPair, { start, end }).map(({ time, bids, asks }) => ({ time, bids, asks }));
+            data.addSymbol(pair, { symbolInfo: store.getSymbolInfo(pair.joinedPair), klines, depth });
+        });
+        return data;
+    }
+
+    addSymbol(pair, raw) {
+        const klines = {};
+        Object.entries(raw.klines || {}).forEach(([interval, candles]) => {
+            klines[interval] = [...candles].sort((a, b) => a[0] - b[0]);
+        });
+        this.symbols[pair.joinedPair] = {
+            symbolInfo: raw.symbolInfo || this._defaultSymbolInfo(pair),
+            klines,
+            depth: [...(raw.depth || [])].sort((a, b) => a.time - b.time)
+        };
+    }
+
+    // Used when the data file carries no exchangeInfo entry: fine steps and no limits, so
+    // SymbolRules only rounds orders onto the grid and never rejects one
+    _defaultSymbolInfo(pair) {
+        const [baseAsset, quoteAsset] = pair.key.split('_');
+        return {
+            symbol: pair.joinedPair,
+            baseAsset,
+            quoteAsset,
+            filters: [
+                { filterType: 'PRICE_FILTER', tickSize: '0.000001' },
+                { filterType: 'LOT_SIZE', stepSize: '0.000001' }
+            ]
+        };
+    }
+
+    has(symbol) {
+        return !!this.symbols[symbol];
+    }
+
+    getSymbolInfos() {
+        return Object.values(this.symbols).map(s => s.symbolInfo);
+    }
+
+    getSymbolInfo(symbol) {
+        return this.symbols[symbol]?.symbolInfo;
+    }
+
+    getCandles(symbol, interval) {
+        return this.symbols[symbol]?.klines[interval] || [];
+    }
+
+    /**
+     * Index of the last candle closed before `now`, -1 if none
+     */
+    _lastClosedIndex(candles, now) {
+        let low = 0;
+        let high = candles.length - 1;
+        let result = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (candles[mid][6] < now) {
+                result = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Candle closing right before `now` (a step of the simulated clock)
+     */
+    getCandleClosingAt(symbol, interval, now) {
+        const candles = this.getCandles(symbol, interval);
+        const index = this._lastClosedIndex(candles, now);
+        return index >= 0 && candles[index][6] + 1 === now ? candles[index] : null;
+    }
+
+    /**
+     * Klines as the REST endpoint would have returned them at `now`: the closed candles
+     * plus, when `partialFrom` is given, the in-progress candle rebuilt from that finer interval.
+     */
+    getKlines(symbol, interval, now, { limit = KLINES_LIMIT, partialFrom = null } = {}) {
+        const candles = this.getCandles(symbol, interval);
+        const lastClosed = this._lastClosedIndex(candles, now);
+        const window = candles.slice(Math.max(0, lastClosed + 1 - limit), lastClosed + 1);
+
+        const current = candles[lastClosed + 1];
+        if (partialFrom && partialFrom !== interval && current && current[0] < now) {
+            const partial = this._buildPartialCandle(symbol, partialFrom, current, now);
+            if (partial) {
+                window.push(partial);
+                if (window.length > limit) window.shift();
+            }
+        }
+        return window;
+    }
+
+    _buildPartialCandle(symbol, sourceInterval, current, now) {
+        const source = this.getCandles(symbol, sourceInterval)
+            .filter(c => c[0] >= current[0] && c[6] < now);
+        if (!source.length) return null;
+
+        const high = Math.max(...source.map(c => parseFloat(c[2])));
+        const low = Math.min(...source.map(c => parseFloat(c[3])));
+        const sum = (index) => source.reduce((total, c) => total + parseFloat(c[index] || 0), 0);
+        return [
+            current[0],
+            source[0][1],
+            high.toString(),
+            low.toString(),
+            source[source.length - 1][4],
+            sum(5).toString(),
+            current[6],
+            sum(7).toString(),
+            sum(8),
+            sum(9).toString(),
+            sum(10).toString(),
+            '0'
+        ];
+    }
+
+    /**
+     * Latest depth snapshot taken before `now`, null if none was recorded
+     */
+    getDepth(symbol, now) {
+        const snapshots = this.symbols[symbol]?.depth || [];
+        let latest = null;
+        for (const snapshot of snapshots) {
+            if (snapshot.time > now) break;
+            latest = snapshot;
+        }
+        return latest ? { lastUpdateId: latest.time, bids: latest.bids, asks: latest.asks } : null;
+    }
+
+    /**
+     * Simulated clock steps: the instant each candle of `interval` closes
+     */
+    getTimeline(symbol, interval) {
+        return this.getCandles(symbol, interval).map(c => c[6] + 1);
+    }
+}
+
+module.exports = HistoricalData;
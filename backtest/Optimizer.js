@@ -0,0 +1,249 @@
+const BacktestRunner = require('./BacktestRunner');
+const { isAnalysisPath } = require('../analysis/analysisOverrides');
+
+const MAX_PROFIT_FACTOR = 10; // stands in for "no losing trade" so such sets still rank by count
+
+/**
+ * Searches pair settings and AnalysisConfig values for one pair by replaying history.
+ *
+ * The search space maps a parameter to its candidate values, either a list or a { min, max, step } range.
+ * Pair settings use their pairs.json name, AnalysisConfig values are prefixed with `analysis.`:
+ * { "profitMgn": [1, 1.5, 2], "analysis.SCORING.CONSENSUS_THRESHOLDS.BUY": { "min": 3, "max": 5, "step": 0.5 } }
+ *
+ * Walk-forward: the history is cut into folds + 1 windows. Fold k searches window k (windows 0..k when
+ * anchored) and replays the winner on window k + 1, which it has never seen. The settings that are
+ * finally proposed come from a search over the most recent window(s), and are only worth using
+ * when their out-of-sample score beats the pair's current settings on the same test windows.
+ */
+class Optimizer {
+    static OBJECTIVES = {
+        sharpe: summary => summary.sharpe,
+        profitFactor: summary => Math.min(summary.overall.profitFactor, MAX_PROFIT_FACTOR),
+        maxDrawdown: summary => -summary.maxDrawdown.percent,
+        return: summary => summary.returnPercent
+    };
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.config - Bot config
+     * @param {Object} options.pair - Pair settings the search starts from
+     * @param {HistoricalData} options.data
+     * @param {Object} options.space - See class doc
+     * @param {string} [options.method] - 'grid' or 'random'
+     * @param {number} [options.samples] - Random candidates per search
+     * @param {number} [options.maxCandidates] - Grid size above which the search is refused
+     * @param {string} [options.objective] - Key of Optimizer.OBJECTIVES
+     * @param {number} [options.folds]
+     * @param {boolean} [options.anchored] - Train on all windows so far instead of the latest one
+     * @param {number} [options.minTrades] - Fewer closed trades than this scores -Infinity
+     * @param {number} [options.seed] - Random search seed
+     * @param {number} options.balance
+     * @param {number} options.feePercent
+     * @param {number} options.minCandles
+     * @param {Function} [options.onProgress] - Called with a message after every replay
+     */
+    constructor({
+        config, pair, data, space, method = 'random', samples = 30, maxCandidates = 200, objective = 'sharpe',
+        folds = 3, anchored = false, minTrades = 3, seed = 1, balance, feePercent, minCandles, onProgress = () => {}
+    }) {
+        if (!Optimizer.OBJECTIVES[objective]) {
+            throw new Error(`Unknown objective ${objective}, expected one of ${Object.keys(Optimizer.OBJECTIVES).join(', ')}`);
+        }
+        Object.keys(space).forEach(param => {
+            if (param.startsWith('analysis.') && !isAnalysisPath(param.slice('analysis.'.length))) {
+                throw new Error(`Unknown AnalysisConfig value ${param}`);
+            }
+        });
+        Object.assign(this, {
+            config, pair, data, space, method, samples, maxCandidates, objective, folds, anchored, minTrades,
+            balance, feePercent, minCandles, onProgress
+        });
+        this.random = Optimizer.seededRandom(seed);
+    }
+
+    // mulberry32, reproducible random searches
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static expandValues(definition) {
+        if (Array.isArray(definition)) return definition;
+        const { min, max, step } = definition;
+        const values = [];
+        for (let i = 0; min + i * step <= max + step / 1e6; i++) {
+            values.push(parseFloat((min + i * step).toFixed(10)));
+        }
+        return values;
+    }
+
+    /**
+     * Candidate parameter sets, the pair's current settings first
+     */
+    buildCandidates() {
+        const params = Object.entries(this.space).map(([param, definition]) => [param, Optimizer.expandValues(definition)]);
+        const candidates = [this.currentValues()];
+
+        if (this.method === 'grid') {
+            const size = params.reduce((total, [, values]) => total * values.length, 1);
+            if (size > this.maxCandidates) {
+                throw new Error(`Grid has ${size} combinations (max ${this.maxCandidates}), narrow it or use --method random`);
+            }
+            params.reduce((combos, [param, values]) =>
+                combos.flatMap(combo => values.map(value => ({ ...combo, [param]: value }))), [{}]
+            ).forEach(candidate => candidates.push(candidate));
+        } else if (this.method === 'random') {
+            for (let i = 0; i < this.samples; i++) {
+                candidates.push(Object.fromEntries(params.map(([param, values]) =>
+                    [param, values[Math.floor(this.random() * values.length)]]
+                )));
+            }
+        } else {
+            throw new Error(`Unknown search method ${this.method}, expected grid or random`);
+        }
+
+        const seen = new Set();
+        return candidates.filter(candidate => {
+            const key = JSON.stringify(candidate);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    currentValues() {
+        return Object.fromEntries(Object.keys(this.space).map(param => [
+            param,
+            param.startsWith('analysis.') ? this.pair.analysis?.[param.slice('analysis.'.length)] : this.pair[param]
+        ]).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Candidate values as the settings they override, the format pair-overrides.json and pairs.json use
+     */
+    static toSettings(candidate) {
+        const settings = {};
+        Object.entries(candidate).forEach(([param, value]) => {
+            if (param.startsWith('analysis.')) {
+                settings.analysis = { ...settings.analysis, [param.slice('analysis.'.length)]: value };
+            } else {
+                settings[param] = value;
+            }
+        });
+        return settings;
+    }
+
+    applyCandidate(candidate) {
+        const settings = Optimizer.toSettings(candidate);
+        return { ...this.pair, ...settings, analysis: { ...this.pair.analysis, ...settings.analysis } };
+    }
+
+    /**
+     * Replays one candidate over [start, end]
+     * @returns {{ score: number, summary: Object }}
+     */
+    async evaluate(candidate, start, end) {
+        const runner = new BacktestRunner({
+            config: this.config,
+            pairs: [this.applyCandidate(candidate)],
+            data: this.data,
+            balance: this.balance,
+            feePercent: this.feePercent,
+            minCandles: this.minCandles,
+            start,
+            end
+        });
+        const summary = (await runner.run()).summarize();
+        const score = summary.overall.totalTrades < this.minTrades
+            ? -Infinity
+            : Optimizer.OBJECTIVES[this.objective](summary);
+        return { score, summary };
+    }
+
+    /**
+     * Best candidate over [start, end]
+     */
+    async search(candidates, start, end, label) {
+        let best = null;
+        for (const [index, candidate] of candidates.entries()) {
+            const { score, summary } = await this.evaluate(candidate, start, end);
+            this.onProgress(`${label} ${index + 1}/${candidates.length}: ${this.objective} ${score.toFixed(3)} (${summary.overall.totalTrades} trades)`);
+            if (!best || score > best.score) best = { candidate, score, summary };
+        }
+        return best;
+    }
+
+    /**
+     * Splits the pair's primary timeline into folds + 1 windows of { start, end }
+     */
+    buildWindows() {
+        const timeline = this.data.getTimeline(this.pair.key.replace('_', ''), this.config.klinesInterval_1);
+        const count = this.folds + 1;
+        const size = Math.floor(timeline.length / count);
+        if (size < 2) throw new Error(`Not enough history for ${count} walk-forward windows`);
+        return Array.from({ length: count }, (_, i) => ({
+            start: timeline[i * size],
+            end: timeline[i === count - 1 ? timeline.length - 1 : (i + 1) * size - 1]
+        }));
+    }
+
+    trainWindow(windows, lastIndex) {
+        return { start: windows[this.anchored ? 0 : lastIndex].start, end: windows[lastIndex].end };
+    }
+
+    static mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * @returns {Object} { settings, score, testScore, baselineTestScore, improved, folds }
+     */
+    async run() {
+        const candidates = this.buildCandidates();
+        const windows = this.buildWindows();
+        const baseline = candidates[0];
+        const folds = [];
+
+        for (let k = 0; k < this.folds; k++) {
+            const train = this.trainWindow(windows, k);
+            const test = windows[k + 1];
+            const best = await this.search(candidates, train.start, train.end, `${this.pair.key} fold ${k + 1}/${this.folds}`);
+            const tested = await this.evaluate(best.candidate, test.start, test.end);
+            const baselineTested = await this.evaluate(baseline, test.start, test.end);
+            folds.push({
+                train: { start: new Date(train.start).toISOString(), end: new Date(train.end).toISOString(), score: best.score },
+                test: {
+                    start: new Date(test.start).toISOString(),
+                    end: new Date(test.end).toISOString(),
+                    score: tested.score,
+                    baselineScore: baselineTested.score,
+                    trades: tested.summary.overall.totalTrades
+                },
+                settings: Optimizer.toSettings(best.candidate)
+            });
+        }
+
+        // What would be traded from now on: a search over the most recent data
+        const final = this.trainWindow(windows, windows.length - 1);
+        const best = await this.search(candidates, final.start, final.end, `${this.pair.key} final`);
+        const testScore = Optimizer.mean(folds.map(fold => fold.test.score));
+        const baselineTestScore = Optimizer.mean(folds.map(fold => fold.test.baselineScore));
+
+        return {
+            settings: Optimizer.toSettings(best.candidate),
+            score: best.score,
+            testScore,
+            baselineTestScore,
+            improved: testScore > baselineTestScore,
+            folds
+        };
+    }
+}
+
+module.exports = Optimizer;
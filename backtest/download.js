@@ -0,0 +1,45 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('node:util');
+const config = require('../config');
+const { exchangeInfo } = require('../utils/binance-spot');
+const MarketDataRecorder = require('../bot/classes/MarketDataRecorder');
+
+// Downloads klines for both configured timeframes into the backtest data format.
+// Usage: node backtest/download.js --pairs BTC_USDT,ETH_USDT [--days 60] [--data ./db/backtest]
+const { values: args } = parseArgs({
+    options: {
+        pairs: { type: 'string' },
+        days: { type: 'string', default: '60' },
+        data: { type: 'string', default: config.backtestDataDir }
+    }
+});
+
+const recorder = new MarketDataRecorder();
+
+(async () => {
+    if (!args.pairs) {
+        console.error('--pairs is required, e.g. --pairs BTC_USDT,ETH_USDT');
+        process.exit(1);
+    }
+    fs.mkdirSync(args.data, { recursive: true });
+    const startTime = Date.now() - parseFloat(args.days) * 24 * 60 * 60 * 1000;
+
+    for (const key of args.pairs.split(',')) {
+        const symbol = key.replace('_', '');
+        console.log(`Downloading ${symbol}`);
+        const info = await exchangeInfo({ symbol });
+        const klines = {};
+        for (const interval of [config.klinesInterval_1, config.klinesInterval_2]) {
+            klines[interval] = await recorder.fetchKlines(symbol, interval, startTime);
+            console.log(`  ${interval}: ${klines[interval].length} candles`);
+        }
+        const file = path.join(args.data, `${symbol}.json`);
+        fs.writeFileSync(file, JSON.stringify({ symbol, symbolInfo: info.symbols?.[0], klines, depth: [] }));
+        console.log(`  saved ${file}`);
+    }
+})().catch(error => {
+    console.error('Download failed:', error);
+    process.exit(1);
+});
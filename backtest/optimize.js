@@ -0,0 +1,113 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('node:util');
+const config = require('../config');
+const PairManager = require('../bot/PairManager');
+const HistoricalData = require('./HistoricalData');
+const MarketDataStore = require('../bot/classes/MarketDataStore');
+const Optimizer = require('./Optimizer');
+
+// Searches pair settings and AnalysisConfig values per pair on recorded history (see Optimizer.js) and
+// writes the winners to config.pairOverridesFile, which the bot layers over pairs.json.
+// Usage: node backtest/optimize.js [--pairs BTC_USDT] [--space ./space.json] [--method random|grid]
+//                                  [--samples 30] [--objective sharpe|profitFactor|maxDrawdown|return]
+//                                  [--folds 3] [--anchored] [--minTrades 3] [--seed 1]
+//                                  [--data ./db/backtest | --store ./db/market-data] [--pairsFile ./pairs.json] [--out file] [--force]
+const { values: args } = parseArgs({
+    options: {
+        pairs: { type: 'string' },
+        pairsFile: { type: 'string', default: path.join(__dirname, '../pairs.json') },
+        data: { type: 'string', default: config.backtestDataDir },
+        store: { type: 'string' }, // read a MarketDataStore directory (npm run record) instead of --data
+        space: { type: 'string' },
+        method: { type: 'string', default: 'random' },
+        samples: { type: 'string', default: '30' },
+        objective: { type: 'string', default: 'sharpe' },
+        folds: { type: 'string', default: '3' },
+        anchored: { type: 'boolean', default: false },
+        minTrades: { type: 'string', default: '3' },
+        seed: { type: 'string', default: '1' },
+        balance: { type: 'string', default: String(config.backtestBalance) },
+        fee: { type: 'string', default: String(config.backtestFeePercent) },
+        out: { type: 'string', default: config.pairOverridesFile },
+        force: { type: 'boolean', default: false } // write even when the walk-forward doesn't beat the current settings
+    }
+});
+
+// Ranges around the hand-picked values of the volatility classes in config.js
+const DEFAULT_SPACE = {
+    profitMgn: { min: 1, max: 3, step: 0.5 },
+    okLoss: { min: -3, max: -1.5, step: 0.5 },
+    belowPrice: [0.1, 0.2, 0.3, 0.5],
+    'analysis.SCORING.CONSENSUS_THRESHOLDS.BUY': { min: 3, max: 5, step: 0.5 },
+    'analysis.SCORING.CONSENSUS_THRESHOLDS.SELL': { min: 3, max: 5, step: 0.5 }
+};
+
+const formatScore = (score) => (Number.isFinite(score) ? score.toFixed(3) : String(score));
+
+(async () => {
+    // The search starts from pairs.json, not from earlier optimizer output
+    const pairManager = new PairManager(args.pairsFile);
+    const selected = args.pairs ? args.pairs.split(',') : null;
+    const pairs = pairManager.getAllPairs().filter(pair => !selected || selected.includes(pair.key));
+    if (!pairs.length) {
+        console.error('No pairs to optimize');
+        process.exit(1);
+    }
+    const space = args.space ? JSON.parse(fs.readFileSync(args.space)) : DEFAULT_SPACE;
+    const symbolPairs = pairs.map(pair => ({ ...pair, joinedPair: pair.key.replace('_', '') }));
+    const data = args.store
+        ? HistoricalData.fromStore(new MarketDataStore(args.store), symbolPairs, [config.klinesInterval_1, config.klinesInterval_2])
+        : HistoricalData.load(args.data, symbolPairs);
+    const overrides = fs.existsSync(args.out) ? JSON.parse(fs.readFileSync(args.out)) : {};
+
+    for (const pair of pairs.filter(p => data.has(p.key.replace('_', '')))) {
+        console.log('\x1b[33m%s\x1b[0m', `\n=== Optimizing ${pair.key} (${args.method}, ${args.objective}) ===`);
+        const optimizer = new Optimizer({
+            config,
+            pair,
+            data,
+            space,
+            method: args.method,
+            samples: parseInt(args.samples),
+            objective: args.objective,
+            folds: parseInt(args.folds),
+            anchored: args.anchored,
+            minTrades: parseInt(args.minTrades),
+            seed: parseInt(args.seed),
+            balance: parseFloat(args.balance),
+            feePercent: parseFloat(args.fee),
+            minCandles: config.backtestMinCandles,
+            onProgress: message => console.log(message)
+        });
+        const result = await optimizer.run();
+
+        result.folds.forEach((fold, i) => console.log(
+            `Fold ${i + 1}: train ${formatScore(fold.train.score)} → test ${formatScore(fold.test.score)} ` +
+            `(current settings ${formatScore(fold.test.baselineScore)}) ${JSON.stringify(fold.settings)}`
+        ));
+        console.log(`Out-of-sample ${args.objective}: ${formatScore(result.testScore)} vs ${formatScore(result.baselineTestScore)} with the current settings`);
+        console.log(`Best on recent data: ${JSON.stringify(result.settings)} (${formatScore(result.score)})`);
+
+        if (!result.improved && !args.force) {
+            console.log('\x1b[41m%s\x1b[0m', `Walk-forward didn't beat the current settings, ${pair.key} left unchanged (--force to write anyway)`);
+            continue;
+        }
+        overrides[pair.key] = {
+            settings: result.settings,
+            objective: args.objective,
+            score: result.score,
+            testScore: result.testScore,
+            baselineTestScore: result.baselineTestScore,
+            folds: result.folds,
+            optimizedAt: new Date().toISOString()
+        };
+        fs.mkdirSync(path.dirname(args.out), { recursive: true });
+        fs.writeFileSync(args.out, JSON.stringify(overrides, null, 2));
+        console.log('\x1b[42m%s\x1b[0m', `${pair.key} overrides written to ${args.out}`);
+    }
+})().catch(error => {
+    console.error('Optimization failed:', error);
+    process.exit(1);
+});
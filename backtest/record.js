@@ -0,0 +1,69 @@
+require('dotenv').config();
+const { parseArgs } = require('node:util');
+const config = require('../config');
+const MarketDataStore = require('../bot/classes/MarketDataStore');
+const MarketDataRecorder = require('../bot/classes/MarketDataRecorder');
+const { wait } = require('../utils/helpers');
+
+// Records klines, depth snapshots and aggTrades into config.marketDataDir (see bot/classes/MarketDataStore.js),
+// backfilling missing candles first. Runs until stopped, --once backfills and records a single round.
+// Usage: node backtest/record.js --pairs BTC_USDT,ETH_USDT [--intervals 1m,1h,4h] [--backfillDays 30]
+//                                [--poll 60000] [--noDepth] [--noTrades] [--store ./db/market-data] [--once]
+const { values: args } = parseArgs({
+    options: {
+        pairs: { type: 'string' },
+        intervals: { type: 'string', default: `${config.klinesInterval_1},${config.klinesInterval_2}` },
+        backfillDays: { type: 'string', default: String(config.marketDataBackfillDays) },
+        poll: { type: 'string', default: '60000' },
+        noDepth: { type: 'boolean', default: false },
+        noTrades: { type: 'boolean', default: false },
+        store: { type: 'string', default: config.marketDataDir },
+        once: { type: 'boolean', default: false }
+    }
+});
+
+const store = new MarketDataStore(args.store);
+const recorder = new MarketDataRecorder({ store, depthInterval: config.marketDataDepthInterval });
+const intervals = args.intervals.split(',');
+
+const recordRound = async (symbol) => {
+    const written = {};
+    for (const interval of intervals) {
+        written[interval] = await recorder.updateKlines(symbol, interval);
+    }
+    if (!args.noDepth) written.depth = await recorder.recordDepth(symbol);
+    if (!args.noTrades) written.trades = await recorder.recordTrades(symbol);
+    return written;
+};
+
+(async () => {
+    if (!args.pairs) {
+        console.error('--pairs is required, e.g. --pairs BTC_USDT,ETH_USDT');
+        process.exit(1);
+    }
+    const symbols = args.pairs.split(',').map(key => key.replace('_', ''));
+    const start = Date.now() - parseFloat(args.backfillDays) * 24 * 60 * 60 * 1000;
+
+    for (const symbol of symbols) {
+        await recorder.recordSymbolInfo(symbol);
+        for (const interval of intervals) {
+            const written = await recorder.backfill(symbol, interval, { start });
+            console.log(`${symbol} ${interval}: backfilled ${written} candles`);
+        }
+    }
+
+    do {
+        for (const symbol of symbols) {
+            try {
+                const written = await recordRound(symbol);
+                console.log(`${new Date().toISOString()} ${symbol}`, written);
+            } catch (error) {
+                console.error(`Recording ${symbol} failed:`, error.message);
+            }
+        }
+        if (!args.once) await wait(parseInt(args.poll));
+    } while (!args.once);
+})().catch(error => {
+    console.error('Recording failed:', error);
+    process.exit(1);
+});
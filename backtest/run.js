@@ -0,0 +1,56 @@
+require('dotenv').config();
+const path = require('path');
+const { parseArgs } = require('node:util');
+const config = require('../config');
+const PairManager = require('../bot/PairManager');
+const HistoricalData = require('./HistoricalData');
+const MarketDataStore = require('../bot/classes/MarketDataStore');
+const BacktestRunner = require('./BacktestRunner');
+const { saveData } = require('../utils/fileManager');
+
+// Usage: node backtest/run.js [--pairs BTC_USDT,ETH_USDT] [--data ./db/backtest | --store ./db/market-data] [--pairsFile ./pairs.json]
+//                             [--balance 1000] [--fee 0.1] [--verbose] [--save]
+const { values: args } = parseArgs({
+    options: {
+        pairs: { type: 'string' },
+        pairsFile: { type: 'string', default: path.join(__dirname, '../pairs.json') },
+        data: { type: 'string', default: config.backtestDataDir },
+        store: { type: 'string' }, // read a MarketDataStore directory (npm run record) instead of --data
+        balance: { type: 'string', default: String(config.backtestBalance) },
+        fee: { type: 'string', default: String(config.backtestFeePercent) },
+        verbose: { type: 'boolean', default: false },
+        save: { type: 'boolean', default: false }
+    }
+});
+
+(async () => {
+    const pairManager = new PairManager(args.pairsFile, config.pairOverridesFile);
+    const selected = args.pairs ? args.pairs.split(',') : null;
+    const pairs = pairManager.getAllPairs().filter(pair => !selected || selected.includes(pair.key));
+    if (!pairs.length) {
+        console.error('No pairs to backtest');
+        process.exit(1);
+    }
+
+    const symbolPairs = pairs.map(pair => ({ ...pair, joinedPair: pair.key.replace('_', '') }));
+    const data = args.store
+        ? HistoricalData.fromStore(new MarketDataStore(args.store), symbolPairs, [config.klinesInterval_1, config.klinesInterval_2])
+        : HistoricalData.load(args.data, symbolPairs);
+    const runner = new BacktestRunner({
+        config,
+        pairs,
+        data,
+        balance: parseFloat(args.balance),
+        feePercent: parseFloat(args.fee),
+        minCandles: config.backtestMinCandles,
+        verbose: args.verbose
+    });
+
+    console.log(`Backtesting ${runner.pairs.map(p => p.key).join(', ')}`);
+    const report = await runner.run();
+    const summary = report.print();
+    if (args.save) await saveData(summary, 'backtest_report.json');
+})().catch(error => {
+    console.error('Backtest failed:', error);
+    process.exit(1);
+});
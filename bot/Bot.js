@@ -1,14 +1,24 @@
 
 require('dotenv').config();
 const path = require('path');
-const { getIndicators } = require('../analysis/indicators');
+const { getIndicators, createIndicatorEngine } = require('../analysis/indicators');
 const MarketAnalyzer = require('../analysis/MarketAnalyzer-trends-new');
+const { applyAnalysisOverrides } = require('../analysis/analysisOverrides');
 const { saveData } = require('../utils/fileManager');
 const TablePrinter = require('./TablePrinter');
 const TelegramBotHandler = require('./TelegramBotHandler');
+const { CommandHandler } = require('./CommandHandler');
 const PairManager = require('./PairManager');
+const RiskManager = require('./RiskManager');
+const PositionSizer = require('./PositionSizer');
+const PositionLadder = require('./PositionLadder');
 const ExchangeManager = require('./ExchangeManager');
-const { calculateProfit, timePassed, minusPercent, wait } = require('../utils/helpers');
+const PaperExchangeManager = require('./PaperExchangeManager');
+const { ExchangeError } = require('./exchanges');
+const TrailingStopTracker = require('./classes/TrailingStopTracker');
+const StateStore = require('./classes/StateStore');
+const { Strategy, createStrategy } = require('./strategies');
+const { calculateProfit, timePassed, minusPercent, plusPercent, wait } = require('../utils/helpers');
 const config = require('../config');
 const VisualizationServer = require('./VisualizationServer');
 
@@ -23,15 +33,47 @@ class TradingBot {
     static STRONG_BUY = 'STRONG_BUY';
     static EARLY_BUY = 'EARLY_BUY';
     static STRONG_SELL = 'STRONG_SELL';
+    static STOP_LOSS_LIMIT = 'STOP_LOSS_LIMIT';
+    static LIMIT_MAKER = 'LIMIT_MAKER';
+    static PROTECTIVE_TYPES = [TradingBot.STOP_LOSS_LIMIT, TradingBot.LIMIT_MAKER];
+    // Orders created together (OCO legs) sort by status so the filled leg wins over its expired sibling
+    static STATUS_PRIORITY = ['FILLED', 'PARTIALLY_FILLED', 'NEW', 'CANCELED', 'EXPIRED'];
 
-    constructor() {
-        this.config = config;
+    /**
+     * @param {Object} [options] - Overrides used when running outside the live loop (e.g. backtests)
+     * @param {Object} [options.config] - Config object, defaults to ../config
+     * @param {Object} [options.exchangeManager] - Anything implementing the ExchangeManager interface
+     * @param {Function} [options.clock] - Returns the current time in ms, defaults to Date.now
+     * @param {string} [options.pairsFile] - Pairs file path, defaults to ../pairs.json
+     */
+    constructor(options = {}) {
+        this.config = options.config || config;
+        this.clock = options.clock || Date.now;
         this.tablePrinter = new TablePrinter();
         this.botDataLogger = {};
-        this.pairManager = new PairManager(path.join(__dirname, '../pairs.json'));
-        this.exchangeManager = new ExchangeManager(this.config);
+        this.pairManager = new PairManager(options.pairsFile || path.join(__dirname, '../pairs.json'), this.config.pairOverridesFile, {
+            liveExchange: options.exchangeManager || this.config.paperTrading ? null : this.config.exchange
+        });
+        this.exchangeManager = options.exchangeManager || (this.config.paperTrading
+            ? new PaperExchangeManager(this.config)
+            : new ExchangeManager(this.config));
+        this.riskManager = new RiskManager(this.config, this.exchangeManager.journal, this.clock);
+        this.positionSizer = new PositionSizer(this.config, this.exchangeManager.journal);
+        this.positionSizes = new Map(); // pairKey -> size of the pair's last buy, see getPositionSize
+        this.positionLadder = new PositionLadder(this.config);
+        this.ladderPositions = new Map(); // pairKey -> the ladder's position as seen on the pair's last round, see tradeLadder
+        this.stateStore = new StateStore(this.exchangeManager.stateFile);
+        this.trailingStops = new TrailingStopTracker(this.stateStore);
+        this.strategies = new Map(); // pairKey -> { setting, strategy }
+        this.indicatorEngine = createIndicatorEngine(); // rolling indicator state per symbol and timeframe
+        this.commandHandler = new CommandHandler(this);
         this.telegramBotHandler = new TelegramBotHandler(this.config, this.executeCommand.bind(this));
+        this.restoreState();
         this.initialized = false;
+        this.processingQueue = Promise.resolve(); // pairs are processed one at a time, see runExclusive
+        this.pendingFills = new Set(); // pairs with a stream-triggered run queued
+        this.exchangeManager.subscribeToOrderUpdates?.(this.handleOrderUpdate.bind(this));
+        this.exchangeManager.subscribeToOrderRejections?.(this.handleOrderRejection.bind(this));
         
         // Current state properties
         this.currentPair = null;
@@ -40,6 +82,8 @@ class TradingBot {
         this.currentOrders = [];
         this.currentOrderBook = null;
         this.currentAnalysis = null;
+        this.currentStrategy = null;
+        this.currentIntent = null;
         this.currentIndicatorsPrimary = null;
         this.currentIndicatorsSecondary = null;
         this.currentOhlcvPrimary = null;
@@ -52,8 +96,13 @@ class TradingBot {
             this.pairManager.loadPairsFromFile();
             this.telegramBotHandler.initialize();
             await this.exchangeManager.init();
+            await this.reconcileState();
             if (this.config.visualizationEnabled) {
-                this.visualizationServer = new VisualizationServer(this.config.visualizationPort);
+                this.visualizationServer = new VisualizationServer(this.config.visualizationPort, this.commandHandler, {
+                    historyHours: this.config.visualizationHistoryHours,
+                    historyInterval: this.config.visualizationHistoryInterval,
+                    historyFile: this.config.saveData ? 'final_data.json' : null
+                });
                 this.visualizationServer.start();
             }
             this.initialized = true;
@@ -64,38 +113,92 @@ class TradingBot {
         }
     }
 
-    async executeCommand(command, args) {
-        const commands = {
-            start: () => this.startBot(),
-            stop: () => this.stopBot(),
-            addPair: () => this.pairManager.addRemovePair(args[0], true, false),
-            removePair: () => this.pairManager.addRemovePair(args[0], false, false),
-            addTpair: () => this.pairManager.addRemovePair(args[0], true, true),
-            removeTpair: () => this.pairManager.addRemovePair(args[0], false, true),
-            alert: () => this.config.telegramAlertEnabled = !this.config.telegramAlertEnabled,
-            stats: () => this.getTradingStats(args[0]),
-        };
-        const action = commands[command];
-        return action ? await action() : 'Unknown command.';
+    restoreState() {
+        this.riskManager.restoreState(this.stateStore.get('risk'));
+        this.telegramBotHandler.groupChatLastAlertTimes = this.stateStore.get('alertTimes', this.telegramBotHandler.groupChatLastAlertTimes);
     }
 
-    async getTradingStats(pairKey) {
-        if (!pairKey) return 'Please specify a pair';
-        const pair = this.pairManager.getPair(pairKey);
-        if (!pair) return 'Pair not found';
-        
-        const stats = {
-            totalTrades: 0,
-            profitableTrades: 0,
-            averageProfit: 0,
-            currentPosition: null
-        };
-        
-        return stats;
+    /**
+     * Snapshots the current pair's position (tradeable pairs) and the cooldowns to the state file
+     */
+    saveState() {
+        if (this.currentPair?.tradeable) {
+            const pairs = this.stateStore.get('pairs', {});
+            const lastOrder = this.getLastOrder(this.currentOrders);
+            const position = this.getOpenPosition();
+            pairs[this.currentPair.key] = {
+                lastOrder: lastOrder ? this.pickOrderState(lastOrder) : null,
+                position: position ? this.pickOrderState(position) : null,
+                lastCandleTime: this.currentOhlcvPrimary?.[this.currentOhlcvPrimary.length - 1]?.openTime || null
+            };
+            this.stateStore.set('pairs', pairs);
+        }
+        this.stateStore.set('risk', this.riskManager.getState());
+        this.stateStore.set('alertTimes', this.telegramBotHandler.groupChatLastAlertTimes);
+        this.stateStore.save();
+    }
+
+    pickOrderState(order) {
+        const { symbol, orderId, orderListId, clientOrderId, side, type, status, price, stopPrice, origQty, executedQty, time, updateTime } = order;
+        return { symbol, orderId, orderListId, clientOrderId, side, type, status, price, stopPrice, origQty, executedQty, time, updateTime };
+    }
+
+    /**
+     * Compares the saved snapshot with the exchange before the first pass: reports orders that
+     * filled or were cancelled while the bot was down and cancels extra bot buys, left behind when
+     * the bot died between placing an order and seeing it, so a restart never doubles a position.
+     */
+    async reconcileState() {
+        const saved = this.stateStore.get('pairs', {});
+        const tradeablePairs = this.pairManager.getAllPairs().filter(pair => pair.tradeable);
+        for (const pair of tradeablePairs) {
+            pair.joinedPair = pair.key.replace('_', '');
+            const openOrders = await this.exchangeManager.fetchOpenOrders(pair);
+            if (!Array.isArray(openOrders)) {
+                console.error(`Could not reconcile ${pair.key}:`, openOrders?.error);
+                continue;
+            }
+            const state = saved[pair.key];
+            const notes = [];
+
+            if (state?.lastCandleTime) {
+                console.log(`${pair.key} last processed candle ${new Date(state.lastCandleTime).toLocaleString()}`);
+            }
+            const savedOrder = state?.lastOrder;
+            if (savedOrder && [TradingBot.NEW, TradingBot.PARTIALLY_FILLED].includes(savedOrder.status) &&
+                !openOrders.some(o => o.orderId === savedOrder.orderId)) {
+                const order = await this.exchangeManager.getOrder(pair, savedOrder.orderId);
+                notes.push(`${savedOrder.side} ${savedOrder.orderId} ${order?.status || 'closed'} since the last snapshot`);
+            }
+            if (state?.position) {
+                notes.push(`holding position from ${state.position.side} ${state.position.orderId} @ ${state.position.price}`);
+            }
+
+            const botBuys = openOrders
+                .filter(o => o.side === TradingBot.BUY && (o.clientOrderId || '').startsWith('bot-'))
+                .sort((a, b) => new Date(b.time) - new Date(a.time));
+            // A ladder's rungs rest side by side
+            const duplicates = this.positionLadder.isEnabled(pair) ? [] : botBuys.slice(1);
+            for (const order of duplicates) {
+                const cancelled = await this.exchangeManager.cancelOrder(pair, order);
+                notes.push(cancelled?.error
+                    ? `failed to cancel duplicate buy ${order.orderId}`
+                    : `cancelled duplicate buy ${order.orderId}`);
+            }
+
+            if (notes.length) {
+                console.log('\x1b[44m%s\x1b[0m', `Recovered ${pair.key}: ${notes.join(', ')}`);
+                this.telegramBotHandler.sendMessage(`♻️ ${pair.key}: ${notes.join(', ')}`);
+            }
+        }
+    }
+
+    async executeCommand(command, args) {
+        return this.commandHandler.executeCommand(command, args);
     }
 
     sendGroupChatAlert() {
-        this.telegramBotHandler.sendGroupChatAlert(this.currentPair.key, this.currentAnalysis, this.currentPrice);
+        this.telegramBotHandler.sendGroupChatAlert(this.currentPair.key, this.currentIntent.signal, this.currentPrice);
     }
 
     startBot() {
@@ -116,7 +219,7 @@ class TradingBot {
     getVolatilityAssessment(candles, period = 20) {
         if (!candles || candles.length < period) return 0;
         const priceChanges = candles.slice(-period).map((c, i, arr) => 
-            i > 0 ? Math.abs(c[4] - arr[i-1][4]) / arr[i-1][4] : 0
+            i > 0 ? Math.abs(c.close - arr[i-1].close) / arr[i-1].close : 0
         );
         const atr = priceChanges.reduce((sum, change) => sum + change, 0) / priceChanges.length;
         return parseFloat((atr * 100).toFixed(2));
@@ -125,7 +228,7 @@ class TradingBot {
     /**
     * Analyzes candle patterns to determine potential market direction
     * 
-    * @param {Array} candles - Array of candle data where each candle is an array of [open, close, high, low, ...]
+    * @param {Candle[]} candles
     * @returns {number} Signal strength between -1 and 1 where:
     *                   - Positive values indicate bullish signal (0.8 for strong bullish)
     *                   - Negative values indicate bearish signal (-0.8 for strong bearish)
@@ -139,23 +242,23 @@ class TradingBot {
         const [prev, current] = candles.slice(-2);
         
         // Calculate the body size (absolute difference between open and close)
-        const bodySize = Math.abs(current[1] - current[4]);
+        const bodySize = current.body;
         
         // Calculate the total candle size (high minus low)
-        const totalSize = current[2] - current[3];
+        const totalSize = current.range;
         
         // Calculate the ratio of body to total size (avoiding division by zero)
         const bodyRatio = bodySize / (totalSize || 0.0001);
         
         // Strong bullish signal: if closing price is higher than opening price
         // and body makes up at least 70% of the total candle
-        if (current[4] > current[1] && bodyRatio > 0.7) {
+        if (current.isBullish && bodyRatio > 0.7) {
             return 0.8; // Strong bullish signal
         }
         
         // Strong bearish signal: if closing price is lower than opening price
         // and body makes up at least 70% of the total candle
-        if (current[4] < current[1] && bodyRatio > 0.7) {
+        if (current.close < current.open && bodyRatio > 0.7) {
             return -0.8; // Strong bearish signal
         }
         
@@ -165,26 +268,41 @@ class TradingBot {
 
     evaluateSignals() {
         return {
-            shouldBuy: this.currentAnalysis.consensusSignal === TradingBot.BUY ||
-                this.currentAnalysis.consensusSignal === TradingBot.STRONG_BUY ||
-                this.currentAnalysis.consensusSignal === TradingBot.EARLY_BUY,
-            shouldSell: this.currentAnalysis.consensusSignal === TradingBot.SELL || 
-                this.currentAnalysis.consensusSignal === TradingBot.STRONG_SELL
+            shouldBuy: this.currentIntent.action === Strategy.BUY,
+            shouldSell: this.currentIntent.action === Strategy.SELL
         };
     }
 
-    calculateDynamicProfit(volatility) {
-        let profitTarget = this.currentPair.profitMgn;
-        const volatilityAdjustment = 1 + (volatility / 100);
-        profitTarget *= volatilityAdjustment;
-        
-        const maxProfitTarget = this.currentPair.profitMgn * 2;
-        profitTarget = Math.min(profitTarget, maxProfitTarget);
-        
-        const minProfitTarget = this.currentPair.profitMgn * 0.8;
-        profitTarget = Math.max(profitTarget, minProfitTarget);
-        
-        return profitTarget;
+    /**
+     * The pair's strategy, recreated when its setting in pairs.json changes
+     */
+    getStrategy(pair) {
+        const setting = JSON.stringify(pair.strategy ?? null);
+        const cached = this.strategies.get(pair.key);
+        if (cached?.setting === setting) return cached.strategy;
+        const strategy = createStrategy(pair, this.config);
+        this.strategies.set(pair.key, { setting, strategy });
+        return strategy;
+    }
+
+    getStrategyContext() {
+        return {
+            pair: this.currentPair,
+            price: parseFloat(this.currentPrice),
+            time: this.clock(),
+            candles: { primary: this.currentOhlcvPrimary, secondary: this.currentOhlcvSecondary },
+            indicators: { primary: this.currentIndicatorsPrimary, secondary: this.currentIndicatorsSecondary },
+            analysis: this.currentAnalysis,
+            orderBook: this.currentOrderBook,
+            volatility: this.getVolatilityAssessment(this.currentOhlcvPrimary)
+        };
+    }
+
+    /**
+     * Exit target (% gain) the strategy sets for the position opened by `lastBuy`
+     */
+    getProfitTarget(lastBuy) {
+        return this.currentStrategy.onFill(lastBuy, this.getStrategyContext()).profitTarget;
     }
 
     getDynamicStopLoss(entryPrice) {
@@ -194,7 +312,9 @@ class TradingBot {
             .filter(o => o.side === TradingBot.BUY && o.status === TradingBot.FILLED)
             .sort((a, b) => new Date(b.time) - new Date(a.time))[0];
         
-        const actualEntryPrice = lastBuyOrder ? parseFloat(lastBuyOrder.price) : entryPrice;
+        // A ladder's stop is measured from its average entry, not from its last rung
+        const ladderPrice = this.ladderPositions.get(this.currentPair.key)?.averagePrice;
+        const actualEntryPrice = ladderPrice || (lastBuyOrder ? parseFloat(lastBuyOrder.price) : entryPrice);
         
         console.log(`- Using Entry Price: ${actualEntryPrice}`);
         console.log(`- Current Price: ${this.currentPrice}`);
@@ -234,7 +354,7 @@ class TradingBot {
         
         const recentCandles = candles.slice(-period);
         const priceChanges = recentCandles.map((c, i, arr) => 
-            i > 0 ? (c[4] - arr[i-1][4]) / arr[i-1][4] : 0
+            i > 0 ? (c.close - arr[i-1].close) / arr[i-1].close : 0
         );
         
         const momentum = priceChanges.reduce((sum, change, index) => 
@@ -250,33 +370,6 @@ class TradingBot {
     }
 
 
-    calculatePrecisionEntry() {
-        // Fallback if no order book data
-        if (!this.currentOrderBook?.asks?.[0]) {
-            return Math.min(Math.max(this.currentPair.belowPrice || 0.1, 0.1), 1.0);
-        }
-    
-        // 1. Get spread and volatility
-        const bestAsk = parseFloat(this.currentOrderBook.asks[0][0]);
-        const bestBid = parseFloat(this.currentOrderBook.bids[0][0]);
-        const spreadPercentage = ((bestAsk - bestBid) / this.currentPrice) * 100;
-        const volatility = this.getVolatilityAssessment(this.currentOhlcvPrimary);
-    
-        // 2. Calculate base distance (combine volatility + pair config)
-        const baseDistance = this.currentPair.belowPrice || 0.1;
-        const dynamicBase = baseDistance * (1 + (volatility / 100));
-    
-        // 3. Apply spread protection and bounds
-        let finalDistance = Math.max(
-            dynamicBase,
-            spreadPercentage * 1.5, // Ensure fillability
-            0.1 // Absolute minimum
-        );
-        finalDistance = Math.min(finalDistance, 1.0); // Absolute maximum
-    
-        return parseFloat(finalDistance.toFixed(2));
-    }
-
     async trade() {
         if (!this.currentPair || !this.currentPrice || !this.currentAnalysis) {
             console.error('Missing trading parameters');
@@ -284,11 +377,28 @@ class TradingBot {
         }
 
         console.log(`\n=== Trading ${this.currentPair.key} at ${this.currentPrice} ===`);
+        // Futures positions are traded by the engine's FuturesManager (bot/Engine.js), not as spot orders
+        if (this.exchangeManager.getVenue(this.currentPair).adapter.supportsFutures) {
+            console.log(`${this.currentPair.key} trades futures, skipped`);
+            return;
+        }
 
         const { shouldBuy, shouldSell } = this.evaluateSignals();
-        const lastOrder = this.currentOrders.length > 0 ? 
-            [...this.currentOrders].sort((a, b) => new Date(b.time) - new Date(a.time))[0] : null;
+        // A ladder's position is spread over several orders, the last one alone doesn't tell its state
+        const isLadder = this.positionLadder.isEnabled(this.currentPair);
+        if (!isLadder) this.ladderPositions.delete(this.currentPair.key);
+        const response = isLadder
+            ? await this.tradeLadder(shouldBuy, shouldSell)
+            : await this.actOnLastOrder(this.getLastOrder(this.currentOrders), shouldBuy, shouldSell);
+        if (response?.error) await this.handleExchangeError(response);
+        return response;
+    }
 
+    /**
+     * Places, moves or cancels orders depending on the pair's last order
+     * @returns {Promise<Object|undefined>} The exchange's response to the order call made, if any
+     */
+    async actOnLastOrder(lastOrder, shouldBuy, shouldSell) {
         if (!lastOrder) {
             return await this.considerNewOrder(shouldBuy, shouldSell);
         }
@@ -308,23 +418,65 @@ class TradingBot {
         }
     }
 
+    getLastOrder(orders) {
+        const rank = (order) => {
+            const index = TradingBot.STATUS_PRIORITY.indexOf(order.status);
+            return index === -1 ? TradingBot.STATUS_PRIORITY.length : index;
+        };
+        return [...(orders || [])].sort((a, b) =>
+            (new Date(b.time) - new Date(a.time)) || (rank(a) - rank(b))
+        )[0] || null;
+    }
+
+    getLastFilledBuy() {
+        const lastBuy = this.currentOrders
+            .filter(o => o.side === TradingBot.BUY && o.status === TradingBot.FILLED)
+            .sort((a, b) => new Date(b.time) - new Date(a.time))[0];
+        if (lastBuy) return lastBuy;
+        // Amended protection can push the entry out of the allOrders window, the snapshot remembers it
+        const position = this.stateStore.get('pairs', {})[this.currentPair.key]?.position;
+        return position && !this.isSoldAfter(position) ? position : null;
+    }
+
+    /**
+     * The filled buy the pair currently holds, null when flat
+     */
+    getOpenPosition() {
+        const lastBuy = this.getLastFilledBuy();
+        return lastBuy && !this.isSoldAfter(lastBuy) ? lastBuy : null;
+    }
+
+    isSoldAfter(order) {
+        return this.currentOrders.some(o => o.side === TradingBot.SELL && o.status === TradingBot.FILLED &&
+            new Date(o.time) > new Date(order.time));
+    }
+
+    isProtectiveOrder(order) {
+        return order.side === TradingBot.SELL && TradingBot.PROTECTIVE_TYPES.includes(order.type);
+    }
+
     async handleExpiredOrder(lastOrder) {
         console.log(`Handling ${lastOrder.status} order for ${this.currentPair.key}`);
         
         if (lastOrder.side === TradingBot.BUY && this.evaluateSignals().shouldBuy) {
-            const hoursSinceExpiry = timePassed(new Date(lastOrder.updateTime)) / 3600;
+            const hoursSinceExpiry = timePassed(new Date(lastOrder.updateTime), this.clock()) / 3600;
             const minReentryDelay = this.config.minReentryDelay;
             
             if (hoursSinceExpiry >= minReentryDelay) {
                 console.log('Conditions still favorable - attempting new buy order');
-                return await this.exchangeManager.placeBuyOrder(
-                    this.currentPair, 
-                    this.buyInPrice()
-                );
+                return await this.placeBuyOrder();
             } else {
                 console.log(`Waiting for re-entry delay (${hoursSinceExpiry.toFixed(2)}h/${minReentryDelay}h)`);
             }
         }
+        else if (lastOrder.side === TradingBot.SELL && this.isProtectiveOrder(lastOrder) && this.config.protectiveOrderType) {
+            // Protection was cancelled outside the bot or an amend failed half way
+            const lastBuy = this.getLastFilledBuy();
+            if (lastBuy) {
+                console.log('Protective order gone - re-protecting position');
+                return await this.protectPosition(lastBuy);
+            }
+        }
         else if (lastOrder.side === TradingBot.SELL) {
             const dynamicStop = this.getDynamicStopLoss(lastOrder.price);
             
@@ -341,13 +493,95 @@ class TradingBot {
         console.log(`No action taken on ${lastOrder.status} order`);
     }
 
+    /**
+     * Places a buy for the current pair, sized by its sizing mode, once the portfolio risk checks pass
+     */
+    async placeBuyOrder() {
+        const size = await this.getPositionSize();
+        if (size.error) return size;
+        if (!(size.quoteQty > 0)) {
+            console.log(`${this.currentPair.key} sized to nothing (${size.mode}: ${size.detail}), not buying`);
+            return null;
+        }
+        if (!this.checkBuyRisk(size.quoteQty)) return null;
+        return await this.exchangeManager.placeBuyOrder(this.currentPair, this.buyInPrice(), size.quoteQty);
+    }
+
+    /**
+     * Portfolio risk checks of a buy spending `quoteQty`, rejections are logged and reported
+     */
+    checkBuyRisk(quoteQty) {
+        const check = this.riskManager.checkBuy(
+            this.currentPair,
+            quoteQty,
+            this.currentOhlcvPrimary,
+            this.getOpenPositions()
+        );
+        if (!check.allowed) {
+            console.log('\x1b[41m%s\x1b[0m', `Risk check rejected buy for ${this.currentPair.key}: ${check.reason}`);
+            if (this.riskManager.shouldReport(this.currentPair.key, check.rule)) {
+                this.telegramBotHandler.sendMessage(`🛡 Buy for ${this.currentPair.key} rejected: ${check.reason}`);
+            }
+        }
+        return check.allowed;
+    }
+
+    /**
+     * Quote the current pair's next buy spends (see PositionSizer), remembered for the table
+     * @returns {Promise<Object>} { mode, quoteQty, detail }, or the ExchangeError reading the balance failed with
+     */
+    async getPositionSize() {
+        const { mode } = this.positionSizer.getSettings(this.currentPair);
+        const inputs = {};
+        if (PositionSizer.EQUITY_MODES.includes(mode)) {
+            const balances = await this.exchangeManager.getBalances(this.currentPair);
+            if (balances.error) return balances;
+            const exposure = this.getOpenPositions().reduce((sum, position) => sum + position.exposure, 0);
+            inputs.equity = parseFloat(balances[1].free) + exposure;
+        }
+        if (mode === 'risk') inputs.stopPercent = this.getDynamicStopLoss(this.buyInPrice()).percentage;
+        if (mode === 'atr') {
+            const atr = this.currentIndicatorsPrimary?.current?.atr;
+            inputs.atrPercent = atr ? atr / this.currentPrice * 100 : null;
+        }
+        const size = this.positionSizer.size(this.currentPair, inputs);
+        console.log(`${this.currentPair.key} buy sized ${size.quoteQty.toFixed(2)} (${size.mode}: ${size.detail})`);
+        this.positionSizes.set(this.currentPair.key, size);
+        return size;
+    }
+
+    /**
+     * Quote amount every pair has committed, from the orders seen on its last pass
+     */
+    getOpenPositions() {
+        return Object.values(this.botDataLogger).map(result => {
+            const lastOrder = this.getLastOrder(result.orders);
+            const ladder = this.ladderPositions.get(result.key);
+            return {
+                key: result.key,
+                baseAsset: result.key.split('_')[0],
+                exposure: ladder ? ladder.exposure : lastOrder ? this.getOrderExposure(lastOrder, parseFloat(result.currentPrice)) : 0,
+                candles: result.analysis?.candles?.[this.config.klinesInterval_1] || []
+            };
+        });
+    }
+
+    getOrderExposure(order, currentPrice) {
+        const origQty = parseFloat(order.origQty);
+        const executedQty = parseFloat(order.executedQty);
+        if (order.side === TradingBot.BUY) {
+            // A resting buy commits its full value, anything executed is held
+            const pending = [TradingBot.NEW, TradingBot.PARTIALLY_FILLED].includes(order.status);
+            return pending ? origQty * parseFloat(order.price) : executedQty * currentPrice;
+        }
+        // Until a sell fills the unsold part is still held
+        return order.status === TradingBot.FILLED ? 0 : (origQty - executedQty) * currentPrice;
+    }
+
     async considerNewOrder(shouldBuy, shouldSell) {
         if (shouldBuy) {
             console.log('Conditions favorable for placing a buy order');
-            await this.exchangeManager.placeBuyOrder(
-                this.currentPair, 
-                this.buyInPrice()
-            );
+            return await this.placeBuyOrder();
         } else if (shouldSell) {
             console.log('Conditions favorable for placing a sell order');
         } else {
@@ -357,22 +591,22 @@ class TradingBot {
 
     async handleFilledOrder(lastOrder, shouldBuy, shouldSell) {
         console.log(`Handling filled ${lastOrder.side} order for ${this.currentPair.key}`);
+        if (lastOrder.side === TradingBot.SELL) this.trailingStops.clear(this.currentPair.key);
 
         if (lastOrder.side === TradingBot.BUY) {
-            const volatility = this.getVolatilityAssessment(
-                this.currentAnalysis.candles[this.config.klinesInterval_1]
-            );
-            const dynamicProfitTarget = this.calculateDynamicProfit(volatility);
+            const dynamicProfitTarget = this.getProfitTarget(lastOrder);
             
             const profit = calculateProfit(this.currentPrice, lastOrder.price);
             console.log(`Current profit: ${profit.toFixed(2)}% (Target: ${dynamicProfitTarget.toFixed(2)}%)`);
 
-            const shouldTakeProfit = profit >= dynamicProfitTarget;
+            // In trailing mode the target only arms the trail, the exit is a retrace from the high
+            const trailingStop = this.getTrailingStop(lastOrder);
+            const shouldTakeProfit = trailingStop ? trailingStop.triggered : profit >= dynamicProfitTarget;
             const shouldCutLosses = profit <= this.currentPair.maxStopLoss;
             // const candlePatternScore = this.analyzeCandlePattern(
             //     this.currentAnalysis.candles[this.config.klinesInterval_1]
             // );
-            const strongSellSignal = shouldSell && profit > 0;
+            const strongSellSignal = shouldSell && profit > 0 && !trailingStop?.activated;
 
             if (shouldTakeProfit || shouldCutLosses || strongSellSignal ) { // || candlePatternScore < -0.5
                 console.log(`Executing sell for ${this.currentPair.key} (${profit.toFixed(2)}% profit)`);
@@ -386,17 +620,17 @@ class TradingBot {
             if (shouldCutLosses) console.log('Selling due to stop loss');
             if (strongSellSignal) console.log('Selling due to strong sell signal');
             //if (candlePatternScore < -0.5) console.log('Selling due to bearish candle pattern');
+            if (this.config.protectiveOrderType) {
+                return await this.protectPosition(lastOrder, dynamicProfitTarget);
+            }
         } 
         else if (lastOrder.side === TradingBot.SELL && shouldBuy) {
             const minHoldHours = this.config.minReentryDelay;
-            const holdTimeHours = timePassed(new Date(lastOrder.updateTime)) / 3600;
+            const holdTimeHours = timePassed(new Date(lastOrder.updateTime), this.clock()) / 3600;
             console.log(`Waiting for new buy order... (${holdTimeHours}h/${minHoldHours}h minimum)`)
             if (holdTimeHours >= minHoldHours) {
                 console.log('Conditions favorable for new buy after cooldown');
-                return await this.exchangeManager.placeBuyOrder(
-                    this.currentPair, 
-                    this.buyInPrice()
-                );
+                return await this.placeBuyOrder();
             }
         }
     }
@@ -411,18 +645,20 @@ class TradingBot {
             const orderPriceDiff = calculateProfit(this.currentPrice, lastOrder.price);
             if (orderPriceDiff >= this.currentPair.profitMgn || !shouldBuy) {
                 console.log(`Cancelling buy order (Price diff: ${orderPriceDiff.toFixed(2)}%)`);
-                await this.exchangeManager.cancelAndSellToCurrentPrice(
+                return await this.exchangeManager.cancelAndSellToCurrentPrice(
                     this.currentPair, 
                     lastOrder, 
                     this.currentPrice, 
                     true
                 );
             }
+        } else if (this.isProtectiveOrder(lastOrder)) {
+            console.log('Protective order executing on the exchange');
         } else if (lastOrder.side === TradingBot.SELL) {
             const dynamicStop = this.getDynamicStopLoss(lastOrder.price);
             if (this.currentPrice <= dynamicStop.price) {
                 console.log(`Stop Loss Triggered at ${dynamicStop.percentage}%`);
-                await this.exchangeManager.cancelAndSellToCurrentPrice(
+                return await this.exchangeManager.cancelAndSellToCurrentPrice(
                     this.currentPair, 
                     lastOrder, 
                     this.currentPrice, 
@@ -437,11 +673,13 @@ class TradingBot {
     async monitorPendingOrder(lastOrder, shouldBuy, shouldSell) {
         console.log(`Monitoring pending ${lastOrder.side} order for ${this.currentPair.key}`);
         
-        if (lastOrder.side === TradingBot.SELL) {
+        if (this.isProtectiveOrder(lastOrder)) {
+            return await this.manageProtectiveOrder(lastOrder, shouldSell);
+        } else if (lastOrder.side === TradingBot.SELL) {
             const dynamicStop = this.getDynamicStopLoss(lastOrder.price);
             if (this.currentPrice <= dynamicStop.price) {
                 console.log(`Stop Loss Hit (${dynamicStop.percentage}%)`);
-                await this.exchangeManager.cancelAndSellToCurrentPrice(
+                return await this.exchangeManager.cancelAndSellToCurrentPrice(
                     this.currentPair, 
                     lastOrder, 
                     this.currentPrice
@@ -451,9 +689,355 @@ class TradingBot {
             const orderPriceDiff = calculateProfit(this.currentPrice, lastOrder.price);
             if (!shouldBuy || orderPriceDiff >= this.currentPair.okDiff) {
                 console.log(`Cancelling Buy Order (Price diff: ${orderPriceDiff.toFixed(2)}%)`);
-                await this.exchangeManager.cancelOrder(this.currentPair, lastOrder);
+                return await this.exchangeManager.cancelOrder(this.currentPair, lastOrder);
+            }
+        }
+    }
+
+    /**
+     * Hands a filled buy's exit to the exchange: stop at the dynamic stop, take profit (OCO only)
+     * at the dynamic profit target. Sells right away when price is already below the stop.
+     */
+    async protectPosition(lastBuy, profitTarget = null) {
+        const stopPrice = this.getProtectiveStopPrice(lastBuy);
+        if (this.currentPrice <= stopPrice) {
+            console.log(`Price already below stop (${stopPrice.toFixed(8)}) - selling`);
+            return await this.exchangeManager.placeSellOrder(this.currentPair, lastBuy, this.currentPrice);
+        }
+        // Trailing pairs get a lone stop, a take profit leg would cap the trend
+        let takeProfitPrice = null;
+        if (!this.isTrailing()) {
+            if (profitTarget === null) profitTarget = this.getProfitTarget(lastBuy);
+            // A LIMIT_MAKER above the market would match immediately and be rejected
+            takeProfitPrice = Math.max(plusPercent(profitTarget, lastBuy.price), plusPercent(profitTarget, this.currentPrice));
+        }
+        return await this.exchangeManager.placeProtectiveOrder(this.currentPair, lastBuy, stopPrice, takeProfitPrice);
+    }
+
+    /**
+     * Where the exchange stop belongs: the dynamic stop, or the trailing stop once it is above it
+     */
+    getProtectiveStopPrice(lastBuy) {
+        const dynamicStop = this.getDynamicStopLoss(lastBuy.price);
+        const trailingStop = this.getTrailingStop(lastBuy);
+        return trailingStop?.activated ? Math.max(dynamicStop.price, trailingStop.price) : dynamicStop.price;
+    }
+
+    isTrailing() {
+        return this.currentPair.trailingActivation !== undefined;
+    }
+
+    /**
+     * Trailing exit of the position opened by `lastBuy`, null when the pair has no trailing mode.
+     * The trail arms once the high since entry is `trailingActivation` % above the entry and sits
+     * `trailingAtrMultiple` x ATR (primary timeframe) or `trailingPercent` % under that high.
+     * @returns {{ activated: boolean, highWaterMark: number, price: number, triggered: boolean }|null}
+     */
+    getTrailingStop(lastBuy) {
+        if (!this.isTrailing()) return null;
+        const { key, trailingActivation, trailingPercent = 1, trailingAtrMultiple } = this.currentPair;
+        const state = this.trailingStops.update(key, lastBuy, this.currentPrice, this.currentOhlcvPrimary || [], this.clock());
+        if (!state.activated && calculateProfit(state.highWaterMark, state.entryPrice) >= trailingActivation) {
+            console.log('\x1b[32m%s\x1b[0m', `Trailing stop armed for ${key} at high ${state.highWaterMark}`);
+            this.trailingStops.activate(key);
+        }
+
+        const atr = this.currentIndicatorsPrimary?.current?.atr;
+        const distance = trailingAtrMultiple && atr
+            ? atr * trailingAtrMultiple
+            : state.highWaterMark * trailingPercent / 100;
+        const price = state.highWaterMark - distance;
+        console.log(`- Trailing: high ${state.highWaterMark}, stop ${price.toFixed(8)} (${state.activated ? 'armed' : `arms at +${trailingActivation}%`})`);
+        return {
+            activated: state.activated,
+            highWaterMark: state.highWaterMark,
+            price,
+            triggered: state.activated && this.currentPrice <= price
+        };
+    }
+
+    /**
+     * Keeps exchange-side protection in line with the dynamic (or trailing) stop. The stop only ratchets up,
+     * by at least config.protectiveAmendThreshold %, and never to or above the current price.
+     * A sell signal while in profit, the profit target when there is no take profit leg, or a
+     * triggered trail swaps the protection for a plain limit sell.
+     */
+    async manageProtectiveOrder(lastOrder, shouldSell) {
+        const lastBuy = this.getLastFilledBuy();
+        if (!lastBuy) return;
+        const legs = lastOrder.orderListId !== undefined && lastOrder.orderListId !== -1
+            ? this.currentOrders.filter(o => o.orderListId === lastOrder.orderListId)
+            : [lastOrder];
+        const stopLeg = legs.find(o => o.type === TradingBot.STOP_LOSS_LIMIT);
+        const takeProfitLeg = legs.find(o => o.type === TradingBot.LIMIT_MAKER);
+
+        const profit = calculateProfit(this.currentPrice, lastBuy.price);
+        const trailingStop = this.getTrailingStop(lastBuy);
+        // Without an OCO take profit leg the target is still polled, unless the pair trails
+        const targetReached = trailingStop
+            ? trailingStop.triggered
+            : !takeProfitLeg && profit >= this.getProfitTarget(lastBuy);
+        if ((shouldSell && profit > 0 && !trailingStop?.activated) || targetReached) {
+            console.log(`${targetReached ? 'Profit target' : 'Sell signal'} at ${profit.toFixed(2)}% - replacing protection with a sell`);
+            const cancelled = await this.exchangeManager.cancelProtectiveOrder(this.currentPair, lastOrder);
+            if (!cancelled || cancelled.error) return cancelled;
+            return await this.exchangeManager.placeSellOrder(this.currentPair, lastBuy, this.currentPrice);
+        }
+        if (!stopLeg) return;
+
+        const currentStop = parseFloat(stopLeg.stopPrice);
+        const stopPrice = this.getProtectiveStopPrice(lastBuy);
+        const threshold = this.config.protectiveAmendThreshold || 0;
+        console.log(`Exchange stop: ${currentStop} / target stop: ${stopPrice.toFixed(8)}`);
+        if (stopPrice >= plusPercent(threshold, currentStop) && stopPrice < this.currentPrice) {
+            const takeProfitPrice = takeProfitLeg ? parseFloat(takeProfitLeg.price) : null;
+            return await this.exchangeManager.amendProtectiveOrder(this.currentPair, stopLeg, stopPrice, takeProfitPrice);
+        }
+    }
+
+    /**
+     * Runs the current pair's ladder (see PositionLadder) for this round: opens it on a buy signal, cancels the
+     * rungs while nothing filled once the signal is gone or price ran okDiff % above them, and manages the position
+     * their fills add up to. The ladder's start time and orders are kept in the state file, see trackLadderOrders.
+     * @returns {Promise<Object|undefined>} The exchange's response to the last order call made, if any
+     */
+    async tradeLadder(shouldBuy, shouldSell) {
+        const { key } = this.currentPair;
+        let state = this.stateStore.get('ladders', {})[key];
+        if (!state) {
+            // A position or buy placed before the pair had a ladder is taken over
+            const lastOrder = this.getLastOrder(this.currentOrders);
+            const adopted = this.getOpenPosition() || (lastOrder?.side === TradingBot.BUY &&
+                [TradingBot.NEW, TradingBot.PARTIALLY_FILLED].includes(lastOrder.status) ? lastOrder : null);
+            if (!adopted) {
+                this.ladderPositions.delete(key);
+                return await this.openLadder(shouldBuy);
+            }
+            state = { startTime: adopted.time, orders: {}, settledEntries: 0, targets: {}, filled: [] };
+        }
+
+        const orders = await this.trackLadderOrders(state);
+        const changed = JSON.stringify(orders) !== JSON.stringify(state.orders);
+        state.orders = orders;
+        const settings = this.positionLadder.getSettings(this.currentPair);
+        const position = this.positionLadder.describe(Object.values(orders));
+        const filledTargets = Object.entries(state.targets).filter(([, orderId]) => orders[orderId]?.status === TradingBot.FILLED);
+        filledTargets.forEach(([index]) => {
+            state.filled.push(Number(index));
+            delete state.targets[index];
+        });
+        if (changed || filledTargets.length) this.saveLadder(state);
+        const nextTarget = settings.targets.find((target, index) => !state.filled.includes(index));
+        const pendingQuote = position.pendingEntries.reduce((sum, o) => sum + (parseFloat(o.origQty) - parseFloat(o.executedQty)) * parseFloat(o.price), 0);
+        this.ladderPositions.set(key, {
+            entries: settings.entries,
+            filledEntries: position.filledEntries,
+            averagePrice: position.averagePrice,
+            held: position.held,
+            targets: settings.targets.length,
+            targetsHit: state.filled.length,
+            nextTarget: nextTarget && position.averagePrice ? plusPercent(nextTarget.percent, position.averagePrice) : null,
+            exposure: position.held * this.currentPrice + pendingQuote
+        });
+
+        const rules = this.exchangeManager.getSymbolRules(this.currentPair);
+        // Once every target placed has filled what's left is the quantity their rounding kept back
+        const targetsDone = state.filled.length > 0 && !Object.keys(state.targets).length;
+        const holding = !targetsDone && rules.normalizeQuantity(position.held) > 0 && position.held * this.currentPrice >= (rules.minNotional || 0);
+        if (holding) return await this.manageLadder(state, position, settings, shouldSell);
+
+        const pending = [...position.pendingEntries, ...position.pendingExits];
+        if (!pending.length) return this.closeLadder(position);
+        if (position.sold > 0 || position.pendingExits.length) {
+            console.log(`${key} ladder sold out - cancelling its remaining orders`);
+            return await this.cancelLadderOrders(pending);
+        }
+        return await this.monitorLadderEntries(position.pendingEntries, shouldBuy);
+    }
+
+    /**
+     * The ladder's orders by id (see PositionLadder.track). Open ones the pair's order window no longer returns,
+     * pushed out by newer orders, are asked for one by one; those the exchange doesn't know are forgotten.
+     * @returns {Promise<Object>} orderId -> order
+     */
+    async trackLadderOrders(state) {
+        const recorded = { ...state.orders };
+        for (const [orderId, order] of Object.entries(recorded)) {
+            if (!PositionLadder.OPEN_STATUSES.includes(order.status) || this.currentOrders.some(o => o.orderId === order.orderId)) continue;
+            const current = await this.exchangeManager.getOrder(this.currentPair, order.orderId);
+            if (current?.category === ExchangeError.UNKNOWN_ORDER) delete recorded[orderId];
+            else if (current && !current.error) recorded[orderId] = current;
+        }
+        return PositionLadder.track(recorded, this.currentOrders, state.startTime);
+    }
+
+    saveLadder(state) {
+        const ladders = this.stateStore.get('ladders', {});
+        ladders[this.currentPair.key] = state;
+        this.stateStore.set('ladders', ladders);
+        this.stateStore.save();
+        return state;
+    }
+
+    /**
+     * Splits the pair's sized buy into the ladder's entries, once the re-entry delay since its last order passed
+     */
+    async openLadder(shouldBuy) {
+        if (!shouldBuy) {
+            console.log('Current conditions not favorable for placing a new order');
+            return;
+        }
+        const lastOrder = this.getLastOrder(this.currentOrders);
+        const hoursSinceLast = lastOrder ? timePassed(new Date(lastOrder.updateTime), this.clock()) / 3600 : Infinity;
+        if (hoursSinceLast < this.config.minReentryDelay) {
+            console.log(`Waiting for re-entry delay (${hoursSinceLast.toFixed(2)}h/${this.config.minReentryDelay}h)`);
+            return;
+        }
+
+        const size = await this.getPositionSize();
+        if (size.error) return size;
+        if (!(size.quoteQty > 0)) {
+            console.log(`${this.currentPair.key} sized to nothing (${size.mode}: ${size.detail}), not buying`);
+            return null;
+        }
+        if (!this.checkBuyRisk(size.quoteQty)) return null;
+
+        const settings = this.positionLadder.getSettings(this.currentPair);
+        const minNotional = this.exchangeManager.getSymbolRules(this.currentPair).minNotional || 0;
+        const rungs = this.positionLadder.getEntries(settings, this.buyInPrice(), size.quoteQty, this.currentOrderBook, minNotional);
+        console.log(`Laddering ${size.quoteQty.toFixed(2)} into ${rungs.length} buys: ${rungs.map(rung => `${rung.quoteQty.toFixed(2)} @ ${rung.price.toFixed(8)}`).join(', ')}`);
+        const placed = [];
+        let response;
+        for (const rung of rungs) {
+            response = await this.exchangeManager.placeBuyOrder(this.currentPair, rung.price, rung.quoteQty);
+            if (!response || response.error) break;
+            placed.push(response);
+        }
+        if (placed.length) {
+            this.saveLadder({
+                startTime: Math.min(...placed.map(order => order.transactTime ?? this.clock())),
+                orders: Object.fromEntries(placed.map(order => [order.orderId, order])),
+                settledEntries: 0, // entries done filling when the targets were last placed
+                targets: {},
+                filled: []
+            });
+            const [, quoteAsset] = this.currentPair.key.split('_');
+            this.telegramBotHandler.sendMessage(`🪜 ${this.currentPair.key}: ${placed.length} buys laddered from ${placed[0].price} to ${placed[placed.length - 1].price}, ${size.quoteQty.toFixed(2)} ${quoteAsset}`);
+        }
+        return response;
+    }
+
+    /**
+     * Rungs wait while the buy signal holds and price hasn't run more than okDiff % above the highest of them
+     */
+    async monitorLadderEntries(entries, shouldBuy) {
+        const top = Math.max(...entries.map(order => parseFloat(order.price)));
+        const orderPriceDiff = calculateProfit(this.currentPrice, top);
+        if (shouldBuy && orderPriceDiff < this.currentPair.okDiff) {
+            console.log(`${entries.length} ladder buys pending, highest at ${top}`);
+            return;
+        }
+        console.log(`Cancelling ladder buys (${shouldBuy ? `price diff: ${orderPriceDiff.toFixed(2)}%` : 'buy signal gone'})`);
+        return await this.cancelLadderOrders(entries);
+    }
+
+    /**
+     * The position the ladder holds: sold at the market past the dynamic stop (from the average entry), maxStopLoss
+     * or on a sell signal while in profit, otherwise its remaining targets are kept on the book. They are placed
+     * again for the new quantity and average once an entry is done filling (not on each partial fill), and the
+     * first one filling cancels the entries left.
+     */
+    async manageLadder(state, position, settings, shouldSell) {
+        const { averagePrice, held } = position;
+        const profit = calculateProfit(this.currentPrice, averagePrice);
+        console.log(`Ladder ${position.filledEntries}/${settings.entries} entries, ${held} held at ${averagePrice.toFixed(8)} (${profit.toFixed(2)}%)`);
+
+        // Any other sell is the ladder's exit at the market, chased while price falls
+        const targetIds = Object.values(state.targets);
+        const exit = position.pendingExits.find(order => !targetIds.includes(order.orderId) && !this.isProtectiveOrder(order));
+        if (exit) {
+            if (this.currentPrice < parseFloat(exit.price)) {
+                console.log(`Price under the ladder's exit at ${exit.price} - moving it`);
+                return await this.exchangeManager.cancelAndSellToCurrentPrice(this.currentPair, exit, this.currentPrice, true);
+            }
+            console.log(`Ladder exit at ${exit.price} pending`);
+            return;
+        }
+
+        const dynamicStop = this.getDynamicStopLoss(averagePrice);
+        const shouldCutLosses = this.currentPrice <= dynamicStop.price || profit <= this.currentPair.maxStopLoss;
+        const strongSellSignal = shouldSell && profit > 0;
+        if (shouldCutLosses || strongSellSignal) {
+            console.log(`Executing ladder sell for ${this.currentPair.key} (${shouldCutLosses ? 'stop loss' : 'strong sell signal'}, ${profit.toFixed(2)}% profit)`);
+            const cancelled = await this.cancelLadderOrders([...position.pendingEntries, ...position.pendingExits]);
+            if (cancelled?.error) return cancelled;
+            const sell = await this.exchangeManager.placeSellOrder(this.currentPair, null, this.currentPrice, held);
+            if (sell && !sell.error) {
+                state.orders[sell.orderId] = sell;
+                this.saveLadder(state);
             }
+            return sell;
+        }
+
+        let response;
+        if (state.filled.length && position.pendingEntries.length) {
+            console.log('Scaling out - cancelling the remaining ladder buys');
+            response = await this.cancelLadderOrders(position.pendingEntries);
+            if (response?.error) return response;
+        }
+
+        const openIds = position.pendingExits.map(order => order.orderId);
+        const replace = !targetIds.length || position.settledEntries !== state.settledEntries ||
+            targetIds.some(orderId => !openIds.includes(orderId));
+        if (!replace) return response;
+
+        response = await this.cancelLadderOrders(position.pendingExits);
+        if (response?.error) return response;
+        state.targets = {};
+        state.settledEntries = position.settledEntries;
+        const remaining = settings.targets.map((target, index) => index).filter(index => !state.filled.includes(index));
+        const minNotional = this.exchangeManager.getSymbolRules(this.currentPair).minNotional || 0;
+        for (const target of this.positionLadder.getTargets(settings, remaining, position, minNotional)) {
+            console.log(`Ladder target ${target.index + 1}/${settings.targets.length}: ${target.quantity} at ${target.price.toFixed(8)}`);
+            response = await this.exchangeManager.placeSellOrder(this.currentPair, null, target.price, target.quantity);
+            if (!response || response.error) break;
+            state.targets[target.index] = response.orderId;
+            state.orders[response.orderId] = response;
+        }
+        this.saveLadder(state);
+        return response;
+    }
+
+    // Cancels the orders one by one, stops at the first failure
+    async cancelLadderOrders(orders) {
+        let response;
+        for (const order of orders) {
+            response = order.side === TradingBot.SELL
+                ? await this.exchangeManager.cancelProtectiveOrder(this.currentPair, order)
+                : await this.exchangeManager.cancelOrder(this.currentPair, order);
+            if (!response || response.error) return response;
+        }
+        return response;
+    }
+
+    /**
+     * Forgets a ladder with nothing left held or on the book, reporting how its position did
+     */
+    closeLadder(position) {
+        const { key } = this.currentPair;
+        const ladders = this.stateStore.get('ladders', {});
+        delete ladders[key];
+        this.stateStore.set('ladders', ladders);
+        this.stateStore.save();
+        this.ladderPositions.delete(key);
+        if (!position.bought) {
+            console.log(`${key} ladder closed without a fill`);
+            return;
         }
+        const [, quoteAsset] = key.split('_');
+        const pnl = position.proceeds - position.cost;
+        console.log('\x1b[44m%s\x1b[0m', `${key} ladder closed: ${pnl.toFixed(2)} ${quoteAsset} before fees`);
+        this.telegramBotHandler.sendMessage(`🪜 ${key} ladder closed: ${position.filledEntries} entries at ${position.averagePrice.toFixed(8)}, ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)} ${quoteAsset} before fees`);
     }
 
     createPairResult() {
@@ -467,10 +1051,47 @@ class TradingBot {
             orders: this.currentOrders,
             currentPrice: this.currentPrice,
             precisionEntry: this.precisionEntry,
-            date: new Date().toLocaleString()
+            // Only the dashboard draws them, backtests skip the extra stop and target calculation
+            levels: this.visualizationServer ? this.getPriceLevels() : null,
+            intent: { strategy: this.currentStrategy?.name, ...this.currentIntent },
+            sizing: this.positionSizes.get(this.currentPair.key) || null,
+            ladder: this.ladderPositions.get(this.currentPair.key) || null,
+            date: new Date(this.clock()).toLocaleString()
         };
     }
 
+    /**
+     * Prices the dashboard chart marks: where a buy would go in, and for an open position its stop
+     * and take profit, from the exchange-side protection when there is one
+     */
+    getPriceLevels() {
+        const levels = { buyIn: this.buyInPrice(), stop: null, takeProfit: null };
+        const ladder = this.ladderPositions.get(this.currentPair.key);
+        if (ladder?.averagePrice) {
+            return { ...levels, stop: this.getDynamicStopLoss(ladder.averagePrice).price, takeProfit: ladder.nextTarget };
+        }
+        const position = this.currentPair.tradeable ? this.getOpenPosition() : null;
+        if (!position) return levels;
+
+        const protection = this.currentOrders.filter(o => this.isProtectiveOrder(o) &&
+            [TradingBot.NEW, TradingBot.PARTIALLY_FILLED].includes(o.status));
+        const stopLeg = protection.find(o => o.type === TradingBot.STOP_LOSS_LIMIT);
+        const takeProfitLeg = protection.find(o => o.type === TradingBot.LIMIT_MAKER);
+        levels.stop = stopLeg ? parseFloat(stopLeg.stopPrice) : this.getDynamicStopLoss(position.price).price;
+        if (takeProfitLeg) {
+            levels.takeProfit = parseFloat(takeProfitLeg.price);
+        } else if (!this.isTrailing()) {
+            levels.takeProfit = plusPercent(this.getProfitTarget(position), position.price);
+        }
+        return levels;
+    }
+
+    // Only candles new since the pair's last round are fed to the indicators, see analysis/IndicatorEngine.js
+    calculateIndicators(interval, candles) {
+        if (!this.config.incrementalIndicators) return getIndicators(candles);
+        return this.indicatorEngine.update(`${this.currentPair.joinedPair}:${interval}`, candles);
+    }
+
     analyzePairData(ohlcvPrimary, ohlcvSecondary, orderBook) {
         const minLength = Math.min(ohlcvPrimary.length, ohlcvSecondary.length);
         const syncedPrimary = ohlcvPrimary.slice(-minLength);
@@ -479,11 +1100,9 @@ class TradingBot {
         this.currentOhlcvPrimary = syncedPrimary;
         this.currentOhlcvSecondary = syncedSecondary;
 
-        this.currentIndicatorsPrimary = getIndicators(syncedPrimary);
-        this.currentIndicatorsSecondary = getIndicators(syncedSecondary);
-        //
-        this.precisionEntry = this.calculatePrecisionEntry(); 
-        //
+        this.currentIndicatorsPrimary = this.calculateIndicators(this.config.klinesInterval_1, syncedPrimary);
+        this.currentIndicatorsSecondary = this.calculateIndicators(this.config.klinesInterval_2, syncedSecondary);
+        applyAnalysisOverrides(this.currentPair.analysis); // per-pair AnalysisConfig values, defaults otherwise
         this.currentAnalysis = MarketAnalyzer.analyzeMultipleTimeframes(
             {
                 [this.config.klinesInterval_1]: this.currentIndicatorsPrimary,
@@ -509,6 +1128,10 @@ class TradingBot {
             [this.config.klinesInterval_2]: syncedSecondary
         };
 
+        const context = this.getStrategyContext();
+        this.currentIntent = this.currentStrategy.onCandle(context);
+        this.precisionEntry = this.currentStrategy.onOrderBook(context).entryDistance;
+
         return { 
             analysis: this.currentAnalysis, 
             indicatorsPrimary: this.currentIndicatorsPrimary, 
@@ -519,6 +1142,7 @@ class TradingBot {
     async processPair(pair) {
         console.log('\x1b[33mProcessing\x1b[0m', pair.key);
         this.currentPair = pair;
+        this.currentStrategy = this.getStrategy(pair);
         pair.joinedPair = pair.key.replace('_', '');
 
         const [ohlcvPrimary, ohlcvSecondary, orders, orderBook] = await this.exchangeManager.fetchPairData(
@@ -533,30 +1157,33 @@ class TradingBot {
         }
 
         const lastCandle = ohlcvPrimary[ohlcvPrimary.length - 1];
-        if (!lastCandle || lastCandle.length < 5) {
+        if (!lastCandle) {
             console.error('Price error:');
             return null;
         };
 
-        this.currentPrice = lastCandle[4];
-        this.currentOrders = orders || [];
+        this.currentPrice = lastCandle.close;
+        // Without its orders the pair is analyzed but not traded this round
+        if (orders?.error) console.error('Orders error:', `${orders.error} (${ExchangeError.categoryOf(orders)}): ${orders.details}`);
+        this.currentOrders = Array.isArray(orders) ? orders : [];
         this.currentOrderBook = orderBook;
 
-        const { analysis } = this.analyzePairData(
+        this.analyzePairData(
             ohlcvPrimary,
             ohlcvSecondary,
             orderBook
         );
 
-        const normalizedSignal = analysis.consensusSignal.toLowerCase();
+        const normalizedSignal = this.currentIntent.signal.toLowerCase();
         if (['buy', 'sell', 'strong_buy', 'strong_sell'].includes(normalizedSignal) &&
             this.config.telegramAlertEnabled) {
             this.sendGroupChatAlert();
         }
 
-        if (pair.tradeable && this.currentPrice) {
+        if (pair.tradeable && this.currentPrice && !orders?.error) {
             await this.trade();
         }
+        this.saveState();
 
         return this.createPairResult();
     }
@@ -568,7 +1195,7 @@ class TradingBot {
 
         for (const pair of allPairs) {
             try {
-                const result = await this.processPair(pair);
+                const result = await this.runExclusive(() => this.processPair(pair));
                 if (result) {
                     const index = allPairs.indexOf(pair);
                     results[index] = result;
@@ -587,6 +1214,64 @@ class TradingBot {
         return results;
     }
 
+    /**
+     * processPair works on shared current* state, runs triggered by the user data stream
+     * wait for the polling loop's current pair to finish
+     */
+    runExclusive(task) {
+        const run = this.processingQueue.then(task);
+        this.processingQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Fills reported by the user data stream re-process their pair right away instead of on its next turn
+     */
+    handleOrderUpdate(order) {
+        if (!this.config.isRunning || ![TradingBot.FILLED, TradingBot.PARTIALLY_FILLED].includes(order.status)) return;
+        const pair = this.pairManager.getAllPairs().find(p => p.tradeable && p.key.replace('_', '') === order.symbol);
+        if (!pair || this.pendingFills.has(pair.key)) return;
+
+        console.log('\x1b[46m%s\x1b[0m', `${order.side} ${order.symbol} ${order.status} (${order.executedQty}/${order.origQty}), processing now`);
+        this.pendingFills.add(pair.key);
+        this.runExclusive(async () => {
+            this.pendingFills.delete(pair.key);
+            const result = await this.processPair(pair);
+            if (result) this.botDataLogger[pair.key] = result;
+        }).catch(error => console.error(`Error processing fill for ${pair.key}:`, error));
+    }
+
+    /**
+     * Reacts to an order call trade() made failing after ExchangeManager's retries. Where the exchange
+     * contradicted the bot (unknown order, missing funds) or may have executed the call anyway (network),
+     * the pair's orders and balances are re-read; failures are reported once per category within config.alertCooldown.
+     */
+    async handleExchangeError(response) {
+        const { key } = this.currentPair;
+        const category = ExchangeError.categoryOf(response);
+        console.error('\x1b[41m%s\x1b[0m', `${key}: ${response.error} (${category}): ${response.details}`);
+        if (response.rejections) return; // symbol filter rejections are reported by handleOrderRejection
+
+        if ([ExchangeError.UNKNOWN_ORDER, ExchangeError.INSUFFICIENT_BALANCE, ExchangeError.NETWORK].includes(category)) {
+            await this.exchangeManager.resyncLedger(this.currentPair);
+        }
+        if (this.riskManager.shouldReport(key, category)) {
+            this.telegramBotHandler.sendMessage(`⚠️ ${key}: ${response.error} (${category}): ${response.details}`);
+        }
+    }
+
+    /**
+     * Orders the exchange manager refused to send because they break a symbol filter,
+     * reported once per pair and filter within config.alertCooldown
+     */
+    handleOrderRejection(pair, rejection) {
+        const reasons = rejection.rejections.filter(r => this.riskManager.shouldReport(pair.key, r.filter));
+        if (!reasons.length) return;
+        const [{ side, type }] = rejection.params;
+        const order = rejection.params.length > 1 ? `${side} OCO` : `${side} ${type}`;
+        this.telegramBotHandler.sendMessage(`🚫 ${order} for ${pair.key} rejected by symbol filters:\n${reasons.map(r => `• ${r.filter}: ${r.reason}`).join('\n')}`);
+    }
+
     async botLoop() {
         while (this.config.isRunning) {
             console.time('Processing round');
@@ -601,11 +1286,15 @@ class TradingBot {
     }
 }
 
-(async () => {
-    const bot = new TradingBot();
-    await bot.init();
-    bot.startBot();
-})();
+module.exports = TradingBot;
+
+if (require.main === module) {
+    (async () => {
+        const bot = new TradingBot();
+        await bot.init();
+        bot.startBot();
+    })();
+}
 
 
 
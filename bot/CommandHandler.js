@@ -0,0 +1,253 @@
+const TradeJournal = require('./classes/TradeJournal');
+
+/**
+ * Error a command rejects its input with, status is the HTTP code the control API answers with
+ */
+class CommandError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CommandError';
+        this.status = status;
+    }
+}
+
+const PAIR_KEY = /^[A-Z0-9]+_[A-Z0-9]+$/;
+const TELEGRAM_MAX_LENGTH = 4096;
+
+// Telegram words are JSON when they parse (0.8, true, {"a":1}), plain strings otherwise.
+// Integers a double can't hold (Bybit order ids) stay strings.
+const parseWord = (word) => {
+    try {
+        const value = JSON.parse(word);
+        return Number.isInteger(value) && !Number.isSafeInteger(value) ? word : value;
+    } catch (error) {
+        return word;
+    }
+};
+
+/**
+ * The bot's control commands, shared by Telegram (executeCommand, text in and out) and the
+ * VisualizationServer control API (run, named arguments in, JSON out), so both act on the same state.
+ *
+ * Every command has the positional `params` Telegram words map to and a `run` returning a message
+ * or data; `format` turns data into the Telegram reply. Commands throw CommandError on bad input.
+ */
+class CommandHandler {
+    constructor(bot) {
+        this.bot = bot;
+        this.commands = {
+            start: { run: () => this.bot.startBot() },
+            stop: { run: () => this.bot.stopBot() },
+            status: { run: () => this.getStatus(), format: CommandHandler.formatStatus },
+            pairs: { run: () => this.bot.pairManager.getAllPairs(), format: CommandHandler.formatPairs },
+            addPair: { params: ['pair'], run: ({ pair }) => this.addRemovePair(pair, true, false) },
+            removePair: { params: ['pair'], run: ({ pair }) => this.addRemovePair(pair, false, false) },
+            addTpair: { params: ['pair'], run: ({ pair }) => this.addRemovePair(pair, true, true) },
+            removeTpair: { params: ['pair'], run: ({ pair }) => this.addRemovePair(pair, false, true) },
+            setPair: { params: ['pair'], run: ({ pair, values }) => this.setPair(pair, values), format: CommandHandler.formatSetPair },
+            analysis: { params: ['pair'], run: ({ pair }) => this.getAnalysis(pair), format: CommandHandler.formatAnalysis },
+            orders: { params: ['pair'], run: ({ pair }) => this.getOpenOrders(pair), format: CommandHandler.formatOrders },
+            cancel: { params: ['pair', 'orderId'], run: ({ pair, orderId }) => this.cancelOrder(pair, orderId) },
+            alert: { params: ['enabled'], run: ({ enabled }) => this.setAlerts(enabled) },
+            stats: { params: ['pair'], run: ({ pair }) => this.getStats(pair), format: TradeJournal.formatStats },
+            risk: { run: () => this.bot.riskManager.getStatus(this.bot.getOpenPositions()) }
+        };
+    }
+
+    /**
+     * @param {string} command
+     * @param {Object} [args] - Named arguments, e.g. { pair: 'BTC_USDT' }
+     * @returns {Promise<string|Object>} A message or the command's data
+     */
+    async run(command, args = {}) {
+        const definition = this.commands[command];
+        if (!definition) throw new CommandError(`Unknown command ${command}.`, 404);
+        return definition.run(args);
+    }
+
+    /**
+     * Telegram entry point: `setPair BTC_USDT profitMgn=0.8 okLoss=-1`, key=value words go to args.values
+     * @returns {Promise<string>} The reply
+     */
+    async executeCommand(command, words = []) {
+        const name = command.replace(/^\//, '');
+        const definition = this.commands[name];
+        if (!definition) return 'Unknown command.';
+
+        const args = { values: {} };
+        const positional = [];
+        words.filter(Boolean).forEach(word => {
+            const separator = word.indexOf('=');
+            if (separator > 0) args.values[word.slice(0, separator)] = parseWord(word.slice(separator + 1));
+            else positional.push(parseWord(word));
+        });
+        (definition.params || []).forEach((param, i) => {
+            if (positional[i] !== undefined) args[param] = positional[i];
+        });
+
+        try {
+            const result = await this.run(name, args);
+            const reply = typeof result === 'string' ? result
+                : definition.format ? definition.format(result)
+                : JSON.stringify(result, null, 2);
+            return reply.length > TELEGRAM_MAX_LENGTH ? `${reply.slice(0, TELEGRAM_MAX_LENGTH - 3)}...` : reply;
+        } catch (error) {
+            if (error instanceof CommandError) return `❌ ${error.message}`;
+            console.error(`Error executing ${name}:`, error);
+            return `❌ ${name} failed: ${error.message}`;
+        }
+    }
+
+    // Pair from pairs.json with the optimizer overrides applied
+    requirePair(pairKey) {
+        if (!pairKey) throw new CommandError('A pair is required, e.g. BTC_USDT.');
+        const pair = this.bot.pairManager.getAllPairs().find(p => p.key === pairKey);
+        if (!pair) throw new CommandError(`${pairKey} not found in the pairs list.`, 404);
+        return { ...pair, joinedPair: pair.key.replace('_', '') };
+    }
+
+    getStatus() {
+        const pairs = this.bot.pairManager.getAllPairs();
+        return {
+            running: this.bot.config.isRunning,
+            initialized: this.bot.initialized,
+            paperTrading: !!this.bot.config.paperTrading,
+            alerts: this.bot.config.telegramAlertEnabled,
+            pairs: pairs.length,
+            tradeablePairs: pairs.filter(p => p.tradeable).length,
+            riskHalted: this.bot.riskManager.isHalted()
+        };
+    }
+
+    addRemovePair(pairKey, isAdd, isTradeable) {
+        if (!PAIR_KEY.test(pairKey || '')) throw new CommandError('Pairs are written BASE_QUOTE, e.g. BTC_USDT.');
+        return this.bot.pairManager.addRemovePair(pairKey, isAdd, isTradeable);
+    }
+
+    setPair(pairKey, values = {}) {
+        if (!pairKey) throw new CommandError('A pair is required, e.g. BTC_USDT.');
+        if (!this.bot.pairManager.getPair(pairKey)) throw new CommandError(`${pairKey} not found in the pairs list.`, 404);
+        if (!values || typeof values != 'object' || !Object.keys(values).length) {
+            throw new CommandError('Nothing to change, e.g. profitMgn=0.8');
+        }
+        const errors = this.bot.pairManager.updatePair(pairKey, values);
+        if (errors.length) throw new CommandError(errors.map(error => error.message).join(' '));
+        return {
+            pair: this.bot.pairManager.getPair(pairKey),
+            // Optimizer settings still win over the edited ones, see PairManager.withOverrides
+            overridden: this.bot.pairManager.getOverriddenFields(pairKey, Object.keys(values))
+        };
+    }
+
+    /**
+     * The pair's result from its last pass, without the candle and indicator series
+     */
+    getAnalysis(pairKey) {
+        this.requirePair(pairKey);
+        const result = this.bot.botDataLogger[pairKey];
+        if (!result) throw new CommandError(`${pairKey} hasn't been analyzed yet.`, 404);
+        const { candles, ...analysis } = result.analysis || {};
+        const indicators = Object.fromEntries(Object.entries(result.indicators || {})
+            .map(([interval, values]) => [interval, values?.current || null]));
+        return {
+            key: result.key,
+            date: result.date,
+            currentPrice: result.currentPrice,
+            precisionEntry: result.precisionEntry,
+            intent: result.intent,
+            indicators,
+            analysis
+        };
+    }
+
+    /**
+     * Open orders of a pair, or of every tradeable pair
+     */
+    async getOpenOrders(pairKey) {
+        const pairs = pairKey
+            ? [this.requirePair(pairKey)]
+            : this.bot.pairManager.getAllPairs().filter(p => p.tradeable).map(p => this.requirePair(p.key));
+        const orders = {};
+        for (const pair of pairs) {
+            const open = await this.bot.exchangeManager.fetchOpenOrders(pair);
+            if (open?.error) throw new CommandError(`Fetching ${pair.key} orders failed: ${open.error}: ${open.details}`, 502);
+            orders[pair.key] = open || [];
+        }
+        return orders;
+    }
+
+    async cancelOrder(pairKey, orderId) {
+        const pair = this.requirePair(pairKey);
+        if (!/^\d+$/.test(String(orderId ?? ''))) throw new CommandError('orderId must be a number.');
+        const id = Number.isSafeInteger(Number(orderId)) ? Number(orderId) : String(orderId);
+        // Waits for the pair being processed, so trade() never sees half of a cancel
+        const cancelled = await this.bot.runExclusive(() => this.bot.exchangeManager.cancelOrder(pair, { orderId: id }));
+        if (!cancelled) throw new CommandError(`Cancelling ${pairKey} order ${id} failed: no response`, 502);
+        if (cancelled.error) throw new CommandError(`Cancelling ${pairKey} order ${id} failed: ${cancelled.error}: ${cancelled.details}`, 502);
+        return `Cancelled ${pairKey} order ${id}.`;
+    }
+
+    /**
+     * Sets group chat alerts, toggles them without a value
+     */
+    setAlerts(enabled) {
+        if (enabled !== undefined && typeof enabled != 'boolean') throw new CommandError('enabled must be true or false.');
+        this.bot.config.telegramAlertEnabled = enabled ?? !this.bot.config.telegramAlertEnabled;
+        return `Alerts ${this.bot.config.telegramAlertEnabled ? 'enabled' : 'disabled'}.`;
+    }
+
+    getStats(pairKey) {
+        let pairs = this.bot.pairManager.getAllPairs().filter(p => p.tradeable);
+        if (pairKey) pairs = [this.requirePair(pairKey)];
+        // Latest analyzed prices value the open positions
+        const currentPrices = Object.fromEntries(
+            Object.values(this.bot.botDataLogger)
+                .filter(result => result.currentPrice)
+                .map(result => [result.key.replace('_', ''), parseFloat(result.currentPrice)])
+        );
+        return this.bot.exchangeManager.journal.getStats(pairKey ? pairs[0].joinedPair : null, {
+            currentPrices,
+            capital: pairs.reduce((sum, p) => sum + p.orderQty, 0)
+        });
+    }
+
+    static formatStatus(status) {
+        return [
+            `🤖 Bot ${status.running ? '🟢 RUNNING' : '🔴 STOPPED'}${status.paperTrading ? ' (paper)' : ''}`,
+            `🔢 Pairs: ${status.pairs} (${status.tradeablePairs} tradeable)`,
+            `🔔 Alerts: ${status.alerts ? 'on' : 'off'}`,
+            `🛡 Risk: ${status.riskHalted ? 'halted (daily loss)' : 'ok'}`
+        ].join('\n');
+    }
+
+    static formatPairs(pairs) {
+        if (!pairs.length) return 'No pairs.';
+        return pairs.map(p => `${p.tradeable ? '💱' : '👀'} ${p.key}${p.exchange ? ` @${p.exchange}` : ''} qty ${p.orderQty}${p.sizing ? ` (${p.sizing.mode || p.sizing} sizing)` : ''}${p.ladder ? ' 🪜' : ''} tp ${p.profitMgn}% sl ${p.okLoss}%`).join('\n');
+    }
+
+    static formatSetPair({ pair, overridden }) {
+        const lines = [`Updated ${pair.key}.`];
+        if (overridden.length) lines.push(`⚠️ Optimizer overrides still apply to ${overridden.join(', ')}.`);
+        return lines.join('\n');
+    }
+
+    static formatAnalysis(result) {
+        const lines = [
+            `📊 ${result.key} @ ${result.currentPrice} (${result.date})`,
+            `🧭 ${result.intent?.signal} → ${result.intent?.action} (${result.intent?.strategy})`,
+            `📐 Buy score ${Number(result.analysis.normalizedBuyScore || 0).toFixed(2)}, sell score ${Number(result.analysis.normalizedSellScore || 0).toFixed(2)}`
+        ];
+        Object.entries(result.indicators).forEach(([interval, current]) => {
+            if (current) lines.push(`${interval}: RSI ${current.rsi}, ADX ${current.adx?.adx?.toFixed?.(2) ?? '-'}`);
+        });
+        return lines.join('\n');
+    }
+
+    static formatOrders(orders) {
+        const lines = Object.entries(orders).flatMap(([key, open]) =>
+            open.map(o => `${key} #${o.orderId} ${o.side} ${o.type} ${o.origQty} @ ${o.price}${parseFloat(o.stopPrice) ? ` stop ${o.stopPrice}` : ''}`));
+        return lines.length ? lines.join('\n') : 'No open orders.';
+    }
+}
+
+module.exports = { CommandHandler, CommandError };
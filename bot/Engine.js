@@ -0,0 +1,245 @@
+require('dotenv').config();
+const TradingBot = require('./Bot');
+const MarketFeed = require('./classes/MarketFeed');
+const StreamManager = require('../v3/managers/ExchangeManager');
+const BootManager = require('../v3/managers/BootManager');
+const ShortManager = require('./ShortManager');
+const FuturesManager = require('./FuturesManager');
+const SignalPredictor = require('../v3/SignalPredictor');
+const LogFormatter = require('../v3/LogFormatter');
+const { buildRiskManagement } = require('../v3/riskManagement');
+
+/**
+ * The polling bot and the v3 predictor in one process. Klines and depth of Binance pairs come from the
+ * v3 websocket feeds through a MarketFeed, REST stays the fallback (and the source for other venues).
+ * Every pair is analyzed by MarketAnalyzer and scored by the v3 SignalPredictor; the pair's strategy turns
+ * either into orders through the bot's ExchangeManager ('consensus' or 'score', custom strategies find the
+ * prediction in their context) and long/short predictions are alerted like the predictor's.
+ * Pairs with `short` enabled also sell short predictions on isolated margin through the ShortManager,
+ * pairs on a futures venue trade both sides as USDⓈ-M positions through the FuturesManager instead of spot.
+ * BootManager runs start, stop and restart for the Telegram and dashboard commands.
+ */
+class TradingEngine extends TradingBot {
+    /**
+     * @param {Object} [options] - See TradingBot
+     * @param {Object} [options.streamManager] - Websocket feeds, defaults to the v3 ExchangeManager
+     */
+    constructor(options = {}) {
+        super(options);
+        this.streamManager = options.streamManager || new StreamManager(this.config);
+        this.marketData = new MarketFeed({ staleAfter: this.config.marketStreamStaleAfter, clock: this.clock });
+        this.exchangeManager.marketFeed = this.marketData;
+        this.lastSignalTimes = new Map(Object.entries(this.stateStore.get('signalTimes', {})));
+        this.predictor = new SignalPredictor({
+            timeframe: this.config.klinesInterval_1,
+            riskManagement: buildRiskManagement(this.config.klinesInterval_1),
+            lastSignalTimes: this.lastSignalTimes
+        });
+        this.previousOrderBooks = new Map(); // pair key -> last round's book, order book flow is measured against it
+        this.currentPrediction = null;
+        this.roundPredictions = []; // logged after every round
+        this.logFormatter = new LogFormatter();
+        this.bootManager = new BootManager(this);
+        this.shortManager = new ShortManager(this);
+        this.futuresManager = new FuturesManager(this);
+        this.commandHandler.commands.restart = { run: () => this.restartBot() };
+        this.analysisLoop = null;
+        this.startTime = Date.now();
+    }
+
+    // BootManager and the command handlers share the bot's running flag
+    get isRunning() {
+        return this.config.isRunning;
+    }
+
+    set isRunning(value) {
+        this.config.isRunning = value;
+    }
+
+    // Restarts keep the exchange, dashboard and Telegram set up by the first start
+    async init() {
+        if (!this.initialized) await super.init();
+    }
+
+    logConfiguration() {
+        console.log(`\n📈 Engine on ${this.config.klinesInterval_1}/${this.config.klinesInterval_2}${this.config.paperTrading ? ' (paper trading)' : ''}:`);
+        console.log(`- Default strategy: ${this.config.defaultStrategy}`);
+        console.log(`- Streamed data used for ${this.config.marketStreamStaleAfter}ms after its last update`);
+        console.log(`- Signal alerts: ${this.config.telegramAlertEnabled ? 'ENABLED' : 'DISABLED'}`);
+    }
+
+    // Pairs on Binance, the only venue with websocket feeds
+    getStreamedPairs() {
+        return this.pairManager.getAllPairs()
+            .map(pair => ({ ...pair, joinedPair: pair.key.replace('_', '') }))
+            .filter(pair => this.exchangeManager.getVenue(pair).name === 'binance');
+    }
+
+    async fetchInitialCandles() {
+        console.log('📊 Fetching initial candles...');
+        for (const pair of this.getStreamedPairs()) {
+            for (const interval of [this.config.klinesInterval_1, this.config.klinesInterval_2]) {
+                this.marketData.track(pair.joinedPair, interval);
+                const klines = await this.exchangeManager.request(pair, 'klines', pair.joinedPair, interval);
+                if (Array.isArray(klines)) this.marketData.seedKlines(pair.joinedPair, interval, klines);
+                else console.warn(`  ⚠️ ${pair.key} ${interval}: No candles received, ${klines?.details}`);
+            }
+        }
+        console.log('✅ Initial candles fetched successfully');
+    }
+
+    // A pair whose sockets can't connect is fetched over REST, the feeds keep reconnecting
+    async setupWebsocketSubscriptions() {
+        console.log('🔌 Setting up websocket subscriptions...');
+        await Promise.all(this.getStreamedPairs().map(async ({ key, joinedPair }) => {
+            try {
+                await Promise.all([
+                    ...[this.config.klinesInterval_1, this.config.klinesInterval_2].map(interval =>
+                        this.streamManager.subscribeToKline(joinedPair, interval,
+                            data => this.marketData.updateKline(joinedPair, interval, data))),
+                    this.streamManager.subscribeToDepth(joinedPair,
+                        data => this.marketData.updateDepth(joinedPair, data))
+                ]);
+                console.log(`  ✅ ${key}: Kline & Depth connected`);
+            } catch (error) {
+                console.warn(`  ⚠️ ${key}: Streams unavailable, using REST: ${error.message}`);
+            }
+        }));
+        console.log('✅ All websocket connections established');
+    }
+
+    // One polling loop at a time, a restart within a round keeps the running one
+    runAnalysis() {
+        this.analysisLoop ??= this.botLoop().finally(() => {
+            this.analysisLoop = null;
+        });
+        return this.analysisLoop;
+    }
+
+    async startBot() {
+        if (this.isRunning) return 'Bot is already running.';
+        await this.bootManager.executeBootSequence({ startAnalysis: true, isRestart: false });
+        return 'Bot started.';
+    }
+
+    async stopBot() {
+        if (!this.isRunning) return 'Bot is already stopped.';
+        await this.bootManager.executeShutdownSequence();
+        return 'Bot stopped.';
+    }
+
+    async restartBot() {
+        await this.bootManager.executeBootSequence({ startAnalysis: true, isRestart: true });
+        return 'Bot restarted.';
+    }
+
+    async shutdown() {
+        this.isRunning = false;
+        this.saveState();
+        await this.streamManager.closeAllConnections();
+    }
+
+    saveState() {
+        this.stateStore.set('signalTimes', Object.fromEntries(this.lastSignalTimes));
+        super.saveState();
+    }
+
+    /**
+     * Scores the pair with the v3 predictor before the consensus analysis runs the strategy,
+     * long/short predictions are alerted
+     */
+    analyzePairData(ohlcvPrimary, ohlcvSecondary, orderBook) {
+        const { key, joinedPair } = this.currentPair;
+        this.currentPrediction = null;
+        if (orderBook && !orderBook.isEmpty) {
+            this.currentPrediction = this.predictor.predict(joinedPair, ohlcvPrimary, orderBook, this.previousOrderBooks.get(key));
+            this.previousOrderBooks.set(key, orderBook);
+        }
+        if (this.currentPrediction) this.roundPredictions.push(this.currentPrediction);
+        const alert = SignalPredictor.toAlert(this.currentPrediction, key);
+        if (alert) this.telegramBotHandler.sendSignalAlert(alert);
+        return super.analyzePairData(ohlcvPrimary, ohlcvSecondary, orderBook);
+    }
+
+    getStrategyContext() {
+        return { ...super.getStrategyContext(), prediction: this.currentPrediction };
+    }
+
+    // The spot side trades first, then the pair's short. Futures pairs only trade their position.
+    async trade() {
+        if (this.futuresManager.isEnabled(this.currentPair)) {
+            const futuresResponse = await this.futuresManager.trade(this.currentPair, this.currentPrediction, this.currentPrice);
+            if (futuresResponse?.error) await this.handleExchangeError(futuresResponse);
+            return futuresResponse;
+        }
+        const response = await super.trade();
+        const boughtNow = response?.side === 'BUY' && !response.error;
+        const shortResponse = await this.shortManager.trade(this.currentPair, this.currentPrediction, this.currentPrice, { canOpen: !boughtNow });
+        if (shortResponse?.error) await this.handleExchangeError(shortResponse);
+        return shortResponse || response;
+    }
+
+    // A pair is either long on spot or short on margin
+    async placeBuyOrder() {
+        if (this.shortManager.isOpen(this.currentPair.key)) {
+            console.log(`${this.currentPair.key} is short, not buying`);
+            return null;
+        }
+        return await super.placeBuyOrder();
+    }
+
+    async openLadder(shouldBuy) {
+        if (shouldBuy && this.shortManager.isOpen(this.currentPair.key)) {
+            console.log(`${this.currentPair.key} is short, not buying`);
+            return null;
+        }
+        return await super.openLadder(shouldBuy);
+    }
+
+    // A futures pair's orders aren't spot holdings, its position's notional is its exposure
+    getOpenPositions() {
+        return super.getOpenPositions().map(position => {
+            const futures = this.futuresManager.positions.get(position.key);
+            if (futures) return { ...position, exposure: futures.exposure };
+            return { ...position, exposure: position.exposure + (this.shortManager.positions.get(position.key)?.exposure || 0) };
+        });
+    }
+
+    createPairResult() {
+        const prediction = this.currentPrediction && {
+            signal: this.currentPrediction.signals.compositeSignal,
+            score: this.currentPrediction.signals.signalScore,
+            suggestedPrices: this.currentPrediction.suggestedPrices
+        };
+        const { key } = this.currentPair;
+        return { ...super.createPairResult(), prediction, short: this.shortManager.getSummary(key), futures: this.futuresManager.getSummary(key) };
+    }
+
+    async processAllPairs() {
+        this.roundPredictions = [];
+        const results = await super.processAllPairs();
+        if (this.config.printTable) this.logFormatter.logAnalysisResults(this.roundPredictions);
+        return results;
+    }
+}
+
+module.exports = TradingEngine;
+
+if (require.main === module) {
+    let engine;
+    (async () => {
+        engine = new TradingEngine();
+        const shutdown = async (signal) => {
+            console.log(`🛑 Received ${signal}, shutting down gracefully...`);
+            await engine.shutdown();
+            process.exit(0);
+        };
+        process.on('SIGINT', () => shutdown('SIGINT'));
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        await engine.startBot();
+    })().catch(async (error) => {
+        console.error('❌ Trading engine failed:', error);
+        if (engine) await engine.shutdown().catch(shutdownError => console.error('Shutdown failed:', shutdownError));
+        process.exit(1);
+    });
+}
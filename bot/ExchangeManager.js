@@ -1,26 +1,53 @@
 const crypto = require("crypto");
+const WebSocket = require('ws');
 const RateLimitedQueue = require('./classes/RateLimitedQueue');
-const { klines, fetchMyOrders, tickerPrice, userAsset, fetchMyAccount, placeOrder, cancelOrder, cancelAndReplace, exchangeInfo, depth } = require('../utils/binance-spot');
+const OrderLedger = require('./classes/OrderLedger');
+const { createExchangeAdapter, ExchangeError } = require('./exchanges');
 const { plusPercent, minusPercent, calculateProfit, timePassed, wait } = require('../utils/helpers');
 const TimeManager = require('./TimeManager');
+const TradeJournal = require('./classes/TradeJournal');
+const MarketDataStore = require('./classes/MarketDataStore');
+const MarketDataRecorder = require('./classes/MarketDataRecorder');
+const Candle = require('../analysis/Candle');
+const OrderBook = require('../analysis/OrderBook');
+const SymbolRules = require('./classes/SymbolRules');
 
 class ExchangeManager {
+    // Calls that change orders or margin debt, a network fault leaves open whether they were executed so they aren't retried
+    static ORDER_METHODS = [
+        'placeOrder', 'cancelOrder', 'cancelAndReplace', 'placeOcoOrder', 'cancelOrderList',
+        'placeMarginOrder', 'cancelMarginOrder', 'placeMarginOcoOrder', 'cancelMarginOrderList', 'marginBorrow', 'marginRepay'
+    ];
+
     constructor(config) {
         this.config = config;
         //this.timeCheckInterval = null;
         this.queue = new RateLimitedQueue(1100, 1800, 20);
         this.timeManager = new TimeManager(this.config, this.makeQueuedReq.bind(this)); //// Initialize TimeManager Pass the queued request method
-        this.exchangeInfo = {};
+        this.defaultExchange = config.exchange || 'binance'; // pairs without an "exchange" in pairs.json trade here
+        this.venues = new Map(); // exchange name -> venue, see getVenue
+        this.journal = new TradeJournal(config.journalFile);
+        this.stateFile = config.stateFile; // where the bot snapshots its runtime state for this account
+        this.orderUpdateSubscribers = [];
+        this.orderRejectionSubscribers = [];
+        this.referencePrices = new Map(); // symbol -> last close, what order prices are checked against
+        this.recorder = null; // set in init() when config.recordMarketData is on
+        this.marketFeed = null; // streamed klines and depth preferred over REST, set by the engine (bot/Engine.js)
     }
 
     // Initialization method
     async init() {
         try {
-            // Fetch exchange info only once during initialization
-            console.log('Fetching exchange information');
-            this.exchangeInfo = await this.fetchExchangeInfo();
-            console.log('Exchange information loaded');
+            // Other venues are loaded once their first pair is fetched
+            await this.loadVenue(this.getVenue());
             this.timeManager.startTimeCheck();// Start time checks
+            if (this.config.recordMarketData) {
+                this.recorder = new MarketDataRecorder({
+                    store: new MarketDataStore(this.config.marketDataDir),
+                    request: this.makeQueuedReq.bind(this),
+                    depthInterval: this.config.marketDataDepthInterval
+                });
+            }
 
             //this.initialized = true;  
             console.log('\x1b[42m%s\x1b[0m', 'Exchange Manager initialized successfully');
@@ -46,6 +73,242 @@ class ExchangeManager {
             });
         });
     }
+    /**
+     * A venue holds what the bot keeps per exchange: its adapter, exchangeInfo, order ledger and user stream.
+     * Pair keys are unique in pairs.json, so a symbol only ever trades on one venue.
+     * @param {Object|string} [pairOrName] - A pair (its `exchange` setting) or an exchange name, the default venue without one
+     */
+    getVenue(pairOrName = null) {
+        const name = (typeof pairOrName === 'string' ? pairOrName : pairOrName?.exchange) || this.defaultExchange;
+        if (!this.venues.has(name)) {
+            this.venues.set(name, {
+                name,
+                adapter: createExchangeAdapter(name),
+                exchangeInfo: null,
+                symbolRules: new Map(), // symbol -> SymbolRules, see getSymbolRules
+                ledger: new OrderLedger(),
+                userStream: { socket: null, keepAliveInterval: null, connected: false }
+            });
+        }
+        return this.venues.get(name);
+    }
+
+    /**
+     * Fetches the venue's exchangeInfo once and follows its user data stream
+     */
+    async loadVenue(venue) {
+        if (venue.exchangeInfo) return venue;
+        console.log(`Fetching ${venue.name} exchange information`);
+        const info = await this.request(venue, 'exchangeInfo');
+        if (!Array.isArray(info?.symbols)) throw new Error(`Loading ${venue.name} exchange information failed: ${info?.error}: ${info?.details}`);
+        venue.exchangeInfo = info;
+        console.log(`${venue.name} exchange information loaded`);
+        if (this.config.userDataStream) await this.connectUserDataStream(venue);
+        return venue;
+    }
+
+    /**
+     * Calls an ExchangeAdapter method of the pair's venue through the rate limited queue,
+     * retrying failures retryDelay allows. The last failure is returned as an ExchangeError.
+     * @param {Object} pairOrVenue - A pair or a venue from getVenue
+     * @param {string} method - e.g. 'placeOrder'
+     */
+    async request(pairOrVenue, method, ...args) {
+        const { adapter, name } = pairOrVenue.adapter ? pairOrVenue : this.getVenue(pairOrVenue);
+        for (let attempt = 1; ; attempt++) {
+            const response = await this.makeQueuedReq((...params) => adapter[method](...params), ...args);
+            const delay = await this.retryDelay(method, response, attempt);
+            if (delay === null) return response;
+            console.warn(`${name} ${method} failed (${response.category}: ${response.details}), retry ${attempt} in ${delay}ms`);
+            await wait(delay);
+        }
+    }
+
+    /**
+     * Retry policy per ExchangeError category, up to config.apiMaxRetries times with a backoff doubling from
+     * config.apiRetryDelay: rate limits wait at least the exchange's Retry-After (and hold back the whole queue),
+     * a timestamp skew is retried once after the clock was resynchronized, network faults only for calls that
+     * don't change orders. Balance, unknown order and other rejections are final.
+     * @returns {Promise<number|null>} ms to wait before the next attempt, null to give up
+     */
+    async retryDelay(method, response, attempt) {
+        if (!response?.error || attempt > (this.config.apiMaxRetries ?? 3)) return null;
+        const backoff = (this.config.apiRetryDelay ?? 1000) * 2 ** (attempt - 1);
+        switch (response.category) {
+            case ExchangeError.RATE_LIMIT: {
+                // Requests sent during the wait count against the limit and end in an IP ban (418)
+                const delay = Math.max(response.retryAfter || 0, backoff);
+                this.queue.pause(delay);
+                return delay <= (this.config.apiMaxRetryAfter ?? 60000) ? delay : null;
+            }
+            case ExchangeError.TIMESTAMP:
+                return attempt === 1 && await this.timeManager.resynchronizeTime() ? 0 : null;
+            case ExchangeError.NETWORK:
+                return ExchangeManager.ORDER_METHODS.includes(method) ? null : backoff;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * exchangeInfo entry of the pair's symbol on its venue
+     */
+    getSymbolInfo(pair) {
+        const symbolInfo = this.getVenue(pair).exchangeInfo?.symbols.find(s => s.symbol === pair.joinedPair);
+        if (!symbolInfo) throw new Error(`Symbol info not found for ${pair.joinedPair}`);
+        return symbolInfo;
+    }
+
+    /**
+     * SymbolRules of the pair's symbol, built once from its exchangeInfo filters
+     */
+    getSymbolRules(pair) {
+        const { symbolRules } = this.getVenue(pair);
+        if (!symbolRules.has(pair.joinedPair)) symbolRules.set(pair.joinedPair, new SymbolRules(this.getSymbolInfo(pair)));
+        return symbolRules.get(pair.joinedPair);
+    }
+
+    /**
+     * Validates orders against the symbol's filters before they are sent. A rejection is returned in the
+     * shape of a failed request, with the broken filters in `rejections`, and passed to the
+     * subscribeToOrderRejections callbacks.
+     * @param {Object[]} legs - { side, type, price, stopPrice, quantity }, placed together
+     * @param {Function} [isReplaced] - Picks the open orders the new legs replace, they don't count towards MAX_NUM_ORDERS
+     * @param {Object} [options]
+     * @param {boolean} [options.isolated] - The legs go to the pair's isolated margin account, whose open orders count
+     * @returns {Promise<Object|null>} null when the orders pass
+     */
+    async checkOrder(pair, legs, isReplaced = () => false, { isolated = false } = {}) {
+        const rules = this.getSymbolRules(pair);
+        let openOrders = null;
+        if (rules.countsOrders) {
+            const orders = isolated ? await this.request(pair, 'fetchMarginOpenOrders', pair.joinedPair) : this.isLedgerLive(pair)
+                ? this.getVenue(pair).ledger.getOrders(pair.joinedPair, Infinity).filter(order => ['NEW', 'PARTIALLY_FILLED'].includes(order.status))
+                : await this.fetchOpenOrders(pair);
+            // Counts are left to the exchange when the open orders can't be fetched
+            if (Array.isArray(orders)) openOrders = orders.filter(order => !isReplaced(order));
+        }
+        const rejections = rules.validate(legs, { referencePrice: this.referencePrices.get(pair.joinedPair), openOrders });
+        if (!rejections.length) return null;
+
+        const rejection = {
+            error: 'Order rejected by symbol filters',
+            details: rejections.map(r => `${r.filter}: ${r.reason}`).join('; '),
+            rejections,
+            params: legs
+        };
+        console.warn(`${pair.key} order rejected before sending:`, rejection.details);
+        this.orderRejectionSubscribers.forEach(callback => callback(pair, rejection));
+        return rejection;
+    }
+
+    /**
+     * Follows a venue's user data stream: executionReport and outboundAccountPosition events keep
+     * its ledger current, so fetchPairData can skip allOrders. While disconnected, and once per symbol
+     * after every (re)connect, orders come from REST again.
+     */
+    async connectUserDataStream(venue = this.getVenue()) {
+        const { userStream, ledger } = venue;
+        const stream = await this.request(venue, 'openUserStream');
+        if (!stream?.url) {
+            console.error(`Could not start ${venue.name} user data stream, polling orders instead:`, stream?.error ? `${stream.error}: ${stream.details}` : stream);
+            this.scheduleUserDataReconnect(venue);
+            return;
+        }
+        clearInterval(userStream.keepAliveInterval);
+
+        return new Promise((resolve) => {
+            const socket = new WebSocket(stream.url);
+            socket.on('open', async () => {
+                try {
+                    await stream.onOpen?.(socket);
+                } catch (error) {
+                    console.error(`${venue.name} user data stream unusable:`, error.message);
+                    socket.close();
+                    return;
+                }
+                console.log('\x1b[42m%s\x1b[0m', `Connected to ${venue.name} user data stream`);
+                if (stream.keepAlive) userStream.keepAliveInterval = setInterval(() => stream.keepAlive(socket), stream.keepAliveInterval);
+                // Events sent while we were away are lost, every symbol is re-read from REST once
+                ledger.invalidate();
+                userStream.connected = true;
+                await this.syncLedgerBalances(venue);
+                resolve();
+            });
+            socket.on('message', (data) => {
+                try {
+                    stream.toEvents(JSON.parse(data)).forEach(event => this.handleUserDataEvent(venue, event));
+                } catch (error) {
+                    console.error('Error handling user data event:', error);
+                }
+            });
+            socket.on('error', (error) => console.error(`${venue.name} user data stream error:`, error.message));
+            socket.on('close', () => {
+                console.log('\x1b[41m%s\x1b[0m', `${venue.name} user data stream disconnected, polling orders until it reconnects`);
+                userStream.connected = false;
+                ledger.invalidate();
+                clearInterval(userStream.keepAliveInterval);
+                this.scheduleUserDataReconnect(venue);
+                resolve(); // a failed first connect falls back to polling instead of blocking init
+            });
+            userStream.socket = socket;
+        });
+    }
+
+    scheduleUserDataReconnect(venue) {
+        setTimeout(() => this.connectUserDataStream(venue), this.config.userDataReconnectDelay || 5000);
+    }
+
+    async syncLedgerBalances(venue) {
+        const account = await this.request(venue, 'fetchMyAccount');
+        if (Array.isArray(account?.balances)) venue.ledger.setBalances(account.balances);
+    }
+
+    handleUserDataEvent(venue, event) {
+        switch (event.e) {
+            case 'executionReport': {
+                const order = venue.ledger.applyExecutionReport(event);
+                this.orderUpdateSubscribers.forEach(callback => callback(order, event));
+                break;
+            }
+            case 'outboundAccountPosition':
+                venue.ledger.applyAccountPosition(event);
+                break;
+            case 'listenKeyExpired':
+                venue.userStream.socket?.close(); // reconnects with a fresh key
+                break;
+        }
+    }
+
+    /**
+     * @param {Function} callback - Called with (order, executionReport) for every order update from the stream
+     */
+    subscribeToOrderUpdates(callback) {
+        this.orderUpdateSubscribers.push(callback);
+    }
+
+    /**
+     * @param {Function} callback - Called with (pair, rejection) for every order that failed checkOrder
+     */
+    subscribeToOrderRejections(callback) {
+        this.orderRejectionSubscribers.push(callback);
+    }
+
+    /**
+     * Distrusts what the ledger knows about a pair after the exchange contradicted it (an unknown order,
+     * missing funds): its orders are read from REST again next round, the balances right away
+     */
+    async resyncLedger(pair) {
+        const venue = this.getVenue(pair);
+        venue.ledger.invalidate(pair.joinedPair);
+        if (venue.userStream.connected) await this.syncLedgerBalances(venue);
+    }
+
+    isLedgerLive(pair) {
+        const { userStream, ledger } = this.getVenue(pair);
+        return userStream.connected && ledger.isSynced(pair.joinedPair);
+    }
+
     /**
     * Generates a unique order ID
     */
@@ -55,9 +318,8 @@ class ExchangeManager {
     /**
      * Gets precision for price and quantity from exchange filters
      */
-    _getPrecision(pairSymbol) {
-        const symbolInfo = this.exchangeInfo.symbols.find(s => s.symbol === pairSymbol);
-        if (!symbolInfo) throw new Error(`Symbol info not found for ${pairSymbol}`);
+    _getPrecision(pair) {
+        const symbolInfo = this.getSymbolInfo(pair);
 
         const getDecimalPlaces = (value) => {
         const parts = parseFloat(value).toString().split('.');
@@ -80,127 +342,377 @@ class ExchangeManager {
         return parts[1] ? parts[1].length : 0;
     }
 
-    // New method to fetch and store exchangeInfo only once
-    async fetchExchangeInfo() {
-        return await this.makeQueuedReq(exchangeInfo);
-    }
-
     async fetchPairData(pair, timeframe1, timeframe2) {
-        return Promise.all([
-            this.makeQueuedReq(klines, pair.joinedPair, timeframe1),
-            this.makeQueuedReq(klines, pair.joinedPair, timeframe2),
-            pair.tradeable ? this.makeQueuedReq(fetchMyOrders, pair.joinedPair) : [], // pair.tradeable ? this.makeQueuedReq(fetchMyOrders, pair.joinedPair) : [],
+        const venue = this.getVenue(pair);
+        try {
+            await this.loadVenue(venue);
+        } catch (error) {
+            const failure = { error: error.message };
+            return [failure, failure, [], null];
+        }
+        const fromLedger = pair.tradeable && this.isLedgerLive(pair);
+        let orders = [];
+        if (fromLedger) orders = venue.ledger.getOrders(pair.joinedPair);
+        else if (pair.tradeable) orders = this.request(venue, 'fetchMyOrders', pair.joinedPair);
+        const data = await Promise.all([
+            this.getKlines(venue, pair, timeframe1),
+            this.getKlines(venue, pair, timeframe2),
+            orders, // pair.tradeable ? this.makeQueuedReq(fetchMyOrders, pair.joinedPair) : [],
             //this.makeQueuedReq(tickerPrice, pair.joinedPair)   // pair.tradeable ? this.makeQueuedReq(tickerPrice, pair.joinedPair) : null
-            this.makeQueuedReq(depth, pair.joinedPair)
+            this.marketFeed?.getDepth(pair.joinedPair) || this.request(venue, 'depth', pair.joinedPair)
         ]);
+        // A REST snapshot taken while the stream is up seeds the ledger for the following rounds
+        if (pair.tradeable && !fromLedger && venue.userStream.connected && Array.isArray(data[2])) {
+            venue.ledger.resetOrders(pair.joinedPair, data[2]);
+        }
+        if (pair.tradeable) await this.syncJournal(pair, data[2]);
+        this.recorder?.recordPairData(
+            pair.joinedPair,
+            { [timeframe1]: data[0], [timeframe2]: data[1] },
+            data[3],
+            venue.exchangeInfo.symbols.find(s => s.symbol === pair.joinedPair)
+        );
+        return this.toMarketData(pair, data, [timeframe1, timeframe2], Date.now());
+    }
+
+    /**
+     * Klines from the market feed while its stream is live, from REST otherwise. A REST answer
+     * seeds the feed again, so a stream that lost candles is followed from there.
+     */
+    async getKlines(venue, pair, timeframe) {
+        const streamed = this.marketFeed?.getKlines(pair.joinedPair, timeframe);
+        if (streamed) return streamed;
+        const klines = await this.request(venue, 'klines', pair.joinedPair, timeframe);
+        this.marketFeed?.seedKlines(pair.joinedPair, timeframe, klines);
+        return klines;
+    }
+
+    /**
+     * Raw [klines, klines, orders, depth] as [Candle[], Candle[], orders, OrderBook|null]. Klines that fail
+     * validation become { error } like a failed request, a bad depth snapshot becomes null.
+     * The last primary close becomes the symbol's reference price for checkOrder.
+     * @param {number} now - Candles closing after it are marked live
+     */
+    toMarketData(pair, [klinesPrimary, klinesSecondary, orders, depth], timeframes, now) {
+        const toCandles = (klines, timeframe) => {
+            if (!Array.isArray(klines)) return klines?.error ? klines : { error: `No ${pair.joinedPair} ${timeframe} klines` };
+            try {
+                return Candle.fromKlines(klines, now);
+            } catch (error) {
+                return { error: `Invalid ${pair.joinedPair} ${timeframe} klines: ${error.message}` };
+            }
+        };
+        let orderBook = null;
+        if (depth && !depth.error) {
+            try {
+                orderBook = OrderBook.fromDepth(depth, depth.time ?? now);
+            } catch (error) {
+                console.warn(`Invalid ${pair.joinedPair} order book: ${error.message}`);
+            }
+        }
+        const candles = toCandles(klinesPrimary, timeframes[0]);
+        if (Array.isArray(candles) && candles.length) this.referencePrices.set(pair.joinedPair, candles[candles.length - 1].close);
+        return [candles, toCandles(klinesSecondary, timeframes[1]), orders, orderBook];
+    }
+
+    /**
+     * Journals fills and outside cancellations found in the latest order snapshots
+     * @param {string} [tradesMethod] - Adapter call for the orders' trades, fetchMarginTrades for isolated margin orders
+     */
+    async syncJournal(pair, orders, tradesMethod = 'fetchMyTrades') {
+        if (!Array.isArray(orders)) return;
+        const symbolInfo = this.getVenue(pair).exchangeInfo?.symbols.find(s => s.symbol === pair.joinedPair);
+        if (!symbolInfo) return;
+        for (const order of orders) {
+            if (this.journal.pendingFill(order)) {
+                // allOrders carries no commission, myTrades for the order does
+                const trades = await this.request(pair, tradesMethod, pair.joinedPair, { orderId: order.orderId });
+                this.journal.recordFill(order, symbolInfo, trades);
+            }
+            this.journal.recordClosed(order);
+        }
+    }
+
+    async fetchOpenOrders(pair) {
+        return await this.request(pair, 'fetchOpenOrders', pair.joinedPair);
+    }
+
+    async getOrder(pair, orderId) {
+        return await this.request(pair, 'getOrder', pair.joinedPair, orderId);
     }
 
+    /**
+     * @returns {Promise<Array|Object>} [base, quote] balances of the pair, or the ExchangeError reading them failed with
+     */
     async getBalances(pair) {
-        const assetKey = pair.split("_")[0];
-        const stableKey = pair.split("_")[1];
+        const assetKey = pair.key.split("_")[0];
+        const stableKey = pair.key.split("_")[1];
         //console.log(assetKey, stableKey);
         const TESTNET = process.env.TESTNET == 'true';
+        const { userStream, ledger } = this.getVenue(pair);
         let baseAsset;
         let quoteAsset;
+        if (userStream.connected && ledger.balancesSynced) {
+            return [ledger.getBalance(assetKey), ledger.getBalance(stableKey)];
+        }
         if (TESTNET) {
-            const wallet = await this.makeQueuedReq(fetchMyAccount);
+            const wallet = await this.request(pair, 'fetchMyAccount');
+            if (wallet.error) return wallet;
             baseAsset = wallet.balances.find(asset => asset.asset == assetKey)
             quoteAsset = wallet.balances.find(asset => asset.asset == stableKey)
         } else {
             [baseAsset, quoteAsset] = await Promise.all([
-                this.makeQueuedReq(userAsset, assetKey),
-                this.makeQueuedReq(userAsset, stableKey)
+                this.request(pair, 'userAsset', assetKey),
+                this.request(pair, 'userAsset', stableKey)
             ]);
+            if (baseAsset.error || quoteAsset.error) return baseAsset.error ? baseAsset : quoteAsset;
             baseAsset = baseAsset[0]
             quoteAsset = quoteAsset[0]
         }
         //console.log(baseAsset, quoteAsset);
+        // Assets the account never held aren't listed
         return [
-            baseAsset,
-            quoteAsset
+            baseAsset || { asset: assetKey, free: '0', locked: '0' },
+            quoteAsset || { asset: stableKey, free: '0', locked: '0' }
         ];
     }
 
-    async placeBuyOrder(pair, price) {
+    /**
+     * @param {number} [quoteQty] - Quote to spend, the pair's orderQty by default
+     */
+    async placeBuyOrder(pair, price, quoteQty = pair.orderQty) {
         console.log(`Placing buy order for ${pair.key}`);
-        const balances = await this.getBalances(pair.key);
+        const balances = await this.getBalances(pair);
+        if (balances.error) return balances;
         const quoteAsset = balances[1];
-        if (quoteAsset.free < pair.orderQty) {
+        if (quoteAsset.free < quoteQty) {
             console.warn('Not enough balance to place buy order.');
-            return;
+            return this.insufficientBalance(pair, 'BUY', quoteAsset, quoteQty);
         }
-        const filters = this.exchangeInfo.symbols.find(symbol => symbol.symbol == pair.joinedPair).filters;
-        const priceDecimals = this.getDecimals(filters.find(f => f.filterType === 'PRICE_FILTER').tickSize);
-        const qtyDecimals = this.getDecimals(filters.find(f => f.filterType === 'LOT_SIZE').stepSize);
+        const rules = this.getSymbolRules(pair);
         //
         /*
         minusPercent(this.precisionEntry || this.currentPair.belowPrice, this.currentPrice);//its done over the bot side,, opuaj
         */
         //const buyPrice = minusPercent(pair.belowPrice, currentPrice).toFixed(priceDecimals);
-        const buyPrice = price.toFixed(priceDecimals);
-        const qty = (pair.orderQty / buyPrice).toFixed(qtyDecimals);
-        const order = await this.makeQueuedReq(placeOrder, pair.joinedPair, 'BUY', 'LIMIT', { price: buyPrice, quantity: qty, timeInForce: 'GTC', newClientOrderId: this.generateOrderId() });
+        const buyPrice = rules.normalizePrice(price);
+        const qty = rules.normalizeQuantity(quoteQty / buyPrice);
+        const rejection = await this.checkOrder(pair, [{ side: 'BUY', type: 'LIMIT', price: buyPrice, quantity: qty }]);
+        const order = rejection || await this.request(pair, 'placeOrder', pair.joinedPair, 'BUY', 'LIMIT', { price: buyPrice, quantity: qty, timeInForce: 'GTC', newClientOrderId: this.generateOrderId() });
+        this.journal.recordOrder(pair.joinedPair, order, { side: 'BUY', price: buyPrice, origQty: qty });
         return order;
     }
 
-    async placeSellOrder(pair, lastOrder, price) {
+    // The failure the exchange would answer an order the free balance can't cover with
+    insufficientBalance(pair, side, balance, needed) {
+        return new ExchangeError('placeOrder', {
+            category: ExchangeError.INSUFFICIENT_BALANCE,
+            details: `${balance.free} ${balance.asset} free, ${needed} needed`,
+            params: [pair.joinedPair, side]
+        });
+    }
+
+    /**
+     * Quantity of a filled buy that can be sold: executed qty minus the fee, capped at the free balance
+     * and rounded down to LOT_SIZE
+     */
+    getSellQuantity(rules, lastOrder, baseAsset) {
+        // Calculate quantity after fee (0.15% total fee)
+        const qty = minusPercent(0.1, lastOrder.executedQty);
+        
+        // Ensure we don't exceed available balance
+        return rules.normalizeQuantity(Math.min(qty, parseFloat(baseAsset.free)));
+    }
+
+    /**
+     * @param {Object|null} lastOrder - The filled BUY the sell closes
+     * @param {number} [quantity] - Sells a known quantity (capped at the free balance) instead of the buy's
+     */
+    async placeSellOrder(pair, lastOrder, price, quantity = null) {
         console.log(`Placing sell order for ${pair.key}`);
-        const balances = await this.getBalances(pair.key);
+        const balances = await this.getBalances(pair);
+        if (balances.error) return balances;
         const baseAsset = balances[0];
         if (baseAsset.free <= 0) {
             console.warn('Not enough balance to place sell order.');
-            return;
+            return this.insufficientBalance(pair, 'SELL', baseAsset, quantity ?? lastOrder.executedQty);
         }
         
-        const filters = this.exchangeInfo.symbols.find(symbol => symbol.symbol == pair.joinedPair).filters;
-        const priceDecimals = this.getDecimals(filters.find(f => f.filterType === 'PRICE_FILTER').tickSize);
+        const rules = this.getSymbolRules(pair);
         //const sellPrice = plusPercent(pair.profitMgn, lastOrder.price).toFixed(priceDecimals);
-        const sellPrice = Number(price).toFixed(priceDecimals);
+        const sellPrice = rules.normalizePrice(price);
+        const qty = quantity === null
+            ? this.getSellQuantity(rules, lastOrder, baseAsset)
+            : rules.normalizeQuantity(Math.min(quantity, parseFloat(baseAsset.free)));
         
-        const lotSizeFilter = filters.find(f => f.filterType === 'LOT_SIZE');
-        const qtyDecimals = this.getDecimals(lotSizeFilter.stepSize);
-        
-        // Calculate quantity after fee (0.15% total fee)
-        let qty = minusPercent(0.1, lastOrder.executedQty);
-        
-        // Truncate to required decimals without rounding
-        qty = this.truncateToDecimals(qty, qtyDecimals);
-        
-        // Ensure we don't exceed available balance
-        qty = Math.min(qty, parseFloat(baseAsset.free));
-        
-        const order = await this.makeQueuedReq(placeOrder, pair.joinedPair, 'SELL', 'LIMIT', { 
+        const rejection = await this.checkOrder(pair, [{ side: 'SELL', type: 'LIMIT', price: sellPrice, quantity: qty }]);
+        const order = rejection || await this.request(pair, 'placeOrder', pair.joinedPair, 'SELL', 'LIMIT', { 
             price: sellPrice, 
-            quantity: qty.toString(), // Pass as string to avoid any number conversion issues
+            quantity: qty,
             timeInForce: 'GTC', 
             newClientOrderId: this.generateOrderId() 
         });
+        this.journal.recordOrder(pair.joinedPair, order, { side: 'SELL', price: sellPrice, origQty: qty });
         return order;
     }
     
+    /**
+     * Places exchange-side protection for a filled buy: an OCO (LIMIT_MAKER take profit above,
+     * STOP_LOSS_LIMIT below) or a lone STOP_LOSS_LIMIT, depending on config.protectiveOrderType.
+     * Without a take profit price only the stop is placed.
+     * @param {Object} lastOrder - The filled BUY
+     * @param {number} [quantity] - Reuses a known quantity instead of deriving it from the buy
+     */
+    async placeProtectiveOrder(pair, lastOrder, stopPrice, takeProfitPrice, quantity = null) {
+        const rules = this.getSymbolRules(pair);
+        let qty = quantity === null ? null : rules.normalizeQuantity(quantity);
+        if (qty === null) {
+            const balances = await this.getBalances(pair);
+            if (balances.error) return balances;
+            const [baseAsset] = balances;
+            if (baseAsset.free <= 0) {
+                console.warn('Not enough balance to place protective order.');
+                return this.insufficientBalance(pair, 'SELL', baseAsset, lastOrder.executedQty);
+            }
+            qty = this.getSellQuantity(rules, lastOrder, baseAsset);
+        }
+        const protection = this.buildProtection(pair, qty, stopPrice, takeProfitPrice);
+        const rejection = await this.checkOrder(pair, protection.legs);
+        if (rejection) {
+            this.recordOrderList(pair, rejection, protection.request);
+            return rejection;
+        }
+        return this.sendProtection(pair, protection);
+    }
+
+    /**
+     * Prices and legs of a protective order, on the symbol's tick grid.
+     * The stop's limit price sits config.stopLimitOffset % past the trigger so it still fills on a gap:
+     * under it for a long's SELL, above it for the BUY covering a short.
+     */
+    buildProtection(pair, qty, stopPrice, takeProfitPrice, side = 'SELL') {
+        const rules = this.getSymbolRules(pair);
+        const isOco = this.config.protectiveOrderType === 'OCO' && !!takeProfitPrice && this.getVenue(pair).adapter.supportsOco;
+        const stop = rules.normalizePrice(stopPrice);
+        const offset = this.config.stopLimitOffset || 0;
+        const stopLimit = rules.normalizePrice(side === 'SELL' ? minusPercent(offset, stopPrice) : plusPercent(offset, stopPrice));
+        const stopLeg = { side, type: 'STOP_LOSS_LIMIT', price: stopLimit, stopPrice: stop, quantity: qty };
+        if (!isOco) {
+            return { isOco, qty, stop, stopLimit, legs: [stopLeg], request: { side, type: 'STOP_LOSS_LIMIT', price: stopLimit, stopPrice: stop, origQty: qty } };
+        }
+        const takeProfit = rules.normalizePrice(takeProfitPrice);
+        return {
+            isOco, qty, stop, stopLimit, takeProfit,
+            legs: [{ side, type: 'LIMIT_MAKER', price: takeProfit, quantity: qty }, stopLeg],
+            request: { side, type: 'OCO', price: takeProfit, stopPrice: stop, origQty: qty }
+        };
+    }
+
+    async sendProtection(pair, { isOco, qty, stop, stopLimit, takeProfit, request }) {
+        console.log(`Placing ${isOco ? 'OCO' : 'STOP'} protection for ${pair.key}`);
+        if (isOco) {
+            const orderList = await this.request(pair, 'placeOcoOrder', pair.joinedPair, 'SELL', qty, {
+                abovePrice: takeProfit,
+                belowStopPrice: stop,
+                belowPrice: stopLimit,
+                belowTimeInForce: 'GTC',
+                listClientOrderId: this.generateOrderId()
+            });
+            this.recordOrderList(pair, orderList, request);
+            return orderList;
+        }
+
+        const order = await this.request(pair, 'placeOrder', pair.joinedPair, 'SELL', 'STOP_LOSS_LIMIT', {
+            price: stopLimit,
+            stopPrice: stop,
+            quantity: qty,
+            timeInForce: 'GTC',
+            newClientOrderId: this.generateOrderId()
+        });
+        this.journal.recordOrder(pair.joinedPair, order, request);
+        return order;
+    }
+
+    // Journals each leg of an orderList response
+    recordOrderList(pair, orderList, request) {
+        if (!orderList || orderList.error) {
+            this.journal.recordOrder(pair.joinedPair, orderList, request);
+            return;
+        }
+        // Margin lists flag the list, not its reports
+        (orderList.orderReports || []).forEach(report => this.journal.recordOrder(pair.joinedPair, orderList.isIsolated ? { ...report, isIsolated: true } : report));
+    }
+
+    /**
+     * Cancels the protection a leg belongs to, the whole list for OCO legs
+     */
+    async cancelProtectiveOrder(pair, order) {
+        if (order.orderListId === undefined || order.orderListId === -1) {
+            return this.cancelOrder(pair, order);
+        }
+        const orderList = await this.request(pair, 'cancelOrderList', pair.joinedPair, order.orderListId);
+        if (!orderList || orderList.error) {
+            this.journal.recordCancel(pair.joinedPair, order.orderId, orderList);
+        } else {
+            (orderList.orderReports || []).forEach(report => this.journal.recordCancel(pair.joinedPair, report.orderId, report));
+        }
+        return orderList;
+    }
+
+    /**
+     * Moves the stop of existing protection: cancelReplace for a lone stop, cancel + new list for an OCO
+     * (Binance can't amend orders in place). Keeps the unfilled quantity of the current leg.
+     * The new orders are checked first, so protection that would be rejected isn't cancelled.
+     */
+    async amendProtectiveOrder(pair, order, stopPrice, takeProfitPrice) {
+        console.log(`Moving ${pair.key} stop to ${stopPrice}`);
+        const remainingQty = this.getSymbolRules(pair).normalizeQuantity(parseFloat(order.origQty) - parseFloat(order.executedQty));
+        if (order.orderListId !== undefined && order.orderListId !== -1) {
+            const protection = this.buildProtection(pair, remainingQty, stopPrice, takeProfitPrice);
+            const rejection = await this.checkOrder(pair, protection.legs, open => open.orderListId === order.orderListId);
+            if (rejection) {
+                this.journal.recordReplace(pair.joinedPair, order.orderId, rejection);
+                return rejection;
+            }
+            const cancelled = await this.cancelProtectiveOrder(pair, order);
+            if (!cancelled || cancelled.error) return cancelled;
+            return this.sendProtection(pair, protection);
+        }
+
+        const { stop, stopLimit, legs } = this.buildProtection(pair, remainingQty, stopPrice, null);
+        const rejection = await this.checkOrder(pair, legs, open => open.orderId === order.orderId);
+        const replaced = rejection || await this.request(pair, 'cancelAndReplace', pair.joinedPair, 'SELL', 'STOP_LOSS_LIMIT', {
+            cancelOrderId: order.orderId,
+            quantity: remainingQty,
+            price: stopLimit,
+            stopPrice: stop,
+            timeInForce: 'GTC',
+            newClientOrderId: this.generateOrderId()
+        });
+        this.journal.recordReplace(pair.joinedPair, order.orderId, replaced);
+        return replaced;
+    }
+
     async cancelOrder(pair, lastOrder) {
-        const order = await this.makeQueuedReq(cancelOrder, pair.joinedPair, lastOrder.orderId);
+        const order = await this.request(pair, 'cancelOrder', pair.joinedPair, lastOrder.orderId);
+        this.journal.recordCancel(pair.joinedPair, lastOrder.orderId, order);
         return order;
     }
 
     // async cancelAndSellToCurrentPrice(pair, lastOrder, currentPrice, partial=false) {
     //     console.log('Cancelling and Selling to current price.');
     //     const qty = partial ? lastOrder.executedQty : lastOrder.origQty;
-    //     const order = await this.makeQueuedReq(cancelAndReplace, pair.joinedPair, 'SELL', 'LIMIT', { cancelOrderId: lastOrder.orderId, quantity: qty, price: currentPrice, timeInForce: 'GTC' });
+    //     const order = await this.request(pair, 'cancelAndReplace', pair.joinedPair, 'SELL', 'LIMIT', { cancelOrderId: lastOrder.orderId, quantity: qty, price: currentPrice, timeInForce: 'GTC' });
     //     return order;
     // }
     async cancelAndSellToCurrentPrice(pair, lastOrder, currentPrice, partial = false) {
         console.log('Cancelling and Selling to current price.');
     
-        // Get filters for the pair
-        const filters = this.exchangeInfo.symbols.find(symbol => symbol.symbol === pair.joinedPair).filters;
-    
-        // Get decimal precision
-        //const priceDecimals = this.getDecimals(filters.find(f => f.filterType === 'PRICE_FILTER').tickSize);
-        const qtyDecimals = this.getDecimals(filters.find(f => f.filterType === 'LOT_SIZE').stepSize);
+        // Get the symbol's filters
+        const rules = this.getSymbolRules(pair);
     
         // Format price
-        const price = parseFloat(currentPrice);
+        const price = rules.normalizePrice(currentPrice);
     
         // Determine quantity
         let qty;
@@ -210,19 +722,290 @@ class ExchangeManager {
             qty = parseFloat(lastOrder.origQty);
         }
     
-        // Truncate to required quantity decimals
-        qty = this.truncateToDecimals(qty, qtyDecimals);
+        // Round down to the lot step
+        qty = rules.normalizeQuantity(qty);
+    
+        // Check before cancelling, a rejected sell would leave the position without its order
+        const rejection = await this.checkOrder(pair, [{ side: 'SELL', type: 'LIMIT', price, quantity: qty }], open => open.orderId === lastOrder.orderId);
     
         // Place the cancel and replace order
-        const order = await this.makeQueuedReq(cancelAndReplace, pair.joinedPair, 'SELL', 'LIMIT', {
+        const order = rejection || await this.request(pair, 'cancelAndReplace', pair.joinedPair, 'SELL', 'LIMIT', {
             cancelOrderId: lastOrder.orderId,
-            quantity: qty.toString(),
+            quantity: qty,
             price,
             timeInForce: 'GTC'
         });
+        this.journal.recordReplace(pair.joinedPair, lastOrder.orderId, order);
     
         return order;
     }
+
+    /**
+     * The pair's isolated margin account, see ExchangeAdapter.isolatedMarginAccount
+     */
+    async getMarginAccount(pair) {
+        return await this.request(pair, 'isolatedMarginAccount', pair.joinedPair);
+    }
+
+    /**
+     * Recent orders of the pair's isolated margin account, their fills are journaled as they show up
+     */
+    async fetchMarginOrders(pair) {
+        const orders = await this.request(pair, 'fetchMarginOrders', pair.joinedPair);
+        await this.syncJournal(pair, orders, 'fetchMarginTrades');
+        return orders;
+    }
+
+    /**
+     * Opens a short on the pair's isolated margin account: borrows `quantity` of the base asset and places
+     * a limit sell for it. A borrow whose sell fails is repaid right away.
+     */
+    async openShort(pair, price, quantity) {
+        console.log(`Opening short for ${pair.key}`);
+        const [baseAsset] = pair.key.split('_');
+        const rules = this.getSymbolRules(pair);
+        const sellPrice = rules.normalizePrice(price);
+        const qty = rules.normalizeQuantity(quantity);
+        const request = { side: 'SELL', price: sellPrice, origQty: qty, isIsolated: true };
+        const rejection = await this.checkOrder(pair, [{ side: 'SELL', type: 'LIMIT', price: sellPrice, quantity: qty }], undefined, { isolated: true });
+        if (rejection) {
+            this.journal.recordOrder(pair.joinedPair, rejection, request);
+            return rejection;
+        }
+
+        const borrowable = await this.request(pair, 'maxBorrowable', pair.joinedPair, baseAsset);
+        if (borrowable.error) return borrowable;
+        if (parseFloat(borrowable.amount) < qty) {
+            console.warn('Not enough collateral to borrow for a short.');
+            return new ExchangeError('marginBorrow', {
+                category: ExchangeError.INSUFFICIENT_BALANCE,
+                details: `${borrowable.amount} ${baseAsset} borrowable, ${qty} needed`,
+                params: [pair.joinedPair, baseAsset, qty]
+            });
+        }
+        const borrowed = await this.request(pair, 'marginBorrow', pair.joinedPair, baseAsset, qty);
+        this.journal.recordLoan(pair.joinedPair, 'BORROW', baseAsset, qty, borrowed);
+        if (borrowed.error) return borrowed;
+
+        const order = await this.request(pair, 'placeMarginOrder', pair.joinedPair, 'SELL', 'LIMIT', {
+            price: sellPrice,
+            quantity: qty,
+            timeInForce: 'GTC',
+            newClientOrderId: this.generateOrderId()
+        });
+        this.journal.recordOrder(pair.joinedPair, order, request);
+        if (order.error) await this.repayMargin(pair, baseAsset, qty);
+        return order;
+    }
+
+    /**
+     * Protects an open short with BUY orders on its isolated account, the mirror of placeProtectiveOrder:
+     * an OCO (LIMIT_MAKER take profit below, STOP_LOSS_LIMIT above) or a lone stop. What they buy repays
+     * the borrowed coins (AUTO_REPAY).
+     */
+    async placeShortProtection(pair, quantity, stopPrice, takeProfitPrice) {
+        const protection = this.buildProtection(pair, this.getSymbolRules(pair).normalizeQuantity(quantity), stopPrice, takeProfitPrice, 'BUY');
+        protection.request.isIsolated = true;
+        const rejection = await this.checkOrder(pair, protection.legs, undefined, { isolated: true });
+        if (rejection) {
+            this.recordOrderList(pair, rejection, protection.request);
+            return rejection;
+        }
+
+        const { isOco, qty, stop, stopLimit, takeProfit, request } = protection;
+        console.log(`Placing ${isOco ? 'OCO' : 'STOP'} short protection for ${pair.key}`);
+        if (isOco) {
+            const orderList = await this.request(pair, 'placeMarginOcoOrder', pair.joinedPair, 'BUY', qty, {
+                price: takeProfit,
+                stopPrice: stop,
+                stopLimitPrice: stopLimit,
+                stopLimitTimeInForce: 'GTC',
+                sideEffectType: 'AUTO_REPAY',
+                listClientOrderId: this.generateOrderId()
+            });
+            this.recordOrderList(pair, orderList, request);
+            return orderList;
+        }
+
+        const order = await this.request(pair, 'placeMarginOrder', pair.joinedPair, 'BUY', 'STOP_LOSS_LIMIT', {
+            price: stopLimit,
+            stopPrice: stop,
+            quantity: qty,
+            timeInForce: 'GTC',
+            sideEffectType: 'AUTO_REPAY',
+            newClientOrderId: this.generateOrderId()
+        });
+        this.journal.recordOrder(pair.joinedPair, order, request);
+        return order;
+    }
+
+    /**
+     * Buys back a short's coins with a limit order, the bought coins repay the debt (AUTO_REPAY)
+     */
+    async buyBackShort(pair, quantity, price) {
+        console.log(`Buying back ${pair.key} short`);
+        const rules = this.getSymbolRules(pair);
+        const buyPrice = rules.normalizePrice(price);
+        const qty = rules.normalizeQuantity(quantity);
+        const request = { side: 'BUY', price: buyPrice, origQty: qty, isIsolated: true };
+        const rejection = await this.checkOrder(pair, [{ side: 'BUY', type: 'LIMIT', price: buyPrice, quantity: qty }], undefined, { isolated: true });
+        const order = rejection || await this.request(pair, 'placeMarginOrder', pair.joinedPair, 'BUY', 'LIMIT', {
+            price: buyPrice,
+            quantity: qty,
+            timeInForce: 'GTC',
+            sideEffectType: 'AUTO_REPAY',
+            newClientOrderId: this.generateOrderId()
+        });
+        this.journal.recordOrder(pair.joinedPair, order, request);
+        return order;
+    }
+
+    /**
+     * Cancels an order of the pair's isolated account, the whole list for OCO legs
+     */
+    async cancelMarginOrder(pair, order) {
+        const isList = order.orderListId !== undefined && order.orderListId !== -1;
+        const response = isList
+            ? await this.request(pair, 'cancelMarginOrderList', pair.joinedPair, order.orderListId)
+            : await this.request(pair, 'cancelMarginOrder', pair.joinedPair, order.orderId);
+        if (!response || response.error) {
+            this.journal.recordCancel(pair.joinedPair, order.orderId, response);
+        } else {
+            const reports = isList ? (response.orderReports || []) : [response];
+            reports.forEach(report => this.journal.recordCancel(pair.joinedPair, report.orderId, { ...report, isIsolated: true }));
+        }
+        return response;
+    }
+
+    /**
+     * Repays borrowed coins of the pair's isolated account, the accrued interest is paid first
+     */
+    async repayMargin(pair, asset, amount) {
+        const response = await this.request(pair, 'marginRepay', pair.joinedPair, asset, amount);
+        this.journal.recordLoan(pair.joinedPair, 'REPAY', asset, amount, response);
+        return response;
+    }
+
+    /**
+     * Interest charged on the pair's isolated account for `asset` since `startTime`
+     * @returns {Promise<number|Object>} The summed interest, or the ExchangeError fetching it failed with
+     */
+    async getMarginInterest(pair, asset, startTime) {
+        const rows = await this.request(pair, 'fetchMarginInterest', pair.joinedPair, asset, { startTime });
+        if (rows.error) return rows;
+        return rows.reduce((sum, row) => sum + parseFloat(row.interest), 0);
+    }
+
+    /**
+     * Sets the leverage and margin type of the pair's futures symbol. A margin type the symbol already has (-4046) counts as set.
+     */
+    async configureFutures(pair, { leverage, marginType }) {
+        const leverageResponse = await this.request(pair, 'setLeverage', pair.joinedPair, leverage);
+        if (leverageResponse.error) return leverageResponse;
+        const marginResponse = await this.request(pair, 'setMarginType', pair.joinedPair, marginType);
+        if (marginResponse.error && marginResponse.code !== -4046) return marginResponse;
+        return { symbol: pair.joinedPair, leverage: Number(leverageResponse.leverage), marginType };
+    }
+
+    /**
+     * The pair's futures position, see ExchangeAdapter.positionRisk
+     */
+    async getFuturesPosition(pair) {
+        return await this.request(pair, 'positionRisk', pair.joinedPair);
+    }
+
+    /**
+     * Mark price and funding rate of the pair's futures symbol
+     */
+    async getPremiumIndex(pair) {
+        return await this.request(pair, 'premiumIndex', pair.joinedPair);
+    }
+
+    /**
+     * Opens (or adds to) the pair's futures position with a limit order, a BUY goes long and a SELL short
+     */
+    async openFuturesPosition(pair, side, price, quantity) {
+        console.log(`Opening futures ${side === 'BUY' ? 'long' : 'short'} for ${pair.key}`);
+        const rules = this.getSymbolRules(pair);
+        const orderPrice = rules.normalizePrice(price);
+        const qty = rules.normalizeQuantity(quantity);
+        const request = { side, price: orderPrice, origQty: qty, isFutures: true };
+        const rejection = await this.checkOrder(pair, [{ side, type: 'LIMIT', price: orderPrice, quantity: qty }]);
+        const order = rejection || await this.request(pair, 'placeOrder', pair.joinedPair, side, 'LIMIT', {
+            price: orderPrice,
+            quantity: qty,
+            timeInForce: 'GTC',
+            newClientOrderId: this.generateOrderId()
+        });
+        this.journal.recordOrder(pair.joinedPair, order, request);
+        return order;
+    }
+
+    /**
+     * Places the exits of the pair's futures position, triggered on the mark price: a STOP_MARKET and/or a
+     * TAKE_PROFIT_MARKET that close the whole position (closePosition). `quantity`, the position's size,
+     * is only used to check them against the symbol's filters.
+     * @param {string} side - The position's, 'long' or 'short'
+     * @param {Object} prices - { stopLoss, takeProfit }, a missing one isn't placed
+     * @returns {Promise<Object>} The last order placed, or the first failure
+     */
+    async placeFuturesExits(pair, side, quantity, { stopLoss = null, takeProfit = null }) {
+        const rules = this.getSymbolRules(pair);
+        const exitSide = side === 'long' ? 'SELL' : 'BUY';
+        const qty = rules.normalizeQuantity(quantity);
+        const exits = [['STOP_MARKET', stopLoss], ['TAKE_PROFIT_MARKET', takeProfit]]
+            .filter(([, price]) => price)
+            .map(([type, price]) => ({ side: exitSide, type, stopPrice: rules.normalizePrice(price), quantity: qty, reduceOnly: true }));
+        console.log(`Placing ${exits.map(exit => exit.type).join(' + ')} for ${pair.key} futures ${side}`);
+        const rejection = await this.checkOrder(pair, exits);
+        if (rejection) {
+            this.journal.recordOrder(pair.joinedPair, rejection, { side: exitSide, origQty: qty, isFutures: true });
+            return rejection;
+        }
+
+        let response;
+        for (const { type, stopPrice } of exits) {
+            response = await this.request(pair, 'placeOrder', pair.joinedPair, exitSide, type, {
+                stopPrice,
+                closePosition: 'true',
+                workingType: 'MARK_PRICE',
+                newClientOrderId: this.generateOrderId()
+            });
+            this.journal.recordOrder(pair.joinedPair, response, { side: exitSide, type, stopPrice, isFutures: true });
+            if (response.error) return response;
+        }
+        return response;
+    }
+
+    /**
+     * Closes `quantity` of the pair's futures position at the market, reduce-only so it can't open the other side
+     * @param {string} side - The position's, 'long' or 'short'
+     */
+    async closeFuturesPosition(pair, side, quantity) {
+        console.log(`Closing ${pair.key} futures ${side}`);
+        const rules = this.getSymbolRules(pair);
+        const exitSide = side === 'long' ? 'SELL' : 'BUY';
+        const qty = rules.normalizeQuantity(quantity, 'MARKET');
+        const request = { side: exitSide, type: 'MARKET', origQty: qty, isFutures: true };
+        const rejection = await this.checkOrder(pair, [{ side: exitSide, type: 'MARKET', quantity: qty, reduceOnly: true }]);
+        const order = rejection || await this.request(pair, 'placeOrder', pair.joinedPair, exitSide, 'MARKET', {
+            quantity: qty,
+            reduceOnly: 'true',
+            newClientOrderId: this.generateOrderId()
+        });
+        this.journal.recordOrder(pair.joinedPair, order, request);
+        return order;
+    }
+
+    /**
+     * Funding the pair's futures position received since `startTime`, negative when it paid
+     * @returns {Promise<number|Object>} The summed income, or the ExchangeError fetching it failed with
+     */
+    async getFundingFees(pair, startTime) {
+        const rows = await this.request(pair, 'fetchFundingFees', pair.joinedPair, { startTime });
+        if (rows.error) return rows;
+        return rows.reduce((sum, row) => sum + parseFloat(row.income), 0);
+    }
     //
     truncateToDecimals(num, decimals) {
         const numStr = num.toString();
@@ -0,0 +1,269 @@
+const { plusPercent, minusPercent, calculateProfit } = require('../utils/helpers');
+
+/**
+ * USDⓈ-M futures side of the trading engine (bot/Engine.js): pairs whose venue trades futures
+ * ("exchange": "binance-futures" in pairs.json) go long on the v3 predictor's long signals and short on
+ * its short ones. The symbol's leverage and margin type (`futures` of the pair or config.futuresLeverage /
+ * config.futuresMarginType) are set before the first order, the entry is a limit at the prediction's price
+ * and the position is closed by a reduce-only STOP_MARKET and TAKE_PROFIT_MARKET triggered on the mark price.
+ *
+ * Every round the position's liquidation price is checked: within config.futuresLiquidationWarnPercent of
+ * the mark price a Telegram warning goes out. Side, stop, target and entry time of the open position are
+ * kept in the bot's StateStore, the funding it paid or received is journaled once it is closed.
+ */
+class FuturesManager {
+    static SECTION = 'futures';
+    static OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+    static EXIT_TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+
+    constructor(bot) {
+        this.bot = bot;
+        this.state = bot.stateStore.get(FuturesManager.SECTION, {}); // pairKey -> { side, entryTime, entryPrice, stopLoss, takeProfit }
+        this.positions = new Map(); // pairKey -> the position as seen on the pair's last round, see describe
+        this.configured = new Set(); // pair keys whose leverage and margin type were set since the start
+    }
+
+    get config() {
+        return this.bot.config;
+    }
+
+    get exchange() {
+        return this.bot.exchangeManager;
+    }
+
+    save() {
+        this.bot.stateStore.set(FuturesManager.SECTION, this.state);
+        this.bot.stateStore.save();
+    }
+
+    isEnabled(pair) {
+        return !!this.exchange.getVenue(pair).adapter.supportsFutures;
+    }
+
+    /**
+     * Leverage, margin type and the notional (quote) a position opens with, the pair's `futures`
+     * settings over the config defaults and the pair's orderQty
+     */
+    getSettings(pair) {
+        return {
+            leverage: pair.futures?.leverage ?? this.config.futuresLeverage,
+            marginType: pair.futures?.marginType ?? this.config.futuresMarginType,
+            orderQty: pair.futures?.orderQty ?? pair.orderQty
+        };
+    }
+
+    /**
+     * The pair's position as shown in the round's results, null for pairs that don't trade futures
+     */
+    getSummary(pairKey) {
+        const position = this.positions.get(pairKey);
+        if (!position) return null;
+        const { openOrders, ...summary } = position;
+        return { ...this.state[pairKey], ...summary };
+    }
+
+    /**
+     * The position with its numbers parsed: `side` is null when flat, `liquidationDistance`
+     * the % the mark price has to move against it to be liquidated
+     */
+    describe(position, premium, openOrders) {
+        const amount = parseFloat(position.positionAmt);
+        const qty = Math.abs(amount);
+        const markPrice = parseFloat(premium?.markPrice ?? position.markPrice);
+        const liquidationPrice = parseFloat(position.liquidationPrice) || null;
+        return {
+            side: amount > 0 ? 'long' : amount < 0 ? 'short' : null,
+            qty,
+            entryPrice: parseFloat(position.entryPrice),
+            markPrice,
+            liquidationPrice,
+            liquidationDistance: qty && liquidationPrice ? Math.abs(calculateProfit(liquidationPrice, markPrice)) : null,
+            leverage: Number(position.leverage),
+            marginType: position.marginType,
+            unrealizedPnl: parseFloat(position.unRealizedProfit),
+            fundingRate: premium ? parseFloat(premium.lastFundingRate) : null,
+            nextFundingTime: premium?.nextFundingTime ?? null,
+            exposure: qty * markPrice,
+            openOrders
+        };
+    }
+
+    /**
+     * Runs the pair's futures position for this round
+     * @returns {Promise<Object|undefined>} The exchange's response to the order call made, if any
+     */
+    async trade(pair, prediction, price) {
+        if (!this.configured.has(pair.key)) {
+            const configured = await this.exchange.configureFutures(pair, this.getSettings(pair));
+            if (configured.error) return configured;
+            this.configured.add(pair.key);
+        }
+        const risk = await this.exchange.getFuturesPosition(pair);
+        if (risk.error) return risk;
+        const premium = await this.exchange.getPremiumIndex(pair);
+
+        const openOrders = this.bot.currentOrders.filter(order => FuturesManager.OPEN_STATUSES.includes(order.status));
+        const position = this.describe(risk, premium.error ? null : premium, openOrders);
+        this.positions.set(pair.key, position);
+        const signal = prediction?.signals.compositeSignal;
+
+        if (position.side && position.liquidationDistance !== null && position.liquidationDistance <= this.config.futuresLiquidationWarnPercent) {
+            this.report(pair, 'LIQUIDATION', `⚠️ ${pair.key} futures ${position.side}: mark price ${position.markPrice} is ${position.liquidationDistance.toFixed(2)}% from liquidation at ${position.liquidationPrice}`);
+        }
+
+        const entry = openOrders.find(order => order.type === 'LIMIT' && !this.isReduceOnly(order));
+        if (entry) {
+            // What a partly filled entry bought or sold is already a leveraged position, its exits don't wait for the rest
+            if (position.side) {
+                const exits = await this.placeMissingExits(pair, position, this.getSaved(pair, position));
+                if (exits?.error) return exits;
+            }
+            return await this.monitorEntry(pair, entry, signal, price);
+        }
+        if (position.side) return await this.manage(pair, position, signal, price);
+        if (this.state[pair.key]) return await this.close(pair, position);
+        if (['long', 'short'].includes(signal)) return await this.open(pair, prediction, signal, price);
+    }
+
+    isReduceOnly(order) {
+        return [order.reduceOnly, order.closePosition].some(flag => flag === true || flag === 'true');
+    }
+
+    report(pair, rule, message) {
+        console.warn('\x1b[41m%s\x1b[0m', message);
+        if (this.bot.riskManager.shouldReport(pair.key, rule)) this.bot.telegramBotHandler.sendMessage(message);
+    }
+
+    /**
+     * Opens a position the signal's way at the prediction's entry once the portfolio risk limits leave room
+     * for its notional. An entry on the wrong side of the market is moved to the current price, it would fill at once.
+     */
+    async open(pair, prediction, side, price) {
+        const { orderQty } = this.getSettings(pair);
+        const check = this.bot.riskManager.checkBuy(pair, orderQty, this.bot.currentOhlcvPrimary, this.bot.getOpenPositions());
+        if (!check.allowed) {
+            console.log('\x1b[41m%s\x1b[0m', `Risk check rejected futures ${side} for ${pair.key}: ${check.reason}`);
+            if (this.bot.riskManager.shouldReport(pair.key, check.rule)) {
+                this.bot.telegramBotHandler.sendMessage(`🛡 Futures ${side} for ${pair.key} rejected: ${check.reason}`);
+            }
+            return;
+        }
+
+        const isLong = side === 'long';
+        const { entry, stopLoss, takeProfit } = prediction.suggestedPrices;
+        const entryPrice = isLong ? Math.min(entry || price, price) : Math.max(entry || price, price);
+        const order = await this.exchange.openFuturesPosition(pair, isLong ? 'BUY' : 'SELL', entryPrice, orderQty / entryPrice);
+        if (order.error) return order;
+        const defaults = this.getDefaultExits(pair, side, entryPrice);
+        this.state[pair.key] = {
+            side,
+            entryTime: order.transactTime || this.bot.clock(),
+            entryPrice,
+            stopLoss: (isLong ? stopLoss < entryPrice : stopLoss > entryPrice) ? stopLoss : defaults.stopLoss,
+            takeProfit: (isLong ? takeProfit > entryPrice : takeProfit < entryPrice) ? takeProfit : defaults.takeProfit
+        };
+        this.save();
+        this.bot.telegramBotHandler.sendMessage(`${isLong ? '📈' : '📉'} ${pair.key} futures ${side}: ${isLong ? 'buying' : 'selling'} ${order.origQty} at ${order.price}`);
+        return order;
+    }
+
+    // The pair's okLoss and profitMgn around `price`
+    getDefaultExits(pair, side, price) {
+        const loss = Math.abs(pair.okLoss || -2);
+        return side === 'long'
+            ? { stopLoss: minusPercent(loss, price), takeProfit: plusPercent(pair.profitMgn, price) }
+            : { stopLoss: plusPercent(loss, price), takeProfit: minusPercent(pair.profitMgn, price) };
+    }
+
+    /**
+     * The entry waits while the prediction keeps its side and price hasn't run more than okDiff % away from it
+     */
+    async monitorEntry(pair, entry, signal, price) {
+        const side = entry.side === 'BUY' ? 'long' : 'short';
+        const runAway = side === 'long' ? calculateProfit(price, entry.price) : -calculateProfit(price, entry.price);
+        if (signal === side && runAway < pair.okDiff) {
+            console.log(`${pair.key} futures ${side} entry at ${entry.price} pending`);
+            return;
+        }
+        console.log(`Cancelling ${pair.key} futures ${side} entry: ${signal !== side ? 'signal gone' : `price ${runAway.toFixed(2)}% away from it`}`);
+        return await this.exchange.cancelOrder(pair, entry);
+    }
+
+    /**
+     * The position's saved side, stop and target; the pair's okLoss/profitMgn around the entry for a position
+     * the state file doesn't know, which is saved then
+     */
+    getSaved(pair, position) {
+        const { side } = position;
+        if (this.state[pair.key]?.side !== side) {
+            this.state[pair.key] = {
+                side,
+                entryTime: this.bot.clock(),
+                entryPrice: position.entryPrice,
+                ...this.getDefaultExits(pair, side, position.entryPrice)
+            };
+            this.save();
+        }
+        return this.state[pair.key];
+    }
+
+    /**
+     * An opposite prediction closes the position at the market. Otherwise missing exits are placed from the saved
+     * stop and target, and a position already past either is closed at the market.
+     */
+    async manage(pair, position, signal, price) {
+        const { side } = position;
+        const exits = position.openOrders.filter(order => FuturesManager.EXIT_TYPES.includes(order.type));
+        const saved = this.getSaved(pair, position);
+
+        const isLong = side === 'long';
+        const reason = signal === (isLong ? 'short' : 'long') ? `prediction turned ${signal}`
+            : (isLong ? price <= saved.stopLoss : price >= saved.stopLoss) ? `past its stop ${saved.stopLoss}`
+                : (isLong ? price >= saved.takeProfit : price <= saved.takeProfit) ? `reached its target ${saved.takeProfit}`
+                    : null;
+        if (reason) {
+            console.log(`${pair.key} futures ${side} ${reason}, closing at the market`);
+            for (const order of exits) {
+                const cancelled = await this.exchange.cancelOrder(pair, order);
+                if (!cancelled || cancelled.error) return cancelled;
+            }
+            return await this.exchange.closeFuturesPosition(pair, side, position.qty);
+        }
+        return await this.placeMissingExits(pair, position, saved);
+    }
+
+    /**
+     * Places the saved stop and target the position has no exit for. They close the whole position
+     * (closePosition), so they cover what an entry still open adds to it without being placed again.
+     */
+    async placeMissingExits(pair, position, saved) {
+        const placed = new Set(position.openOrders.filter(order => FuturesManager.EXIT_TYPES.includes(order.type)).map(order => order.type));
+        const missing = {
+            stopLoss: placed.has('STOP_MARKET') ? null : saved.stopLoss,
+            takeProfit: placed.has('TAKE_PROFIT_MARKET') ? null : saved.takeProfit
+        };
+        if (missing.stopLoss || missing.takeProfit) {
+            return await this.exchange.placeFuturesExits(pair, position.side, position.qty, missing);
+        }
+    }
+
+    /**
+     * Cancels the exits left by a closed (or liquidated) position, journals the funding it paid and forgets it
+     */
+    async close(pair, position) {
+        for (const order of position.openOrders) {
+            const cancelled = await this.exchange.cancelOrder(pair, order);
+            if (!cancelled || cancelled.error) return cancelled;
+        }
+        const [, quoteAsset] = pair.key.split('_');
+        const { side, entryTime } = this.state[pair.key];
+        const funding = await this.exchange.getFundingFees(pair, entryTime);
+        if (funding?.error) return; // tried again next round
+        if (funding) this.exchange.journal.recordFunding(pair.joinedPair, quoteAsset, funding);
+        console.log(`${pair.key} futures ${side} closed, ${funding} ${quoteAsset} funding ${funding < 0 ? 'paid' : 'received'}`);
+        delete this.state[pair.key];
+        this.save();
+    }
+}
+
+module.exports = FuturesManager;
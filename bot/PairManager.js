@@ -1,9 +1,33 @@
 const fs = require('fs');
+const { checkStrategySetting, isBuiltInStrategy } = require('./strategies');
+const { isAnalysisPath } = require('../analysis/analysisOverrides');
+const { isKnownExchange, hasExchangeCredentials } = require('./exchanges');
+const PositionSizer = require('./PositionSizer');
+const PositionLadder = require('./PositionLadder');
+
+// Checks the name only, custom strategy modules are loaded when the bot creates the strategy
+const isKnownStrategy = (setting) => {
+    const invalid = checkStrategySetting(setting);
+    if (invalid) console.log(invalid);
+    return !invalid;
+};
 
 class PairManager {
-    constructor(pairsFilePath) {
+    // Settings updatePair (the API and Telegram) accepts, the key identifies the pair and stays fixed.
+    // `strategy` only takes built-in names there, custom ones are set in pairs.json.
+    static EDITABLE_FIELDS = ['profitMgn', 'belowPrice', 'orderQty', 'okLoss', 'maxStopLoss', 'okDiff', 'tradeable',
+        'trailingActivation', 'trailingPercent', 'trailingAtrMultiple', 'strategy', 'analysis', 'short', 'futures', 'sizing', 'ladder'];
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.liveExchange] - config.exchange when trading live, pairs on a venue without API keys are refused
+     */
+    constructor(pairsFilePath, overridesFilePath = null, { liveExchange = null } = {}) {
         this.pairsFile = pairsFilePath;
+        this.overridesFile = overridesFilePath; // optimizer output, see backtest/optimize.js
+        this.liveExchange = liveExchange;
         this.allPairs = []; // Initialize here
+        this.overrides = {};
         this.loadPairsFromFile(); // Load pairs during initialization
     }
     //
@@ -46,6 +70,24 @@ class PairManager {
                 tradeable: true
               }]; // Default pairs if file read fails
         }
+        this.loadOverrides();
+    }
+    //
+    loadOverrides() {
+        this.overrides = {};
+        if (!this.overridesFile || !fs.existsSync(this.overridesFile)) return;
+        try {
+            this.overrides = JSON.parse(fs.readFileSync(this.overridesFile)) || {};
+        } catch (error) {
+            console.error('Error reading pair overrides file, ignoring it:', error);
+        }
+    }
+    //
+    // Optimized settings are layered over pairs.json, never written back to it
+    withOverrides(pair) {
+        const settings = this.overrides[pair.key]?.settings;
+        if (!settings) return pair;
+        return { ...pair, ...settings, analysis: { ...pair.analysis, ...settings.analysis } };
     }
     //
     validatePair(object){//move to Pairmanager
@@ -61,7 +103,39 @@ class PairManager {
             orderQty: value =>parseFloat(value) === Number(value),
             okLoss: value =>parseFloat(value) === Number(value),
             okDiff: value =>parseFloat(value) === Number(value),
-            tradeable: value => typeof value == "boolean"
+            maxStopLoss: value => value === undefined || parseFloat(value) === Number(value),
+            tradeable: value => typeof value == "boolean",
+            // optional venue, config.exchange without one
+            exchange: value => value === undefined || isKnownExchange(value),
+            // optional trailing mode
+            trailingActivation: value => value === undefined || parseFloat(value) === Number(value),
+            trailingPercent: value => value === undefined || parseFloat(value) > 0,
+            trailingAtrMultiple: value => value === undefined || parseFloat(value) > 0,
+            // optional strategy, a name or { name, params }
+            strategy: value => value === undefined || isKnownStrategy(value),
+            // optional short selling on isolated margin (engine only), true or { orderQty }
+            short: value => value === undefined || typeof value == "boolean" || (typeof value == "object" && value !== null &&
+                (value.orderQty === undefined || parseFloat(value.orderQty) > 0)),
+            // optional futures settings of a pair on a futures venue, { leverage, marginType, orderQty }
+            futures: value => value === undefined || (typeof value == "object" && value !== null &&
+                (value.leverage === undefined || (Number.isInteger(value.leverage) && value.leverage >= 1 && value.leverage <= 125)) &&
+                (value.marginType === undefined || ['ISOLATED', 'CROSSED'].includes(value.marginType)) &&
+                (value.orderQty === undefined || parseFloat(value.orderQty) > 0)),
+            // optional sizing mode, a name or { mode, ...options } (see bot/PositionSizer.js)
+            sizing: value => value === undefined || PositionSizer.MODES.includes(value) || (typeof value == "object" && value !== null &&
+                PositionSizer.MODES.includes(value.mode) &&
+                Object.entries(value).every(([name, v]) => name === 'mode' || parseFloat(v) >= 0)),
+            // optional scale-in / scale-out ladder, true or { entries, spacing, spacingPercent, weights, targets } (see bot/PositionLadder.js)
+            ladder: value => value === undefined || typeof value == "boolean" || (typeof value == "object" && value !== null &&
+                (value.entries === undefined || (Number.isInteger(value.entries) && value.entries >= 1)) &&
+                (value.spacing === undefined || PositionLadder.SPACINGS.includes(value.spacing)) &&
+                (value.spacingPercent === undefined || parseFloat(value.spacingPercent) > 0) &&
+                (value.weights === undefined || (Array.isArray(value.weights) && value.weights.every(weight => parseFloat(weight) > 0))) &&
+                (value.targets === undefined || (Array.isArray(value.targets) && value.targets.length > 0 &&
+                    value.targets.every(target => parseFloat(target?.percent) > 0 && parseFloat(target?.portion) > 0)))),
+            // optional AnalysisConfig values, { 'SCORING.CONSENSUS_THRESHOLDS.BUY': 3 }
+            analysis: value => value === undefined || (typeof value == "object" &&
+                Object.entries(value).every(([path, v]) => isAnalysisPath(path) && parseFloat(v) === Number(v)))
         }
         schema.key.required = true;
         schema.profitMgn.required = true;
@@ -71,7 +145,7 @@ class PairManager {
         schema.okDiff.required = true;
         schema.tradeable.required = true;
 
-        return Object
+        const errors = Object
         .entries(schema)
         .map(([key, validate]) => [
           key,
@@ -80,11 +154,18 @@ class PairManager {
         ])
         .filter(([_, ...tests]) => !tests.every(Boolean))
         .map(([key, invalid]) => new Error(`${key} is ${invalid ? 'invalid' : 'required'}.`));
+
+        // signed calls would only come back rejected, e.g. a binance-futures pair without BINANCE_FUTURES_API_KEY
+        const exchange = object.exchange ?? this.liveExchange;
+        if (this.liveExchange && isKnownExchange(exchange) && !hasExchangeCredentials(exchange)) {
+            errors.push(new Error(`exchange ${exchange} has no API credentials.`));
+        }
+        return errors;
     }
     //
     getAllPairs() {
         //return this.allPairs; // Method to return all pairs
-        return this.allPairs.filter((pair) => {
+        return this.allPairs.map(pair => this.withOverrides(pair)).filter((pair) => {
             const pairValidate = this.validatePair(pair);
             if (pairValidate.length > 0) {
                 console.log('Errors processing pair', pair);
@@ -98,6 +179,10 @@ class PairManager {
         });
     }
     //
+    getPair(pairKey) {
+        return this.allPairs.find(p => p.key === pairKey);
+    }
+    //
     addRemovePair(pairKey, isAdd, isTradeable) {
         const pair = this.allPairs.find(p => p.key === pairKey);
         // Adding a new pair to the list (with the given tradeable status)
@@ -136,9 +221,43 @@ class PairManager {
         return `${pairKey} not found in the pairs list.`;
     }
     //
+    /**
+     * Edits a pair's settings in pairs.json, null removes an optional one.
+     * Nothing is saved when the edited pair doesn't validate.
+     * @returns {Error[]} Validation errors, empty on success
+     */
+    updatePair(pairKey, changes) {
+        const pair = this.getPair(pairKey);
+        if (!pair) return [new Error(`${pairKey} not found in the pairs list.`)];
+        const unknown = Object.keys(changes).filter(key => !PairManager.EDITABLE_FIELDS.includes(key));
+        if (unknown.length) return unknown.map(key => new Error(`${key} can't be edited.`));
+        if (changes.strategy != null && !isBuiltInStrategy(changes.strategy)) {
+            return [new Error('strategy can only be set to a built-in strategy remotely, custom ones go in pairs.json.')];
+        }
+
+        const updated = { ...pair };
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null) delete updated[key];
+            else updated[key] = value;
+        });
+        const errors = this.validatePair(updated);
+        if (errors.length) return errors;
+
+        this.allPairs = this.allPairs.map(p => (p === pair ? updated : p));
+        this.savePairsToFile();
+        return [];
+    }
+    //
+    // Optimizer overrides of the pair that shadow the given settings
+    getOverriddenFields(pairKey, fields) {
+        const settings = this.overrides[pairKey]?.settings || {};
+        return fields.filter(field => field in settings);
+    }
+    //
     savePairsToFile() {
         try {
-            const data = JSON.stringify(this.allPairs, null, 2);
+            // joinedPair is set on the pairs at runtime, pairs.json keeps the key only
+            const data = JSON.stringify(this.allPairs.map(({ joinedPair, ...pair }) => pair), null, 2);
             fs.writeFileSync(this.pairsFile, data);
         } catch (error) {
             console.error('Error saving pairs to file:', error);
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeManager = require('./ExchangeManager');
+const OrderSimulator = require('./classes/OrderSimulator');
+const MarginSimulator = require('./classes/MarginSimulator');
+const FuturesSimulator = require('./classes/FuturesSimulator');
+const BinanceFuturesAdapter = require('./exchanges/BinanceFuturesAdapter');
+const TradeJournal = require('./classes/TradeJournal');
+
+/**
+ * Drop-in ExchangeManager for paper trading: market data comes from the pairs' exchanges,
+ * while balances and orders live in an OrderSimulator. Resting orders
+ * (including stops and OCO legs) fill when the live price crosses them. Orders are journaled to config.paperJournalFile.
+ * Shorts trade on a MarginSimulator, whose isolated accounts open with config.paperMarginCollateral.
+ * Pairs on a futures venue trade on a FuturesSimulator holding config.paperFuturesBalance.
+ */
+class PaperExchangeManager extends ExchangeManager {
+    /**
+     * @param {Object} config
+     * @param {OrderSimulator} [simulator] - Defaults to one seeded from config.paperAccountFile
+     */
+    constructor(config, simulator = null) {
+        super(config);
+        this.simulator = simulator || new OrderSimulator({
+            balances: this.loadPaperBalances(),
+            feePercent: this.config.paperFeePercent,
+            firstOrderId: Date.now() // unique across restarts, the journal keys orders by id
+        });
+        this.marginSimulator = new MarginSimulator({
+            collateral: this.config.paperMarginCollateral,
+            leverage: this.config.paperMarginLeverage,
+            interestRate: this.config.paperMarginInterestRate,
+            feePercent: this.config.paperFeePercent,
+            firstOrderId: Date.now()
+        });
+        this.futuresSimulator = new FuturesSimulator({
+            balance: this.config.paperFuturesBalance,
+            feePercent: this.config.paperFuturesFeePercent,
+            fundingRate: this.config.paperFundingRate,
+            firstOrderId: Date.now()
+        });
+        this.journal = new TradeJournal(this.config.paperJournalFile);
+        this.stateFile = this.config.paperStateFile;
+        // ExchangeAdapter account and order methods answered by the simulator, everything else hits the exchange.
+        // Called with the pair (or venue) the request was made for.
+        this.simulatedCalls = new Map([
+            ['placeOrder', (pair, symbol, side, type, params) => this.simulator.placeOrder(this.getSymbolInfo(pair), side, type, params)],
+            ['cancelOrder', (pair, symbol, orderId) => this.simulator.cancelOrder(symbol, orderId)],
+            ['cancelAndReplace', (pair, symbol, side, type, params) => this.simulator.cancelAndReplace(this.getSymbolInfo(pair), side, type, params)],
+            ['placeOcoOrder', (pair, symbol, side, quantity, params) => this.simulator.placeOrderList(this.getSymbolInfo(pair), side, quantity, params)],
+            ['cancelOrderList', (pair, symbol, orderListId) => this.simulator.cancelOrderList(symbol, orderListId)],
+            ['fetchMyOrders', (pair, symbol) => this.simulator.getOrders(symbol)],
+            ['fetchMyTrades', (pair, symbol, params = {}) => this.simulator.getTrades(symbol, params.orderId)],
+            ['fetchOpenOrders', (pair, symbol) => this.simulator.getOpenOrders(symbol).map(o => this.simulator._publicOrder(o))],
+            ['getOrder', (pair, symbol, orderId) => this.simulator.getOrder(symbol, orderId)],
+            ['fetchMyAccount', () => this.simulator.getAccount()],
+            ['userAsset', (pair, asset) => [this.simulator.getBalance(asset)]],
+            ['isolatedMarginAccount', (pair) => this.marginSimulator.getAccount(this.getSymbolInfo(pair))],
+            ['maxBorrowable', (pair, symbol, asset) => this.marginSimulator.maxBorrowable(this.getSymbolInfo(pair), asset)],
+            ['marginBorrow', (pair, symbol, asset, amount) => this.marginSimulator.borrow(this.getSymbolInfo(pair), asset, amount)],
+            ['marginRepay', (pair, symbol, asset, amount) => this.marginSimulator.repay(this.getSymbolInfo(pair), asset, amount)],
+            ['placeMarginOrder', (pair, symbol, side, type, params) => this.marginSimulator.placeOrder(this.getSymbolInfo(pair), side, type, params)],
+            ['cancelMarginOrder', (pair, symbol, orderId) => this.marginSimulator.cancelOrder(symbol, orderId)],
+            ['placeMarginOcoOrder', (pair, symbol, side, quantity, params) => this.marginSimulator.placeOrderList(this.getSymbolInfo(pair), side, quantity, params)],
+            ['cancelMarginOrderList', (pair, symbol, orderListId) => this.marginSimulator.cancelOrderList(symbol, orderListId)],
+            ['fetchMarginOrders', (pair, symbol) => this.marginSimulator.getOrders(symbol)],
+            ['fetchMarginOpenOrders', (pair, symbol) => this.marginSimulator.getOpenOrders(symbol)],
+            ['fetchMarginTrades', (pair, symbol, params = {}) => this.marginSimulator.getTrades(symbol, params.orderId)],
+            ['fetchMarginInterest', (pair, symbol, asset, params = {}) => this.marginSimulator.getInterestHistory(symbol, asset, params.startTime)]
+        ]);
+        // The same for futures venues, answered in the adapter's shapes like BinanceFuturesAdapter's
+        const futures = this.futuresSimulator;
+        const toOrder = (order) => order.error ? order : BinanceFuturesAdapter.toOrder(order);
+        this.simulatedFuturesCalls = new Map([
+            ['placeOrder', (pair, symbol, side, type, params) => toOrder(futures.placeOrder(this.getSymbolInfo(pair), side, type, params))],
+            ['cancelOrder', (pair, symbol, orderId) => toOrder(futures.cancelOrder(symbol, orderId))],
+            ['fetchMyOrders', (pair, symbol) => futures.getOrders(symbol).map(toOrder)],
+            ['fetchMyTrades', (pair, symbol, params = {}) => futures.getTrades(symbol, params.orderId).map(BinanceFuturesAdapter.toTrade)],
+            ['fetchOpenOrders', (pair, symbol) => futures.getOpenOrders(symbol).map(toOrder)],
+            ['getOrder', (pair, symbol, orderId) => toOrder(futures.getOrder(symbol, orderId))],
+            ['fetchMyAccount', () => ({ balances: BinanceFuturesAdapter.toBalances(futures.getAccount()) })],
+            ['userAsset', (pair, asset) => [BinanceFuturesAdapter.toBalances(futures.getAccount()).find(balance => balance.asset === asset) || { asset, free: '0', locked: '0' }]],
+            ['positionRisk', (pair, symbol) => BinanceFuturesAdapter.toPosition(futures.getPosition(symbol))],
+            ['setLeverage', (pair, symbol, leverage) => futures.setLeverage(symbol, leverage)],
+            ['setMarginType', (pair, symbol, marginType) => futures.setMarginType(symbol, marginType)],
+            ['premiumIndex', (pair, symbol) => futures.premiumIndex(symbol)],
+            ['fetchFundingFees', (pair, symbol, params = {}) => futures.getIncome(symbol, 'FUNDING_FEE', params.startTime)]
+        ]);
+    }
+
+    /**
+     * Reads free balances from an account snapshot in the /api/v3/account format
+     */
+    loadPaperBalances() {
+        const file = this.config.paperAccountFile || path.join(__dirname, '../mock-data/account.json');
+        try {
+            const account = JSON.parse(fs.readFileSync(file));
+            return Object.fromEntries(account.balances.map(b => [b.asset, b.free]));
+        } catch (error) {
+            console.error('Error reading paper account file, starting with empty balances:', error);
+            return {};
+        }
+    }
+
+    async init() {
+        await super.init();
+        console.log('\x1b[45m%s\x1b[0m', 'PAPER TRADING - orders are simulated');
+    }
+
+    // Paper orders never reach the exchange, there is no account stream to follow
+    async connectUserDataStream() {}
+
+    async request(pairOrVenue, method, ...args) {
+        const { adapter } = pairOrVenue.adapter ? pairOrVenue : this.getVenue(pairOrVenue);
+        const simulatedCall = (adapter.supportsFutures ? this.simulatedFuturesCalls : this.simulatedCalls).get(method);
+        return simulatedCall ? simulatedCall(pairOrVenue, ...args) : super.request(pairOrVenue, method, ...args);
+    }
+
+    async fetchPairData(pair, timeframe1, timeframe2) {
+        const [ohlcvPrimary, ohlcvSecondary, , orderBook] = await super.fetchPairData(pair, timeframe1, timeframe2);
+        // Fill resting orders against the live price before the bot looks at them
+        const lastCandle = Array.isArray(ohlcvPrimary) ? ohlcvPrimary[ohlcvPrimary.length - 1] : null;
+        if (this.getVenue(pair).adapter.supportsFutures) {
+            if (lastCandle) {
+                this.futuresSimulator.matchOrders(pair.joinedPair, lastCandle.close, lastCandle.close, lastCandle.close).forEach(fill =>
+                    console.log('\x1b[45m%s\x1b[0m', `[PAPER] futures ${fill.side} ${fill.qty} ${fill.symbol} filled at ${fill.price}`)
+                );
+            }
+            const orders = pair.tradeable ? await this.request(pair, 'fetchMyOrders', pair.joinedPair) : [];
+            if (pair.tradeable) await this.syncJournal(pair, orders);
+            return [ohlcvPrimary, ohlcvSecondary, orders, orderBook];
+        }
+        if (lastCandle) {
+            this.simulator.matchOrders(pair.joinedPair, lastCandle.close, lastCandle.close).forEach(fill =>
+                console.log('\x1b[45m%s\x1b[0m', `[PAPER] ${fill.side} ${fill.qty} ${fill.symbol} filled at ${fill.price}`)
+            );
+            this.marginSimulator.matchOrders(pair.joinedPair, lastCandle.close, lastCandle.close, lastCandle.close).forEach(fill =>
+                console.log('\x1b[45m%s\x1b[0m', `[PAPER] margin ${fill.side} ${fill.qty} ${fill.symbol} filled at ${fill.price}`)
+            );
+        }
+        const orders = pair.tradeable ? this.simulator.getOrders(pair.joinedPair) : [];
+        if (pair.tradeable) await this.syncJournal(pair, orders);
+        return [ohlcvPrimary, ohlcvSecondary, orders, orderBook];
+    }
+}
+
+module.exports = PaperExchangeManager;
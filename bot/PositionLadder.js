@@ -0,0 +1,167 @@
+const OrderBookAnalyzer = require('../v3/analyzers/OrderBookAnalyzer');
+const { minusPercent, plusPercent } = require('../utils/helpers');
+
+/**
+ * Scale-in / scale-out ladder of a pair with a `ladder` in pairs.json (true or { ...options },
+ * config.ladder* for the options it leaves out):
+ * - `entries` limit buys under the price, the first at the bot's buy-in price and the others `spacingPercent` %
+ *   apart (`spacing: 'percent'`) or at the strongest bid clusters of the order book (`spacing: 'support'`,
+ *   v3 OrderBookAnalyzer.findSupportLevels, percent spacing for the rungs it has no support for)
+ * - the quote the pair's sizing gives split among them by `weights` (equal by default)
+ * - the position is what the ladder's orders executed, its entry the average price of the buys' fills; the orders
+ *   are tracked by id in the state file (see track), not read back from the pair's last 30 orders
+ * - `targets` partial take profits, [{ percent, portion }]: `portion` % of the position sold `percent` % over the average entry
+ *
+ * Rungs and targets too small for the symbol's minNotional are merged into their neighbour.
+ */
+class PositionLadder {
+    static SPACINGS = ['percent', 'support'];
+    static OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+    static FEE_PERCENT = 0.1; // base commission of a buy, as ExchangeManager.getSellQuantity assumes
+
+    constructor(config) {
+        this.config = config;
+        this.orderBookAnalyzer = new OrderBookAnalyzer();
+    }
+
+    isEnabled(pair) {
+        return !!pair.ladder;
+    }
+
+    /**
+     * The pair's ladder options over the config defaults
+     */
+    getSettings(pair) {
+        const setting = typeof pair.ladder === 'object' && pair.ladder !== null ? pair.ladder : {};
+        return {
+            entries: setting.entries ?? this.config.ladderEntries,
+            spacing: setting.spacing ?? this.config.ladderSpacing,
+            spacingPercent: setting.spacingPercent ?? this.config.ladderSpacingPercent,
+            weights: setting.weights ?? [],
+            targets: setting.targets ?? this.config.ladderTargets
+        };
+    }
+
+    /**
+     * Price and quote of every entry rung, highest first
+     * @param {number} firstPrice - Where the first rung goes in
+     * @param {number} quoteQty - Quote the whole ladder spends
+     * @param {OrderBook} [orderBook]
+     * @param {number} [minNotional]
+     * @returns {Array<{ price: number, quoteQty: number }>}
+     */
+    getEntries(settings, firstPrice, quoteQty, orderBook = null, minNotional = 0) {
+        const prices = this.getEntryPrices(settings, firstPrice, orderBook);
+        const amounts = this.split(prices.map((price, i) => settings.weights[i] ?? 1), quoteQty);
+        const rungs = prices.map((price, i) => ({ price, quoteQty: amounts[i] }));
+        return PositionLadder.merge(rungs, rung => rung.quoteQty, minNotional, (rung, into) => ({ ...into, quoteQty: into.quoteQty + rung.quoteQty }));
+    }
+
+    getEntryPrices(settings, firstPrice, orderBook) {
+        const prices = [firstPrice];
+        if (settings.spacing === 'support' && orderBook && !orderBook.isEmpty) {
+            const bids = orderBook.bids.slice(0, this.orderBookAnalyzer.config.depthLevels);
+            // Strongest clusters first, a rung goes in at the top of its wall
+            this.orderBookAnalyzer.findSupportLevels(bids)
+                .map(support => support.priceStart)
+                .filter(price => price < firstPrice)
+                .slice(0, settings.entries - 1)
+                .sort((a, b) => b - a)
+                .forEach(price => prices.push(price));
+        }
+        while (prices.length < settings.entries) {
+            prices.push(minusPercent(settings.spacingPercent, prices[prices.length - 1]));
+        }
+        return prices;
+    }
+
+    // `total` shared out in proportion to `weights`
+    split(weights, total) {
+        const sum = weights.reduce((a, b) => a + b, 0);
+        return weights.map(weight => total * weight / sum);
+    }
+
+    /**
+     * Price and quantity of the targets not filled yet, the held quantity shared out by their portions
+     * @param {Array<number>} remaining - Indexes of settings.targets still to sell
+     * @returns {Array<{ index: number, price: number, quantity: number }>}
+     */
+    getTargets(settings, remaining, position, minNotional = 0) {
+        const targets = remaining.map(index => settings.targets[index]);
+        const quantities = this.split(targets.map(target => target.portion), position.held);
+        const orders = remaining.map((index, i) => ({
+            index,
+            price: plusPercent(targets[i].percent, position.averagePrice),
+            quantity: quantities[i]
+        }));
+        return PositionLadder.merge(orders, order => order.quantity * order.price, minNotional, (order, into) => ({ ...into, quantity: into.quantity + order.quantity }));
+    }
+
+    /**
+     * Folds items whose value is under `min` into the item before them (the first into the one after),
+     * a single item is kept whatever its value
+     */
+    static merge(items, valueOf, min, combine) {
+        const merged = [];
+        for (const item of items) {
+            if (merged.length && valueOf(item) < min) {
+                merged[merged.length - 1] = combine(item, merged[merged.length - 1]);
+            } else if (merged.length === 1 && valueOf(merged[0]) < min) {
+                merged[0] = combine(merged[0], item);
+            } else {
+                merged.push(item);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * The ladder's orders as the state file keeps them, orderId -> order: the recorded ones refreshed from the pair's
+     * latest orders and any other order the pair placed since `startTime` (an exit, a replaced one) added.
+     * Orders the REST window no longer returns keep their last known state, closed ones that never filled are dropped.
+     * @param {Object} recorded - orderId -> order
+     * @param {Array<Object>} orders - The pair's orders this round
+     * @returns {Object} orderId -> order
+     */
+    static track(recorded, orders, startTime) {
+        const tracked = { ...recorded };
+        for (const order of orders) {
+            if (tracked[order.orderId] || new Date(order.time) >= new Date(startTime)) tracked[order.orderId] = order;
+        }
+        return Object.fromEntries(Object.entries(tracked)
+            .filter(([, order]) => PositionLadder.OPEN_STATUSES.includes(order.status) || parseFloat(order.executedQty) > 0));
+    }
+
+    /**
+     * The ladder's position from its tracked orders
+     * @returns {{ bought: number, sold: number, held: number, cost: number, proceeds: number, averagePrice: number|null,
+     *     filledEntries: number, settledEntries: number, pendingEntries: Array, pendingExits: Array }}
+     */
+    describe(orders) {
+        const executed = (order) => parseFloat(order.executedQty) || 0;
+        // allOrders has the quote a fill spent, orders placed this round only their limit price
+        const quote = (order) => parseFloat(order.cummulativeQuoteQty) || executed(order) * parseFloat(order.price);
+        const isOpen = (order) => PositionLadder.OPEN_STATUSES.includes(order.status);
+        const buys = orders.filter(order => order.side === 'BUY');
+        const sells = orders.filter(order => order.side === 'SELL');
+
+        const bought = buys.reduce((sum, order) => sum + executed(order), 0);
+        const sold = sells.reduce((sum, order) => sum + executed(order), 0);
+        const cost = buys.reduce((sum, order) => sum + quote(order), 0);
+        return {
+            bought,
+            sold,
+            held: Math.max(0, minusPercent(PositionLadder.FEE_PERCENT, bought) - sold),
+            cost,
+            proceeds: sells.reduce((sum, order) => sum + quote(order), 0),
+            averagePrice: bought > 0 ? cost / bought : null,
+            filledEntries: buys.filter(order => executed(order) > 0).length,
+            // entries done filling, fully or cancelled part way
+            settledEntries: buys.filter(order => executed(order) > 0 && !isOpen(order)).length,
+            pendingEntries: buys.filter(isOpen),
+            pendingExits: sells.filter(isOpen)
+        };
+    }
+}
+
+module.exports = PositionLadder;
@@ -0,0 +1,114 @@
+const { buildRoundTrips } = require('../utils/tradeStats');
+
+/**
+ * Quote amount a buy spends, per the pair's `sizing` in pairs.json (a mode name or { mode, ...options }),
+ * config.sizingMode for pairs without one:
+ * - 'fixed': the pair's orderQty
+ * - 'equity': `percent` % of the account's equity
+ * - 'risk': loses `riskPercent` % of equity if the dynamic stop is hit, i.e. risk / stop distance
+ *   (web-sockets/wb-sockets.calculatePositionSize)
+ * - 'atr': the pair's orderQty scaled by `targetAtrPercent` / ATR %, volatile pairs buy less
+ * - 'kelly': `fraction` of the Kelly bet from the pair's journaled round trips, capped at `maxPercent` % of equity.
+ *   The orderQty until the pair has `minTrades` trips, nothing while its edge is negative.
+ * Every mode is capped at `maxQty` (0 for no cap).
+ *
+ * Equity is the free quote balance plus every pair's exposure, all quote assets assumed to be USDT like RiskManager does.
+ */
+class PositionSizer {
+    static MODES = ['fixed', 'equity', 'risk', 'atr', 'kelly'];
+    static EQUITY_MODES = ['equity', 'risk', 'kelly']; // modes that need the account's equity
+
+    /**
+     * @param {Object} config
+     * @param {TradeJournal} journal - Source of the round trips the Kelly mode is sized from
+     */
+    constructor(config, journal) {
+        this.config = config;
+        this.journal = journal;
+    }
+
+    /**
+     * The pair's sizing mode and options over the config defaults
+     */
+    getSettings(pair) {
+        const setting = typeof pair.sizing === 'string' ? { mode: pair.sizing } : pair.sizing || {};
+        return {
+            mode: setting.mode || this.config.sizingMode || 'fixed',
+            percent: setting.percent ?? this.config.sizingEquityPercent,
+            riskPercent: setting.riskPercent ?? this.config.sizingRiskPercent,
+            targetAtrPercent: setting.targetAtrPercent ?? this.config.sizingTargetAtrPercent,
+            fraction: setting.fraction ?? this.config.sizingKellyFraction,
+            maxPercent: setting.maxPercent ?? this.config.sizingKellyMaxPercent,
+            minTrades: setting.minTrades ?? this.config.sizingKellyMinTrades,
+            maxQty: setting.maxQty ?? this.config.sizingMaxQty
+        };
+    }
+
+    /**
+     * Kelly fraction of the pair's closed spot round trips: win rate - loss rate / (average win / average loss)
+     * @returns {{ trades: number, kelly: number|null }} kelly is null without both wins and losses
+     */
+    getKelly(pair) {
+        const trips = buildRoundTrips(this.journal.getFills(pair.joinedPair)).trips.filter(trip => !trip.side);
+        const wins = trips.filter(trip => trip.pnl > 0);
+        const losses = trips.filter(trip => trip.pnl <= 0);
+        if (!wins.length || !losses.length) return { trades: trips.length, kelly: null };
+        const average = (list) => list.reduce((sum, trip) => sum + Math.abs(trip.pnlPercent), 0) / list.length;
+        const winRate = wins.length / trips.length;
+        return { trades: trips.length, kelly: winRate - (1 - winRate) / (average(wins) / average(losses)) };
+    }
+
+    /**
+     * @param {Object} pair - Pair from pairs.json
+     * @param {Object} inputs
+     * @param {number} [inputs.equity] - Required by EQUITY_MODES
+     * @param {number} [inputs.stopPercent] - % under the entry the dynamic stop sits at, required by 'risk'
+     * @param {number} [inputs.atrPercent] - ATR in % of the price, required by 'atr'
+     * @returns {{ mode: string, quoteQty: number, detail: string }}
+     */
+    size(pair, { equity = 0, stopPercent = null, atrPercent = null } = {}) {
+        const settings = this.getSettings(pair);
+        const { quoteQty, detail } = this.sizeBy(settings, pair, { equity, stopPercent, atrPercent });
+        const capped = settings.maxQty > 0 && quoteQty > settings.maxQty;
+        return {
+            mode: settings.mode,
+            quoteQty: Math.max(0, capped ? settings.maxQty : quoteQty),
+            detail: capped ? `${detail}, capped at ${settings.maxQty}` : detail
+        };
+    }
+
+    sizeBy(settings, pair, { equity, stopPercent, atrPercent }) {
+        const fixed = (reason) => ({ quoteQty: pair.orderQty, detail: reason });
+        switch (settings.mode) {
+            case 'equity':
+                return { quoteQty: equity * settings.percent / 100, detail: `${settings.percent}% of ${equity.toFixed(2)} equity` };
+            case 'risk': {
+                if (!(Math.abs(stopPercent) > 0)) return fixed('no stop distance, orderQty');
+                const risk = equity * settings.riskPercent / 100;
+                return {
+                    quoteQty: risk / (Math.abs(stopPercent) / 100),
+                    detail: `${risk.toFixed(2)} risked over a ${Math.abs(stopPercent).toFixed(2)}% stop`
+                };
+            }
+            case 'atr':
+                if (!(atrPercent > 0)) return fixed('no ATR, orderQty');
+                return {
+                    quoteQty: pair.orderQty * settings.targetAtrPercent / atrPercent,
+                    detail: `ATR ${atrPercent.toFixed(2)}% for a ${settings.targetAtrPercent}% target`
+                };
+            case 'kelly': {
+                const { trades, kelly } = this.getKelly(pair);
+                if (trades < settings.minTrades || kelly === null) return fixed(`${trades} trades, orderQty until ${settings.minTrades}`);
+                const percent = Math.min(kelly * settings.fraction * 100, settings.maxPercent);
+                return {
+                    quoteQty: equity * percent / 100,
+                    detail: kelly > 0 ? `Kelly ${(kelly * 100).toFixed(1)}% x ${settings.fraction} → ${percent.toFixed(2)}% of ${equity.toFixed(2)}` : `negative edge over ${trades} trades`
+                };
+            }
+            default:
+                return fixed('orderQty');
+        }
+    }
+}
+
+module.exports = PositionSizer;
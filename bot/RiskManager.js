@@ -0,0 +1,173 @@
+const { buildRoundTrips } = require('../utils/tradeStats');
+
+/**
+ * Portfolio-level checks run before every buy order.
+ *
+ * Positions are described by the caller as { key, baseAsset, exposure, candles }, where exposure
+ * is the quote amount committed to the pair (pending buy or held base asset at the current price).
+ * Amounts are compared in each pair's quote asset, which is assumed to be USDT.
+ */
+class RiskManager {
+    static TOTAL_EXPOSURE = 'maxTotalExposure';
+    static OPEN_POSITIONS = 'maxOpenPositions';
+    static ASSET_ALLOCATION = 'maxAssetAllocation';
+    static DAILY_LOSS = 'maxDailyLoss';
+    static CORRELATION = 'maxCorrelatedPositions';
+
+    /**
+     * @param {Object} config
+     * @param {TradeJournal} journal - Source of realized P&L for the daily loss limit
+     * @param {Function} [clock] - Returns the current time in ms
+     */
+    constructor(config, journal, clock = Date.now) {
+        this.config = config;
+        this.journal = journal;
+        this.clock = clock;
+        this.haltedDay = null; // UTC day (YYYY-MM-DD) new buys are halted for
+        this.lastReports = {}; // `${pairKey}:${rule}` -> last time the rejection was reported
+    }
+
+    day(time = this.clock()) {
+        return new Date(time).toISOString().split('T')[0];
+    }
+
+    /**
+     * Realized P&L of round trips closed since 00:00 UTC
+     */
+    getDailyPnl() {
+        const dayStart = Date.parse(this.day());
+        return buildRoundTrips(this.journal.getFills()).trips
+            .filter(trip => trip.exitTime >= dayStart)
+            .reduce((sum, trip) => sum + trip.pnl, 0);
+    }
+
+    /**
+     * Halts new buys for the rest of the UTC day once the daily loss limit is reached
+     * @returns {boolean} True while halted
+     */
+    isHalted() {
+        if (this.haltedDay === this.day()) return true;
+        this.haltedDay = null;
+        if (!this.config.maxDailyLoss) return false;
+
+        if (this.getDailyPnl() <= -this.config.maxDailyLoss) {
+            this.haltedDay = this.day();
+            console.log('\x1b[41m%s\x1b[0m', `Daily loss limit of ${this.config.maxDailyLoss} reached, new buys halted until 00:00 UTC`);
+        }
+        return this.haltedDay !== null;
+    }
+
+    /**
+     * Pearson correlation of candle-to-candle returns, matched on open time
+     * @returns {number|null} null when there is not enough overlapping history
+     */
+    correlation(candlesA, candlesB) {
+        const window = this.config.correlationWindow || 48;
+        const closesB = new Map(candlesB.map(c => [c.openTime, c.close]));
+        const pairs = candlesA
+            .filter(c => closesB.has(c.openTime))
+            .map(c => [c.close, closesB.get(c.openTime)])
+            .slice(-(window + 1));
+        if (pairs.length < 3) return null;
+
+        const returnsA = [];
+        const returnsB = [];
+        for (let i = 1; i < pairs.length; i++) {
+            returnsA.push(pairs[i][0] / pairs[i - 1][0] - 1);
+            returnsB.push(pairs[i][1] / pairs[i - 1][1] - 1);
+        }
+        const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const meanA = mean(returnsA);
+        const meanB = mean(returnsB);
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        returnsA.forEach((a, i) => {
+            covariance += (a - meanA) * (returnsB[i] - meanB);
+            varianceA += (a - meanA) ** 2;
+            varianceB += (returnsB[i] - meanB) ** 2;
+        });
+        if (!varianceA || !varianceB) return null;
+        return covariance / Math.sqrt(varianceA * varianceB);
+    }
+
+    /**
+     * Decides whether a new buy for `pair` fits the portfolio limits
+     * @param {Object} pair - Pair from pairs.json
+     * @param {number} orderValue - Quote amount the order commits
+     * @param {Array} candles - Primary timeframe candles of the pair
+     * @param {Array} positions - Other pairs' positions, see class doc
+     * @returns {{ allowed: boolean, rule?: string, reason?: string }}
+     */
+    checkBuy(pair, orderValue, candles, positions) {
+        const reject = (rule, reason) => ({ allowed: false, rule, reason });
+        const open = positions.filter(p => p.key !== pair.key && p.exposure > 0);
+        const totalExposure = open.reduce((sum, p) => sum + p.exposure, 0);
+        const { maxTotalExposure, maxOpenPositions, maxAssetAllocation, maxCorrelation, maxCorrelatedPositions } = this.config;
+
+        if (this.isHalted()) {
+            return reject(RiskManager.DAILY_LOSS, `Daily loss limit of ${this.config.maxDailyLoss} reached (P&L today ${this.getDailyPnl().toFixed(2)})`);
+        }
+        if (maxOpenPositions && open.length >= maxOpenPositions) {
+            return reject(RiskManager.OPEN_POSITIONS, `${open.length} open positions, max ${maxOpenPositions}`);
+        }
+        if (maxTotalExposure && totalExposure + orderValue > maxTotalExposure) {
+            return reject(RiskManager.TOTAL_EXPOSURE, `Exposure would be ${(totalExposure + orderValue).toFixed(2)}, max ${maxTotalExposure}`);
+        }
+        if (maxTotalExposure && maxAssetAllocation) {
+            const baseAsset = pair.key.split('_')[0];
+            const assetExposure = open.filter(p => p.baseAsset === baseAsset).reduce((sum, p) => sum + p.exposure, 0) + orderValue;
+            const maxAssetExposure = maxTotalExposure * maxAssetAllocation / 100;
+            if (assetExposure > maxAssetExposure) {
+                return reject(RiskManager.ASSET_ALLOCATION, `${baseAsset} allocation would be ${assetExposure.toFixed(2)}, max ${maxAssetExposure.toFixed(2)} (${maxAssetAllocation}%)`);
+            }
+        }
+        if (maxCorrelation && maxCorrelatedPositions !== undefined) {
+            const correlated = open
+                .map(p => ({ key: p.key, correlation: this.correlation(candles, p.candles || []) }))
+                .filter(p => p.correlation !== null && p.correlation >= maxCorrelation);
+            if (correlated.length >= maxCorrelatedPositions) {
+                const list = correlated.map(p => `${p.key} ${p.correlation.toFixed(2)}`).join(', ');
+                return reject(RiskManager.CORRELATION, `Correlated with ${correlated.length} open positions (${list}), max ${maxCorrelatedPositions}`);
+            }
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * True when this pair/rule rejection hasn't been reported within config.alertCooldown
+     */
+    shouldReport(pairKey, rule) {
+        const key = `${pairKey}:${rule}`;
+        const now = this.clock();
+        if (now - (this.lastReports[key] || 0) < (this.config.alertCooldown || 0)) return false;
+        this.lastReports[key] = now;
+        return true;
+    }
+
+    // Halt and report cooldowns, persisted across restarts by the bot's StateStore
+    getState() {
+        return { haltedDay: this.haltedDay, lastReports: this.lastReports };
+    }
+
+    restoreState(state) {
+        if (!state) return;
+        this.haltedDay = state.haltedDay || null;
+        this.lastReports = state.lastReports || {};
+    }
+
+    getStatus(positions) {
+        const open = positions.filter(p => p.exposure > 0);
+        const totalExposure = open.reduce((sum, p) => sum + p.exposure, 0);
+        const lines = [
+            `🛡 Risk ${this.isHalted() ? '🔴 HALTED (daily loss)' : '🟢 OK'}`,
+            `💼 Exposure: ${totalExposure.toFixed(2)} / ${this.config.maxTotalExposure || '∞'}`,
+            `🔢 Open positions: ${open.length} / ${this.config.maxOpenPositions || '∞'}`,
+            `📅 P&L today: ${this.getDailyPnl().toFixed(2)} (limit -${this.config.maxDailyLoss || '∞'})`
+        ];
+        open.forEach(p => lines.push(`• ${p.key}: ${p.exposure.toFixed(2)}`));
+        return lines.join('\n');
+    }
+}
+
+module.exports = RiskManager;
@@ -0,0 +1,315 @@
+const { plusPercent, minusPercent, calculateProfit } = require('../utils/helpers');
+
+/**
+ * Short side of the trading engine (bot/Engine.js): pairs with `short` enabled trade the v3 predictor's short
+ * signals on their Binance isolated margin account. A short borrows the base asset and sells it at the
+ * prediction's entry, is protected by BUY orders (take profit below, stop above) that repay the debt
+ * with what they buy, and any debt left once it is closed is repaid from the account's free balance.
+ *
+ * Every round the account's margin level is checked: under config.marginWarnLevel a Telegram warning goes out,
+ * under config.marginDeriskLevel the short's orders are cancelled and the borrowed coins bought back right away.
+ * Stop, target and entry time of the open short are kept in the bot's StateStore, the interest paid
+ * on it is journaled once it is closed.
+ */
+class ShortManager {
+    static SECTION = 'shorts';
+    static OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+    static BORROW_WINDOW = 60 * 1000; // the borrow (and its first interest) comes this long before the entry sell at most
+
+    constructor(bot) {
+        this.bot = bot;
+        this.state = bot.stateStore.get(ShortManager.SECTION, {}); // pairKey -> { entryTime, entryPrice, stopLoss, takeProfit }
+        this.positions = new Map(); // pairKey -> the account as seen on the pair's last round, see describe
+    }
+
+    get config() {
+        return this.bot.config;
+    }
+
+    get exchange() {
+        return this.bot.exchangeManager;
+    }
+
+    save() {
+        this.bot.stateStore.set(ShortManager.SECTION, this.state);
+        this.bot.stateStore.save();
+    }
+
+    isEnabled(pair) {
+        return !!pair.short && !!this.exchange.getVenue(pair).adapter.supportsMargin;
+    }
+
+    // Borrowed coins or a short the state file remembers
+    isOpen(pairKey) {
+        return this.positions.get(pairKey)?.liability > 0 || !!this.state[pairKey];
+    }
+
+    /**
+     * The pair's short as shown in the round's results, null for pairs that don't short
+     */
+    getSummary(pairKey) {
+        const position = this.positions.get(pairKey);
+        if (!position) return null;
+        const { liability, uncovered, marginLevel, marginLevelStatus, exposure } = position;
+        return { qty: uncovered, liability, marginLevel, marginLevelStatus, exposure, ...this.state[pairKey] };
+    }
+
+    /**
+     * Quote the short commits, `short.orderQty` or the pair's spot orderQty
+     */
+    getOrderQty(pair) {
+        return pair.short?.orderQty ?? pair.orderQty;
+    }
+
+    /**
+     * What the pair's isolated account holds of the base asset: `liability` is borrowed plus interest,
+     * `uncovered` the part of it that was sold and has to be bought back
+     */
+    describe(account, openOrders, price) {
+        const { baseAsset } = account;
+        const liability = parseFloat(baseAsset.borrowed) + parseFloat(baseAsset.interest);
+        const held = parseFloat(baseAsset.free) + parseFloat(baseAsset.locked);
+        const uncovered = Math.max(0, liability - held);
+        return {
+            liability,
+            uncovered,
+            free: parseFloat(baseAsset.free),
+            marginLevel: parseFloat(account.marginLevel),
+            marginLevelStatus: account.marginLevelStatus,
+            exposure: uncovered * price,
+            openOrders
+        };
+    }
+
+    /**
+     * Runs the pair's short for this round, after the spot side traded
+     * @param {Object} [options]
+     * @param {boolean} [options.canOpen] - false when the spot side just placed a buy
+     * @returns {Promise<Object|undefined>} The exchange's response to the order call made, if any
+     */
+    async trade(pair, prediction, price, { canOpen = true } = {}) {
+        if (!this.isEnabled(pair)) {
+            this.positions.delete(pair.key);
+            return;
+        }
+        const account = await this.exchange.getMarginAccount(pair);
+        if (account.error) return account;
+        const orders = await this.exchange.fetchMarginOrders(pair);
+        if (orders.error) return orders;
+
+        const openOrders = orders.filter(order => ShortManager.OPEN_STATUSES.includes(order.status));
+        const position = this.describe(account, openOrders, price);
+        this.positions.set(pair.key, position);
+        const signal = prediction?.signals.compositeSignal;
+
+        if (position.liability > 0 && position.marginLevel <= this.config.marginDeriskLevel) {
+            return await this.derisk(pair, position, price);
+        }
+        if (position.liability > 0 && position.marginLevel <= this.config.marginWarnLevel) {
+            this.report(pair, 'MARGIN_LEVEL', `⚠️ ${pair.key} short: margin level ${position.marginLevel.toFixed(2)} (${position.marginLevelStatus}), de-risking at ${this.config.marginDeriskLevel}`);
+        }
+
+        const entry = openOrders.find(order => order.side === 'SELL');
+        if (entry) {
+            // What a partly filled entry sold is owed already, it is protected while the rest waits
+            if (this.isUnprotected(pair, position, price)) {
+                const protection = await this.reprotect(pair, position, price);
+                if (protection?.error) return protection;
+            }
+            return await this.monitorEntry(pair, entry, signal, price);
+        }
+        if (this.isUnprotected(pair, position, price)) return await this.reprotect(pair, position, price);
+        if (openOrders.length) return await this.monitorExit(pair, position, openOrders[0], signal, price);
+        if (position.liability > 0) return await this.settle(pair, position);
+        if (this.state[pair.key]) return await this.close(pair, price);
+        if (signal === 'short' && canOpen) return await this.open(pair, prediction, price);
+    }
+
+    // Whether `qty` at `price` is above the symbol's lot and notional minimums
+    isTradeable(pair, qty, price) {
+        const rules = this.exchange.getSymbolRules(pair);
+        return Number(rules.normalizeQuantity(qty)) > 0 && qty * price >= (rules.minNotional || 0);
+    }
+
+    report(pair, rule, message) {
+        console.warn('\x1b[41m%s\x1b[0m', message);
+        if (this.bot.riskManager.shouldReport(pair.key, rule)) this.bot.telegramBotHandler.sendMessage(message);
+    }
+
+    /**
+     * Opens a short at the prediction's entry once the pair holds nothing on spot and the portfolio
+     * risk limits leave room for it
+     */
+    async open(pair, prediction, price) {
+        const lastOrder = this.bot.getLastOrder(this.bot.currentOrders);
+        if (lastOrder && this.bot.getOrderExposure(lastOrder, price) > 0) {
+            console.log(`${pair.key} holds a spot position, not shorting`);
+            return;
+        }
+        const orderQty = this.getOrderQty(pair);
+        const check = this.bot.riskManager.checkBuy(pair, orderQty, this.bot.currentOhlcvPrimary, this.bot.getOpenPositions());
+        if (!check.allowed) {
+            console.log('\x1b[41m%s\x1b[0m', `Risk check rejected short for ${pair.key}: ${check.reason}`);
+            if (this.bot.riskManager.shouldReport(pair.key, check.rule)) {
+                this.bot.telegramBotHandler.sendMessage(`🛡 Short for ${pair.key} rejected: ${check.reason}`);
+            }
+            return;
+        }
+
+        const { entry, stopLoss, takeProfit } = prediction.suggestedPrices;
+        const entryPrice = Math.max(entry || price, price); // a sell under the market would fill at once
+        const order = await this.exchange.openShort(pair, entryPrice, orderQty / entryPrice);
+        if (order.error) return order;
+        this.state[pair.key] = {
+            entryTime: (order.transactTime || this.bot.clock()) - ShortManager.BORROW_WINDOW,
+            entryPrice,
+            stopLoss: stopLoss > entryPrice ? stopLoss : plusPercent(Math.abs(pair.okLoss || -2), entryPrice),
+            takeProfit: takeProfit < entryPrice ? takeProfit : minusPercent(pair.profitMgn, entryPrice)
+        };
+        this.save();
+        this.bot.telegramBotHandler.sendMessage(`📉 ${pair.key} short: selling ${order.origQty} at ${order.price}`);
+        return order;
+    }
+
+    /**
+     * The entry sell waits while the prediction stays short and price hasn't run more than okDiff % below it.
+     * A cancelled entry's unsold coins are repaid on the next round.
+     */
+    async monitorEntry(pair, entry, signal, price) {
+        const drop = -calculateProfit(price, entry.price);
+        if (signal === 'short' && drop < pair.okDiff) {
+            console.log(`${pair.key} short entry at ${entry.price} pending`);
+            return;
+        }
+        console.log(`Cancelling ${pair.key} short entry: ${signal !== 'short' ? 'signal gone' : `price ${drop.toFixed(2)}% below it`}`);
+        return await this.exchange.cancelMarginOrder(pair, entry);
+    }
+
+    /**
+     * Protection waits for its take profit or stop, a long prediction while the short is in profit
+     * buys back at the market instead. A buy-back price has run away from is cancelled and placed again.
+     */
+    async monitorExit(pair, position, order, signal, price) {
+        const isBuyBack = order.type === 'LIMIT';
+        if (isBuyBack) {
+            if (calculateProfit(price, order.price) < pair.okDiff) return;
+            console.log(`${pair.key} buy-back at ${order.price} left behind, placing it again`);
+            return await this.exchange.cancelMarginOrder(pair, order);
+        }
+        const entryPrice = this.state[pair.key]?.entryPrice;
+        if (signal !== 'long' || !entryPrice || price >= entryPrice) return;
+        console.log(`${pair.key} prediction turned long, closing the short in profit`);
+        const cancelled = await this.exchange.cancelMarginOrder(pair, order);
+        if (!cancelled || cancelled.error) return cancelled;
+        return await this.exchange.buyBackShort(pair, this.getBuyBackQty(pair, position), price);
+    }
+
+    /**
+     * A base commission shrinks what a buy repays, config.marginBuyBackBuffer % extra covers it and the interest.
+     * One lot step more makes up for ExchangeManager rounding the quantity down.
+     */
+    getBuyBackQty(pair, position) {
+        const rules = this.exchange.getSymbolRules(pair);
+        return plusPercent(this.config.marginBuyBackBuffer, position.uncovered) + (rules.limit(rules.lotSize('LIMIT'), 'stepSize') || 0);
+    }
+
+    /**
+     * Whether part of what was sold has neither a buy-back nor protection for it: no BUY orders yet,
+     * or a stop placed before the entry sold the rest
+     */
+    isUnprotected(pair, position, price) {
+        if (!this.isTradeable(pair, position.uncovered, price)) return false;
+        const buys = position.openOrders.filter(order => order.side === 'BUY');
+        if (buys.some(order => order.type === 'LIMIT')) return false;
+        const covered = buys
+            .filter(order => order.type === 'STOP_LOSS_LIMIT')
+            .reduce((sum, order) => sum + parseFloat(order.origQty) - parseFloat(order.executedQty), 0);
+        return covered < Number(this.exchange.getSymbolRules(pair).normalizeQuantity(position.uncovered));
+    }
+
+    /**
+     * Cancels protection too small for what is owed (both legs of an OCO go together) and places it again
+     */
+    async reprotect(pair, position, price) {
+        const lists = new Set();
+        for (const order of position.openOrders.filter(order => order.side === 'BUY')) {
+            if (order.orderListId > -1 && lists.has(order.orderListId)) continue;
+            lists.add(order.orderListId);
+            const cancelled = await this.exchange.cancelMarginOrder(pair, order);
+            if (!cancelled || cancelled.error) return cancelled;
+        }
+        return await this.protect(pair, position, price);
+    }
+
+    /**
+     * Places the short's protection from its saved stop and target, the pair's okLoss/profitMgn around
+     * the current price for a short the state file doesn't know. Buys back right away when price
+     * is already past the stop or the target.
+     */
+    async protect(pair, position, price) {
+        if (!this.state[pair.key]) {
+            this.state[pair.key] = {
+                entryTime: this.bot.clock(),
+                entryPrice: price,
+                stopLoss: plusPercent(Math.abs(pair.okLoss || -2), price),
+                takeProfit: minusPercent(pair.profitMgn, price)
+            };
+            this.save();
+        }
+        const saved = this.state[pair.key];
+        const qty = this.getBuyBackQty(pair, position);
+        if (price >= saved.stopLoss) {
+            console.log(`${pair.key} short is past its stop ${saved.stopLoss}, buying back`);
+            return await this.exchange.buyBackShort(pair, qty, plusPercent(this.config.marginDeriskSlippage, price));
+        }
+        if (price <= saved.takeProfit) {
+            console.log(`${pair.key} short reached its target ${saved.takeProfit}, buying back`);
+            return await this.exchange.buyBackShort(pair, qty, price);
+        }
+        return await this.exchange.placeShortProtection(pair, qty, saved.stopLoss, saved.takeProfit);
+    }
+
+    /**
+     * Cancels the short's orders and buys back what was sold above the market, so it fills now
+     */
+    async derisk(pair, position, price) {
+        this.report(pair, 'MARGIN_DERISK', `🚨 ${pair.key} short: margin level ${position.marginLevel.toFixed(2)} (${position.marginLevelStatus}), buying back`);
+        for (const order of position.openOrders) {
+            const cancelled = await this.exchange.cancelMarginOrder(pair, order);
+            if (!cancelled || cancelled.error) return cancelled;
+        }
+        if (!this.isTradeable(pair, position.uncovered, price)) return await this.settle(pair, position);
+        return await this.exchange.buyBackShort(pair, this.getBuyBackQty(pair, position), plusPercent(this.config.marginDeriskSlippage, price));
+    }
+
+    /**
+     * Repays the debt with the base asset the account holds; debt it can't cover and that is
+     * too small to buy is reported for a manual repayment
+     */
+    async settle(pair, position) {
+        const [baseAsset] = pair.key.split('_');
+        const amount = Math.min(position.free, position.liability);
+        if (position.uncovered > 0) {
+            this.report(pair, 'MARGIN_DUST', `⚠️ ${pair.key} short: ${position.uncovered} ${baseAsset} owed is below the minimum order, repay it manually`);
+        }
+        if (!(amount > 0)) return;
+        console.log(`Repaying ${amount} ${baseAsset} of the ${pair.key} short`);
+        return await this.exchange.repayMargin(pair, baseAsset, amount);
+    }
+
+    /**
+     * Journals the interest the closed short paid and forgets it
+     */
+    async close(pair, price) {
+        const [baseAsset] = pair.key.split('_');
+        const { entryTime } = this.state[pair.key];
+        const interest = await this.exchange.getMarginInterest(pair, baseAsset, entryTime);
+        if (interest?.error) return; // tried again next round
+        if (interest > 0) this.exchange.journal.recordInterest(pair.joinedPair, baseAsset, interest, price);
+        console.log(`${pair.key} short closed, ${interest} ${baseAsset} interest paid`);
+        delete this.state[pair.key];
+        this.save();
+    }
+}
+
+module.exports = ShortManager;
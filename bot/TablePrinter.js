@@ -42,6 +42,8 @@ class TablePrinter {
             { name: 'acceleration', title: 'Accel', alignment: 'right' },
             { name: 'potentialMoves', title: 'Pos Moves', alignment: 'right' },
             { name: 'tradeable', title: 'Trade', alignment: 'center' },
+            { name: 'size', title: 'Size', alignment: 'right' },
+            { name: 'ladder', title: 'Ladder', alignment: 'right' },
             { name: 'time', title: 'Time', alignment: 'right', color: 'custom_blue' }
         ];
     }
@@ -58,7 +60,7 @@ class TablePrinter {
 
         return {
             pair: element.key,
-            signal: analysis.consensusSignal || 'HOLD',
+            signal: element.intent?.signal || analysis.consensusSignal || 'HOLD',
             trend: recentTrend.priceTrend || '-',
             priceChange: recentTrend.overallPriceChange || '-',
             volumeChange: recentTrend.avgVolumeChange || '-',
@@ -66,12 +68,16 @@ class TablePrinter {
             acceleration: recentTrend.priceAcceleration || '-',
             potentialMoves: recentTrend.potentialMove ,
             tradeable: element.tradeable ? '✓' : '✗',
+            // quote the pair's last buy was sized to
+            size: element.sizing ? `${element.sizing.quoteQty.toFixed(2)} ${element.sizing.mode}` : '-',
+            // entries filled and targets hit of the pair's ladder
+            ladder: element.ladder ? `${element.ladder.filledEntries}/${element.ladder.entries} in, ${element.ladder.targetsHit}/${element.ladder.targets} out` : '-',
             time: element.date ? element.date.split(' ')[1] : '-'
         };
     }
     
     getRowColor(element) {
-        const signal = element.analysis?.consensusSignal;
+        const signal = element.intent?.signal || element.analysis?.consensusSignal;
         if (signal === 'BUY' || signal ===  'STRONG_BUY' ) return 'custom_green';
         if (signal === 'SELL' || signal ===  'STRONG_SELL') return 'custom_red';
         if (element.tradeable) return 'custom_yellow';
@@ -237,7 +243,7 @@ class TablePrinter {
 
         return {
             pair: element.key,
-            signal: analysis.consensusSignal || 'HOLD',
+            signal: element.intent?.signal || analysis.consensusSignal || 'HOLD',
             trend: trend.priceTrend || '-',
             priceChange: this._highlightExtreme(trend.overallPriceChange || '-', 2.0),
             volumeChange: this._highlightExtreme(metrics.volumeChange || '-', 20.0),
@@ -263,7 +269,7 @@ class TablePrinter {
     }
 
     getRowColor(element) {
-        const signal = element.analysis?.consensusSignal;
+        const signal = element.intent?.signal || element.analysis?.consensusSignal;
         const trend = element.analysis?.trend?.priceTrend;
         
         if (signal === 'BUY' && trend === 'BULLISH') return 'custom_green';
@@ -14,6 +14,7 @@ class TelegramBotHandler {
             console.log('\x1b[33m%s\x1b[0m', 'Telegram bot is disabled via configuration.');
             return; // Do not initialize the bot if disabled
         }
+        if (this.tBot) return; // already polling, e.g. the engine booting again after a stop
         const token = process.env.TELEGRAM_BOT_TOKEN;
         if (!token) {
             throw new Error('Telegram bot token not set in environment variables.');
@@ -34,12 +35,18 @@ class TelegramBotHandler {
         await this.tBot.sendMessage(process.env.TELEGRAM_MY_ID, response);
     }
 
-    sendGroupChatAlert(pair, analysis, currentPrice) {
+    sendMessage(message) {
+        if (!this.tBot) return; // Bot disabled or not initialized
+        this.tBot.sendMessage(process.env.TELEGRAM_MY_ID, message)
+            .catch(error => console.error('Failed to send Telegram message:', error.message));
+    }
+
+    sendGroupChatAlert(pair, signal, currentPrice) {
         if (!this.config.telegramAlertEnabled) {
             console.log(`Telegram bot is disabled, not sending alert for ${pair}.`);
             return; // Exit early if the Telegram bot is disabled
         }
-        const normalizedSignal = analysis.consensusSignal.toLowerCase();
+        const normalizedSignal = signal.toLowerCase();
         
         const currentTime = Date.now();
         if (!this.groupChatLastAlertTimes[normalizedSignal]) {
@@ -59,6 +66,68 @@ class TelegramBotHandler {
             console.log(`Alert for ${pair} (${normalizedSignal}) skipped. Cooldown: ${this.config.alertCooldown - timeSinceLastAlert}ms remaining`);
         }
     }
+
+    /**
+     * Long/short alert of the v3 scoring (see v3/SignalPredictor.toAlert) to the group chat,
+     * under the same switch and per-signal cooldown as sendGroupChatAlert
+     */
+    sendSignalAlert(alertData) {
+        if (!this.config.telegramAlertEnabled || !this.tBot) return;
+        const { pair, signal } = alertData;
+        const lastAlertTimes = this.groupChatLastAlertTimes[signal] ??= {};
+        const currentTime = Date.now();
+        if (currentTime - (lastAlertTimes[pair] || 0) < this.config.alertCooldown) return;
+
+        this.tBot.sendMessage(process.env.TELEGRAM_GROUPCHAT_ID, TelegramBotHandler.formatSignalAlert(alertData))
+            .catch(error => console.error(`Failed to send alert for ${pair}:`, error.message));
+        lastAlertTimes[pair] = currentTime;
+        console.log(`Alert sent for ${pair} (${signal})`);
+    }
+
+    /**
+     * @param {Object} alertData - { pair, signal: 'long' | 'short', currentPrice, entryPrice, stopLoss, takeProfit, optimalBuy }
+     * @returns {string}
+     */
+    static formatSignalAlert(alertData) {
+        const {
+            pair,
+            signal,
+            currentPrice,
+            entryPrice,
+            stopLoss,
+            takeProfit,
+            optimalBuy = null
+        } = alertData;
+
+        const riskPct = Math.abs((entryPrice - stopLoss) / entryPrice * 100);
+        const rewardPct = Math.abs((takeProfit - entryPrice) / entryPrice * 100);
+        const rrRatio = (rewardPct / riskPct).toFixed(2);
+
+        const action = signal === 'long' ? '🟢 LONG' : '🔴 SHORT';
+        const pricePrecision = pair.includes('BTC') ? 2 : 6;
+
+        let message = `
+${action} SIGNAL
+──────────────
+📊 Pair: ${pair}
+💰 Current: $${currentPrice.toFixed(pricePrecision)}
+🎯 Entry: $${entryPrice.toFixed(pricePrecision)}
+        `.trim();
+
+        if (optimalBuy && optimalBuy !== entryPrice) {
+            const discount = ((currentPrice - optimalBuy) / currentPrice * 100).toFixed(2);
+            message += `\n⭐ Optimal: $${optimalBuy.toFixed(pricePrecision)} (${discount}% below current) \n`;
+        }
+
+        message += `
+🛑 Stop Loss: $${stopLoss.toFixed(pricePrecision)} (${riskPct.toFixed(2)}%)
+🎯 Take Profit: $${takeProfit.toFixed(pricePrecision)} (${rewardPct.toFixed(2)}%)
+⚖️ Risk/Reward: ${rrRatio}:1
+⏰ Time: ${new Date().toLocaleString()}
+        `.trim();
+
+        return message;
+    }
 }
 
 module.exports = TelegramBotHandler;
\ No newline at end of file
@@ -6,6 +6,7 @@ class TimeManager {
     this.config = config;
     this.makeQueuedReq = makeQueuedRequest;
     this.timeCheckInterval = null;
+    this.lastResync = null; // { time, synced } of the last resynchronizeTime attempt
   }
 
   /**
@@ -82,19 +83,26 @@ class TimeManager {
   }
 
   /**
-   * Synchronizes system time with NTP server
+   * Synchronizes system time with NTP server. Called again within timeCheckInterval
+   * (e.g. by every request rejected for a -1021 skew) it returns the last attempt's result.
    * @returns {boolean} True if successful
    */
   async resynchronizeTime() {
+    const now = Date.now();
+    if (this.lastResync && now - this.lastResync.time < (this.config.timeCheckInterval || 60000)) {
+      return this.lastResync.synced;
+    }
+    let synced = false;
     try {
       console.log('⌚ Attempting time synchronization...');
-      execSync('sudo ntpdate pool.ntp.org');
+      execSync('sudo -n ntpdate pool.ntp.org'); // -n fails instead of waiting for a password prompt
       console.log('⌚ Time synchronized successfully');
-      return true;
+      synced = true;
     } catch (error) {
-      console.error('⌚ Time synchronization failed:', error);
-      return false;
+      console.error('⌚ Time synchronization failed:', error.message);
     }
+    this.lastResync = { time: Date.now(), synced };
+    return synced;
   }
 }
 
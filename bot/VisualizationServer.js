@@ -2,14 +2,52 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const { CommandError } = require('./CommandHandler');
+const SnapshotHistory = require('./classes/SnapshotHistory');
+
+// Control API routes: [method, path, command, request => command arguments], see bot/CommandHandler.js
+const CONTROL_ROUTES = [
+  ['get', '/status', 'status'],
+  ['post', '/start', 'start'],
+  ['post', '/stop', 'stop'],
+  ['get', '/pairs', 'pairs'],
+  ['post', '/pairs', req => (req.body?.tradeable ? 'addTpair' : 'addPair'), req => ({ pair: req.body?.key })],
+  ['delete', '/pairs/:key', 'removePair', req => ({ pair: req.params.key })],
+  ['patch', '/pairs/:key', 'setPair', req => ({ pair: req.params.key, values: req.body })],
+  ['get', '/pairs/:key/analysis', 'analysis', req => ({ pair: req.params.key })],
+  ['get', '/orders', 'orders', req => ({ pair: req.query.pair })],
+  ['delete', '/orders/:key/:orderId', 'cancel', req => ({ pair: req.params.key, orderId: req.params.orderId })],
+  ['post', '/alerts', 'alert', req => ({ enabled: req.body?.enabled })],
+  ['get', '/stats', 'stats', req => ({ pair: req.query.pair })],
+  ['get', '/risk', 'risk']
+];
+
+// Hashing first gives timingSafeEqual the equal lengths it needs
+const tokensMatch = (given, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(given).digest(),
+  crypto.createHash('sha256').update(expected).digest()
+);
 
 class VisualizationServer {
-  constructor(port = 3000) {
+  /**
+   * @param {number} [port]
+   * @param {CommandHandler} [commandHandler] - Serves the control API under /api when set
+   * @param {Object} [options]
+   * @param {number} [options.historyHours] - How far back the history slider reaches
+   * @param {number} [options.historyInterval] - Minimum ms between two rounds kept for it
+   * @param {string} [options.historyFile] - saveData file the history is seeded from on start
+   */
+  constructor(port = 3000, commandHandler = null, { historyHours = 24, historyInterval = 60000, historyFile = null } = {}) {
     this.port = port;
+    this.commandHandler = commandHandler;
+    this.history = new SnapshotHistory({ hours: historyHours, interval: historyInterval });
+    if (historyFile) this.history.loadSaved(historyFile);
     this.app = express();
     this.server = http.createServer(this.app);
     this.io = socketIo(this.server);
     this.setupMiddleware();
+    if (commandHandler) this.setupControlApi();
   }
 
   setupMiddleware() {
@@ -22,6 +60,46 @@ class VisualizationServer {
     });
   }
 
+  /**
+   * JSON control endpoints running the same commands as Telegram. Every request needs
+   * `Authorization: Bearer <CONTROL_API_TOKEN>`, without the variable the API stays off.
+   */
+  setupControlApi() {
+    const token = process.env.CONTROL_API_TOKEN;
+    if (!token) {
+      console.log('\x1b[33m%s\x1b[0m', 'CONTROL_API_TOKEN not set, control API disabled.');
+      return;
+    }
+    const router = express.Router();
+    router.use((req, res, next) => {
+      const [scheme, given] = (req.get('authorization') || '').split(' ');
+      if (scheme !== 'Bearer' || !given || !tokensMatch(given, token)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      next();
+    });
+    router.use(express.json());
+
+    CONTROL_ROUTES.forEach(([method, route, command, getArgs = () => ({})]) => {
+      router[method](route, async (req, res) => {
+        const name = typeof command === 'function' ? command(req) : command;
+        const result = await this.commandHandler.run(name, getArgs(req));
+        res.json(typeof result === 'string' ? { message: result } : result);
+      });
+    });
+
+    router.use((req, res) => res.status(404).json({ error: 'Not found' }));
+    router.use((error, req, res, next) => {
+      if (error instanceof CommandError) return res.status(error.status).json({ error: error.message });
+      // express.json() rejections carry their own status
+      if (error.status && error.status < 500) return res.status(error.status).json({ error: error.message });
+      console.error('Control API error:', error);
+      res.status(500).json({ error: error.message });
+    });
+    this.app.use('/api', router);
+    console.log('📊 Control API enabled on /api');
+  }
+
   start() {
     return new Promise((resolve) => {
       this.server.listen(this.port, () => {
@@ -31,6 +109,9 @@ class VisualizationServer {
       
       this.io.on('connection', (socket) => {
         console.log('📊 New client connected');
+        // New clients get the last round right away instead of waiting for the next one
+        if (this.history.latest) socket.emit('initial-data', this.history.latest);
+        socket.emit('history', this.history.getHistory());
         socket.on('disconnect', () => {
           console.log('📊 Client disconnected');
         });
@@ -39,8 +120,10 @@ class VisualizationServer {
   }
 
   emitData(data) {
+    const snapshot = this.history.add(data);
     if (this.io) {
       this.io.emit('data-update', data);
+      if (snapshot) this.io.emit('history-update', snapshot);
     }
   }
 
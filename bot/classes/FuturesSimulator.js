@@ -0,0 +1,519 @@
+const ExchangeError = require('../exchanges/ExchangeError');
+
+/**
+ * Binance USDⓈ-M perpetual futures for paper trading and the mock server, in one-way position mode.
+ * Answers in the /fapi shapes (BinanceFuturesAdapter translates them like the real API's).
+ *
+ * One wallet of the margin asset backs every symbol. A symbol's position is a signed quantity with
+ * its average entry, opened with the symbol's leverage (`defaultLeverage` until set) and margin type.
+ * Orders are LIMIT, MARKET (filled at once at the last price), STOP_MARKET and TAKE_PROFIT_MARKET;
+ * exits can be reduceOnly or closePosition and expire once the position is closed. Stops and limits fill
+ * like OrderSimulator's, stops first. Every `FUNDING_INTERVAL` open positions pay `fundingRate` % of their
+ * notional (longs pay, shorts receive), and a position whose candle reaches its liquidation price
+ * is closed there, losing its margin (isolated) or what the wallet held for it (cross).
+ */
+class FuturesSimulator {
+    static NEW = 'NEW';
+    static FILLED = 'FILLED';
+    static CANCELED = 'CANCELED';
+    static EXPIRED = 'EXPIRED';
+    static ORDER_TYPES = ['LIMIT', 'MARKET', 'STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+    static STOP_TYPES = ['STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+    static MARGIN_TYPES = ['ISOLATED', 'CROSSED'];
+    static MAX_LEVERAGE = 125;
+    static FUNDING_INTERVAL = 8 * 60 * 60 * 1000;
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.balance] - Wallet the account starts with
+     * @param {string} [options.asset] - Margin asset
+     * @param {number} [options.defaultLeverage]
+     * @param {number} [options.maintenanceMarginRate] - % of the notional a position must keep as margin
+     * @param {number} [options.fundingRate] - % of the notional paid per funding interval
+     * @param {number} [options.feePercent]
+     * @param {Function} [options.clock]
+     * @param {number} [options.firstOrderId]
+     */
+    constructor({
+        balance = 0,
+        asset = 'USDT',
+        defaultLeverage = 20,
+        maintenanceMarginRate = 0.4,
+        fundingRate = 0.01,
+        feePercent = 0.04,
+        clock = Date.now,
+        firstOrderId = 1
+    } = {}) {
+        this.walletBalance = parseFloat(balance) || 0;
+        this.asset = asset;
+        this.defaultLeverage = defaultLeverage;
+        this.maintenanceMarginRate = maintenanceMarginRate / 100;
+        this.fundingRate = fundingRate / 100;
+        this.feePercent = feePercent;
+        this.clock = clock;
+        this.symbols = new Map(); // symbol -> { leverage, marginType, qty, entryPrice, isolatedMargin, nextFundingTime }
+        this.prices = new Map(); // symbol -> last price, what positions are marked at
+        this.orders = [];
+        this.fills = [];
+        this.income = []; // /fapi/v1/income rows: funding fees, realized P&L and commissions
+        this.nextOrderId = firstOrderId;
+        this.nextTranId = 1;
+    }
+
+    _error(methodName, details, params = {}, code = null) {
+        return ExchangeError.fromResponse(methodName, params, { code, msg: details });
+    }
+
+    _symbol(symbol) {
+        if (!this.symbols.has(symbol)) {
+            const interval = FuturesSimulator.FUNDING_INTERVAL;
+            this.symbols.set(symbol, {
+                leverage: this.defaultLeverage,
+                marginType: 'CROSSED',
+                qty: 0,
+                entryPrice: 0,
+                isolatedMargin: 0,
+                nextFundingTime: Math.ceil(this.clock() / interval) * interval
+            });
+        }
+        return this.symbols.get(symbol);
+    }
+
+    _unrealized(symbol) {
+        const state = this._symbol(symbol);
+        const price = this.prices.get(symbol);
+        return state.qty && price !== undefined ? state.qty * (price - state.entryPrice) : 0;
+    }
+
+    _initialMargin(symbol, qty, price) {
+        return Math.abs(qty) * price / this._symbol(symbol).leverage;
+    }
+
+    /**
+     * Wallet not taken by positions, open orders or the losses of cross positions
+     */
+    availableBalance() {
+        let used = 0;
+        let crossLoss = 0;
+        this.symbols.forEach((state, symbol) => {
+            if (state.marginType === 'ISOLATED') used += state.isolatedMargin;
+            else {
+                used += this._initialMargin(symbol, state.qty, this.prices.get(symbol) ?? state.entryPrice);
+                crossLoss += Math.min(0, this._unrealized(symbol));
+            }
+        });
+        this.orders.filter(o => o.status === FuturesSimulator.NEW && !this._isReducing(o)).forEach(o => {
+            used += this._initialMargin(o.symbol, parseFloat(o.origQty), parseFloat(o.price) || this.prices.get(o.symbol) || 0);
+        });
+        return this.walletBalance + crossLoss - used;
+    }
+
+    // Price at which the position's margin falls to the maintenance margin, 0 when it can't be liquidated
+    liquidationPrice(symbol) {
+        const state = this._symbol(symbol);
+        const size = Math.abs(state.qty);
+        if (!size) return 0;
+        const mmr = this.maintenanceMarginRate;
+        const isLong = state.qty > 0;
+        let margin = state.isolatedMargin;
+        if (state.marginType === 'CROSSED') {
+            // The whole wallet stands behind a cross position, less what isolated positions hold
+            margin = this.walletBalance - [...this.symbols.entries()]
+                .filter(([other, s]) => other !== symbol && s.marginType === 'ISOLATED')
+                .reduce((sum, [, s]) => sum + s.isolatedMargin, 0);
+        }
+        // margin + qty * (price - entry) = mmr * size * price
+        const price = isLong
+            ? (size * state.entryPrice - margin) / (size * (1 - mmr))
+            : (size * state.entryPrice + margin) / (size * (1 + mmr));
+        return Math.max(0, price);
+    }
+
+    getAccount() {
+        const totalUnrealizedProfit = [...this.symbols.keys()].reduce((sum, symbol) => sum + this._unrealized(symbol), 0);
+        const available = String(this.availableBalance());
+        return {
+            totalWalletBalance: String(this.walletBalance),
+            totalUnrealizedProfit: String(totalUnrealizedProfit),
+            totalMarginBalance: String(this.walletBalance + totalUnrealizedProfit),
+            availableBalance: available,
+            assets: [{
+                asset: this.asset,
+                walletBalance: String(this.walletBalance),
+                unrealizedProfit: String(totalUnrealizedProfit),
+                marginBalance: String(this.walletBalance + totalUnrealizedProfit),
+                availableBalance: available
+            }],
+            positions: [...this.symbols.keys()].map(symbol => this.getPosition(symbol))
+        };
+    }
+
+    /**
+     * The symbol's position in the GET /fapi/v2/positionRisk entry format
+     */
+    getPosition(symbol) {
+        const state = this._symbol(symbol);
+        const markPrice = this.prices.get(symbol) ?? 0;
+        return {
+            symbol,
+            positionAmt: String(state.qty),
+            entryPrice: String(state.entryPrice),
+            markPrice: String(markPrice),
+            unRealizedProfit: String(this._unrealized(symbol)),
+            liquidationPrice: String(this.liquidationPrice(symbol)),
+            leverage: String(state.leverage),
+            maxNotionalValue: '1000000',
+            marginType: state.marginType === 'ISOLATED' ? 'isolated' : 'cross',
+            isolatedMargin: String(state.marginType === 'ISOLATED' ? state.isolatedMargin + this._unrealized(symbol) : 0),
+            isAutoAddMargin: 'false',
+            positionSide: 'BOTH',
+            notional: String(state.qty * markPrice),
+            updateTime: this.clock()
+        };
+    }
+
+    setLeverage(symbol, leverage) {
+        leverage = parseInt(leverage);
+        if (!(leverage >= 1 && leverage <= FuturesSimulator.MAX_LEVERAGE)) {
+            return this._error('setLeverage', 'Leverage is not valid.', { symbol, leverage }, -4028);
+        }
+        const state = this._symbol(symbol);
+        if (state.qty && state.marginType === 'ISOLATED' && leverage < state.leverage) {
+            return this._error('setLeverage', 'Leverage reduction is not supported in Isolated Margin Mode with open positions.', { symbol, leverage }, -4161);
+        }
+        state.leverage = leverage;
+        return { symbol, leverage, maxNotionalValue: '1000000' };
+    }
+
+    setMarginType(symbol, marginType) {
+        if (!FuturesSimulator.MARGIN_TYPES.includes(marginType)) {
+            return this._error('setMarginType', 'Invalid marginType.', { symbol, marginType }, -1116);
+        }
+        const state = this._symbol(symbol);
+        if (state.marginType === marginType) return this._error('setMarginType', 'No need to change margin type.', { symbol, marginType }, -4046);
+        if (state.qty) return this._error('setMarginType', 'Margin type cannot be changed if there exists position.', { symbol, marginType }, -4048);
+        if (this.getOpenOrders(symbol).length) {
+            return this._error('setMarginType', 'Margin type cannot be changed if there exists open orders.', { symbol, marginType }, -4047);
+        }
+        state.marginType = marginType;
+        return { code: 200, msg: 'success' };
+    }
+
+    premiumIndex(symbol) {
+        const markPrice = String(this.prices.get(symbol) ?? 0);
+        return {
+            symbol,
+            markPrice,
+            indexPrice: markPrice,
+            lastFundingRate: String(this.fundingRate),
+            nextFundingTime: this._symbol(symbol).nextFundingTime,
+            time: this.clock()
+        };
+    }
+
+    getIncome(symbol, incomeType = null, startTime = 0) {
+        return this.income.filter(row => row.symbol === symbol && (!incomeType || row.incomeType === incomeType) && row.time >= startTime);
+    }
+
+    _addIncome(symbol, incomeType, income, time = this.clock()) {
+        this.income.push({ symbol, incomeType, income: String(income), asset: this.asset, info: '', time, tranId: this.nextTranId++, tradeId: '' });
+    }
+
+    _isReducing(order) {
+        return order.reduceOnly || order.closePosition;
+    }
+
+    _validateOrder(type, params) {
+        if (!FuturesSimulator.ORDER_TYPES.includes(type)) return `Order type ${type} is not supported by the simulator`;
+        const closePosition = String(params.closePosition) === 'true';
+        if (!closePosition && !(parseFloat(params.quantity) > 0)) return 'Invalid quantity';
+        if (type === 'LIMIT' && !(parseFloat(params.price) > 0)) return 'Invalid price';
+        if (FuturesSimulator.STOP_TYPES.includes(type) && !(parseFloat(params.stopPrice) > 0)) return `Stop price is required for ${type}`;
+        if (closePosition && !FuturesSimulator.STOP_TYPES.includes(type)) return 'closePosition is only allowed for STOP_MARKET and TAKE_PROFIT_MARKET';
+        return null;
+    }
+
+    // GET /fapi/v1/order shape
+    _publicOrder(order) {
+        return { ...order, avgPrice: String(order.avgPrice) };
+    }
+
+    /**
+     * Places an order in the POST /fapi/v1/order format
+     * @param {Object} symbolInfo - { symbol }
+     * @returns {Object} The order, or an ExchangeError on rejection
+     */
+    placeOrder(symbolInfo, side, type, params = {}) {
+        const { symbol } = symbolInfo;
+        const invalid = this._validateOrder(type, params);
+        if (invalid) return this._error('newOrder', invalid, params, -1116);
+        const state = this._symbol(symbol);
+        const reduceOnly = String(params.reduceOnly) === 'true';
+        const closePosition = String(params.closePosition) === 'true';
+        const price = this.prices.get(symbol);
+        if (type === 'MARKET' && price === undefined) return this._error('newOrder', `No price for ${symbol} yet`, params);
+
+        if (reduceOnly && !(side === 'BUY' ? state.qty < 0 : state.qty > 0)) {
+            return this._error('newOrder', 'ReduceOnly Order is rejected.', params, -2022);
+        }
+        const stopPrice = parseFloat(params.stopPrice);
+        if (FuturesSimulator.STOP_TYPES.includes(type) && price !== undefined) {
+            // A stop above the market buys, a take profit below it; the other way round they'd trigger at once
+            const triggersNow = (side === 'BUY') === (type === 'STOP_MARKET') ? price >= stopPrice : price <= stopPrice;
+            if (triggersNow) return this._error('newOrder', 'Order would immediately trigger.', params, -2021);
+        }
+        const qty = parseFloat(params.quantity) || 0;
+        if (!reduceOnly && !closePosition) {
+            const margin = this._initialMargin(symbol, qty, type === 'LIMIT' ? parseFloat(params.price) : price);
+            if (margin > this.availableBalance()) return this._error('newOrder', 'Margin is insufficient.', params, -2019);
+        }
+
+        const now = this.clock();
+        const order = {
+            orderId: this.nextOrderId++,
+            symbol,
+            status: FuturesSimulator.NEW,
+            clientOrderId: params.newClientOrderId || `sim-${now}-${this.nextOrderId}`,
+            price: type === 'LIMIT' ? String(params.price) : '0',
+            avgPrice: 0,
+            origQty: String(qty),
+            executedQty: '0',
+            cumQuote: '0',
+            timeInForce: params.timeInForce || 'GTC',
+            type,
+            reduceOnly: reduceOnly || closePosition,
+            closePosition,
+            side,
+            positionSide: 'BOTH',
+            stopPrice: String(params.stopPrice || '0'),
+            workingType: params.workingType || 'CONTRACT_PRICE',
+            origType: type,
+            time: now,
+            updateTime: now
+        };
+        this.orders.push(order);
+        if (type === 'MARKET') this._fillOrder(order, price);
+        return this._publicOrder(order);
+    }
+
+    cancelOrder(symbol, orderId) {
+        const order = this.orders.find(o => o.symbol === symbol && o.orderId == orderId);
+        if (!order || order.status !== FuturesSimulator.NEW) {
+            return this._error('cancelOrder', 'Unknown order sent.', { symbol, orderId }, -2011);
+        }
+        this._closeOrder(order, FuturesSimulator.CANCELED);
+        return this._publicOrder(order);
+    }
+
+    _closeOrder(order, status) {
+        order.status = status;
+        order.updateTime = this.clock();
+    }
+
+    getOrders(symbol, limit = 30) {
+        return this.orders.filter(o => o.symbol === symbol).slice(-limit).map(o => this._publicOrder(o));
+    }
+
+    getOpenOrders(symbol) {
+        return this.orders.filter(o => o.symbol === symbol && o.status === FuturesSimulator.NEW).map(o => this._publicOrder(o));
+    }
+
+    getOrder(symbol, orderId) {
+        const order = this.orders.find(o => o.symbol === symbol && o.orderId == orderId);
+        return order ? this._publicOrder(order) : this._error('getOrder', 'Order does not exist.', { symbol, orderId }, -2013);
+    }
+
+    /**
+     * Fills in the GET /fapi/v1/userTrades format
+     */
+    getTrades(symbol, orderId = null) {
+        return this.fills
+            .filter(f => f.symbol === symbol && (orderId === null || f.orderId == orderId))
+            .map(f => ({
+                symbol: f.symbol,
+                id: f.id,
+                orderId: f.orderId,
+                side: f.side,
+                price: String(f.price),
+                qty: String(f.qty),
+                realizedPnl: String(f.realizedPnl),
+                quoteQty: String(f.quoteQty),
+                commission: String(f.commission),
+                commissionAsset: this.asset,
+                time: f.time,
+                positionSide: 'BOTH',
+                buyer: f.side === 'BUY',
+                maker: f.type === 'LIMIT'
+            }));
+    }
+
+    /**
+     * Executes what is left of an order at `price`: a reducing order never flips the position,
+     * the part opening one takes its initial margin (isolated) from the wallet
+     */
+    _fillOrder(order, price) {
+        const state = this._symbol(order.symbol);
+        const direction = order.side === 'BUY' ? 1 : -1;
+        let qty = parseFloat(order.origQty) - parseFloat(order.executedQty);
+        if (this._isReducing(order)) {
+            const open = direction > 0 ? Math.max(0, -state.qty) : Math.max(0, state.qty);
+            qty = order.closePosition ? open : Math.min(qty, open);
+        }
+        if (!(qty > 0)) {
+            this._closeOrder(order, FuturesSimulator.EXPIRED);
+            return null;
+        }
+
+        const closing = Math.sign(state.qty) === -direction ? Math.min(qty, Math.abs(state.qty)) : 0;
+        const opening = qty - closing;
+        let realizedPnl = 0;
+        if (closing) {
+            realizedPnl = closing * (price - state.entryPrice) * -direction;
+            const released = state.isolatedMargin * closing / Math.abs(state.qty);
+            state.isolatedMargin -= released;
+            state.qty += closing * direction;
+            if (!state.qty) state.entryPrice = 0;
+        }
+        if (opening) {
+            const size = Math.abs(state.qty);
+            state.entryPrice = (state.entryPrice * size + price * opening) / (size + opening);
+            state.qty += opening * direction;
+            if (state.marginType === 'ISOLATED') state.isolatedMargin += this._initialMargin(order.symbol, opening, price);
+        }
+        const quoteQty = qty * price;
+        const commission = quoteQty * this.feePercent / 100;
+        this.walletBalance += realizedPnl - commission;
+        if (realizedPnl) this._addIncome(order.symbol, 'REALIZED_PNL', realizedPnl);
+        this._addIncome(order.symbol, 'COMMISSION', -commission);
+
+        const executedQty = parseFloat(order.executedQty) + qty;
+        const cumQuote = parseFloat(order.cumQuote) + quoteQty;
+        order.executedQty = String(executedQty);
+        order.cumQuote = String(cumQuote);
+        order.avgPrice = cumQuote / executedQty;
+        if (order.closePosition) order.origQty = order.executedQty;
+        this._closeOrder(order, FuturesSimulator.FILLED);
+
+        const fill = {
+            id: this.fills.length + 1,
+            symbol: order.symbol,
+            orderId: order.orderId,
+            side: order.side,
+            type: order.type,
+            price,
+            qty,
+            quoteQty,
+            commission,
+            commissionAsset: this.asset,
+            realizedPnl,
+            time: this.clock()
+        };
+        this.fills.push(fill);
+        if (!state.qty) this._expireExits(order.symbol);
+        return fill;
+    }
+
+    // Reduce-only orders have nothing left to close once the position is flat
+    _expireExits(symbol) {
+        this.orders.filter(o => o.symbol === symbol && o.status === FuturesSimulator.NEW && this._isReducing(o))
+            .forEach(o => this._closeOrder(o, FuturesSimulator.EXPIRED));
+    }
+
+    // Funding for every interval the clock passed, charged on the position held at its time
+    chargeFunding(symbol) {
+        const state = this._symbol(symbol);
+        const now = this.clock();
+        while (state.nextFundingTime <= now) {
+            const price = this.prices.get(symbol);
+            if (state.qty && price !== undefined) {
+                const fee = -state.qty * price * this.fundingRate;
+                this.walletBalance += fee;
+                if (state.marginType === 'ISOLATED') state.isolatedMargin += fee;
+                this._addIncome(symbol, 'FUNDING_FEE', fee, state.nextFundingTime);
+            }
+            state.nextFundingTime += FuturesSimulator.FUNDING_INTERVAL;
+        }
+    }
+
+    /**
+     * Closes a position the candle took to its liquidation price, there
+     * @returns {Object|null} The liquidation fill
+     */
+    _liquidate(symbol, high, low) {
+        const state = this._symbol(symbol);
+        const liquidationPrice = this.liquidationPrice(symbol);
+        if (!state.qty || !(liquidationPrice > 0)) return null;
+        const reached = state.qty > 0 ? low <= liquidationPrice : high >= liquidationPrice;
+        if (!reached) return null;
+        this.orders.filter(o => o.symbol === symbol && o.status === FuturesSimulator.NEW)
+            .forEach(o => this._closeOrder(o, FuturesSimulator.CANCELED));
+        const now = this.clock();
+        const order = {
+            orderId: this.nextOrderId++,
+            symbol,
+            status: FuturesSimulator.NEW,
+            clientOrderId: `autoclose-${now}`,
+            price: '0',
+            avgPrice: 0,
+            origQty: String(Math.abs(state.qty)),
+            executedQty: '0',
+            cumQuote: '0',
+            timeInForce: 'IOC',
+            type: 'LIQUIDATION',
+            reduceOnly: true,
+            closePosition: false,
+            side: state.qty > 0 ? 'SELL' : 'BUY',
+            positionSide: 'BOTH',
+            stopPrice: '0',
+            workingType: 'MARK_PRICE',
+            origType: 'LIQUIDATION',
+            time: now,
+            updateTime: now
+        };
+        this.orders.push(order);
+        const maintenanceMargin = Math.abs(state.qty) * liquidationPrice * this.maintenanceMarginRate;
+        const fill = this._fillOrder(order, liquidationPrice);
+        // What the position had left goes to the insurance fund
+        this.walletBalance -= maintenanceMargin;
+        this._addIncome(symbol, 'INSURANCE_CLEAR', -maintenanceMargin);
+        return fill;
+    }
+
+    // What positions are marked at until the next matchOrders
+    setPrice(symbol, price) {
+        this.prices.set(symbol, parseFloat(price));
+    }
+
+    /**
+     * Liquidates, triggers and fills the symbol's orders against a candle's range, then marks its
+     * position at `close` and charges the funding due
+     * @returns {Array} Fills produced by this call
+     */
+    matchOrders(symbol, high, low, close = low) {
+        high = parseFloat(high);
+        low = parseFloat(low);
+        const fills = [];
+        const liquidation = this._liquidate(symbol, high, low);
+        if (liquidation) fills.push(liquidation);
+        const open = this.orders.filter(o => o.symbol === symbol && o.status === FuturesSimulator.NEW)
+            .sort((a, b) => (b.type === 'STOP_MARKET') - (a.type === 'STOP_MARKET'));
+        open.forEach(order => {
+            if (order.status !== FuturesSimulator.NEW) return; // expired by an exit that filled before it
+            let price = parseFloat(order.price);
+            if (FuturesSimulator.STOP_TYPES.includes(order.type)) {
+                price = parseFloat(order.stopPrice);
+                const above = (order.side === 'BUY') === (order.type === 'STOP_MARKET');
+                if (above ? high < price : low > price) return;
+            } else if (order.side === 'BUY' ? low > price : high < price) {
+                return;
+            }
+            const fill = this._fillOrder(order, price);
+            if (fill) fills.push(fill);
+        });
+        this.setPrice(symbol, close);
+        this.chargeFunding(symbol);
+        return fills;
+    }
+}
+
+module.exports = FuturesSimulator;
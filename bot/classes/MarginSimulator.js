@@ -0,0 +1,315 @@
+const OrderSimulator = require('./OrderSimulator');
+const ExchangeError = require('../exchanges/ExchangeError');
+
+/**
+ * Binance isolated margin accounts for paper trading and the mock server. Every symbol gets its own
+ * account: an OrderSimulator holding its balances and orders, plus what was borrowed and the interest on it.
+ *
+ * Accounts open with `collateral` of the quote asset, as if it had been transferred in. Interest is
+ * charged per hour on the borrowed amount, the first hour when borrowing, and the margin level
+ * (assets / liabilities at the last matched price) caps borrowing at `leverage`. Buys placed with
+ * sideEffectType AUTO_REPAY repay the debt with what they bought once they fill. Nothing is ever
+ * liquidated, de-risking is left to the bot.
+ */
+class MarginSimulator {
+    static HOUR = 60 * 60 * 1000;
+    static NO_DEBT_LEVEL = 999; // what Binance reports as the margin level of an account without liabilities
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.collateral] - Quote every isolated account starts with
+     * @param {number} [options.leverage] - Max leverage, 3 means borrowing up to twice the collateral
+     * @param {number} [options.interestRate] - Daily interest in percent
+     * @param {number} [options.feePercent]
+     * @param {Function} [options.clock]
+     * @param {number} [options.firstOrderId]
+     */
+    constructor({ collateral = 0, leverage = 3, interestRate = 0.02, feePercent = 0.1, clock = Date.now, firstOrderId = 1 } = {}) {
+        this.collateral = collateral;
+        this.leverage = leverage;
+        this.interestRate = interestRate;
+        this.feePercent = feePercent;
+        this.clock = clock;
+        this.firstOrderId = firstOrderId;
+        this.accounts = new Map(); // symbol -> { symbolInfo, simulator, liabilities, nextAccrual, autoRepay }
+        this.prices = new Map(); // symbol -> last close, what the base asset is valued at
+        this.interestHistory = []; // { isolatedSymbol, asset, interest, interestAccuredTime }
+        this.nextTranId = 1;
+    }
+
+    _error(methodName, details, params = {}, code = null) {
+        return ExchangeError.fromResponse(methodName, params, { code, msg: details });
+    }
+
+    /**
+     * The symbol's account, opened on first use with the collateral
+     * @param {Object} symbolInfo - { symbol, baseAsset, quoteAsset }
+     */
+    account(symbolInfo) {
+        if (!this.accounts.has(symbolInfo.symbol)) {
+            this.accounts.set(symbolInfo.symbol, {
+                symbolInfo,
+                simulator: new OrderSimulator({
+                    balances: { [symbolInfo.quoteAsset]: this.collateral },
+                    feePercent: this.feePercent,
+                    clock: this.clock,
+                    firstOrderId: this.firstOrderId,
+                    isolated: true
+                }),
+                liabilities: {}, // asset -> { borrowed, interest }
+                nextAccrual: null,
+                autoRepay: new Set() // orderIds placed with sideEffectType AUTO_REPAY
+            });
+        }
+        return this.accounts.get(symbolInfo.symbol);
+    }
+
+    _liability(account, asset) {
+        if (!account.liabilities[asset]) account.liabilities[asset] = { borrowed: 0, interest: 0 };
+        return account.liabilities[asset];
+    }
+
+    // Quote value of an asset of the account, null while the base asset has no price yet
+    _value(account, asset, amount) {
+        if (!amount) return 0;
+        if (asset === account.symbolInfo.quoteAsset) return amount;
+        const price = this.prices.get(account.symbolInfo.symbol);
+        return price === undefined ? null : amount * price;
+    }
+
+    _totals(account) {
+        const { baseAsset, quoteAsset } = account.symbolInfo;
+        let assets = 0;
+        let liabilities = 0;
+        for (const asset of [baseAsset, quoteAsset]) {
+            const { free, locked } = account.simulator.getBalance(asset);
+            const { borrowed, interest } = this._liability(account, asset);
+            assets += this._value(account, asset, parseFloat(free) + parseFloat(locked)) ?? 0;
+            liabilities += this._value(account, asset, borrowed + interest) ?? 0;
+        }
+        return { assets, liabilities };
+    }
+
+    marginLevel(account) {
+        const { assets, liabilities } = this._totals(account);
+        return liabilities > 0 ? assets / liabilities : MarginSimulator.NO_DEBT_LEVEL;
+    }
+
+    // Binance's marginLevelStatus bands
+    static levelStatus(level) {
+        if (level >= 2) return 'EXCESSIVE';
+        if (level >= 1.5) return 'NORMAL';
+        if (level >= 1.25) return 'MARGIN_CALL';
+        if (level > 1.1) return 'PRE_LIQUIDATION';
+        return 'FORCE_LIQUIDATION';
+    }
+
+    /**
+     * The account in the GET /sapi/v1/margin/isolated/account `assets` entry format
+     */
+    getAccount(symbolInfo) {
+        const account = this.account(symbolInfo);
+        const level = this.marginLevel(account);
+        const asset = (name) => {
+            const { free, locked } = account.simulator.getBalance(name);
+            const { borrowed, interest } = this._liability(account, name);
+            const total = parseFloat(free) + parseFloat(locked);
+            return {
+                asset: name,
+                borrowEnabled: true,
+                repayEnabled: true,
+                free,
+                locked,
+                borrowed: String(borrowed),
+                interest: String(interest),
+                totalAsset: String(total),
+                netAsset: String(total - borrowed - interest)
+            };
+        };
+        return {
+            symbol: symbolInfo.symbol,
+            isolatedCreated: true,
+            enabled: true,
+            tradeEnabled: true,
+            baseAsset: asset(symbolInfo.baseAsset),
+            quoteAsset: asset(symbolInfo.quoteAsset),
+            marginLevel: level.toFixed(8),
+            marginLevelStatus: MarginSimulator.levelStatus(level),
+            indexPrice: String(this.prices.get(symbolInfo.symbol) ?? 0),
+            liquidatePrice: '0'
+        };
+    }
+
+    /**
+     * What can still be borrowed before the margin level drops below the leverage's initial level
+     */
+    maxBorrowable(symbolInfo, asset) {
+        const account = this.account(symbolInfo);
+        const unitValue = this._value(account, asset, 1);
+        if (!unitValue) return { amount: '0', borrowLimit: '0' };
+        const initialLevel = this.leverage / (this.leverage - 1);
+        const { assets, liabilities } = this._totals(account);
+        // Borrowing x adds x to both sides: (assets + x) / (liabilities + x) >= initialLevel
+        const amount = Math.max(0, (assets - initialLevel * liabilities) / (initialLevel - 1)) / unitValue;
+        return { amount: String(amount), borrowLimit: String(amount) };
+    }
+
+    borrow(symbolInfo, asset, amount) {
+        const account = this.account(symbolInfo);
+        amount = parseFloat(amount);
+        if (!(amount > 0)) return this._error('marginBorrowRepay', 'Invalid amount.', { asset, amount }, -3999);
+        if (amount > parseFloat(this.maxBorrowable(symbolInfo, asset).amount)) {
+            return this._error('marginBorrowRepay', 'Your borrow amount has exceed maximum borrow amount.', { asset, amount }, -3006);
+        }
+        this.accrueInterest(account);
+        this._liability(account, asset).borrowed += amount;
+        account.simulator._wallet(asset).free += amount;
+        // Binance charges the first hour right away
+        this._charge(account, asset, amount, this.clock());
+        account.nextAccrual ??= this.clock() + MarginSimulator.HOUR;
+        return { tranId: this.nextTranId++ };
+    }
+
+    /**
+     * Pays interest first, then the principal, from the asset's free balance
+     */
+    repay(symbolInfo, asset, amount) {
+        const account = this.account(symbolInfo);
+        this.accrueInterest(account);
+        const liability = this._liability(account, asset);
+        const wallet = account.simulator._wallet(asset);
+        amount = parseFloat(amount);
+        if (!(amount > 0)) return this._error('marginBorrowRepay', 'Invalid amount.', { asset, amount }, -3999);
+        if (amount > wallet.free + 1e-12) {
+            return this._error('marginBorrowRepay', 'Balance is not enough', { asset, amount }, -3041);
+        }
+        if (amount > liability.borrowed + liability.interest + 1e-12) {
+            return this._error('marginBorrowRepay', 'Repay amount exceeds borrow amount.', { asset, amount }, -3015);
+        }
+        this._applyRepay(account, asset, amount);
+        return { tranId: this.nextTranId++ };
+    }
+
+    _applyRepay(account, asset, amount) {
+        const liability = this._liability(account, asset);
+        const toInterest = Math.min(amount, liability.interest);
+        liability.interest -= toInterest;
+        liability.borrowed = Math.max(0, liability.borrowed - (amount - toInterest));
+        account.simulator._wallet(asset).free -= amount;
+        if (liability.borrowed + liability.interest === 0) account.nextAccrual = null;
+    }
+
+    _charge(account, asset, borrowed, time) {
+        const interest = borrowed * this.interestRate / 100 / 24;
+        if (!(interest > 0)) return;
+        this._liability(account, asset).interest += interest;
+        this.interestHistory.push({
+            isolatedSymbol: account.symbolInfo.symbol,
+            asset,
+            principal: String(borrowed),
+            interest: String(interest),
+            interestRate: String(this.interestRate / 100),
+            interestAccuredTime: time,
+            type: 'PERIODIC'
+        });
+    }
+
+    // Hourly interest on everything borrowed, for every hour the clock passed
+    accrueInterest(account) {
+        const now = this.clock();
+        while (account.nextAccrual !== null && account.nextAccrual <= now) {
+            Object.entries(account.liabilities).forEach(([asset, { borrowed }]) => {
+                if (borrowed > 0) this._charge(account, asset, borrowed, account.nextAccrual);
+            });
+            account.nextAccrual += MarginSimulator.HOUR;
+        }
+    }
+
+    getInterestHistory(symbol, asset = null, startTime = 0) {
+        return this.interestHistory.filter(row => row.isolatedSymbol === symbol &&
+            (!asset || row.asset === asset) && row.interestAccuredTime >= startTime);
+    }
+
+    placeOrder(symbolInfo, side, type, params = {}) {
+        const { sideEffectType, ...orderParams } = params;
+        const account = this.account(symbolInfo);
+        const response = account.simulator.placeOrder(symbolInfo, side, type, orderParams);
+        if (!response.error && sideEffectType === 'AUTO_REPAY') account.autoRepay.add(response.orderId);
+        return response;
+    }
+
+    /**
+     * Margin OCO with the POST /sapi/v1/margin/order/oco params: `price` for the LIMIT_MAKER leg,
+     * `stopPrice` / `stopLimitPrice` for the STOP_LOSS_LIMIT leg
+     */
+    placeOrderList(symbolInfo, side, quantity, params = {}) {
+        const { sideEffectType, price, stopPrice, stopLimitPrice, stopLimitTimeInForce, listClientOrderId } = params;
+        const timeInForce = stopLimitTimeInForce || 'GTC';
+        // A BUY's stop sits above the market, a SELL's below
+        const listParams = side === 'BUY'
+            ? { aboveStopPrice: stopPrice, abovePrice: stopLimitPrice ?? stopPrice, aboveTimeInForce: timeInForce, belowPrice: price, listClientOrderId }
+            : { belowStopPrice: stopPrice, belowPrice: stopLimitPrice ?? stopPrice, belowTimeInForce: timeInForce, abovePrice: price, listClientOrderId };
+        const account = this.account(symbolInfo);
+        const response = account.simulator.placeOrderList(symbolInfo, side, quantity, listParams);
+        if (response.error) return response;
+        if (sideEffectType === 'AUTO_REPAY') response.orders.forEach(order => account.autoRepay.add(order.orderId));
+        return { ...response, isIsolated: true };
+    }
+
+    cancelOrder(symbol, orderId) {
+        const account = this.accounts.get(symbol);
+        return account ? account.simulator.cancelOrder(symbol, orderId) : this._error('cancelMarginOrder', 'Unknown order sent.', { symbol, orderId }, -2011);
+    }
+
+    cancelOrderList(symbol, orderListId) {
+        const account = this.accounts.get(symbol);
+        if (!account) return this._error('cancelMarginOCOOrder', 'Order list does not exist.', { symbol, orderListId }, -2011);
+        const response = account.simulator.cancelOrderList(symbol, orderListId);
+        return response.error ? response : { ...response, isIsolated: true };
+    }
+
+    getOrders(symbol, limit = 30) {
+        return this.accounts.get(symbol)?.simulator.getOrders(symbol, limit) || [];
+    }
+
+    getOpenOrders(symbol) {
+        const simulator = this.accounts.get(symbol)?.simulator;
+        return simulator ? simulator.getOpenOrders(symbol).map(o => simulator._publicOrder(o)) : [];
+    }
+
+    getTrades(symbol, orderId = null) {
+        return (this.accounts.get(symbol)?.simulator.getTrades(symbol, orderId) || []).map(trade => ({ ...trade, isIsolated: true }));
+    }
+
+    getOrder(symbol, orderId) {
+        const account = this.accounts.get(symbol);
+        return account ? account.simulator.getOrder(symbol, orderId) : this._error('getMarginOrder', 'Order does not exist.', { symbol, orderId }, -2013);
+    }
+
+    // What the symbol's base asset is valued at until the next matchOrders
+    setPrice(symbol, price) {
+        this.prices.set(symbol, parseFloat(price));
+    }
+
+    /**
+     * Prices the account at `close`, charges interest due and fills its resting orders like
+     * OrderSimulator.matchOrders; AUTO_REPAY buys pay the debt back right away
+     * @returns {Array} Fills produced by this call
+     */
+    matchOrders(symbol, high, low, close = low) {
+        this.setPrice(symbol, close);
+        const account = this.accounts.get(symbol);
+        if (!account) return [];
+        this.accrueInterest(account);
+        const fills = account.simulator.matchOrders(symbol, high, low);
+        fills.filter(fill => fill.side === 'BUY' && account.autoRepay.has(fill.orderId)).forEach(fill => {
+            const { baseAsset } = account.symbolInfo;
+            const liability = this._liability(account, baseAsset);
+            const amount = Math.min(fill.qty - fill.commission, liability.borrowed + liability.interest, account.simulator._wallet(baseAsset).free);
+            if (amount > 0) this._applyRepay(account, baseAsset, amount);
+        });
+        return fills;
+    }
+}
+
+module.exports = MarginSimulator;
@@ -0,0 +1,140 @@
+const MarketDataStore = require('./MarketDataStore');
+const { historicalKlines, depth, aggTrades, exchangeInfo } = require('../../utils/binance-spot');
+const { intervalToMs, wait } = require('../../utils/helpers');
+
+const PAGE_SIZE = 1000; // historicalKlines and aggTrades page size
+
+/**
+ * Fills a MarketDataStore from the REST API: paginated kline backfills, depth snapshots and aggTrades.
+ * The bot feeds it what fetchPairData already downloaded (recordPairData), backtest/record.js polls on its own.
+ */
+class MarketDataRecorder {
+    /**
+     * @param {Object} options
+     * @param {MarketDataStore} [options.store] - Not needed to only fetch (fetchKlines)
+     * @param {Function} [options.request] - (apiFunction, ...args) => response, e.g. ExchangeManager.makeQueuedReq
+     * @param {number} [options.depthInterval] - Minimum ms between two stored depth snapshots of a symbol
+     * @param {number} [options.requestDelay] - Pause between pages, keeps backfills under the request weight limit
+     */
+    constructor({ store = null, request = (apiFunction, ...args) => apiFunction(...args), depthInterval = 60000, requestDelay = 250 } = {}) {
+        this.store = store;
+        this.request = request;
+        this.depthInterval = depthInterval;
+        this.requestDelay = requestDelay;
+        this.lastDepthAt = new Map(); // symbol -> time of the last stored snapshot
+        this.savedSymbolInfo = new Set();
+    }
+
+    /**
+     * Closed klines with start <= openTime <= end, paging through historicalKlines
+     */
+    async fetchKlines(symbol, interval, start, end = Date.now()) {
+        const candles = [];
+        let from = start;
+        while (from <= end) {
+            const batch = await this.request(historicalKlines, symbol, interval, { startTime: from, endTime: end });
+            if (batch.error) throw new Error(`${batch.error}: ${batch.details}`);
+            if (!batch.length) break;
+            candles.push(...batch);
+            from = batch[batch.length - 1][6] + 1;
+            if (batch.length < PAGE_SIZE) break;
+            await wait(this.requestDelay);
+        }
+        // Drop the candle still in progress
+        const now = Date.now();
+        return candles.filter(c => c[6] < now);
+    }
+
+    /**
+     * Downloads every candle missing from the store between start and end
+     * @returns {Promise<number>} Candles written
+     */
+    async backfill(symbol, interval, { start, end = Date.now() }) {
+        const series = MarketDataStore.klineSeries(interval);
+        // 1w and 1M candles don't open on multiples of their length, those only grow from the last stored one
+        if (/[wM]$/.test(interval)) {
+            const last = this.store.getLastRecord(symbol, series);
+            const candles = await this.fetchKlines(symbol, interval, last ? last[6] + 1 : start, end);
+            return this.store.appendKlines(symbol, interval, candles);
+        }
+        const lastOpen = end - intervalToMs(interval); // the candle open at `end` isn't closed yet
+        let written = 0;
+        for (const gap of this.store.findGaps(symbol, interval, start, lastOpen)) {
+            const candles = await this.fetchKlines(symbol, interval, gap.start, gap.end);
+            // Gaps can sit before the last stored candle, append() takes them regardless of order
+            written += this.store.append(symbol, series, candles);
+        }
+        return written;
+    }
+
+    /**
+     * Klines closed since the last stored one
+     */
+    async updateKlines(symbol, interval) {
+        const last = this.store.getLastRecord(symbol, MarketDataStore.klineSeries(interval));
+        if (!last) return 0;
+        return this.store.appendKlines(symbol, interval, await this.fetchKlines(symbol, interval, last[6] + 1));
+    }
+
+    async recordDepth(symbol) {
+        const book = await this.request(depth, symbol);
+        if (book?.error) throw new Error(`${book.error}: ${book.details}`);
+        return this.storeDepth(symbol, book);
+    }
+
+    // Snapshots closer than depthInterval to the previous one are dropped
+    storeDepth(symbol, book, time = Date.now()) {
+        if (time - (this.lastDepthAt.get(symbol) || 0) < this.depthInterval) return 0;
+        const written = this.store.appendDepth(symbol, book, time);
+        if (written) this.lastDepthAt.set(symbol, time);
+        return written;
+    }
+
+    /**
+     * aggTrades since the last stored one, the latest page when there is none
+     * @param {number} [maxPages] - Pages per call, a long pause catches up over several calls
+     */
+    async recordTrades(symbol, maxPages = 10) {
+        let written = 0;
+        for (let page = 0; page < maxPages; page++) {
+            const last = this.store.getLastRecord(symbol, 'trades');
+            const trades = await this.request(aggTrades, symbol, last ? { fromId: last.a + 1 } : {});
+            if (trades.error) throw new Error(`${trades.error}: ${trades.details}`);
+            written += this.store.appendTrades(symbol, trades);
+            if (trades.length < PAGE_SIZE || !last) break;
+            await wait(this.requestDelay);
+        }
+        return written;
+    }
+
+    async recordSymbolInfo(symbol) {
+        const info = await this.request(exchangeInfo, { symbol });
+        if (info.error) throw new Error(`${info.error}: ${info.details}`);
+        this.saveSymbolInfo(symbol, info.symbols?.[0]);
+    }
+
+    saveSymbolInfo(symbol, symbolInfo) {
+        if (!symbolInfo || this.savedSymbolInfo.has(symbol)) return;
+        this.store.saveSymbolInfo(symbol, symbolInfo);
+        this.savedSymbolInfo.add(symbol);
+    }
+
+    /**
+     * Stores what the bot fetched for a pair this round
+     * @param {string} symbol
+     * @param {Object} klinesByInterval - { '1h': [...], '4h': [...] }
+     * @param {Object} [book] - depth response
+     * @param {Object} [symbolInfo] - exchangeInfo entry, saved once per run
+     */
+    recordPairData(symbol, klinesByInterval, book, symbolInfo) {
+        try {
+            this.saveSymbolInfo(symbol, symbolInfo);
+            Object.entries(klinesByInterval).forEach(([interval, candles]) => this.store.appendKlines(symbol, interval, candles));
+            if (book) this.storeDepth(symbol, book);
+        } catch (error) {
+            console.error(`Error recording market data for ${symbol}:`, error);
+        }
+    }
+}
+
+module.exports = MarketDataRecorder;
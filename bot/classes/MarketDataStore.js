@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { intervalToMs } = require('../../utils/helpers');
+
+/**
+ * Local store of recorded market data, one gzip NDJSON file per symbol, series and UTC day:
+ *
+ *   <dir>/<SYMBOL>/symbol-info.json                    exchangeInfo.symbols entry
+ *   <dir>/<SYMBOL>/klines-<interval>/<YYYY-MM-DD>.ndjson.gz   [openTime, open, high, low, close, volume, closeTime, ...]
+ *   <dir>/<SYMBOL>/depth/<YYYY-MM-DD>.ndjson.gz        { time, lastUpdateId, bids, asks }
+ *   <dir>/<SYMBOL>/trades/<YYYY-MM-DD>.ndjson.gz       aggTrades entries { a, p, q, f, l, T, m, M }
+ *
+ * Every write appends a gzip member, which gunzip reads back as one stream, so files are never rewritten.
+ * Klines and trades are only appended past the last stored one, re-recording an overlap is harmless.
+ */
+class MarketDataStore {
+    // Time a record is filed and queried under
+    static TIME_OF = {
+        klines: candle => candle[0],
+        depth: snapshot => snapshot.time,
+        trades: trade => trade.T
+    };
+
+    constructor(dir) {
+        this.dir = dir;
+        this.lastRecords = new Map(); // <SYMBOL>/<series> -> newest stored record
+    }
+
+    static klineSeries(interval) {
+        return `klines-${interval}`;
+    }
+
+    static dayOf(time) {
+        return new Date(time).toISOString().slice(0, 10);
+    }
+
+    _seriesDir(symbol, series) {
+        return path.join(this.dir, symbol, series);
+    }
+
+    _timeOf(series) {
+        return MarketDataStore.TIME_OF[series.startsWith('klines-') ? 'klines' : series];
+    }
+
+    // Day files of a series, oldest first
+    _days(symbol, series) {
+        const dir = this._seriesDir(symbol, series);
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.ndjson.gz'))
+            .map(file => file.slice(0, -'.ndjson.gz'.length))
+            .sort();
+    }
+
+    _readDay(symbol, series, day) {
+        const file = path.join(this._seriesDir(symbol, series), `${day}.ndjson.gz`);
+        try {
+            return zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch (error) {
+            console.error(`Error reading ${file}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Appends records to a series, grouped into their day files
+     */
+    append(symbol, series, records) {
+        if (!records.length) return 0;
+        const timeOf = this._timeOf(series);
+        const byDay = new Map();
+        records.forEach(record => {
+            const day = MarketDataStore.dayOf(timeOf(record));
+            if (!byDay.has(day)) byDay.set(day, []);
+            byDay.get(day).push(JSON.stringify(record));
+        });
+        const dir = this._seriesDir(symbol, series);
+        fs.mkdirSync(dir, { recursive: true });
+        byDay.forEach((lines, day) => {
+            fs.appendFileSync(path.join(dir, `${day}.ndjson.gz`), zlib.gzipSync(lines.join('\n') + '\n'));
+        });
+        const newest = records.reduce((last, record) => (timeOf(record) >= timeOf(last) ? record : last));
+        const key = `${symbol}/${series}`;
+        const previous = this.lastRecords.get(key);
+        if (!previous || timeOf(newest) >= timeOf(previous)) this.lastRecords.set(key, newest);
+        return records.length;
+    }
+
+    /**
+     * Newest stored record of a series, null when it is empty
+     */
+    getLastRecord(symbol, series) {
+        const key = `${symbol}/${series}`;
+        if (!this.lastRecords.has(key)) {
+            const days = this._days(symbol, series);
+            const timeOf = this._timeOf(series);
+            let last = null;
+            // The newest day file can be empty after a failed write, walk back until a record turns up
+            for (let i = days.length - 1; i >= 0 && !last; i--) {
+                this._readDay(symbol, series, days[i]).forEach(record => {
+                    if (!last || timeOf(record) >= timeOf(last)) last = record;
+                });
+            }
+            this.lastRecords.set(key, last);
+        }
+        return this.lastRecords.get(key);
+    }
+
+    /**
+     * Records of a series with start <= time <= end, oldest first
+     */
+    read(symbol, series, { start = 0, end = Infinity } = {}) {
+        const timeOf = this._timeOf(series);
+        const first = MarketDataStore.dayOf(start);
+        const last = Number.isFinite(end) ? MarketDataStore.dayOf(end) : null;
+        return this._days(symbol, series)
+            .filter(day => day >= first && (!last || day <= last))
+            .flatMap(day => this._readDay(symbol, series, day))
+            .filter(record => timeOf(record) >= start && timeOf(record) <= end)
+            .sort((a, b) => timeOf(a) - timeOf(b));
+    }
+
+    /**
+     * Appends closed klines newer than the last stored one
+     * @returns {number} Candles written
+     */
+    appendKlines(symbol, interval, candles, now = Date.now()) {
+        if (!Array.isArray(candles)) return 0;
+        const series = MarketDataStore.klineSeries(interval);
+        const last = this.getLastRecord(symbol, series);
+        const fresh = candles.filter(c => c[6] < now && (!last || c[0] > last[0]));
+        return this.append(symbol, series, fresh);
+    }
+
+    /**
+     * @param {Object} book - depth response { lastUpdateId, bids, asks }
+     */
+    appendDepth(symbol, book, time = Date.now()) {
+        if (!book?.bids || !book?.asks) return 0;
+        return this.append(symbol, 'depth', [{ time, lastUpdateId: book.lastUpdateId, bids: book.bids, asks: book.asks }]);
+    }
+
+    /**
+     * Appends aggTrades entries newer than the last stored one
+     */
+    appendTrades(symbol, trades) {
+        if (!Array.isArray(trades)) return 0;
+        const last = this.getLastRecord(symbol, 'trades');
+        return this.append(symbol, 'trades', trades.filter(trade => !last || trade.a > last.a));
+    }
+
+    saveSymbolInfo(symbol, symbolInfo) {
+        fs.mkdirSync(path.join(this.dir, symbol), { recursive: true });
+        fs.writeFileSync(path.join(this.dir, symbol, 'symbol-info.json'), JSON.stringify(symbolInfo));
+    }
+
+    getSymbolInfo(symbol) {
+        const file = path.join(this.dir, symbol, 'symbol-info.json');
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : null;
+    }
+
+    getSymbols() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir).filter(name => fs.statSync(path.join(this.dir, name)).isDirectory());
+    }
+
+    getIntervals(symbol) {
+        const dir = path.join(this.dir, symbol);
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir).filter(name => name.startsWith('klines-')).map(name => name.slice('klines-'.length));
+    }
+
+    /**
+     * Klines in the REST format, one per openTime
+     * @param {Object} [options]
+     * @param {number} [options.start] - Earliest openTime
+     * @param {number} [options.end] - Latest openTime
+     * @param {number} [options.limit] - Keep only the most recent candles
+     */
+    getKlines(symbol, interval, { start, end, limit } = {}) {
+        const seen = new Set();
+        const candles = this.read(symbol, MarketDataStore.klineSeries(interval), { start, end }).filter(candle => {
+            if (seen.has(candle[0])) return false;
+            seen.add(candle[0]);
+            return true;
+        });
+        return limit ? candles.slice(-limit) : candles;
+    }
+
+    getDepth(symbol, { start, end } = {}) {
+        return this.read(symbol, 'depth', { start, end });
+    }
+
+    getTrades(symbol, { start, end } = {}) {
+        const seen = new Set();
+        return this.read(symbol, 'trades', { start, end }).filter(trade => {
+            if (seen.has(trade.a)) return false;
+            seen.add(trade.a);
+            return true;
+        });
+    }
+
+    /**
+     * Ranges of missing candles between two openTimes. Only for intervals up to 1d, which open
+     * on multiples of their length; 1w and 1M candles don't.
+     * @returns {Array<{ start: number, end: number }>} openTimes of the first and last missing candle
+     */
+    findGaps(symbol, interval, start, end) {
+        if (/[wM]$/.test(interval)) throw new Error(`Gaps can't be located on ${interval} klines`);
+        const step = intervalToMs(interval);
+        const first = Math.ceil(start / step) * step;
+        const gaps = [];
+        let expected = first;
+        this.getKlines(symbol, interval, { start: first, end }).forEach(candle => {
+            if (candle[0] > expected) gaps.push({ start: expected, end: candle[0] - step });
+            expected = Math.max(expected, candle[0] + step);
+        });
+        if (expected <= end) gaps.push({ start: expected, end: Math.floor(end / step) * step });
+        return gaps.filter(gap => gap.end >= gap.start);
+    }
+}
+
+module.exports = MarketDataStore;
@@ -0,0 +1,106 @@
+/**
+ * Latest klines and depth of the symbols the engine follows over websockets (v3/managers/ExchangeManager
+ * streams), kept in the REST layout ExchangeManager.fetchPairData reads, so a streamed round costs no
+ * market data requests.
+ *
+ * A kline series is seeded from REST and then followed by its stream. It is only served while it is live:
+ * updated within `staleAfter` ms and without a missing candle (a stream that reconnected after a candle
+ * closed drops its series until REST seeds it again). Depth goes stale the same way. Stale or missing
+ * data reads as null and fetchPairData falls back to REST.
+ */
+class MarketFeed {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.staleAfter] - ms without an update after which streamed data isn't used
+     * @param {Function} [options.clock] - Returns the current time in ms
+     */
+    constructor({ staleAfter = 10000, clock = Date.now } = {}) {
+        this.staleAfter = staleAfter;
+        this.clock = clock;
+        this.series = new Map(); // `${symbol}:${interval}` -> { klines, updatedAt }, for followed series only
+        this.depths = new Map(); // symbol -> { depth, updatedAt }
+    }
+
+    /**
+     * Follows a symbol's interval, only followed series are seeded and served
+     */
+    track(symbol, interval) {
+        const key = `${symbol}:${interval}`;
+        if (!this.series.has(key)) this.series.set(key, { klines: null, updatedAt: 0 });
+    }
+
+    isTracked(symbol, interval) {
+        return this.series.has(`${symbol}:${interval}`);
+    }
+
+    clear() {
+        this.series.clear();
+        this.depths.clear();
+    }
+
+    /**
+     * (Re)starts a followed series from a REST klines answer, oldest first. Its length is kept from then on.
+     */
+    seedKlines(symbol, interval, klines) {
+        const series = this.series.get(`${symbol}:${interval}`);
+        if (!series || !Array.isArray(klines) || !klines.length) return;
+        series.klines = klines.map(kline => kline.slice(0, 9));
+        series.updatedAt = this.clock();
+    }
+
+    /**
+     * A kline stream event: the live candle is replaced, the next one appended
+     * @param {Object} event - { e: 'kline', k: { t, T, o, h, l, c, v, q, n, x } }
+     */
+    updateKline(symbol, interval, event) {
+        const series = this.series.get(`${symbol}:${interval}`);
+        const k = event?.k;
+        if (!series?.klines || !k) return;
+        const kline = [k.t, k.o, k.h, k.l, k.c, k.v, k.T, k.q, k.n];
+        const { klines } = series;
+        const last = klines[klines.length - 1];
+        if (kline[0] === last[0]) {
+            klines[klines.length - 1] = kline;
+        } else if (kline[0] === last[6] + 1) {
+            klines.push(kline);
+            klines.shift();
+        } else if (kline[0] > last[0]) {
+            console.warn(`${symbol} ${interval} stream skipped candles, waiting for REST to seed it again`);
+            series.klines = null;
+            return;
+        } else {
+            return; // a late update of an older candle
+        }
+        series.updatedAt = this.clock();
+    }
+
+    /**
+     * A partial book depth event, { lastUpdateId, bids, asks }
+     */
+    updateDepth(symbol, depth) {
+        if (!Array.isArray(depth?.bids) || !Array.isArray(depth?.asks)) return;
+        this.depths.set(symbol, { depth, updatedAt: this.clock() });
+    }
+
+    isFresh(entry) {
+        return !!entry && this.clock() - entry.updatedAt <= this.staleAfter;
+    }
+
+    /**
+     * @returns {Array[]|null} A copy of the live series, null when it isn't followed, seeded or fresh
+     */
+    getKlines(symbol, interval) {
+        const series = this.series.get(`${symbol}:${interval}`);
+        return series?.klines && this.isFresh(series) ? series.klines.map(kline => [...kline]) : null;
+    }
+
+    /**
+     * @returns {Object|null} The last depth event with the time it arrived, null when stale
+     */
+    getDepth(symbol) {
+        const entry = this.depths.get(symbol);
+        return this.isFresh(entry) ? { ...entry.depth, time: entry.updatedAt } : null;
+    }
+}
+
+module.exports = MarketFeed;
@@ -0,0 +1,119 @@
+/**
+ * In-memory copy of the account's orders and balances, kept current by the user data stream
+ * (executionReport / outboundAccountPosition) so the bot doesn't have to poll allOrders.
+ *
+ * Orders are stored in the shape `allOrders` returns. A symbol's orders are only trusted once
+ * they were seeded from REST; a stream reconnect invalidates every symbol, as events may
+ * have been missed while it was down.
+ */
+class OrderLedger {
+    static MAX_ORDERS = 100; // per symbol, comfortably more than the 30 allOrders returns
+
+    constructor() {
+        this.orders = new Map(); // symbol -> Map(orderId -> order)
+        this.balances = new Map(); // asset -> { asset, free, locked }
+        this.synced = new Set(); // symbols seeded from REST since the last (re)connect
+        this.balancesSynced = false;
+    }
+
+    /**
+     * Replaces a symbol's orders with a REST snapshot
+     */
+    resetOrders(symbol, orders) {
+        const snapshot = new Map(orders.map(order => [order.orderId, { ...order }]));
+        const newestTime = Math.max(0, ...orders.map(order => order.time));
+        // Events that arrived while the snapshot was in flight are newer than it
+        (this.orders.get(symbol) || new Map()).forEach((order, orderId) => {
+            const known = snapshot.get(orderId);
+            if (known ? order.updateTime > known.updateTime : order.time > newestTime) snapshot.set(orderId, order);
+        });
+        this.orders.set(symbol, snapshot);
+        this.synced.add(symbol);
+    }
+
+    isSynced(symbol) {
+        return this.synced.has(symbol);
+    }
+
+    // Events may have been missed, every symbol (or just `symbol`) goes back to REST once
+    invalidate(symbol = null) {
+        if (symbol) {
+            this.synced.delete(symbol);
+            return;
+        }
+        this.synced.clear();
+        this.balancesSynced = false;
+    }
+
+    /**
+     * Latest orders of a symbol, oldest first like allOrders
+     */
+    getOrders(symbol, limit = 30) {
+        const orders = [...(this.orders.get(symbol)?.values() || [])]
+            .sort((a, b) => (a.time - b.time) || (a.orderId - b.orderId));
+        return orders.slice(-limit).map(order => ({ ...order }));
+    }
+
+    /**
+     * Applies an executionReport event
+     * @returns {Object} The updated order in allOrders shape
+     */
+    applyExecutionReport(event) {
+        const symbolOrders = this.orders.get(event.s) || new Map();
+        this.orders.set(event.s, symbolOrders);
+
+        const previous = symbolOrders.get(event.i);
+        const order = {
+            symbol: event.s,
+            orderId: event.i,
+            orderListId: event.g,
+            // A cancel reports the cancel request's id in `c` and the order's own in `C`
+            clientOrderId: event.x === 'CANCELED' && event.C ? event.C : event.c,
+            price: event.p,
+            origQty: event.q,
+            executedQty: event.z,
+            cummulativeQuoteQty: event.Z,
+            status: event.X,
+            timeInForce: event.f,
+            type: event.o,
+            side: event.S,
+            stopPrice: event.P,
+            icebergQty: event.F,
+            time: event.O ?? previous?.time ?? event.T, // futures updates carry no order time
+            updateTime: event.T || event.E,
+            isWorking: event.w,
+            origQuoteOrderQty: event.Q,
+            ...(event.isFutures && { isFutures: true, reduceOnly: event.R, closePosition: event.cp })
+        };
+        // Events can arrive out of order, never let an older report overwrite a newer one
+        if (previous && previous.updateTime > order.updateTime) return previous;
+        symbolOrders.set(order.orderId, order);
+
+        if (symbolOrders.size > OrderLedger.MAX_ORDERS) {
+            const oldest = this.getOrders(event.s, Infinity)[0];
+            symbolOrders.delete(oldest.orderId);
+        }
+        return order;
+    }
+
+    /**
+     * Replaces the balances with an /api/v3/account snapshot
+     */
+    setBalances(balances) {
+        this.balances = new Map(balances.map(b => [b.asset, { asset: b.asset, free: b.free, locked: b.locked }]));
+        this.balancesSynced = true;
+    }
+
+    /**
+     * Applies an outboundAccountPosition event, which carries every asset that changed
+     */
+    applyAccountPosition(event) {
+        event.B.forEach(b => this.balances.set(b.a, { asset: b.a, free: b.f, locked: b.l }));
+    }
+
+    getBalance(asset) {
+        return this.balances.get(asset) || { asset, free: '0', locked: '0' };
+    }
+}
+
+module.exports = OrderLedger;
@@ -0,0 +1,383 @@
+const ExchangeError = require('../exchanges/ExchangeError');
+
+/**
+ * In-memory matching engine that mimics the parts of the Binance spot API the bot uses.
+ * Keeps virtual balances, resting LIMIT/LIMIT_MAKER/STOP_LOSS_LIMIT orders and OCO lists
+ * in the same shape `allOrders` returns, and fills orders when price trades through them.
+ */
+class OrderSimulator {
+    static NEW = 'NEW';
+    static FILLED = 'FILLED';
+    static CANCELED = 'CANCELED';
+    static EXPIRED = 'EXPIRED';
+    static ORDER_TYPES = ['LIMIT', 'LIMIT_MAKER', 'STOP_LOSS_LIMIT'];
+
+    /**
+     * @param {Object} options
+     * @param {Object} [options.balances] - Starting free balances keyed by asset, e.g. { USDT: 1000 }
+     * @param {number} [options.feePercent] - Fee charged on every fill, in percent (Binance default is 0.1)
+     * @param {Function} [options.clock] - Returns the current time in ms
+     * @param {number} [options.firstOrderId] - Id given to the first order placed
+     * @param {boolean} [options.isolated] - The balances are an isolated margin account, orders are marked isIsolated like margin allOrders
+     */
+    constructor({ balances = {}, feePercent = 0.1, clock = Date.now, firstOrderId = 1, isolated = false } = {}) {
+        this.feePercent = feePercent;
+        this.clock = clock;
+        this.isolated = isolated;
+        this.balances = {};
+        this.orders = [];
+        this.fills = [];
+        this.nextOrderId = firstOrderId;
+        this.nextOrderListId = firstOrderId;
+        Object.entries(balances).forEach(([asset, free]) => {
+            this.balances[asset] = { free: parseFloat(free) || 0, locked: 0 };
+        });
+    }
+
+    _wallet(asset) {
+        if (!this.balances[asset]) this.balances[asset] = { free: 0, locked: 0 };
+        return this.balances[asset];
+    }
+
+    _error(methodName, details, params = {}, code = null) {
+        // Same ExchangeError utils/binance-spot.handleApiError returns for Binance's answer
+        return ExchangeError.fromResponse(methodName, params, { code, msg: details });
+    }
+
+    getBalance(asset) {
+        const wallet = this._wallet(asset);
+        return { asset, free: wallet.free.toString(), locked: wallet.locked.toString() };
+    }
+
+    getAccount() {
+        return {
+            canTrade: true,
+            accountType: 'SPOT',
+            updateTime: this.clock(),
+            balances: Object.keys(this.balances).map(asset => this.getBalance(asset))
+        };
+    }
+
+    // Strips the bookkeeping fields so callers get exactly what allOrders returns
+    _publicOrder({ baseAsset, quoteAsset, lockPrice, ...order }) {
+        return order;
+    }
+
+    getOrders(symbol, limit = 30) {
+        return this.orders
+            .filter(o => o.symbol === symbol)
+            .slice(-limit)
+            .map(o => this._publicOrder(o));
+    }
+
+    /**
+     * Fills in the /api/v3/myTrades format
+     */
+    getTrades(symbol, orderId = null) {
+        return this.fills
+            .map((f, index) => ({
+                symbol: f.symbol,
+                id: index + 1,
+                orderId: f.orderId,
+                price: f.price.toString(),
+                qty: f.qty.toString(),
+                quoteQty: f.quoteQty.toString(),
+                commission: f.commission.toString(),
+                commissionAsset: f.commissionAsset,
+                time: f.time,
+                isBuyer: f.side === 'BUY',
+                isMaker: true
+            }))
+            .filter(t => t.symbol === symbol && (orderId === null || t.orderId === orderId));
+    }
+
+    getOrder(symbol, orderId) {
+        const order = this.orders.find(o => o.symbol === symbol && o.orderId == orderId);
+        return order ? this._publicOrder(order) : this._error('getOrder', 'Order does not exist.', { symbol, orderId }, -2013);
+    }
+    getOpenOrders(symbol) {
+        return this.orders.filter(o => o.symbol === symbol && o.status === OrderSimulator.NEW);
+    }
+
+    _validateOrder(methodName, type, params) {
+        if (!OrderSimulator.ORDER_TYPES.includes(type)) {
+            return this._error(methodName, `Order type ${type} is not supported by the simulator`, params);
+        }
+        if (!(parseFloat(params.price) > 0) || !(parseFloat(params.quantity) > 0)) {
+            return this._error(methodName, 'Invalid price or quantity', params);
+        }
+        if (type === 'STOP_LOSS_LIMIT' && !(parseFloat(params.stopPrice) > 0)) {
+            return this._error(methodName, 'Stop price is required for STOP_LOSS_LIMIT', params);
+        }
+        return null;
+    }
+
+    // Locks what the order could spend: quote for buys, base for sells
+    _lockFunds(symbolInfo, side, price, quantity) {
+        const wallet = this._wallet(side === 'BUY' ? symbolInfo.quoteAsset : symbolInfo.baseAsset);
+        const amount = side === 'BUY' ? price * quantity : quantity;
+        if (wallet.free < amount) return false;
+        wallet.free -= amount;
+        wallet.locked += amount;
+        return true;
+    }
+
+    // lockPrice is what a buy's locked quote was computed with, an OCO buy locks at its higher leg
+    _createOrder(symbolInfo, side, type, params, orderListId = -1, lockPrice = params.price) {
+        const { symbol, baseAsset, quoteAsset } = symbolInfo;
+        const now = this.clock();
+        const order = {
+            symbol,
+            orderId: this.nextOrderId++,
+            orderListId,
+            clientOrderId: params.newClientOrderId || `sim-${now}-${this.nextOrderId}`,
+            price: params.price.toString(),
+            origQty: params.quantity.toString(),
+            executedQty: '0',
+            cummulativeQuoteQty: '0',
+            status: OrderSimulator.NEW,
+            timeInForce: params.timeInForce || 'GTC',
+            type,
+            side,
+            stopPrice: params.stopPrice ? params.stopPrice.toString() : '0',
+            icebergQty: '0',
+            time: now,
+            updateTime: now,
+            isWorking: type !== 'STOP_LOSS_LIMIT', // stops start working once triggered
+            origQuoteOrderQty: '0',
+            ...(this.isolated && { isIsolated: true }),
+            baseAsset,
+            quoteAsset,
+            lockPrice: parseFloat(lockPrice)
+        };
+        this.orders.push(order);
+        return order;
+    }
+
+    // Response shape of newOrder (ACK fields + RESULT fields)
+    _orderResponse(order) {
+        return {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            orderListId: order.orderListId,
+            clientOrderId: order.clientOrderId,
+            transactTime: order.time,
+            price: order.price,
+            origQty: order.origQty,
+            executedQty: order.executedQty,
+            cummulativeQuoteQty: order.cummulativeQuoteQty,
+            status: order.status,
+            timeInForce: order.timeInForce,
+            type: order.type,
+            side: order.side,
+            ...(order.type === 'STOP_LOSS_LIMIT' && { stopPrice: order.stopPrice }),
+            ...(this.isolated && { isIsolated: true })
+        };
+    }
+
+    /**
+     * Places a resting LIMIT, LIMIT_MAKER or STOP_LOSS_LIMIT order
+     * @param {Object} symbolInfo - { symbol, baseAsset, quoteAsset }
+     * @returns {Object} newOrder style response, or { error, details } on rejection
+     */
+    placeOrder(symbolInfo, side, type, params = {}) {
+        const invalid = this._validateOrder('newOrder', type, params);
+        if (invalid) return invalid;
+        if (!this._lockFunds(symbolInfo, side, parseFloat(params.price), parseFloat(params.quantity))) {
+            return this._error('newOrder', 'Account has insufficient balance for requested action.', params, -2010);
+        }
+        return this._orderResponse(this._createOrder(symbolInfo, side, type, params));
+    }
+
+    /**
+     * Places an OCO (mirrors POST /api/v3/orderList/oco): a sell is a LIMIT_MAKER above the price and a
+     * STOP_LOSS_LIMIT below it, a buy a STOP_LOSS_LIMIT above and a LIMIT_MAKER below.
+     * The quantity (at the higher price for buys) is locked once for both legs.
+     * @param {Object} params - Sells: abovePrice, belowStopPrice, belowPrice, belowTimeInForce;
+     *                          buys: aboveStopPrice, abovePrice, aboveTimeInForce, belowPrice; listClientOrderId
+     * @returns {Object} orderList/oco style response, or { error, details } on rejection
+     */
+    placeOrderList(symbolInfo, side, quantity, params = {}) {
+        const isBuy = side === 'BUY';
+        const stop = isBuy
+            ? { price: params.abovePrice, stopPrice: params.aboveStopPrice, quantity, timeInForce: params.aboveTimeInForce, newClientOrderId: params.aboveClientOrderId }
+            : { price: params.belowPrice, stopPrice: params.belowStopPrice, quantity, timeInForce: params.belowTimeInForce, newClientOrderId: params.belowClientOrderId };
+        const limit = isBuy
+            ? { price: params.belowPrice, quantity, newClientOrderId: params.belowClientOrderId }
+            : { price: params.abovePrice, quantity, newClientOrderId: params.aboveClientOrderId };
+        const invalid = this._validateOrder('newOCOOrder', 'LIMIT_MAKER', limit) ||
+            this._validateOrder('newOCOOrder', 'STOP_LOSS_LIMIT', stop);
+        if (invalid) return invalid;
+        const lockPrice = parseFloat(params.abovePrice);
+        if (!this._lockFunds(symbolInfo, side, lockPrice, parseFloat(quantity))) {
+            return this._error('newOCOOrder', 'Account has insufficient balance for requested action.', params, -2010);
+        }
+
+        const orderListId = this.nextOrderListId++;
+        const legs = [
+            this._createOrder(symbolInfo, side, 'STOP_LOSS_LIMIT', stop, orderListId, lockPrice),
+            this._createOrder(symbolInfo, side, 'LIMIT_MAKER', limit, orderListId, lockPrice)
+        ];
+        return this._orderListResponse(orderListId, legs, params.listClientOrderId);
+    }
+
+    _orderListResponse(orderListId, legs, listClientOrderId = null) {
+        const done = legs.every(o => o.status !== OrderSimulator.NEW);
+        return {
+            orderListId,
+            contingencyType: 'OCO',
+            listStatusType: done ? 'ALL_DONE' : 'EXEC_STARTED',
+            listOrderStatus: done ? 'ALL_DONE' : 'EXECUTING',
+            listClientOrderId: listClientOrderId || `sim-list-${orderListId}`,
+            transactionTime: this.clock(),
+            symbol: legs[0].symbol,
+            orders: legs.map(o => ({ symbol: o.symbol, orderId: o.orderId, clientOrderId: o.clientOrderId })),
+            orderReports: legs.map(o => this._orderResponse(o))
+        };
+    }
+
+    _listLegs(order) {
+        return order.orderListId === -1 ? [order] : this.orders.filter(o => o.orderListId === order.orderListId);
+    }
+
+    /**
+     * Cancels an order; cancelling an OCO leg cancels the whole list, like Binance does
+     */
+    cancelOrder(symbol, orderId) {
+        const order = this.orders.find(o => o.symbol === symbol && o.orderId == orderId);
+        if (!order || order.status !== OrderSimulator.NEW) {
+            return this._error('cancelOrder', 'Unknown order sent.', { symbol, orderId }, -2011);
+        }
+        this._releaseFunds(order);
+        this._listLegs(order).forEach(leg => this._closeOrder(leg, OrderSimulator.CANCELED));
+        return this._publicOrder(order);
+    }
+
+    /**
+     * Cancels both legs of an OCO (mirrors DELETE /api/v3/orderList)
+     */
+    cancelOrderList(symbol, orderListId) {
+        const legs = this.orders.filter(o => o.symbol === symbol && o.orderListId == orderListId && o.orderListId !== -1);
+        if (!legs.length || legs.every(o => o.status !== OrderSimulator.NEW)) {
+            return this._error('cancelOCOOrder', 'Order list does not exist.', { symbol, orderListId }, -2011);
+        }
+        this._releaseFunds(legs[0]);
+        legs.forEach(leg => this._closeOrder(leg, OrderSimulator.CANCELED));
+        return this._orderListResponse(legs[0].orderListId, legs);
+    }
+
+    _releaseFunds(order) {
+        const remaining = parseFloat(order.origQty) - parseFloat(order.executedQty);
+        const lockAsset = order.side === 'BUY' ? order.quoteAsset : order.baseAsset;
+        const lockAmount = order.side === 'BUY' ? remaining * order.lockPrice : remaining;
+        const wallet = this._wallet(lockAsset);
+        wallet.locked = Math.max(0, wallet.locked - lockAmount);
+        wallet.free += lockAmount;
+    }
+
+    _closeOrder(order, status) {
+        if (order.status !== OrderSimulator.NEW) return;
+        order.status = status;
+        order.isWorking = false;
+        order.updateTime = this.clock();
+    }
+
+    /**
+     * Mirrors cancelReplace with cancelReplaceMode ALLOW_FAILURE: the new order is
+     * attempted even when the cancel fails.
+     */
+    cancelAndReplace(symbolInfo, side, type, params = {}) {
+        const { cancelOrderId, ...orderParams } = params;
+        const cancelResponse = this.cancelOrder(symbolInfo.symbol, cancelOrderId);
+        const newOrderResponse = this.placeOrder(symbolInfo, side, type, orderParams);
+        return {
+            cancelResult: cancelResponse.error ? 'FAILURE' : 'SUCCESS',
+            newOrderResult: newOrderResponse.error ? 'FAILURE' : 'SUCCESS',
+            cancelResponse,
+            newOrderResponse
+        };
+    }
+
+    /**
+     * Fills every resting order of a symbol whose price was traded through.
+     * Orders fill completely at their limit price. Stops trigger when the stop price trades
+     * and then rest as limits; they are checked first, so an OCO whose legs both crossed
+     * within one candle is assumed to have stopped out.
+     * @param {string} symbol
+     * @param {number} high - Highest traded price since the last call
+     * @param {number} low - Lowest traded price since the last call
+     * @returns {Array} Fills produced by this call
+     */
+    matchOrders(symbol, high, low) {
+        high = parseFloat(high);
+        low = parseFloat(low);
+        const fills = [];
+        const open = this.getOpenOrders(symbol)
+            .sort((a, b) => (b.type === 'STOP_LOSS_LIMIT') - (a.type === 'STOP_LOSS_LIMIT'));
+        open.forEach(order => {
+            if (order.status !== OrderSimulator.NEW) return; // OCO sibling already filled
+            if (!order.isWorking) {
+                const stopPrice = parseFloat(order.stopPrice);
+                order.isWorking = order.side === 'SELL' ? low <= stopPrice : high >= stopPrice;
+                if (!order.isWorking) return;
+            }
+            const price = parseFloat(order.price);
+            const crossed = order.side === 'BUY' ? low <= price : high >= price;
+            if (!crossed) return;
+            fills.push(this._fillOrder(order));
+            this._listLegs(order).forEach(leg => this._closeOrder(leg, OrderSimulator.EXPIRED));
+        });
+        return fills;
+    }
+
+    _fillOrder(order) {
+        const price = parseFloat(order.price);
+        const qty = parseFloat(order.origQty) - parseFloat(order.executedQty);
+        const quoteQty = price * qty;
+        const feeRate = this.feePercent / 100;
+        const base = this._wallet(order.baseAsset);
+        const quote = this._wallet(order.quoteAsset);
+        let commission;
+        let commissionAsset;
+
+        // Binance charges the fee in the asset received
+        if (order.side === 'BUY') {
+            // Quote locked above the fill price (the stop leg's price of an OCO) is released
+            quote.locked = Math.max(0, quote.locked - qty * order.lockPrice);
+            quote.free += qty * (order.lockPrice - price);
+            commission = qty * feeRate;
+            commissionAsset = order.baseAsset;
+            base.free += qty - commission;
+        } else {
+            base.locked = Math.max(0, base.locked - qty);
+            commission = quoteQty * feeRate;
+            commissionAsset = order.quoteAsset;
+            quote.free += quoteQty - commission;
+        }
+
+        const now = this.clock();
+        order.executedQty = order.origQty;
+        order.cummulativeQuoteQty = (parseFloat(order.cummulativeQuoteQty) + quoteQty).toString();
+        order.status = OrderSimulator.FILLED;
+        order.isWorking = false;
+        order.updateTime = now;
+
+        const fill = {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            side: order.side,
+            price,
+            qty,
+            quoteQty,
+            commission,
+            commissionAsset,
+            baseAsset: order.baseAsset,
+            quoteAsset: order.quoteAsset,
+            time: now
+        };
+        this.fills.push(fill);
+        return fill;
+    }
+}
+
+module.exports = OrderSimulator;
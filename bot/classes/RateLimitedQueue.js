@@ -7,6 +7,14 @@ class RateLimitedQueue {
         this.lastRefill = Date.now();
         this.queue = [];
         this.running = 0;
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * Holds every queued request back for `ms`, e.g. while the exchange asks to back off
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
     }
 
     refillTokens() {
@@ -19,6 +27,11 @@ class RateLimitedQueue {
 
     async waitForToken() {
         while (true) {
+            const paused = this.pausedUntil - Date.now();
+            if (paused > 0) {
+                await new Promise(resolve => setTimeout(resolve, paused));
+                continue;
+            }
             this.refillTokens();
             if (this.tokens > 0) {
                 this.tokens--;
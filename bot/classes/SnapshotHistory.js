@@ -0,0 +1,78 @@
+const { loadData } = require('../../utils/fileManager');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Rolling buffer of the dashboard's data-update rounds. The full data of the last round is what new
+ * clients are sent first, older rounds are kept slimmed to what the history slider shows (price,
+ * signals, scores and levels per pair) so hours of rounds fit in memory.
+ */
+class SnapshotHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.hours] - How far back rounds are kept
+     * @param {number} [options.interval] - Minimum ms between two kept rounds, the ones in between are skipped
+     */
+    constructor({ hours = 24, interval = 60000 } = {}) {
+        this.hours = hours;
+        this.interval = interval;
+        this.snapshots = []; // { time, pairs }, oldest first
+        this.latest = null;
+    }
+
+    static slim(data) {
+        return Object.fromEntries(Object.entries(data).map(([key, result]) => [key, {
+            currentPrice: result.currentPrice,
+            signal: result.analysis?.consensusSignal || null,
+            buyScore: result.analysis?.normalizedBuyScore ?? null,
+            sellScore: result.analysis?.normalizedSellScore ?? null,
+            timeframes: (result.analysis?.signals || []).map(({ timeframe, signal }) => ({ timeframe, signal })),
+            intent: result.intent || null,
+            precisionEntry: result.precisionEntry ?? null,
+            levels: result.levels || null
+        }]));
+    }
+
+    /**
+     * @returns {Object|null} The snapshot kept for this round, null when it came too soon after the last one
+     */
+    add(data, time = Date.now()) {
+        this.latest = data;
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && time - last.time < this.interval) return null;
+        const snapshot = { time, pairs: SnapshotHistory.slim(data) };
+        this.snapshots.push(snapshot);
+        this.trim(time);
+        return snapshot;
+    }
+
+    trim(now = Date.now()) {
+        const oldest = now - this.hours * 60 * 60 * 1000;
+        const expired = this.snapshots.findIndex(snapshot => snapshot.time >= oldest);
+        this.snapshots.splice(0, expired === -1 ? this.snapshots.length : expired);
+    }
+
+    /**
+     * Seeds the buffer with the files saveData left for the days the window covers (config.saveData),
+     * each holds the last round of its day, so a restarted bot has something to show right away
+     */
+    loadSaved(fileName, now = Date.now()) {
+        const oldest = now - this.hours * 60 * 60 * 1000;
+        let newest = null;
+        // saveData names its folders after the UTC day
+        for (let day = Math.floor(oldest / DAY) * DAY; day <= now; day += DAY) {
+            const saved = loadData(fileName, new Date(day));
+            if (!saved || saved.time < oldest) continue;
+            this.snapshots.push({ time: saved.time, pairs: SnapshotHistory.slim(saved.data) });
+            if (!newest || saved.time > newest.time) newest = saved;
+        }
+        this.snapshots.sort((a, b) => a.time - b.time);
+        if (!this.latest && newest) this.latest = newest.data;
+    }
+
+    getHistory() {
+        return { hours: this.hours, snapshots: this.snapshots };
+    }
+}
+
+module.exports = SnapshotHistory;
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Small JSON snapshot of runtime state that has to survive a restart (cooldowns, trailing highs,
+ * per-pair position state). Everything lives in one file of named sections.
+ *
+ * Writes go to a temp file that is fsynced and renamed over the snapshot, so a crash mid-write
+ * leaves the previous snapshot intact instead of a truncated file.
+ */
+class StateStore {
+    /**
+     * @param {string|null} filePath - Snapshot file, null keeps the state in memory only
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.sections = {};
+        this.lastSaved = null; // serialized snapshot on disk, unchanged state isn't rewritten
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        try {
+            this.lastSaved = fs.readFileSync(this.filePath, 'utf8');
+            this.sections = JSON.parse(this.lastSaved) || {};
+        } catch (error) {
+            // Only reachable if the file was edited by hand, renames are atomic
+            console.error('Error reading state file, starting with empty state:', error);
+            this.sections = {};
+        }
+    }
+
+    get(section, fallback = null) {
+        return this.sections[section] ?? fallback;
+    }
+
+    set(section, value) {
+        this.sections[section] = value;
+    }
+
+    /**
+     * Writes the snapshot if anything changed since the last save
+     */
+    save() {
+        if (!this.filePath) return;
+        const contents = JSON.stringify(this.sections, null, 2);
+        if (contents === this.lastSaved) return;
+        const tmpFile = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const fd = fs.openSync(tmpFile, 'w');
+            try {
+                fs.writeSync(fd, contents);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tmpFile, this.filePath);
+            this.lastSaved = contents;
+        } catch (error) {
+            console.error('Error saving state file:', error);
+        }
+    }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,195 @@
+/**
+ * A symbol's exchangeInfo filters: rounds prices and quantities onto the exchange's grid and checks
+ * an order against every filter before it is sent, so a bad order comes back as a list of reasons
+ * instead of a -1013 from the exchange.
+ *
+ * Filters with a 0 limit are disabled, as on Binance. PERCENT_PRICE and market notionals are checked
+ * against a reference price (the last close) where the exchange uses its average price; without one
+ * those checks are skipped.
+ */
+class SymbolRules {
+    static ALGO_TYPES = ['STOP_LOSS', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT', 'TAKE_PROFIT_LIMIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET'];
+    static EPSILON = 1e-9; // tolerance for float division when checking step multiples
+
+    /**
+     * @param {Object} symbolInfo - An exchangeInfo symbols entry
+     */
+    constructor(symbolInfo) {
+        this.symbol = symbolInfo.symbol;
+        this.filters = Object.fromEntries((symbolInfo.filters || []).map(filter => [filter.filterType, filter]));
+    }
+
+    // Decimals of a step like "0.00010000" or 1e-7
+    static decimalsOf(step) {
+        const [mantissa, exponent] = Number(step).toExponential().split('e');
+        const decimals = (mantissa.split('.')[1] || '').length - Number(exponent);
+        return Math.max(0, decimals);
+    }
+
+    static isMultiple(value, step, base = 0) {
+        const steps = (value - base) / step;
+        return Math.abs(steps - Math.round(steps)) < SymbolRules.EPSILON * Math.max(1, Math.abs(steps));
+    }
+
+    // A limit from a filter, null when the filter or the limit is missing or 0 (disabled)
+    limit(filterType, field) {
+        const value = parseFloat(this.filters[filterType]?.[field]);
+        return value > 0 ? value : null;
+    }
+
+    get tickSize() {
+        return this.limit('PRICE_FILTER', 'tickSize');
+    }
+
+    // Smallest order value the symbol accepts, from its MIN_NOTIONAL or NOTIONAL filter
+    get minNotional() {
+        return this.limit('MIN_NOTIONAL', 'minNotional') || this.limit('NOTIONAL', 'minNotional');
+    }
+
+    lotSize(type) {
+        return type === 'MARKET' && this.filters.MARKET_LOT_SIZE ? 'MARKET_LOT_SIZE' : 'LOT_SIZE';
+    }
+
+    /**
+     * Price rounded to the nearest tick, as a string with the tick's decimals
+     */
+    normalizePrice(price) {
+        const tick = this.tickSize;
+        if (!tick) return String(Number(price));
+        const decimals = SymbolRules.decimalsOf(tick);
+        return (Math.round(Number(price) / tick) * tick).toFixed(decimals);
+    }
+
+    /**
+     * Quantity rounded down to the lot step (MARKET_LOT_SIZE for market orders when the symbol has one),
+     * as a string with the step's decimals. Never rounds up, so it can't exceed the balance it came from.
+     */
+    normalizeQuantity(quantity, type = 'LIMIT') {
+        const step = this.limit(this.lotSize(type), 'stepSize');
+        if (!step) return String(Number(quantity));
+        const decimals = SymbolRules.decimalsOf(step);
+        return (Math.floor(Number(quantity) / step + SymbolRules.EPSILON) * step).toFixed(decimals);
+    }
+
+    // Whether validate() needs the symbol's open orders to check order counts
+    get countsOrders() {
+        return !!(this.filters.MAX_NUM_ORDERS || this.filters.MAX_NUM_ALGO_ORDERS);
+    }
+
+    /**
+     * Checks orders against every filter of the symbol. Several legs are validated as placed together,
+     * e.g. both legs of an OCO.
+     * @param {Object|Object[]} legs - { side, type, price, stopPrice, quantity, reduceOnly }
+     * @param {Object} [context]
+     * @param {number} [context.referencePrice] - Stands in for the exchange's average price
+     * @param {Object[]} [context.openOrders] - The symbol's open orders, order counts aren't checked without them
+     * @returns {Object[]} Rejections as { filter, field, value, limit, reason }, empty when the order passes
+     */
+    validate(legs, { referencePrice = null, openOrders = null } = {}) {
+        const orders = Array.isArray(legs) ? legs : [legs];
+        const rejections = orders.flatMap(order => this.validateOrder(order, referencePrice));
+
+        if (Array.isArray(openOrders)) {
+            const maxOrders = this.limit('MAX_NUM_ORDERS', 'maxNumOrders');
+            const orderCount = openOrders.length + orders.length;
+            if (maxOrders && orderCount > maxOrders) {
+                rejections.push(this.rejection('MAX_NUM_ORDERS', 'orders', orderCount, maxOrders, `${orderCount} open orders exceed the maximum of ${maxOrders}`));
+            }
+            const maxAlgoOrders = this.limit('MAX_NUM_ALGO_ORDERS', 'maxNumAlgoOrders');
+            const isAlgo = order => SymbolRules.ALGO_TYPES.includes(order.type);
+            const algoCount = openOrders.filter(isAlgo).length + orders.filter(isAlgo).length;
+            if (maxAlgoOrders && algoCount > maxAlgoOrders) {
+                rejections.push(this.rejection('MAX_NUM_ALGO_ORDERS', 'orders', algoCount, maxAlgoOrders, `${algoCount} open stop orders exceed the maximum of ${maxAlgoOrders}`));
+            }
+        }
+        return rejections;
+    }
+
+    validateOrder({ side, type = 'LIMIT', price, stopPrice, quantity, reduceOnly = false }, referencePrice) {
+        const rejections = [];
+        const isMarket = type === 'MARKET';
+        const qty = Number(quantity);
+
+        const priceFilter = this.filters.PRICE_FILTER;
+        const prices = [['price', price], ['stopPrice', stopPrice]].filter(([, value]) => value !== undefined && value !== null);
+        if (priceFilter) {
+            const minPrice = this.limit('PRICE_FILTER', 'minPrice');
+            const maxPrice = this.limit('PRICE_FILTER', 'maxPrice');
+            const tick = this.tickSize;
+            prices.forEach(([field, value]) => {
+                const number = Number(value);
+                if (!(number > 0)) {
+                    rejections.push(this.rejection('PRICE_FILTER', field, value, null, `${field} ${value} is not a positive number`));
+                } else if (minPrice && number < minPrice) {
+                    rejections.push(this.rejection('PRICE_FILTER', field, number, minPrice, `${field} ${number} below minPrice ${minPrice}`));
+                } else if (maxPrice && number > maxPrice) {
+                    rejections.push(this.rejection('PRICE_FILTER', field, number, maxPrice, `${field} ${number} above maxPrice ${maxPrice}`));
+                } else if (tick && !SymbolRules.isMultiple(number, tick, minPrice || 0)) {
+                    rejections.push(this.rejection('PRICE_FILTER', field, number, tick, `${field} ${number} is not a multiple of tickSize ${tick}`));
+                }
+            });
+        }
+
+        const lotSize = this.lotSize(type);
+        if (!(qty > 0)) {
+            rejections.push(this.rejection(lotSize, 'quantity', quantity, null, `quantity ${quantity} is not a positive number`));
+        } else if (this.filters[lotSize]) {
+            const minQty = this.limit(lotSize, 'minQty');
+            const maxQty = this.limit(lotSize, 'maxQty');
+            const step = this.limit(lotSize, 'stepSize');
+            if (minQty && qty < minQty) {
+                rejections.push(this.rejection(lotSize, 'quantity', qty, minQty, `quantity ${qty} below minQty ${minQty}`));
+            } else if (maxQty && qty > maxQty) {
+                rejections.push(this.rejection(lotSize, 'quantity', qty, maxQty, `quantity ${qty} above maxQty ${maxQty}`));
+            } else if (step && !SymbolRules.isMultiple(qty, step, minQty || 0)) {
+                rejections.push(this.rejection(lotSize, 'quantity', qty, step, `quantity ${qty} is not a multiple of stepSize ${step}`));
+            }
+        }
+
+        // Market orders fill around the reference price, limit orders (stop limits too) at their limit.
+        // Futures exempt reduce-only orders from the minimum, a position can always be closed
+        const notionalPrice = isMarket ? referencePrice : Number(price);
+        const notional = notionalPrice > 0 && qty > 0 && !reduceOnly ? notionalPrice * qty : null;
+        if (notional !== null) {
+            const minNotionalFilter = this.filters.MIN_NOTIONAL;
+            const minNotional = this.limit('MIN_NOTIONAL', 'minNotional');
+            if (minNotional && (!isMarket || minNotionalFilter.applyToMarket !== false) && notional < minNotional) {
+                rejections.push(this.rejection('MIN_NOTIONAL', 'notional', notional, minNotional, `notional ${+notional.toFixed(8)} below minNotional ${minNotional}`));
+            }
+            // Bybit's NOTIONAL carries no apply*ToMarket flags, its limits apply to every order
+            const notionalFilter = this.filters.NOTIONAL;
+            const min = this.limit('NOTIONAL', 'minNotional');
+            const max = this.limit('NOTIONAL', 'maxNotional');
+            if (min && (!isMarket || notionalFilter.applyMinToMarket !== false) && notional < min) {
+                rejections.push(this.rejection('NOTIONAL', 'notional', notional, min, `notional ${+notional.toFixed(8)} below minNotional ${min}`));
+            }
+            if (max && (!isMarket || notionalFilter.applyMaxToMarket !== false) && notional > max) {
+                rejections.push(this.rejection('NOTIONAL', 'notional', notional, max, `notional ${+notional.toFixed(8)} above maxNotional ${max}`));
+            }
+        }
+
+        if (referencePrice > 0 && !isMarket && Number(price) > 0) {
+            const bySide = side === 'BUY' ? 'bid' : 'ask';
+            const bands = [
+                ['PERCENT_PRICE', this.limit('PERCENT_PRICE', 'multiplierUp'), this.limit('PERCENT_PRICE', 'multiplierDown')],
+                ['PERCENT_PRICE_BY_SIDE', this.limit('PERCENT_PRICE_BY_SIDE', `${bySide}MultiplierUp`), this.limit('PERCENT_PRICE_BY_SIDE', `${bySide}MultiplierDown`)]
+            ];
+            const number = Number(price);
+            bands.forEach(([filter, up, down]) => {
+                if (up && number > referencePrice * up) {
+                    rejections.push(this.rejection(filter, 'price', number, referencePrice * up, `price ${number} more than ${up}x the reference price ${referencePrice}`));
+                } else if (down && number < referencePrice * down) {
+                    rejections.push(this.rejection(filter, 'price', number, referencePrice * down, `price ${number} less than ${down}x the reference price ${referencePrice}`));
+                }
+            });
+        }
+
+        return rejections.map(rejection => ({ ...rejection, side, type }));
+    }
+
+    rejection(filter, field, value, limit, reason) {
+        return { filter, field, value, limit, reason };
+    }
+}
+
+module.exports = SymbolRules;
@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const { buildRoundTrips, summarizeRoundTrips } = require('../../utils/tradeStats');
+
+const DEFAULT_FILE = path.join(__dirname, '../../db/trade-journal.jsonl');
+
+/**
+ * Append-only journal of every order event (placed, rejected, filled, cancelled, replaced),
+ * one JSON object per line. Fills are paired into round trips for /stats.
+ *
+ * Fills are derived from order snapshots (allOrders): whenever an order's executedQty grows
+ * past what was journaled, the difference is written as a fill.
+ *
+ * Orders of an isolated margin account carry `isIsolated` (their ids are counted apart from spot's),
+ * its borrows, repayments and interest are journaled as well. Futures orders carry `isFutures`
+ * and the funding their positions paid or received is journaled once they close.
+ */
+class TradeJournal {
+    static ESTIMATED_FEE_PERCENT = 0.1; // used when the commission is unknown or paid in a third asset (BNB)
+    static CLOSED_STATUSES = ['CANCELED', 'EXPIRED', 'REJECTED', 'EXPIRED_IN_MATCH'];
+
+    /**
+     * @param {string|null} [filePath] - JSONL file, null keeps the journal in memory only
+     */
+    constructor(filePath = DEFAULT_FILE) {
+        this.filePath = filePath;
+        this.entries = [];
+        this.orders = new Map(); // symbol:orderId[:isolated|:futures] -> { status, executedQty, quoteQty, commission }
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        try {
+            fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+                try {
+                    this._index(JSON.parse(line));
+                } catch (error) {
+                    console.warn('Skipping malformed trade journal line:', line);
+                }
+            });
+        } catch (error) {
+            console.error('Error reading trade journal:', error);
+        }
+    }
+
+    _index(entry) {
+        this.entries.push(entry);
+        if (entry.orderId === undefined) return;
+        const key = this._key(entry);
+        const state = this.orders.get(key) || { status: null, executedQty: 0, quoteQty: 0, commission: 0 };
+        if (entry.status) state.status = entry.status;
+        if (entry.event === 'filled') {
+            state.executedQty += entry.qty;
+            state.quoteQty += entry.quoteQty;
+            state.commission += entry.commission || 0;
+        }
+        this.orders.set(key, state);
+    }
+
+    _key({ symbol, orderId, isIsolated, isFutures }) {
+        return `${symbol}:${orderId}${isIsolated ? ':isolated' : ''}${isFutures ? ':futures' : ''}`;
+    }
+
+    record(event, data) {
+        const entry = { time: Date.now(), event, ...data };
+        this._index(entry);
+        if (!this.filePath) return entry;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error('Error writing trade journal:', error);
+        }
+        return entry;
+    }
+
+    /**
+     * Records the response of a newOrder call, `request` describes the order for rejections
+     */
+    recordOrder(symbol, response, request = {}) {
+        if (!response) return;
+        if (response.error) {
+            return this.record('rejected', { symbol, ...request, error: response.error, details: response.details, category: response.category, code: response.code });
+        }
+        return this.record('placed', {
+            symbol,
+            orderId: response.orderId,
+            clientOrderId: response.clientOrderId,
+            side: response.side,
+            type: response.type,
+            price: response.price,
+            origQty: response.origQty,
+            status: response.status,
+            ...(response.isIsolated && { isIsolated: true }),
+            ...(response.isFutures && { isFutures: true })
+        });
+    }
+
+    recordCancel(symbol, orderId, response) {
+        if (!response || response.error) {
+            return this.record('cancel_failed', { symbol, orderId, error: response?.error, details: response?.details, category: response?.category, code: response?.code });
+        }
+        return this.record('cancelled', {
+            symbol,
+            orderId,
+            status: response.status || 'CANCELED',
+            ...(response.isIsolated && { isIsolated: true }),
+            ...(response.isFutures && { isFutures: true })
+        });
+    }
+
+    /**
+     * Records a borrow or repayment of an isolated margin account
+     * @param {string} type - 'BORROW' or 'REPAY'
+     */
+    recordLoan(symbol, type, asset, amount, response) {
+        const event = type === 'BORROW' ? 'borrow' : 'repay';
+        if (!response || response.error) {
+            return this.record(`${event}_failed`, { symbol, asset, amount, error: response?.error, details: response?.details, category: response?.category, code: response?.code });
+        }
+        return this.record(type === 'BORROW' ? 'borrowed' : 'repaid', { symbol, asset, amount, tranId: response.tranId, isIsolated: true });
+    }
+
+    /**
+     * Records the interest paid on a short's borrowed coins, `price` converts interest in the base asset
+     */
+    recordInterest(symbol, asset, interest, price = 1) {
+        return this.record('interest', { symbol, asset, interest, feeQuote: interest * price, isIsolated: true });
+    }
+
+    /**
+     * Records the funding a futures position received, negative when it paid
+     */
+    recordFunding(symbol, asset, income) {
+        return this.record('funding', { symbol, asset, income, feeQuote: -income, isFutures: true });
+    }
+
+    /**
+     * Records a cancelReplace response, both legs are journaled under the replaced order
+     */
+    recordReplace(symbol, orderId, response) {
+        if (!response || response.error) {
+            return this.record('replace_failed', { symbol, orderId, error: response?.error, details: response?.details, category: response?.category, code: response?.code });
+        }
+        const { cancelResult, newOrderResult, cancelResponse, newOrderResponse } = response;
+        if (cancelResult === 'SUCCESS') {
+            this.record('cancelled', { symbol, orderId, status: 'CANCELED' });
+        }
+        if (newOrderResult === 'SUCCESS') {
+            this.recordOrder(symbol, newOrderResponse);
+        }
+        return this.record('replaced', {
+            symbol,
+            orderId,
+            cancelResult,
+            newOrderResult,
+            newOrderId: newOrderResponse?.orderId,
+            side: newOrderResponse?.side,
+            price: newOrderResponse?.price,
+            origQty: newOrderResponse?.origQty,
+            error: newOrderResult === 'SUCCESS' ? undefined : (newOrderResponse?.msg || cancelResponse?.msg)
+        });
+    }
+
+    /**
+     * Quantity executed on an order snapshot beyond what was journaled, null when up to date
+     * @returns {{ qty: number, quoteQty: number }|null}
+     */
+    pendingFill(order) {
+        const state = this.orders.get(this._key(order));
+        const qty = parseFloat(order.executedQty) - (state?.executedQty || 0);
+        if (!(qty > 0)) return null;
+        return { qty, quoteQty: parseFloat(order.cummulativeQuoteQty) - (state?.quoteQty || 0) };
+    }
+
+    /**
+     * Records the newly executed part of an order
+     * @param {Object} order - allOrders entry
+     * @param {Object} symbolInfo - exchangeInfo symbol entry
+     * @param {Array} [trades] - myTrades for the order, used for the real commission
+     */
+    recordFill(order, symbolInfo, trades = null) {
+        const fill = this.pendingFill(order);
+        if (!fill) return null;
+
+        const price = fill.quoteQty / fill.qty;
+        const known = this.orders.get(this._key(order))?.commission || 0;
+        let commission = null;
+        let commissionAsset = null;
+        if (Array.isArray(trades) && trades.length) {
+            commission = trades.reduce((sum, t) => sum + parseFloat(t.commission), 0) - known;
+            commissionAsset = trades[0].commissionAsset;
+        }
+
+        let feeQuote;
+        if (commissionAsset === symbolInfo.quoteAsset) feeQuote = commission;
+        else if (commissionAsset === symbolInfo.baseAsset) feeQuote = commission * price;
+        else feeQuote = fill.quoteQty * TradeJournal.ESTIMATED_FEE_PERCENT / 100;
+
+        return this.record('filled', {
+            time: order.updateTime || Date.now(),
+            symbol: order.symbol,
+            orderId: order.orderId,
+            side: order.side,
+            price,
+            qty: fill.qty,
+            quoteQty: fill.quoteQty,
+            commission: commission || 0,
+            commissionAsset,
+            baseAsset: symbolInfo.baseAsset,
+            quoteAsset: symbolInfo.quoteAsset,
+            feeQuote,
+            status: order.status,
+            ...(order.isIsolated && { isIsolated: true }),
+            ...(order.isFutures && { isFutures: true })
+        });
+    }
+
+    /**
+     * Records cancellations/expiries that happened outside the bot (UI, expiry, STP)
+     */
+    recordClosed(order) {
+        if (!TradeJournal.CLOSED_STATUSES.includes(order.status)) return null;
+        if (this.orders.get(this._key(order))?.status === order.status) return null;
+        return this.record(order.status === 'CANCELED' ? 'cancelled' : order.status.toLowerCase(), {
+            time: order.updateTime || Date.now(),
+            symbol: order.symbol,
+            orderId: order.orderId,
+            status: order.status,
+            ...(order.isIsolated && { isIsolated: true }),
+            ...(order.isFutures && { isFutures: true })
+        });
+    }
+
+    // Fills plus the margin interest and funding entries buildRoundTrips charges to shorts and futures positions
+    getFills(symbol = null) {
+        return this.entries.filter(e => ['filled', 'interest', 'funding'].includes(e.event) && (!symbol || e.symbol === symbol));
+    }
+
+    /**
+     * Round-trip statistics
+     * @param {string|null} [symbol] - Joined symbol (BTCUSDT), all symbols when omitted
+     * @param {Object} [options]
+     * @param {Object} [options.currentPrices] - symbol -> price, for unrealized P&L of open positions
+     * @param {number} [options.capital] - Capital the drawdown percent is measured against
+     */
+    getStats(symbol = null, { currentPrices = {}, capital = 0 } = {}) {
+        const { trips, open } = buildRoundTrips(this.getFills(symbol));
+        const openPositions = Object.values(open).map(trip => {
+            if (trip.futures) {
+                const qty = Math.max(0, trip.openedQty - trip.closedQty);
+                const entryPrice = trip.entryValue / trip.openedQty;
+                const currentPrice = currentPrices[trip.symbol];
+                const direction = trip.side === 'long' ? 1 : -1;
+                return {
+                    symbol: trip.symbol,
+                    side: trip.side,
+                    futures: true,
+                    qty,
+                    entryPrice,
+                    currentPrice: currentPrice || null,
+                    unrealizedPnl: currentPrice ? qty * (currentPrice - entryPrice) * direction - trip.funding : null
+                };
+            }
+            if (trip.side === 'short') {
+                const qty = Math.max(0, trip.soldQty - trip.coveredQty);
+                const entryPrice = trip.proceeds / trip.soldQty;
+                const currentPrice = currentPrices[trip.symbol];
+                return {
+                    symbol: trip.symbol,
+                    side: 'short',
+                    qty,
+                    entryPrice,
+                    currentPrice: currentPrice || null,
+                    unrealizedPnl: currentPrice ? qty * (entryPrice - currentPrice) - trip.interest : null
+                };
+            }
+            const entryPrice = trip.cost / trip.boughtQty;
+            const currentPrice = currentPrices[trip.symbol];
+            const remainingCost = trip.cost * (1 - trip.soldQty / trip.boughtQty);
+            return {
+                symbol: trip.symbol,
+                qty: trip.heldQty,
+                entryPrice,
+                currentPrice: currentPrice || null,
+                unrealizedPnl: currentPrice ? trip.heldQty * currentPrice - remainingCost : null
+            };
+        });
+        return {
+            symbol,
+            ...summarizeRoundTrips(trips, capital),
+            openPositions,
+            lastTrade: trips[trips.length - 1] || null
+        };
+    }
+
+    /**
+     * Telegram friendly rendering of getStats()
+     */
+    static formatStats(stats) {
+        const fmt = (value, decimals = 2) => Number(value).toFixed(decimals);
+        const lines = [
+            `📈 Stats for ${stats.symbol || 'all pairs'}`,
+            `🔢 Trades: ${stats.totalTrades} (${stats.profitableTrades} profitable)`,
+            `🎯 Win rate: ${fmt(stats.winRate)}%`,
+            `📊 Avg profit: ${fmt(stats.averageProfit)}%`,
+            `💰 Realized P&L: ${fmt(stats.realizedPnl, 4)} (fees ${fmt(stats.totalFees, 4)})`,
+            `📉 Max drawdown: ${fmt(stats.maxDrawdown.amount, 4)} (${fmt(stats.maxDrawdown.percent)}%)`
+        ];
+        if (!stats.openPositions.length) {
+            lines.push('📭 Open position: none');
+        }
+        stats.openPositions.forEach(position => {
+            const unrealized = position.unrealizedPnl === null ? '' : `, unrealized ${fmt(position.unrealizedPnl, 4)}`;
+            const label = [position.futures ? 'futures' : null, position.side].filter(Boolean).join(' ');
+            lines.push(`📬 Open: ${position.symbol}${label ? ` ${label}` : ''} ${+fmt(position.qty, 8)} @ ${+fmt(position.entryPrice, 8)}${unrealized}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+module.exports = TradeJournal;
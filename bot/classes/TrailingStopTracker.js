@@ -0,0 +1,74 @@
+/**
+ * High-water marks of open positions for the per-pair trailing mode, kept in the bot's
+ * StateStore so a restart keeps trailing from the same high instead of starting over.
+ *
+ * State is keyed by pair and tied to the entry order: a new buy starts a fresh trail.
+ */
+class TrailingStopTracker {
+    static SECTION = 'trailingStops';
+
+    /**
+     * @param {StateStore} store
+     */
+    constructor(store) {
+        this.store = store;
+        this.state = store.get(TrailingStopTracker.SECTION, {}); // pairKey -> { orderId, entryPrice, highWaterMark, activated, updateTime }
+    }
+
+    save() {
+        this.store.set(TrailingStopTracker.SECTION, this.state);
+        this.store.save();
+    }
+
+    get(pairKey) {
+        return this.state[pairKey] || null;
+    }
+
+    /**
+     * Raises the high-water mark of the position opened by `entryOrder`
+     * @param {string} pairKey
+     * @param {Object} entryOrder - The filled BUY the position came from
+     * @param {number} price - Current price
+     * @param {Array} [candles] - Primary candles, highs traded since the fill count towards the mark
+     * @param {number} [now]
+     * @returns {Object} The position's trailing state
+     */
+    update(pairKey, entryOrder, price, candles = [], now = Date.now()) {
+        let state = this.state[pairKey];
+        if (!state || state.orderId !== entryOrder.orderId) {
+            state = this.state[pairKey] = {
+                orderId: entryOrder.orderId,
+                entryPrice: parseFloat(entryOrder.price),
+                highWaterMark: parseFloat(entryOrder.price),
+                activated: false,
+                updateTime: now
+            };
+        }
+        const fillTime = entryOrder.updateTime || entryOrder.time || 0;
+        const high = Math.max(
+            parseFloat(price),
+            ...candles.filter(c => c.openTime >= fillTime).map(c => c.high)
+        );
+        if (high > state.highWaterMark) {
+            state.highWaterMark = high;
+            state.updateTime = now;
+            this.save();
+        }
+        return state;
+    }
+
+    activate(pairKey) {
+        const state = this.state[pairKey];
+        if (!state || state.activated) return;
+        state.activated = true;
+        this.save();
+    }
+
+    clear(pairKey) {
+        if (!this.state[pairKey]) return;
+        delete this.state[pairKey];
+        this.save();
+    }
+}
+
+module.exports = TrailingStopTracker;
@@ -0,0 +1,69 @@
+const ExchangeAdapter = require('./ExchangeAdapter');
+const ExchangeError = require('./ExchangeError');
+const spot = require('../../utils/binance-spot');
+
+/**
+ * Binance spot and isolated margin through utils/binance-spot, whose responses already are the bot's shapes
+ */
+class BinanceAdapter extends ExchangeAdapter {
+    constructor() {
+        super('binance');
+        this.supportsOco = true;
+        this.supportsMargin = true;
+    }
+
+    serverTime() { return spot.serverTime(); }
+    exchangeInfo(params) { return spot.exchangeInfo(params); }
+    klines(symbol, interval) { return spot.klines(symbol, interval); }
+    historicalKlines(symbol, interval, params) { return spot.historicalKlines(symbol, interval, params); }
+    depth(symbol) { return spot.depth(symbol); }
+    aggTrades(symbol, params) { return spot.aggTrades(symbol, params); }
+    fetchMyAccount() { return spot.fetchMyAccount(); }
+    userAsset(asset) { return spot.userAsset(asset); }
+    fetchMyOrders(symbol) { return spot.fetchMyOrders(symbol); }
+    fetchMyTrades(symbol, params) { return spot.fetchMyTrades(symbol, params); }
+    fetchOpenOrders(symbol) { return spot.fetchOpenOrders(symbol); }
+    getOrder(symbol, orderId) { return spot.getOrder(symbol, orderId); }
+    placeOrder(symbol, side, type, params) { return spot.placeOrder(symbol, side, type, params); }
+    cancelOrder(symbol, orderId) { return spot.cancelOrder(symbol, orderId); }
+    cancelAndReplace(symbol, side, type, params) { return spot.cancelAndReplace(symbol, side, type, params); }
+    placeOcoOrder(symbol, side, quantity, params) { return spot.placeOcoOrder(symbol, side, quantity, params); }
+    cancelOrderList(symbol, orderListId) { return spot.cancelOrderList(symbol, orderListId); }
+
+    async isolatedMarginAccount(symbol) {
+        const response = await spot.isolatedMarginAccount(symbol);
+        if (response?.error) return response;
+        return response?.assets?.find(account => account.symbol === symbol)
+            || new ExchangeError('isolatedMarginAccount', { details: `No isolated margin account for ${symbol}`, params: [symbol] });
+    }
+    maxBorrowable(symbol, asset) { return spot.marginMaxBorrowable(symbol, asset); }
+    marginBorrow(symbol, asset, amount) { return spot.marginBorrow(symbol, asset, amount); }
+    marginRepay(symbol, asset, amount) { return spot.marginRepay(symbol, asset, amount); }
+    placeMarginOrder(symbol, side, type, params) { return spot.placeMarginOrder(symbol, side, type, params); }
+    cancelMarginOrder(symbol, orderId) { return spot.cancelMarginOrder(symbol, orderId); }
+    placeMarginOcoOrder(symbol, side, quantity, params) { return spot.placeMarginOcoOrder(symbol, side, quantity, params); }
+    cancelMarginOrderList(symbol, orderListId) { return spot.cancelMarginOrderList(symbol, orderListId); }
+    fetchMarginOrders(symbol) { return spot.fetchMarginOrders(symbol); }
+    fetchMarginOpenOrders(symbol) { return spot.fetchMarginOpenOrders(symbol); }
+    fetchMarginTrades(symbol, params) { return spot.fetchMarginTrades(symbol, params); }
+
+    async fetchMarginInterest(symbol, asset, params) {
+        const response = await spot.marginInterestHistory(symbol, asset, params);
+        return response?.error ? response : (response?.rows || []);
+    }
+
+    async openUserStream() {
+        const response = await spot.createListenKey();
+        if (!response?.listenKey) return response?.error ? response : { error: 'Failed to execute createListenKey', details: response };
+        const { listenKey } = response;
+        return {
+            url: `${spot.WS_BASE_URL}/ws/${listenKey}`,
+            // listenKeys expire after 60 minutes without a keepalive
+            keepAlive: () => spot.keepAliveListenKey(listenKey),
+            keepAliveInterval: 30 * 60 * 1000,
+            toEvents: (message) => [message]
+        };
+    }
+}
+
+module.exports = BinanceAdapter;
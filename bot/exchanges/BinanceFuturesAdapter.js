@@ -0,0 +1,310 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const qs = require('qs');
+const ExchangeAdapter = require('./ExchangeAdapter');
+const ExchangeError = require('./ExchangeError');
+
+const TESTNET = process.env.TESTNET === 'true';
+// BINANCE_FUTURES_BASE_URL points the adapter elsewhere, e.g. the local mock server (mock-server/)
+const BASE_URL = process.env.BINANCE_FUTURES_BASE_URL || (TESTNET ? 'https://testnet.binancefuture.com' : 'https://fapi.binance.com');
+const WS_BASE_URL = process.env.BINANCE_FUTURES_WS_URL || (TESTNET ? 'wss://stream.binancefuture.com' : 'wss://fstream.binance.com');
+const API_KEY = TESTNET ? process.env.BINANCE_FUTURES_API_KEY_TEST : process.env.BINANCE_FUTURES_API_KEY;
+const API_SECRET = TESTNET ? process.env.BINANCE_FUTURES_API_SECRET_TEST : process.env.BINANCE_FUTURES_API_SECRET;
+const RECV_WINDOW = 5000;
+
+// USDⓈ-M codes by ExchangeError category, on top of the spot ones they share
+const ERROR_CODES = {
+    ...ExchangeError.BINANCE_CODES,
+    [-2018]: ExchangeError.INSUFFICIENT_BALANCE, // balance is insufficient
+    [-2019]: ExchangeError.INSUFFICIENT_BALANCE, // margin is insufficient
+    [-4131]: ExchangeError.REJECTED // counterparty's best price doesn't meet the PERCENT_PRICE rule
+};
+// Filters of a futures symbol the bot checks orders against, see SymbolRules
+const FILTER_TYPES = ['PRICE_FILTER', 'LOT_SIZE', 'MARKET_LOT_SIZE', 'MIN_NOTIONAL', 'PERCENT_PRICE', 'MAX_NUM_ORDERS', 'MAX_NUM_ALGO_ORDERS'];
+const MARGIN_TYPES = { isolated: 'ISOLATED', cross: 'CROSSED' };
+const ORDERS_LIMIT = 30; // same window utils/binance-spot.fetchMyOrders returns
+
+const sign = (payload) => crypto.createHmac('sha256', API_SECRET).update(payload).digest('hex');
+
+/**
+ * Binance USDⓈ-M perpetual futures over REST, in one-way position mode. Futures orders come back in the
+ * spot allOrders shape, marked `isFutures` and carrying `reduceOnly` / `closePosition`; positions, leverage,
+ * margin type and funding are the futures calls documented in ExchangeAdapter. There are no OCO lists:
+ * a position's take profit and stop are separate TAKE_PROFIT_MARKET and STOP_MARKET orders.
+ * Credentials come from BINANCE_FUTURES_API_KEY / BINANCE_FUTURES_API_SECRET (the _TEST ones on TESTNET).
+ */
+class BinanceFuturesAdapter extends ExchangeAdapter {
+    constructor() {
+        super('binance-futures');
+        this.supportsFutures = true;
+    }
+
+    static hasCredentials() {
+        return Boolean(API_KEY && API_SECRET);
+    }
+
+    /**
+     * @returns {Promise<Object>} The response body, or an ExchangeError
+     */
+    async request(name, method, endpoint, params = {}, signed = false) {
+        const query = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined && value !== null));
+        const headers = {};
+        if (signed) {
+            if (!BinanceFuturesAdapter.hasCredentials()) {
+                return new ExchangeError(name, { category: ExchangeError.REJECTED, details: 'missing futures credentials', params });
+            }
+            Object.assign(query, { recvWindow: RECV_WINDOW, timestamp: Date.now() });
+            query.signature = sign(qs.stringify(query));
+            headers['X-MBX-APIKEY'] = API_KEY;
+        }
+        try {
+            const response = await axios({ method, url: `${BASE_URL}${endpoint}?${qs.stringify(query)}`, headers });
+            return response.data;
+        } catch (error) {
+            return ExchangeError.fromAxios(error, name, params, ERROR_CODES);
+        }
+    }
+
+    serverTime() {
+        return this.request('serverTime', 'GET', '/fapi/v1/time');
+    }
+
+    // Perpetual contracts only, with their filters in the spot fields SymbolRules reads
+    async exchangeInfo(params = {}) {
+        const response = await this.request('exchangeInfo', 'GET', '/fapi/v1/exchangeInfo');
+        if (response.error) return response;
+        const symbols = response.symbols
+            .filter(info => (!info.contractType || info.contractType === 'PERPETUAL') && (!params.symbol || info.symbol === params.symbol))
+            .map(info => ({
+                ...info,
+                filters: info.filters.filter(filter => FILTER_TYPES.includes(filter.filterType)).map(BinanceFuturesAdapter.toFilter)
+            }));
+        return { ...response, symbols };
+    }
+
+    klines(symbol, interval) {
+        return this.request('klines', 'GET', '/fapi/v1/klines', { symbol, interval, limit: 120 });
+    }
+
+    historicalKlines(symbol, interval, params = {}) {
+        return this.request('historicalKlines', 'GET', '/fapi/v1/klines', { symbol, interval, limit: 1000, ...params });
+    }
+
+    depth(symbol) {
+        return this.request('depth', 'GET', '/fapi/v1/depth', { symbol, limit: 100 });
+    }
+
+    aggTrades(symbol, params = {}) {
+        return this.request('aggTrades', 'GET', '/fapi/v1/aggTrades', { symbol, limit: 1000, ...params });
+    }
+
+    // Margin assets as balances: what is available for new orders is free, the rest of the wallet locked
+    async fetchMyAccount() {
+        const response = await this.futuresAccount('fetchMyAccount');
+        return response.error ? response : { balances: BinanceFuturesAdapter.toBalances(response) };
+    }
+
+    async userAsset(asset) {
+        const response = await this.futuresAccount('userAsset');
+        if (response.error) return response;
+        return [BinanceFuturesAdapter.toBalances(response).find(balance => balance.asset === asset) || { asset, free: '0', locked: '0' }];
+    }
+
+    async fetchMyOrders(symbol) {
+        const response = await this.request('fetchMyOrders', 'GET', '/fapi/v1/allOrders', { symbol, limit: ORDERS_LIMIT }, true);
+        return response.error ? response : response.map(BinanceFuturesAdapter.toOrder);
+    }
+
+    async fetchOpenOrders(symbol) {
+        const response = await this.request('fetchOpenOrders', 'GET', '/fapi/v1/openOrders', { symbol }, true);
+        return response.error ? response : response.map(BinanceFuturesAdapter.toOrder);
+    }
+
+    async getOrder(symbol, orderId) {
+        const response = await this.request('getOrder', 'GET', '/fapi/v1/order', { symbol, orderId }, true);
+        return response.error ? response : BinanceFuturesAdapter.toOrder(response);
+    }
+
+    async fetchMyTrades(symbol, params = {}) {
+        const response = await this.request('fetchMyTrades', 'GET', '/fapi/v1/userTrades', { symbol, ...params }, true);
+        return response.error ? response : response.map(BinanceFuturesAdapter.toTrade);
+    }
+
+    /**
+     * @param {Object} params - price, quantity, stopPrice, timeInForce, newClientOrderId, plus reduceOnly,
+     *                          closePosition and workingType (MARK_PRICE / CONTRACT_PRICE) for exits
+     */
+    async placeOrder(symbol, side, type, params = {}) {
+        const response = await this.request('placeOrder', 'POST', '/fapi/v1/order', { symbol, side, type, ...params }, true);
+        return response.error ? response : BinanceFuturesAdapter.toOrder(response);
+    }
+
+    async cancelOrder(symbol, orderId) {
+        const response = await this.request('cancelOrder', 'DELETE', '/fapi/v1/order', { symbol, orderId }, true);
+        return response.error ? response : BinanceFuturesAdapter.toOrder(response);
+    }
+
+    // Binance futures have no cancelReplace, the new order isn't placed when the cancel fails
+    async cancelAndReplace(symbol, side, type, { cancelOrderId, ...params }) {
+        const cancelResponse = await this.cancelOrder(symbol, cancelOrderId);
+        if (cancelResponse.error) {
+            return { cancelResult: 'FAILURE', newOrderResult: 'NOT_ATTEMPTED', cancelResponse: { msg: cancelResponse.details }, newOrderResponse: null };
+        }
+        const newOrderResponse = await this.placeOrder(symbol, side, type, params);
+        return {
+            cancelResult: 'SUCCESS',
+            newOrderResult: newOrderResponse.error ? 'FAILURE' : 'SUCCESS',
+            cancelResponse,
+            newOrderResponse: newOrderResponse.error ? { msg: newOrderResponse.details } : newOrderResponse
+        };
+    }
+
+    futuresAccount(name = 'futuresAccount') {
+        return this.request(name, 'GET', '/fapi/v2/account', {}, true);
+    }
+
+    // The symbol's one-way (BOTH) position, a flat one when the symbol has none
+    async positionRisk(symbol) {
+        const response = await this.request('positionRisk', 'GET', '/fapi/v2/positionRisk', { symbol }, true);
+        if (response.error) return response;
+        const position = response.find(p => p.symbol === symbol && (!p.positionSide || p.positionSide === 'BOTH'));
+        return position
+            ? BinanceFuturesAdapter.toPosition(position)
+            : new ExchangeError('positionRisk', { details: `No ${symbol} position in one-way mode`, params: [symbol] });
+    }
+
+    setLeverage(symbol, leverage) {
+        return this.request('setLeverage', 'POST', '/fapi/v1/leverage', { symbol, leverage }, true);
+    }
+
+    setMarginType(symbol, marginType) {
+        return this.request('setMarginType', 'POST', '/fapi/v1/marginType', { symbol, marginType }, true);
+    }
+
+    premiumIndex(symbol) {
+        return this.request('premiumIndex', 'GET', '/fapi/v1/premiumIndex', { symbol });
+    }
+
+    fetchFundingFees(symbol, params = {}) {
+        return this.request('fetchFundingFees', 'GET', '/fapi/v1/income', { symbol, incomeType: 'FUNDING_FEE', limit: 1000, ...params }, true);
+    }
+
+    /**
+     * ORDER_TRADE_UPDATE and ACCOUNT_UPDATE events become executionReport and outboundAccountPosition ones
+     */
+    async openUserStream() {
+        const response = await this.request('openUserStream', 'POST', '/fapi/v1/listenKey', {}, false);
+        if (!response?.listenKey) return response?.error ? response : new ExchangeError('openUserStream', { details: 'No listenKey received' });
+        const { listenKey } = response;
+        return {
+            url: `${WS_BASE_URL}/ws/${listenKey}`,
+            // listenKeys expire after 60 minutes without a keepalive
+            keepAlive: () => this.request('keepAliveListenKey', 'PUT', '/fapi/v1/listenKey'),
+            keepAliveInterval: 30 * 60 * 1000,
+            toEvents: (message) => {
+                if (message.e === 'ORDER_TRADE_UPDATE') return [BinanceFuturesAdapter.toExecutionReport(message)];
+                if (message.e === 'ACCOUNT_UPDATE') {
+                    return [{ e: 'outboundAccountPosition', E: message.E, B: message.a.B.map(b => ({ a: b.a, f: b.cw, l: String(parseFloat(b.wb) - parseFloat(b.cw)) })) }];
+                }
+                return message.e === 'listenKeyExpired' ? [message] : [];
+            }
+        };
+    }
+
+    // MIN_NOTIONAL's `notional` and the order counts' `limit` under their spot names
+    static toFilter(filter) {
+        switch (filter.filterType) {
+            case 'MIN_NOTIONAL':
+                return { filterType: 'MIN_NOTIONAL', minNotional: filter.notional ?? filter.minNotional };
+            case 'MAX_NUM_ORDERS':
+                return { filterType: 'MAX_NUM_ORDERS', maxNumOrders: filter.limit ?? filter.maxNumOrders };
+            case 'MAX_NUM_ALGO_ORDERS':
+                return { filterType: 'MAX_NUM_ALGO_ORDERS', maxNumAlgoOrders: filter.limit ?? filter.maxNumAlgoOrders };
+            default:
+                return filter;
+        }
+    }
+
+    // positionRisk names margin types in lower case, setMarginType takes ISOLATED / CROSSED
+    static toPosition(position) {
+        return { ...position, marginType: MARGIN_TYPES[position.marginType] || position.marginType };
+    }
+
+    static toBalances(account) {
+        return (account.assets || []).map(asset => {
+            const available = parseFloat(asset.availableBalance);
+            return { asset: asset.asset, free: String(available), locked: String(Math.max(0, parseFloat(asset.walletBalance) - available)) };
+        });
+    }
+
+    static toOrder(order) {
+        return {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            orderListId: -1,
+            clientOrderId: order.clientOrderId,
+            price: order.price,
+            origQty: order.origQty,
+            executedQty: order.executedQty,
+            cummulativeQuoteQty: order.cumQuote,
+            status: order.status,
+            timeInForce: order.timeInForce,
+            type: order.type,
+            side: order.side,
+            stopPrice: order.stopPrice,
+            time: order.time ?? order.updateTime,
+            updateTime: order.updateTime,
+            transactTime: order.updateTime,
+            reduceOnly: order.reduceOnly,
+            closePosition: order.closePosition,
+            workingType: order.workingType,
+            isFutures: true
+        };
+    }
+
+    static toTrade(trade) {
+        return {
+            symbol: trade.symbol,
+            id: trade.id,
+            orderId: trade.orderId,
+            price: trade.price,
+            qty: trade.qty,
+            quoteQty: trade.quoteQty,
+            commission: trade.commission,
+            commissionAsset: trade.commissionAsset,
+            realizedPnl: trade.realizedPnl,
+            time: trade.time,
+            isBuyer: trade.buyer,
+            isMaker: trade.maker
+        };
+    }
+
+    // Futures updates carry no cumulative quote, it is rebuilt from the average price
+    static toExecutionReport({ E, o: order }) {
+        return {
+            e: 'executionReport',
+            E,
+            s: order.s,
+            c: order.c,
+            S: order.S,
+            o: order.o,
+            f: order.f,
+            q: order.q,
+            p: order.p,
+            P: order.sp,
+            x: order.x,
+            X: order.X,
+            i: order.i,
+            z: order.z,
+            Z: String(parseFloat(order.z) * parseFloat(order.ap)),
+            T: order.T,
+            g: -1,
+            w: true,
+            R: order.R,
+            cp: order.cp,
+            isFutures: true
+        };
+    }
+}
+
+module.exports = BinanceFuturesAdapter;
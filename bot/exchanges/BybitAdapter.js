@@ -0,0 +1,361 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const qs = require('qs');
+const ExchangeAdapter = require('./ExchangeAdapter');
+const ExchangeError = require('./ExchangeError');
+const { intervalToMs } = require('../../utils/helpers');
+
+const TESTNET = process.env.TESTNET === 'true';
+const BASE_URL = process.env.BYBIT_BASE_URL || (TESTNET ? 'https://api-testnet.bybit.com' : 'https://api.bybit.com');
+const WS_BASE_URL = process.env.BYBIT_WS_URL || (TESTNET ? 'wss://stream-testnet.bybit.com' : 'wss://stream.bybit.com');
+const API_KEY = TESTNET ? process.env.BYBIT_API_KEY_TEST : process.env.BYBIT_API_KEY;
+const API_SECRET = TESTNET ? process.env.BYBIT_API_SECRET_TEST : process.env.BYBIT_API_SECRET;
+const RECV_WINDOW = '5000';
+
+const INTERVALS = {
+    '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30', '1h': '60', '2h': '120', '4h': '240',
+    '6h': '360', '12h': '720', '1d': 'D', '1w': 'W', '1M': 'M'
+};
+const STATUSES = {
+    New: 'NEW', Untriggered: 'NEW', Triggered: 'NEW', PartiallyFilled: 'PARTIALLY_FILLED', Filled: 'FILLED',
+    Cancelled: 'CANCELED', PartiallyFilledCanceled: 'CANCELED', Deactivated: 'CANCELED', Rejected: 'REJECTED'
+};
+// retCodes by ExchangeError category
+const ERROR_CODES = {
+    10002: ExchangeError.TIMESTAMP, // request time outside recv_window
+    10006: ExchangeError.RATE_LIMIT, // too many visits
+    10018: ExchangeError.RATE_LIMIT, // IP rate limit exceeded
+    110001: ExchangeError.UNKNOWN_ORDER,
+    170131: ExchangeError.INSUFFICIENT_BALANCE,
+    170213: ExchangeError.UNKNOWN_ORDER
+};
+const ORDER_FILTERS = ['Order', 'StopOrder']; // spot order queries answer one of them at a time
+const ORDERS_LIMIT = 30; // same window utils/binance-spot.fetchMyOrders returns
+
+const sign = (payload) => crypto.createHmac('sha256', API_SECRET).update(payload).digest('hex');
+const capitalize = (side) => side.charAt(0) + side.slice(1).toLowerCase();
+
+/**
+ * Bybit v5 spot (unified trading account), translated to Binance's shapes. Stops are conditional
+ * limit orders (STOP_LOSS_LIMIT), there are no OCO lists and cancelAndReplace is a cancel
+ * followed by a new order, which isn't placed when the cancel fails.
+ * Credentials come from BYBIT_API_KEY / BYBIT_API_SECRET (the _TEST ones on TESTNET).
+ */
+class BybitAdapter extends ExchangeAdapter {
+    constructor() {
+        super('bybit');
+        this.symbols = new Map(); // symbol -> { baseAsset, quoteAsset }, filled by exchangeInfo
+    }
+
+    /**
+     * @returns {Promise<Object>} The response's `result` (with the server `time`), or an ExchangeError
+     */
+    async request(name, method, endpoint, params = {}, signed = false) {
+        const query = method === 'GET' ? qs.stringify(params) : '';
+        const body = method === 'GET' ? '' : JSON.stringify(params);
+        const headers = { 'Content-Type': 'application/json' };
+        if (signed) {
+            const timestamp = Date.now().toString();
+            Object.assign(headers, {
+                'X-BAPI-API-KEY': API_KEY,
+                'X-BAPI-TIMESTAMP': timestamp,
+                'X-BAPI-RECV-WINDOW': RECV_WINDOW,
+                'X-BAPI-SIGN': sign(timestamp + API_KEY + RECV_WINDOW + (query || body))
+            });
+        }
+        try {
+            const response = await axios({ method, url: `${BASE_URL}${endpoint}${query ? `?${query}` : ''}`, headers, data: body || undefined });
+            const { retCode, retMsg, result, time } = response.data;
+            if (retCode !== 0) {
+                return ExchangeError.fromResponse(name, params, { status: response.status, code: retCode, msg: retMsg, headers: response.headers }, ERROR_CODES);
+            }
+            return { ...result, time };
+        } catch (error) {
+            return ExchangeError.fromAxios(error, name, params, ERROR_CODES);
+        }
+    }
+
+    async serverTime() {
+        const response = await this.request('serverTime', 'GET', '/v5/market/time');
+        return response.error ? response : { serverTime: response.time };
+    }
+
+    async exchangeInfo(params = {}) {
+        const response = await this.request('exchangeInfo', 'GET', '/v5/market/instruments-info', { category: 'spot', symbol: params.symbol });
+        if (response.error) return response;
+        const symbols = response.list.map(instrument => {
+            this.symbols.set(instrument.symbol, { baseAsset: instrument.baseCoin, quoteAsset: instrument.quoteCoin });
+            return {
+                symbol: instrument.symbol,
+                status: instrument.status === 'Trading' ? 'TRADING' : 'BREAK',
+                baseAsset: instrument.baseCoin,
+                quoteAsset: instrument.quoteCoin,
+                filters: [
+                    { filterType: 'PRICE_FILTER', tickSize: instrument.priceFilter.tickSize, minPrice: '0', maxPrice: '0' },
+                    { filterType: 'LOT_SIZE', stepSize: instrument.lotSizeFilter.basePrecision, minQty: instrument.lotSizeFilter.minOrderQty, maxQty: instrument.lotSizeFilter.maxOrderQty },
+                    { filterType: 'NOTIONAL', minNotional: instrument.lotSizeFilter.minOrderAmt, maxNotional: instrument.lotSizeFilter.maxOrderAmt }
+                ]
+            };
+        });
+        return { timezone: 'UTC', serverTime: response.time, symbols };
+    }
+
+    klines(symbol, interval) {
+        return this.historicalKlines(symbol, interval, { limit: 120 }, 'klines');
+    }
+
+    async historicalKlines(symbol, interval, params = {}, name = 'historicalKlines') {
+        if (!INTERVALS[interval]) return new ExchangeError(name, { details: `Unknown kline interval ${interval}`, params: [symbol, interval, params] });
+        const response = await this.request(name, 'GET', '/v5/market/kline', {
+            category: 'spot', symbol, interval: INTERVALS[interval], start: params.startTime, end: params.endTime, limit: params.limit || 1000
+        });
+        if (response.error) return response;
+        const length = intervalToMs(interval);
+        // Newest first, [start, open, high, low, close, volume, turnover]
+        return response.list.map(([start, open, high, low, close, volume, turnover]) =>
+            [Number(start), open, high, low, close, volume, Number(start) + length - 1, turnover, 0, '0', '0', '0']
+        ).reverse();
+    }
+
+    async depth(symbol) {
+        const response = await this.request('depth', 'GET', '/v5/market/orderbook', { category: 'spot', symbol, limit: 100 });
+        return response.error ? response : { lastUpdateId: response.u, bids: response.b, asks: response.a };
+    }
+
+    async fetchMyAccount() {
+        const response = await this.request('fetchMyAccount', 'GET', '/v5/account/wallet-balance', { accountType: 'UNIFIED' }, true);
+        if (response.error) return response;
+        return { balances: (response.list[0]?.coin || []).map(BybitAdapter.toBalance) };
+    }
+
+    async userAsset(asset) {
+        const response = await this.request('userAsset', 'GET', '/v5/account/wallet-balance', { accountType: 'UNIFIED', coin: asset }, true);
+        if (response.error) return response;
+        const coin = response.list[0]?.coin?.find(c => c.coin === asset);
+        return [coin ? BybitAdapter.toBalance(coin) : { asset, free: '0', locked: '0' }];
+    }
+
+    /**
+     * Orders of both ORDER_FILTERS from an order endpoint, in allOrders shape
+     */
+    async queryOrders(name, endpoint, params) {
+        const responses = await Promise.all(ORDER_FILTERS.map(orderFilter =>
+            this.request(name, 'GET', endpoint, { category: 'spot', ...params, orderFilter }, true)));
+        const failed = responses.find(response => response.error);
+        if (failed) return failed;
+        return responses.flatMap(response => response.list).map(BybitAdapter.toOrder);
+    }
+
+    async fetchMyOrders(symbol) {
+        const [open, closed] = await Promise.all([
+            this.queryOrders('fetchMyOrders', '/v5/order/realtime', { symbol }),
+            this.queryOrders('fetchMyOrders', '/v5/order/history', { symbol, limit: ORDERS_LIMIT })
+        ]);
+        if (open.error || closed.error) return open.error ? open : closed;
+        const orders = new Map([...closed, ...open].map(order => [order.orderId, order]));
+        return [...orders.values()].sort((a, b) => a.time - b.time).slice(-ORDERS_LIMIT);
+    }
+
+    async fetchOpenOrders(symbol) {
+        return this.queryOrders('fetchOpenOrders', '/v5/order/realtime', { symbol });
+    }
+
+    async getOrder(symbol, orderId) {
+        const open = await this.queryOrders('getOrder', '/v5/order/realtime', { symbol, orderId });
+        if (open.error || open.length) return open.error ? open : open[0];
+        const closed = await this.queryOrders('getOrder', '/v5/order/history', { symbol, orderId });
+        if (closed.error || closed.length) return closed.error ? closed : closed[0];
+        return new ExchangeError('getOrder', { category: ExchangeError.UNKNOWN_ORDER, details: `Order ${orderId} not found`, params: [symbol, orderId] });
+    }
+
+    async fetchMyTrades(symbol, params = {}) {
+        const response = await this.request('fetchMyTrades', 'GET', '/v5/execution/list', { category: 'spot', symbol, orderId: params.orderId }, true);
+        if (response.error) return response;
+        const assets = this.symbols.get(symbol);
+        return response.list.map(trade => ({
+            symbol: trade.symbol,
+            id: trade.execId,
+            orderId: trade.orderId,
+            price: trade.execPrice,
+            qty: trade.execQty,
+            quoteQty: trade.execValue,
+            commission: trade.execFee,
+            // spot fees are charged in the asset received
+            commissionAsset: trade.feeCurrency || (trade.side === 'Buy' ? assets?.baseAsset : assets?.quoteAsset) || null,
+            time: Number(trade.execTime),
+            isBuyer: trade.side === 'Buy',
+            isMaker: trade.isMaker
+        }));
+    }
+
+    async placeOrder(symbol, side, type, params = {}) {
+        const order = {
+            category: 'spot',
+            symbol,
+            side: capitalize(side),
+            orderType: type === 'MARKET' ? 'Market' : 'Limit',
+            qty: String(params.quantity),
+            orderLinkId: params.newClientOrderId
+        };
+        if (type !== 'MARKET') {
+            order.price = String(params.price);
+            order.timeInForce = type === 'LIMIT_MAKER' ? 'PostOnly' : (params.timeInForce || 'GTC');
+        } else {
+            order.marketUnit = 'baseCoin';
+        }
+        if (params.stopPrice) {
+            order.triggerPrice = String(params.stopPrice);
+            order.orderFilter = 'StopOrder';
+        }
+        const response = await this.request('placeOrder', 'POST', '/v5/order/create', order, true);
+        if (response.error) return response;
+        // Bybit only acknowledges the ids, the rest is what was asked for
+        return {
+            symbol,
+            orderId: response.orderId,
+            orderListId: -1,
+            clientOrderId: response.orderLinkId,
+            transactTime: Number(response.time),
+            price: order.price || '0',
+            origQty: order.qty,
+            executedQty: '0',
+            cummulativeQuoteQty: '0',
+            status: 'NEW',
+            timeInForce: params.timeInForce || 'GTC',
+            type,
+            side,
+            stopPrice: order.triggerPrice || '0'
+        };
+    }
+
+    async cancelOrder(symbol, orderId) {
+        // A stop is only found under the StopOrder filter
+        let response;
+        for (const orderFilter of ORDER_FILTERS) {
+            response = await this.request('cancelOrder', 'POST', '/v5/order/cancel', { category: 'spot', symbol, orderId: String(orderId), orderFilter }, true);
+            if (!response.error) break;
+        }
+        if (response.error) return response;
+        return { symbol, orderId: response.orderId, clientOrderId: response.orderLinkId, status: 'CANCELED' };
+    }
+
+    async cancelAndReplace(symbol, side, type, { cancelOrderId, ...params }) {
+        const cancelResponse = await this.cancelOrder(symbol, cancelOrderId);
+        if (cancelResponse.error) {
+            return { cancelResult: 'FAILURE', newOrderResult: 'NOT_ATTEMPTED', cancelResponse: { msg: cancelResponse.details }, newOrderResponse: null };
+        }
+        const newOrderResponse = await this.placeOrder(symbol, side, type, params);
+        return {
+            cancelResult: 'SUCCESS',
+            newOrderResult: newOrderResponse.error ? 'FAILURE' : 'SUCCESS',
+            cancelResponse,
+            newOrderResponse: newOrderResponse.error ? { msg: newOrderResponse.details } : newOrderResponse
+        };
+    }
+
+    /**
+     * The private stream authenticates and subscribes once open, ready when both are acknowledged
+     */
+    async openUserStream() {
+        if (!API_KEY || !API_SECRET) return new ExchangeError('openUserStream', { details: 'Bybit API credentials are missing' });
+        return {
+            url: `${WS_BASE_URL}/v5/private`,
+            onOpen: async (socket) => {
+                const expires = Date.now() + 10000;
+                await BybitAdapter.sendOperation(socket, { op: 'auth', args: [API_KEY, expires, sign(`GET/realtime${expires}`)] });
+                await BybitAdapter.sendOperation(socket, { op: 'subscribe', args: ['order', 'wallet'] });
+            },
+            // the connection drops without a ping every 20 seconds
+            keepAlive: (socket) => socket.send(JSON.stringify({ op: 'ping' })),
+            keepAliveInterval: 20 * 1000,
+            toEvents: (message) => {
+                if (message.topic === 'order') {
+                    return message.data.filter(order => order.category === 'spot').map(BybitAdapter.toExecutionReport);
+                }
+                if (message.topic === 'wallet') {
+                    const coins = message.data.flatMap(wallet => wallet.coin || []).map(BybitAdapter.toBalance);
+                    return [{ e: 'outboundAccountPosition', E: message.creationTime, B: coins.map(b => ({ a: b.asset, f: b.free, l: b.locked })) }];
+                }
+                return [];
+            }
+        };
+    }
+
+    /**
+     * Sends an auth/subscribe operation and waits for its acknowledgement
+     */
+    static sendOperation(socket, operation) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => done(new Error(`${operation.op} timed out`)), 10000);
+            const onMessage = (data) => {
+                const message = JSON.parse(data);
+                if (message.op !== operation.op) return;
+                done(message.success ? null : new Error(`${operation.op} failed: ${message.ret_msg}`));
+            };
+            const done = (error) => {
+                clearTimeout(timeout);
+                socket.off('message', onMessage);
+                error ? reject(error) : resolve();
+            };
+            socket.on('message', onMessage);
+            socket.send(JSON.stringify(operation));
+        });
+    }
+
+    static toBalance(coin) {
+        const locked = parseFloat(coin.locked || 0);
+        return { asset: coin.coin, free: String(parseFloat(coin.walletBalance || 0) - locked), locked: String(locked) };
+    }
+
+    static toOrder(order) {
+        const isStop = parseFloat(order.triggerPrice) > 0;
+        let type = order.orderType === 'Market' ? 'MARKET' : 'LIMIT';
+        if (isStop && type === 'LIMIT') type = 'STOP_LOSS_LIMIT';
+        else if (order.timeInForce === 'PostOnly') type = 'LIMIT_MAKER';
+        return {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            orderListId: -1,
+            clientOrderId: order.orderLinkId,
+            price: order.price,
+            origQty: order.qty,
+            executedQty: order.cumExecQty || '0',
+            cummulativeQuoteQty: order.cumExecValue || '0',
+            status: STATUSES[order.orderStatus] || order.orderStatus,
+            timeInForce: order.timeInForce === 'PostOnly' ? 'GTC' : order.timeInForce,
+            type,
+            side: order.side.toUpperCase(),
+            stopPrice: isStop ? order.triggerPrice : '0',
+            time: Number(order.createdTime),
+            updateTime: Number(order.updatedTime),
+            isWorking: order.orderStatus !== 'Untriggered'
+        };
+    }
+
+    static toExecutionReport(bybitOrder) {
+        const order = BybitAdapter.toOrder(bybitOrder);
+        return {
+            e: 'executionReport',
+            E: order.updateTime,
+            s: order.symbol,
+            c: order.clientOrderId,
+            S: order.side,
+            o: order.type,
+            f: order.timeInForce,
+            q: order.origQty,
+            p: order.price,
+            P: order.stopPrice,
+            x: order.status,
+            X: order.status,
+            i: order.orderId,
+            z: order.executedQty,
+            Z: order.cummulativeQuoteQty,
+            T: order.updateTime,
+            O: order.time,
+            g: -1,
+            w: order.isWorking
+        };
+    }
+}
+
+module.exports = BybitAdapter;
@@ -0,0 +1,110 @@
+const ExchangeError = require('./ExchangeError');
+
+/**
+ * Contract between ExchangeManager and a trading venue. The bot works with Binance's data shapes,
+ * every adapter translates its exchange to them:
+ *
+ * - exchangeInfo()                       → { symbols: [{ symbol, status, baseAsset, quoteAsset, filters }] },
+ *                                          filters as PRICE_FILTER (tickSize), LOT_SIZE (stepSize, minQty) and NOTIONAL
+ * - klines / historicalKlines            → [[openTime, open, high, low, close, volume, closeTime, quoteVolume, ...]], oldest first
+ * - depth(symbol)                        → { lastUpdateId, bids: [[price, qty]], asks: [[price, qty]] }
+ * - fetchMyAccount() / userAsset(asset)  → { balances: [{ asset, free, locked }] } / [{ asset, free, locked }]
+ * - orders (placeOrder, getOrder, ...)   → allOrders objects: { symbol, orderId, clientOrderId, side, type, status,
+ *                                          price, stopPrice, origQty, executedQty, cummulativeQuoteQty, time, updateTime }
+ * - fetchMyTrades(symbol, { orderId })   → myTrades objects: { orderId, price, qty, commission, commissionAsset, time }
+ * - openUserStream()                     → a user data stream description, see below
+ *
+ * Venues with isolated margin (supportsMargin) add the short side, each symbol on its own isolated account:
+ *
+ * - isolatedMarginAccount(symbol)        → { symbol, marginLevel, marginLevelStatus, liquidatePrice, baseAsset, quoteAsset },
+ *                                          both assets as { asset, free, locked, borrowed, interest, netAsset }
+ * - maxBorrowable(symbol, asset)         → { amount }
+ * - marginBorrow / marginRepay(symbol, asset, amount) → { tranId }, repaying pays the interest first
+ * - margin orders (placeMarginOrder, ...) → the spot shapes with isIsolated: true, params may carry a sideEffectType
+ *                                          (AUTO_REPAY pays the debt back with what a buy bought)
+ * - placeMarginOcoOrder(symbol, side, quantity, params) → an orderList with orderReports,
+ *                                          params { price, stopPrice, stopLimitPrice, stopLimitTimeInForce, sideEffectType, listClientOrderId }
+ * - fetchMarginInterest(symbol, asset, { startTime }) → [{ asset, interest, interestAccuredTime }]
+ *
+ * Futures venues (supportsFutures) trade perpetual contracts in one-way mode. Their orders are the spot shapes with
+ * isFutures: true, placeOrder also takes MARKET, STOP_MARKET and TAKE_PROFIT_MARKET with reduceOnly, closePosition
+ * and workingType, and balances are the margin asset's (free what new orders can use):
+ *
+ * - positionRisk(symbol)                 → { symbol, positionAmt (negative when short), entryPrice, markPrice,
+ *                                          liquidationPrice, unRealizedProfit, leverage, marginType, isolatedMargin }
+ * - setLeverage(symbol, leverage)        → { symbol, leverage, maxNotionalValue }
+ * - setMarginType(symbol, marginType)    → { code, msg }, 'ISOLATED' or 'CROSSED'; -4046 when it already is
+ * - premiumIndex(symbol)                 → { symbol, markPrice, lastFundingRate, nextFundingTime }
+ * - fetchFundingFees(symbol, { startTime }) → [{ symbol, income, asset, time }], income negative when paid
+ *
+ * Symbols are the joined pair key (BTC_USDT → BTCUSDT) and intervals Binance's (1m, 1h, 4h, 1d).
+ * Like utils/binance-spot, methods never throw: failures come back as an ExchangeError
+ * ({ error, details, params } plus the category ExchangeManager retries and the bot reacts on).
+ */
+class ExchangeAdapter {
+    constructor(name) {
+        this.name = name;
+        this.supportsOco = false; // placeOcoOrder / cancelOrderList, protection falls back to a lone stop without them
+        this.supportsMargin = false; // the isolated margin calls below, pairs can't short without them
+        this.supportsFutures = false; // the futures calls below, the venue's pairs trade through the FuturesManager
+    }
+
+    // Whether the venue's API keys are set, adapters that sign requests themselves check theirs
+    static hasCredentials() {
+        return true;
+    }
+
+    unsupported(method, params = []) {
+        return new ExchangeError(method, { details: `${this.name} doesn't support ${method}`, params });
+    }
+
+    serverTime() { return this.unsupported('serverTime'); }
+    exchangeInfo(params) { return this.unsupported('exchangeInfo', [params]); }
+    klines(symbol, interval) { return this.unsupported('klines', [symbol, interval]); }
+    historicalKlines(symbol, interval, params) { return this.unsupported('historicalKlines', [symbol, interval, params]); }
+    depth(symbol) { return this.unsupported('depth', [symbol]); }
+    aggTrades(symbol, params) { return this.unsupported('aggTrades', [symbol, params]); }
+    fetchMyAccount() { return this.unsupported('fetchMyAccount'); }
+    userAsset(asset) { return this.unsupported('userAsset', [asset]); }
+    fetchMyOrders(symbol) { return this.unsupported('fetchMyOrders', [symbol]); }
+    fetchMyTrades(symbol, params) { return this.unsupported('fetchMyTrades', [symbol, params]); }
+    fetchOpenOrders(symbol) { return this.unsupported('fetchOpenOrders', [symbol]); }
+    getOrder(symbol, orderId) { return this.unsupported('getOrder', [symbol, orderId]); }
+    placeOrder(symbol, side, type, params) { return this.unsupported('placeOrder', [symbol, side, type, params]); }
+    cancelOrder(symbol, orderId) { return this.unsupported('cancelOrder', [symbol, orderId]); }
+    // params.cancelOrderId is cancelled and replaced by a new order, answers like Binance's cancelReplace
+    cancelAndReplace(symbol, side, type, params) { return this.unsupported('cancelAndReplace', [symbol, side, type, params]); }
+    placeOcoOrder(symbol, side, quantity, params) { return this.unsupported('placeOcoOrder', [symbol, side, quantity, params]); }
+    cancelOrderList(symbol, orderListId) { return this.unsupported('cancelOrderList', [symbol, orderListId]); }
+
+    isolatedMarginAccount(symbol) { return this.unsupported('isolatedMarginAccount', [symbol]); }
+    maxBorrowable(symbol, asset) { return this.unsupported('maxBorrowable', [symbol, asset]); }
+    marginBorrow(symbol, asset, amount) { return this.unsupported('marginBorrow', [symbol, asset, amount]); }
+    marginRepay(symbol, asset, amount) { return this.unsupported('marginRepay', [symbol, asset, amount]); }
+    placeMarginOrder(symbol, side, type, params) { return this.unsupported('placeMarginOrder', [symbol, side, type, params]); }
+    cancelMarginOrder(symbol, orderId) { return this.unsupported('cancelMarginOrder', [symbol, orderId]); }
+    placeMarginOcoOrder(symbol, side, quantity, params) { return this.unsupported('placeMarginOcoOrder', [symbol, side, quantity, params]); }
+    cancelMarginOrderList(symbol, orderListId) { return this.unsupported('cancelMarginOrderList', [symbol, orderListId]); }
+    fetchMarginOrders(symbol) { return this.unsupported('fetchMarginOrders', [symbol]); }
+    fetchMarginOpenOrders(symbol) { return this.unsupported('fetchMarginOpenOrders', [symbol]); }
+    fetchMarginTrades(symbol, params) { return this.unsupported('fetchMarginTrades', [symbol, params]); }
+    fetchMarginInterest(symbol, asset, params) { return this.unsupported('fetchMarginInterest', [symbol, asset, params]); }
+
+    positionRisk(symbol) { return this.unsupported('positionRisk', [symbol]); }
+    setLeverage(symbol, leverage) { return this.unsupported('setLeverage', [symbol, leverage]); }
+    setMarginType(symbol, marginType) { return this.unsupported('setMarginType', [symbol, marginType]); }
+    premiumIndex(symbol) { return this.unsupported('premiumIndex', [symbol]); }
+    fetchFundingFees(symbol, params) { return this.unsupported('fetchFundingFees', [symbol, params]); }
+
+    /**
+     * Prepares the account's order and balance stream:
+     * { url, onOpen(socket)?, keepAlive(socket)?, keepAliveInterval?, toEvents(message) }
+     * onOpen may return a promise that rejects when the stream can't be used (e.g. failed auth).
+     * toEvents turns a parsed message into executionReport / outboundAccountPosition events.
+     */
+    async openUserStream() {
+        return this.unsupported('openUserStream');
+    }
+}
+
+module.exports = ExchangeAdapter;
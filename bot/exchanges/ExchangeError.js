@@ -0,0 +1,100 @@
+/**
+ * A failed exchange call. Like every failure in the bot it is returned, never thrown, in the
+ * { error, details, params } shape callers already check; `category` tells ExchangeManager.request
+ * whether to retry and the bot how to react. Codes are Binance's, other venues map theirs onto the categories.
+ */
+class ExchangeError {
+    static RATE_LIMIT = 'RATE_LIMIT'; // 429, or 418 once the IP is banned; retryAfter is the wait the exchange asked for
+    static TIMESTAMP = 'TIMESTAMP'; // -1021, the request's timestamp is outside recvWindow of the server time
+    static INSUFFICIENT_BALANCE = 'INSUFFICIENT_BALANCE'; // -2010 for a lack of funds, -3006 / -3041 on margin
+    static UNKNOWN_ORDER = 'UNKNOWN_ORDER'; // -2011 / -2013, the order is already closed or never existed
+    static NETWORK = 'NETWORK'; // no answer or a 5xx, the request may or may not have been executed
+    static REJECTED = 'REJECTED'; // anything else the exchange (or the bot before sending) refused
+
+    // Binance error codes by category, a function picks one from the message where a code covers several causes
+    static BINANCE_CODES = {
+        [-1003]: ExchangeError.RATE_LIMIT,
+        [-1021]: ExchangeError.TIMESTAMP,
+        [-2010]: (msg) => /insufficient balance/i.test(msg) ? ExchangeError.INSUFFICIENT_BALANCE : ExchangeError.REJECTED,
+        [-2011]: (msg) => /unknown order|does not exist/i.test(msg) ? ExchangeError.UNKNOWN_ORDER : ExchangeError.REJECTED,
+        [-2013]: ExchangeError.UNKNOWN_ORDER,
+        [-3006]: ExchangeError.INSUFFICIENT_BALANCE, // margin: borrowing more than the collateral allows
+        [-3041]: ExchangeError.INSUFFICIENT_BALANCE // margin: not enough to repay or transfer
+    };
+
+    /**
+     * @param {string} method - The exchange call, e.g. 'newOrder'
+     * @param {Object} fields
+     * @param {string} [fields.category]
+     * @param {string} fields.details - The exchange's message
+     * @param {number|string} [fields.code] - The exchange's error code
+     * @param {number} [fields.status] - HTTP status
+     * @param {number} [fields.retryAfter] - ms the exchange asked to wait before the next request
+     */
+    constructor(method, { category = ExchangeError.REJECTED, details, code = null, status = null, retryAfter = null, params = [] }) {
+        this.error = `Failed to execute ${method}`;
+        this.details = details;
+        this.params = params;
+        this.category = category;
+        this.code = code;
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * From an error answer of the exchange
+     * @param {Object} response - { status, code, msg, headers }
+     * @param {Object} [codes] - Error codes by category, see BINANCE_CODES
+     */
+    static fromResponse(method, params, { status = 400, code = null, msg, headers = {} }, codes = ExchangeError.BINANCE_CODES) {
+        let category = codes[code] ?? ExchangeError.REJECTED;
+        if (typeof category === 'function') category = category(msg || '');
+        if (status === 429 || status === 418) category = ExchangeError.RATE_LIMIT;
+        else if (status >= 500) category = ExchangeError.NETWORK;
+        return new ExchangeError(method, {
+            category,
+            details: msg || `HTTP ${status}`,
+            code,
+            status,
+            retryAfter: ExchangeError.retryAfterOf(headers),
+            params
+        });
+    }
+
+    /**
+     * From an axios error, Binance's { code, msg } or Bybit's { retCode, retMsg } body
+     */
+    static fromAxios(error, method, params, codes = ExchangeError.BINANCE_CODES) {
+        const { response } = error;
+        if (!response) {
+            // Without a request the call failed before leaving the process (e.g. a missing parameter)
+            const category = error.request ? ExchangeError.NETWORK : ExchangeError.REJECTED;
+            return new ExchangeError(method, { category, details: error.message, params });
+        }
+        const { data = {}, status, headers } = response;
+        return ExchangeError.fromResponse(method, params, {
+            status,
+            code: data.code ?? data.retCode ?? null,
+            msg: data.msg ?? data.retMsg ?? error.message,
+            headers
+        }, codes);
+    }
+
+    // Binance sends Retry-After in seconds, Bybit the time its rate limit window resets
+    static retryAfterOf(headers = {}) {
+        const seconds = parseFloat(headers['retry-after']);
+        if (seconds >= 0) return seconds * 1000;
+        const reset = parseInt(headers['x-bapi-limit-reset-timestamp']);
+        return reset > 0 ? Math.max(0, reset - Date.now()) : null;
+    }
+
+    /**
+     * Category of a failed response, null for a successful one. Failures built without one are REJECTED.
+     */
+    static categoryOf(response) {
+        if (!response?.error) return null;
+        return response.category || ExchangeError.REJECTED;
+    }
+}
+
+module.exports = ExchangeError;
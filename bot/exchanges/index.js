@@ -0,0 +1,30 @@
+const ExchangeAdapter = require('./ExchangeAdapter');
+const ExchangeError = require('./ExchangeError');
+const BinanceAdapter = require('./BinanceAdapter');
+const BybitAdapter = require('./BybitAdapter');
+const BinanceFuturesAdapter = require('./BinanceFuturesAdapter');
+
+// Supported venues by the name used in pairs.json and config.exchange
+const EXCHANGES = {
+    binance: BinanceAdapter,
+    bybit: BybitAdapter,
+    'binance-futures': BinanceFuturesAdapter
+};
+
+const isKnownExchange = (name) => Object.hasOwn(EXCHANGES, name);
+
+// Signed calls to a venue without keys come back REJECTED, live pairs on it are refused up front (see PairManager)
+const hasExchangeCredentials = (name) => isKnownExchange(name) && EXCHANGES[name].hasCredentials();
+
+/**
+ * @param {string} name - A key of EXCHANGES
+ * @returns {ExchangeAdapter}
+ */
+const createExchangeAdapter = (name) => {
+    if (!isKnownExchange(name)) {
+        throw new Error(`Unknown exchange "${name}", expected one of ${Object.keys(EXCHANGES).join(', ')}`);
+    }
+    return new EXCHANGES[name]();
+};
+
+module.exports = { ExchangeAdapter, ExchangeError, EXCHANGES, isKnownExchange, hasExchangeCredentials, createExchangeAdapter };
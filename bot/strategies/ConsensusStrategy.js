@@ -0,0 +1,19 @@
+const Strategy = require('./Strategy');
+
+/**
+ * Trades the MarketAnalyzer multi-timeframe consensus, the bot's original behaviour
+ */
+class ConsensusStrategy extends Strategy {
+    static BUY_SIGNALS = ['BUY', 'STRONG_BUY', 'EARLY_BUY'];
+    static SELL_SIGNALS = ['SELL', 'STRONG_SELL'];
+
+    onCandle({ analysis }) {
+        const signal = analysis.consensusSignal;
+        const reason = `Consensus ${signal}`;
+        if (ConsensusStrategy.BUY_SIGNALS.includes(signal)) return { action: Strategy.BUY, signal, reason };
+        if (ConsensusStrategy.SELL_SIGNALS.includes(signal)) return { action: Strategy.SELL, signal, reason };
+        return { action: Strategy.HOLD, signal, reason };
+    }
+}
+
+module.exports = ConsensusStrategy;
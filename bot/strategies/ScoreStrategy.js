@@ -0,0 +1,47 @@
+const Strategy = require('./Strategy');
+const CandleAnalyzer = require('../../v3/analyzers/CandleAnalyzer');
+const OrderBookAnalyzer = require('../../v3/analyzers/OrderBookAnalyzer');
+const SignalScorer = require('../../v3/analyzers/SignalScorer');
+const { buildRiskManagement } = require('../../v3/riskManagement');
+
+/**
+ * The v3 predictor's 10-point scoring on the primary timeframe: buys when the long score
+ * reaches `threshold`, sells when the short score reaches `sellThreshold`.
+ *
+ * params: { threshold = 8, sellThreshold = threshold }
+ */
+class ScoreStrategy extends Strategy {
+    constructor(config, params = {}) {
+        super(config, params);
+        this.threshold = params.threshold ?? 8;
+        this.sellThreshold = params.sellThreshold ?? this.threshold;
+        const riskManagement = buildRiskManagement(config.klinesInterval_1);
+        this.candleAnalyzer = new CandleAnalyzer(config.klinesInterval_1, riskManagement);
+        this.orderBookAnalyzer = new OrderBookAnalyzer();
+        this.scorer = new SignalScorer(riskManagement);
+        this.previousOrderBook = null; // order book flow is measured against the last round
+    }
+
+    onCandle({ candles, orderBook }) {
+        const candleSignals = this.candleAnalyzer.getAllSignals(candles.primary, 'primary'); // one instance per pair
+        if (candleSignals.error) {
+            return { action: Strategy.HOLD, signal: Strategy.HOLD, reason: candleSignals.error };
+        }
+        const obSignals = orderBook && !orderBook.isEmpty
+            ? this.orderBookAnalyzer.analyze(orderBook, this.previousOrderBook, candles.primary).signals
+            : {};
+        this.previousOrderBook = orderBook;
+
+        const score = this.scorer.score(candleSignals, obSignals, candles.primary);
+        const reason = `Score long ${score.long}/10, short ${score.short}/10`;
+        if (score.long >= this.threshold && score.long > score.short) {
+            return { action: Strategy.BUY, signal: 'STRONG_BUY', reason, score };
+        }
+        if (score.short >= this.sellThreshold) {
+            return { action: Strategy.SELL, signal: 'STRONG_SELL', reason, score };
+        }
+        return { action: Strategy.HOLD, signal: Strategy.HOLD, reason, score };
+    }
+}
+
+module.exports = ScoreStrategy;
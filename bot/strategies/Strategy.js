@@ -0,0 +1,84 @@
+/**
+ * Contract between the bot and the logic deciding what to trade. The bot fetches data, keeps
+ * orders/protection/risk in check and calls the pair's strategy for intents:
+ *
+ * - onCandle(context)        → { action: BUY | SELL | HOLD, signal, reason }   every round
+ * - onOrderBook(context)     → { entryDistance }   % below the price a buy is placed at
+ * - onFill(order, context)   → { profitTarget }    % gain to exit the position opened by `order`
+ *
+ * `context` is { pair, price, time, candles: { primary, secondary }, indicators: { primary, secondary },
+ * analysis, orderBook, volatility }, where candles are Candle[] (analysis/Candle), orderBook an OrderBook
+ * or null, analysis the MarketAnalyzer result and volatility the average candle range in %. The engine (bot/Engine.js)
+ * adds `prediction`, the v3 SignalPredictor result or null. `signal` is shown in the table and alerts (BUY, STRONG_BUY, SELL, ...).
+ *
+ * The defaults below are the bot's own entry and exit rules, strategies usually only override onCandle.
+ * One instance is created per pair, so strategies may keep per-pair state.
+ */
+class Strategy {
+    static BUY = 'BUY';
+    static SELL = 'SELL';
+    static HOLD = 'HOLD';
+
+    /**
+     * @param {Object} config - Bot config
+     * @param {Object} [params] - Per-pair parameters from pairs.json
+     */
+    constructor(config, params = {}) {
+        this.config = config;
+        this.params = params;
+    }
+
+    get name() {
+        return this.constructor.name;
+    }
+
+    onCandle(context) {
+        return { action: Strategy.HOLD, signal: Strategy.HOLD, reason: 'No entry/exit rules' };
+    }
+
+    /**
+     * Spread- and volatility-aware entry distance, bounded to 0.1-1%
+     */
+    onOrderBook({ pair, price, orderBook, volatility }) {
+        // Fallback if no order book data
+        if (!orderBook || orderBook.isEmpty) {
+            return { entryDistance: Math.min(Math.max(pair.belowPrice || 0.1, 0.1), 1.0) };
+        }
+
+        // 1. Get spread
+        const spreadPercentage = (orderBook.spread / price) * 100;
+
+        // 2. Calculate base distance (combine volatility + pair config)
+        const baseDistance = pair.belowPrice || 0.1;
+        const dynamicBase = baseDistance * (1 + (volatility / 100));
+
+        // 3. Apply spread protection and bounds
+        let finalDistance = Math.max(
+            dynamicBase,
+            spreadPercentage * 1.5, // Ensure fillability
+            0.1 // Absolute minimum
+        );
+        finalDistance = Math.min(finalDistance, 1.0); // Absolute maximum
+
+        return { entryDistance: parseFloat(finalDistance.toFixed(2)) };
+    }
+
+    /**
+     * pair.profitMgn widened by volatility, between 0.8x and 2x
+     */
+    onFill(order, { pair, volatility }) {
+        let profitTarget = pair.profitMgn;
+        const volatilityAdjustment = 1 + (volatility / 100);
+        profitTarget *= volatilityAdjustment;
+
+        const maxProfitTarget = pair.profitMgn * 2;
+        profitTarget = Math.min(profitTarget, maxProfitTarget);
+
+        const minProfitTarget = pair.profitMgn * 0.8;
+        profitTarget = Math.max(profitTarget, minProfitTarget);
+
+        return { profitTarget };
+    }
+}
+
+module.exports = Strategy;
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const Strategy = require('./Strategy');
+const ConsensusStrategy = require('./ConsensusStrategy');
+const ScoreStrategy = require('./ScoreStrategy');
+
+// Built-in strategies by the name used in pairs.json
+const STRATEGIES = {
+    consensus: ConsensusStrategy,
+    score: ScoreStrategy
+};
+
+// Custom strategies are <name>.js files of this folder, nothing outside it is ever loaded
+const CUSTOM_STRATEGIES_DIR = path.join(__dirname, 'custom');
+const CUSTOM_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Normalizes a pair's `strategy` setting: a name, a { name, params } object or nothing
+ * @returns {{ name: string, params: Object }}
+ */
+const parseStrategySetting = (setting, defaultName = 'consensus') => {
+    if (!setting) return { name: defaultName, params: {} };
+    if (typeof setting === 'string') return { name: setting, params: {} };
+    return { name: setting.name || defaultName, params: setting.params || {} };
+};
+
+const isBuiltInStrategy = (setting) => Object.hasOwn(STRATEGIES, parseStrategySetting(setting).name);
+
+/**
+ * Checks a strategy setting without loading anything: a built-in name, or the name of a file in
+ * bot/strategies/custom/ (`"Breakout"` for custom/Breakout.js)
+ * @returns {string|null} Why the setting is invalid, null when it is fine
+ */
+const checkStrategySetting = (setting) => {
+    const { name } = parseStrategySetting(setting);
+    if (Object.hasOwn(STRATEGIES, name)) return null;
+    if (typeof name !== 'string' || !CUSTOM_NAME.test(name) || !fs.existsSync(path.join(CUSTOM_STRATEGIES_DIR, `${name}.js`))) {
+        return `Unknown strategy "${name}", expected one of ${Object.keys(STRATEGIES).join(', ')} or a file name in bot/strategies/custom`;
+    }
+    return null;
+};
+
+/**
+ * Resolves a strategy class, loading custom ones from bot/strategies/custom (once, require caches them)
+ */
+const getStrategyClass = (name) => {
+    if (Object.hasOwn(STRATEGIES, name)) return STRATEGIES[name];
+    const invalid = checkStrategySetting(name);
+    if (invalid) throw new Error(invalid);
+    const StrategyClass = require(path.join(CUSTOM_STRATEGIES_DIR, `${name}.js`));
+    if (!(StrategyClass.prototype instanceof Strategy)) {
+        throw new Error(`Strategy module "${name}" must export a class extending Strategy`);
+    }
+    return StrategyClass;
+};
+
+/**
+ * @param {Object} pair - Pair from pairs.json
+ * @param {Object} config - Bot config, config.defaultStrategy applies to pairs without a strategy
+ * @returns {Strategy}
+ */
+const createStrategy = (pair, config) => {
+    const { name, params } = parseStrategySetting(pair.strategy, config.defaultStrategy);
+    const StrategyClass = getStrategyClass(name);
+    return new StrategyClass(config, params);
+};
+
+module.exports = { Strategy, STRATEGIES, parseStrategySetting, isBuiltInStrategy, checkStrategySetting, getStrategyClass, createStrategy };
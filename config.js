@@ -14,12 +14,89 @@ const config = {
     primaryKlines: '1h', //1h
     analysisWindow: 24, // 24 24hr trends will be returned
     minReentryDelay: 0.05, // 0.2 hours
+    incrementalIndicators: true, // update indicators with new candles only instead of recomputing every round
+    defaultStrategy: 'consensus', //pairs without a "strategy" in pairs.json: 'consensus' | 'score' | module path
+    exchange: 'binance', //pairs without an "exchange" in pairs.json trade here: 'binance' | 'bybit' | 'binance-futures' (see bot/exchanges)
     //server time diffs
     shouldResynch: false,
     timeCheckInterval: 60000,
     maxTimeDifferenceMs: 1000,
+    //retries of failed exchange calls by error category, see ExchangeManager.retryDelay
+    apiMaxRetries: 3,
+    apiRetryDelay: 1000, // ms before the first retry, doubled for every further one
+    apiMaxRetryAfter: 60000, // rate limit waits longer than this (an IP ban) fail the call instead
+    //order and balance updates from the user data stream, allOrders is only polled after (re)connects
+    userDataStream: true,
+    userDataReconnectDelay: 5000,
+    //trading engine (npm run engine), Binance klines and depth from the v3 websocket streams, REST as the fallback
+    marketStreamStaleAfter: 10000, // ms after a stream's last update until REST is used again
     visualizationEnabled: true,  // Set to false to disable
     visualizationPort: 5000,      // Change port if needed
+    visualizationHistoryHours: 24, // rounds new dashboard clients can scrub back through
+    visualizationHistoryInterval: 60000, // ms between two rounds kept for the history slider
+    //portfolio risk, checked before every buy order (0 disables a limit)
+    maxTotalExposure: 500, // USDT committed across all pairs, pending buys + holdings
+    maxOpenPositions: 5,
+    maxAssetAllocation: 40, // % of maxTotalExposure a single base asset may take
+    maxDailyLoss: 50, // USDT realized loss since 00:00 UTC that halts new buys for the day
+    maxCorrelation: 0.85, // return correlation from which two pairs count as correlated
+    maxCorrelatedPositions: 2, // open positions allowed among pairs correlated with the candidate
+    correlationWindow: 48, // primary timeframe candles used for the correlation
+    //position sizing, the quote a buy spends for pairs without a "sizing" in pairs.json (see bot/PositionSizer.js)
+    sizingMode: 'fixed', // 'fixed' (orderQty) | 'equity' | 'risk' | 'atr' | 'kelly'
+    sizingEquityPercent: 5, // 'equity': % of the account's equity per buy
+    sizingRiskPercent: 1, // 'risk': % of equity lost when the dynamic stop is hit
+    sizingTargetAtrPercent: 1, // 'atr': ATR % at which a pair buys its orderQty, more volatile pairs buy less
+    sizingKellyFraction: 0.5, // 'kelly': share of the full Kelly bet
+    sizingKellyMaxPercent: 10, // 'kelly': % of equity a buy takes at most
+    sizingKellyMinTrades: 20, // 'kelly': closed trades of the pair needed, orderQty before
+    sizingMaxQty: 0, // quote a sized buy spends at most (0: no cap)
+    //scale-in / scale-out ladders, pairs with a "ladder" in pairs.json (see bot/PositionLadder.js), a pair's "ladder" overrides them
+    ladderEntries: 3, // limit buys the sized position is split into
+    ladderSpacing: 'percent', // 'percent' (ladderSpacingPercent apart) | 'support' (order book bid clusters)
+    ladderSpacingPercent: 1, // % between two entries
+    ladderTargets: [{ percent: 1.5, portion: 50 }, { percent: 3, portion: 50 }], // partial take profits, % over the average entry and % of the position
+    //exchange-side protection placed once a buy fills, replaces the polled stop loss
+    protectiveOrderType: 'OCO', // 'OCO' (take profit + stop), 'STOP' (STOP_LOSS_LIMIT only) or false to poll
+    stopLimitOffset: 0.2, // % the stop's limit price sits below its trigger price
+    protectiveAmendThreshold: 0.1, // % the dynamic stop must rise before the exchange stop is moved
+    //short selling on isolated margin, engine pairs with "short" enabled (see bot/ShortManager.js)
+    marginWarnLevel: 1.5, // margin level (assets / liabilities) under which a Telegram warning goes out
+    marginDeriskLevel: 1.25, // margin level under which the short is bought back at once
+    marginDeriskSlippage: 0.5, // % above the last price a forced buy-back is limited at
+    marginBuyBackBuffer: 0.3, // % bought on top of the debt, covers the buy's base commission and accrued interest
+    //USDⓈ-M futures, engine pairs on the 'binance-futures' venue (see bot/FuturesManager.js), a pair's "futures" overrides them
+    futuresLeverage: 3,
+    futuresMarginType: 'ISOLATED', // 'ISOLATED' | 'CROSSED'
+    futuresLiquidationWarnPercent: 10, // % between mark and liquidation price under which a Telegram warning goes out
+    //runtime state (positions, cooldowns, trailing highs), snapshotted atomically and reconciled on boot
+    stateFile: './db/bot-state.json',
+    //trade journal, every order event appended as one JSON line, backs the stats command
+    journalFile: './db/trade-journal.jsonl',
+    //paper trading, orders are simulated against live prices
+    paperTrading: false,
+    paperAccountFile: './mock-data/account.json', // starting balances, /api/v3/account format
+    paperFeePercent: 0.1,
+    paperJournalFile: './db/paper-trade-journal.jsonl',
+    paperStateFile: './db/paper-bot-state.json',
+    paperMarginCollateral: 100, // quote each paper isolated margin account starts with
+    paperMarginLeverage: 3,
+    paperMarginInterestRate: 0.02, // daily % on borrowed coins, charged hourly
+    paperFuturesBalance: 1000, // USDT wallet of the paper futures account
+    paperFuturesFeePercent: 0.04,
+    paperFundingRate: 0.01, // % of the notional every 8 hours, longs pay and shorts receive
+    //backtesting
+    backtestDataDir: './db/backtest', // one <SYMBOL>.json per pair, see backtest/HistoricalData.js
+    backtestBalance: 1000, // starting balance per quote asset
+    backtestFeePercent: 0.1,
+    backtestMinCandles: 60, // candles needed on both timeframes before the bot starts trading
+    //parameter optimizer, per-pair settings it found are layered over pairs.json
+    pairOverridesFile: './db/pair-overrides.json',
+    //market data store, gzip NDJSON per symbol and day (see bot/classes/MarketDataStore.js)
+    marketDataDir: './db/market-data',
+    recordMarketData: false, // the bot stores the klines and depth it fetches every round
+    marketDataDepthInterval: 60000, // ms between two stored depth snapshots of a symbol
+    marketDataBackfillDays: 30, // history npm run record downloads before it starts polling
     
 };
 
@@ -1,5 +1,8 @@
 const { spawn } = require('child_process');
 
+// `node index engine` supervises the trading engine instead of the polling bot
+const BOT_SCRIPT = process.argv[2] === 'engine' ? './bot/Engine.js' : './bot/Bot.js';
+
 let currentBot = null;
 let isRestarting = false;
 const RESTART_DELAY = 3000;
@@ -15,7 +18,7 @@ function startBot() {
     }
 
     console.log('🚀 Starting bot process...');
-    currentBot = spawn('node', ['./bot/Bot.js'], {
+    currentBot = spawn('node', [BOT_SCRIPT], {
         stdio: ['inherit', 'pipe', 'pipe'],
         env: {
             ...process.env,
@@ -0,0 +1,689 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { WebSocketServer, WebSocket } = require('ws');
+const HistoricalData = require('../backtest/HistoricalData');
+const OrderSimulator = require('../bot/classes/OrderSimulator');
+const MarginSimulator = require('../bot/classes/MarginSimulator');
+const FuturesSimulator = require('../bot/classes/FuturesSimulator');
+
+/**
+ * Local stand-in for the Binance spot REST API and websocket streams.
+ *
+ * Market data comes from fixture files in the backtest data format (see backtest/HistoricalData.js,
+ * each file must carry its exchangeInfo `symbolInfo`). A simulated clock walks the `interval`
+ * candles: REST and streams only ever see candles closed before it, and every advance()
+ * fills resting orders against the new candle's high/low.
+ * Orders and balances live in an OrderSimulator seeded from an /api/v3/account snapshot, isolated margin
+ * accounts in a MarginSimulator whose accounts each open with `marginCollateral` of the quote asset.
+ * The fixtures' symbols also trade as USDⓈ-M perpetuals on the /fapi routes, in a FuturesSimulator whose
+ * wallet holds `futuresBalance` USDT. Futures orders aren't pushed on a user stream.
+ *
+ * Besides the Binance routes, /mock/* lets tests advance the clock and inspect placed orders.
+ */
+class MockBinanceServer {
+    /**
+     * @param {Object} options
+     * @param {number} [options.port]
+     * @param {string} [options.fixturesDir] - <SYMBOL>.json files plus an optional account.json
+     * @param {string} [options.accountFile] - Starting balances, defaults to <fixturesDir>/account.json
+     * @param {string} [options.interval] - Candle interval the clock steps by
+     * @param {number} [options.startCandles] - Candles already closed when the server starts
+     * @param {number} [options.tickMs] - Advance automatically every tickMs, 0 to advance only via /mock/advance
+     * @param {number} [options.feePercent]
+     * @param {number} [options.marginCollateral] - Quote every isolated margin account starts with
+     * @param {number} [options.futuresBalance] - USDT the futures wallet starts with
+     */
+    constructor({
+        port = 4000,
+        fixturesDir = path.join(__dirname, 'fixtures'),
+        accountFile = null,
+        interval = '1h',
+        startCandles = 480,
+        tickMs = 0,
+        feePercent = 0.1,
+        marginCollateral = 100,
+        futuresBalance = 1000
+    } = {}) {
+        this.port = port;
+        this.fixturesDir = fixturesDir;
+        this.accountFile = accountFile || path.join(fixturesDir, 'account.json');
+        this.interval = interval;
+        this.startCandles = startCandles;
+        this.tickMs = tickMs;
+        this.feePercent = feePercent;
+        this.marginCollateral = marginCollateral;
+        this.futuresBalance = futuresBalance;
+
+        this.app = express();
+        this.server = http.createServer(this.app);
+        this.wss = new WebSocketServer({ server: this.server });
+        this.streams = new Set(); // { socket, type, symbol, interval }
+        this.listenKeys = new Set();
+        this.failures = []; // injected by POST /mock/fail, see failRequest
+        this.tickInterval = null;
+
+        this.reset();
+        this.setupRoutes();
+        this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+    }
+
+    /**
+     * Reloads fixtures and balances and rewinds the clock
+     */
+    reset() {
+        this.data = new HistoricalData();
+        fs.readdirSync(this.fixturesDir)
+            .filter(file => file.endsWith('.json') && file !== path.basename(this.accountFile))
+            .forEach(file => {
+                const raw = JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file)));
+                if (!raw.symbolInfo) {
+                    console.warn(`Skipping fixture ${file}: symbolInfo is required`);
+                    return;
+                }
+                const { symbol, baseAsset, quoteAsset } = raw.symbolInfo;
+                this.data.addSymbol({ key: `${baseAsset}_${quoteAsset}`, joinedPair: symbol }, raw);
+            });
+
+        const symbols = Object.keys(this.data.symbols);
+        if (!symbols.length) throw new Error(`No fixtures found in ${this.fixturesDir}`);
+        // Every symbol steps on the first one's candles
+        this.timeline = this.data.getTimeline(symbols[0], this.interval);
+        this.cursor = Math.min(this.startCandles, this.timeline.length) - 1;
+
+        this.simulator = new OrderSimulator({
+            balances: this.loadBalances(),
+            feePercent: this.feePercent
+        });
+        this.margin = new MarginSimulator({
+            collateral: this.marginCollateral,
+            feePercent: this.feePercent,
+            clock: () => this.now()
+        });
+        this.futures = new FuturesSimulator({
+            balance: this.futuresBalance,
+            clock: () => this.now()
+        });
+        symbols.forEach(symbol => {
+            this.margin.setPrice(symbol, this.lastPrice(symbol));
+            this.futures.setPrice(symbol, this.lastPrice(symbol));
+        });
+        this.updateId = 1;
+    }
+
+    loadBalances() {
+        try {
+            const account = JSON.parse(fs.readFileSync(this.accountFile));
+            return Object.fromEntries(account.balances.map(b => [b.asset, b.free]));
+        } catch (error) {
+            console.warn(`No account fixture at ${this.accountFile}, starting with empty balances`);
+            return {};
+        }
+    }
+
+    now() {
+        return this.timeline[this.cursor];
+    }
+
+    lastPrice(symbol) {
+        const candles = this.data.getKlines(symbol, this.interval, this.now(), { limit: 1 });
+        return candles.length ? parseFloat(candles[0][4]) : null;
+    }
+
+    /**
+     * Depth at the simulated time: the fixture snapshot when recorded, otherwise
+     * 20 levels of 1 unit each 0.01% apart around the last close
+     */
+    getDepth(symbol, limit = 100) {
+        const snapshot = this.data.getDepth(symbol, this.now());
+        if (snapshot) {
+            return { lastUpdateId: this.updateId, bids: snapshot.bids.slice(0, limit), asks: snapshot.asks.slice(0, limit) };
+        }
+        const price = this.lastPrice(symbol);
+        const levels = Array.from({ length: Math.min(limit, 20) }, (_, i) => i + 1);
+        return {
+            lastUpdateId: this.updateId,
+            bids: levels.map(i => [(price * (1 - i * 0.0001)).toFixed(8), '1.00000000']),
+            asks: levels.map(i => [(price * (1 + i * 0.0001)).toFixed(8), '1.00000000'])
+        };
+    }
+
+    /**
+     * Moves the clock forward, filling orders and pushing stream updates
+     * @returns {number} Steps actually taken, fewer than asked once fixtures run out
+     */
+    advance(steps = 1) {
+        let taken = 0;
+        while (taken < steps && this.cursor < this.timeline.length - 1) {
+            this.cursor++;
+            this.updateId++;
+            taken++;
+            Object.keys(this.data.symbols).forEach(symbol => {
+                const candle = this.data.getCandleClosingAt(symbol, this.interval, this.now());
+                if (candle) {
+                    this.simulator.matchOrders(symbol, candle[2], candle[3]).forEach(fill => this.emitFill(fill));
+                    this.margin.matchOrders(symbol, candle[2], candle[3], candle[4]);
+                    this.futures.matchOrders(symbol, candle[2], candle[3], candle[4]);
+                }
+            });
+            this.pushMarketData();
+        }
+        if (taken < steps) console.warn('Mock server reached the end of its fixtures');
+        return taken;
+    }
+
+    start() {
+        return new Promise((resolve) => {
+            this.server.listen(this.port, () => {
+                console.log(`🧪 Mock Binance server running on http://localhost:${this.port} (${new Date(this.now()).toISOString()})`);
+                if (this.tickMs > 0) {
+                    this.tickInterval = setInterval(() => this.advance(), this.tickMs);
+                }
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            clearInterval(this.tickInterval);
+            this.wss.clients.forEach(socket => socket.terminate());
+            this.wss.close();
+            this.server.close(() => {
+                console.log('🧪 Mock Binance server stopped');
+                resolve();
+            });
+        });
+    }
+
+    // Binance error body, status 400 unless stated
+    sendError(res, code, msg, status = 400) {
+        res.status(status).json({ code, msg });
+    }
+
+    requireSymbol(req, res) {
+        const symbol = req.args.symbol;
+        if (!symbol || !this.data.has(symbol)) {
+            this.sendError(res, -1121, 'Invalid symbol.');
+            return null;
+        }
+        return symbol;
+    }
+
+    // The margin routes only serve isolated accounts
+    requireIsolated(req, res) {
+        const symbol = this.requireSymbol(req, res);
+        if (symbol && req.args.isIsolated !== 'TRUE') {
+            this.sendError(res, -1106, 'The mock only supports isolated margin (isIsolated=TRUE).');
+            return null;
+        }
+        return symbol;
+    }
+
+    setupRoutes() {
+        this.app.use(express.urlencoded({ extended: false }));
+        // The connector sends everything in the query string, v3/binance-rest posts a form body
+        this.app.use((req, res, next) => {
+            req.args = { ...req.query, ...(req.body || {}) };
+            next();
+        });
+        this.app.use((req, res, next) => this.failRequest(req, res) || next());
+
+        // Market data
+        this.app.get('/api/v3/ping', (req, res) => res.json({}));
+        this.app.get(['/api/v3/time', '/fapi/v1/time'], (req, res) => res.json({ serverTime: Date.now() }));
+        this.app.get('/api/v3/exchangeInfo', (req, res) => {
+            const requested = req.args.symbol || (req.args.symbols && JSON.parse(req.args.symbols));
+            const symbols = this.data.getSymbolInfos()
+                .filter(info => !requested || [].concat(requested).includes(info.symbol));
+            res.json({ timezone: 'UTC', serverTime: Date.now(), rateLimits: [], exchangeFilters: [], symbols });
+        });
+        this.app.get(['/api/v3/klines', '/fapi/v1/klines'], (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const { interval, startTime, endTime } = req.args;
+            const limit = Math.min(parseInt(req.args.limit) || 500, 1000);
+            let candles;
+            if (startTime || endTime) {
+                candles = this.data.getCandles(symbol, interval)
+                    .filter(c => c[6] < this.now() && (!startTime || c[0] >= startTime) && (!endTime || c[0] <= endTime))
+                    .slice(0, limit);
+            } else {
+                candles = this.data.getKlines(symbol, interval, this.now(), { limit, partialFrom: this.interval });
+            }
+            res.json(candles);
+        });
+        this.app.get(['/api/v3/depth', '/fapi/v1/depth'], (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json(this.getDepth(symbol, parseInt(req.args.limit) || 100));
+        });
+        this.app.get('/api/v3/ticker/price', (req, res) => {
+            if (!req.args.symbol) {
+                return res.json(Object.keys(this.data.symbols).map(symbol => ({ symbol, price: String(this.lastPrice(symbol)) })));
+            }
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json({ symbol, price: String(this.lastPrice(symbol)) });
+        });
+        this.app.get('/api/v3/avgPrice', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json({ mins: 5, price: String(this.lastPrice(symbol)) });
+        });
+
+        // Account and orders
+        this.app.get('/api/v3/account', (req, res) => res.json(this.simulator.getAccount()));
+        this.app.post('/sapi/v3/asset/getUserAsset', (req, res) => {
+            const assets = req.args.asset ? [req.args.asset] : Object.keys(this.simulator.balances);
+            res.json(assets.map(asset => ({ ...this.simulator.getBalance(asset), freeze: '0', withdrawing: '0', ipoable: '0', btcValuation: '0' })));
+        });
+        this.app.get('/api/v3/allOrders', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json(this.simulator.getOrders(symbol, Math.min(parseInt(req.args.limit) || 500, 1000)));
+        });
+        this.app.get('/api/v3/openOrders', (req, res) => {
+            const symbols = req.args.symbol ? [req.args.symbol] : Object.keys(this.data.symbols);
+            res.json(symbols.flatMap(symbol => this.simulator.getOpenOrders(symbol).map(o => this.simulator._publicOrder(o))));
+        });
+        this.app.get('/api/v3/myTrades', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json(this.simulator.getTrades(symbol, req.args.orderId ? Number(req.args.orderId) : null));
+        });
+        this.app.get('/api/v3/order', (req, res) => {
+            const order = this.findOrder(req.args);
+            if (!order) return this.sendError(res, -2013, 'Order does not exist.');
+            res.json(this.simulator._publicOrder(order));
+        });
+        this.app.post('/api/v3/order', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const { side, type, ...params } = req.args;
+            const response = this.simulator.placeOrder(this.data.getSymbolInfo(symbol), side, type, params);
+            if (response.error) return this.sendError(res, -2010, response.details);
+            this.emitOrderUpdate(this.findOrder(response), 'NEW');
+            res.json(response);
+        });
+        this.app.delete('/api/v3/order', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const response = this.simulator.cancelOrder(symbol, req.args.orderId);
+            if (response.error) return this.sendError(res, -2011, response.details);
+            // Cancelling an OCO leg cancels its sibling too
+            this.simulator._listLegs(this.findOrder(response)).forEach(order => this.emitOrderUpdate(order, 'CANCELED'));
+            res.json(response);
+        });
+        this.app.post('/api/v3/order/cancelReplace', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const { side, type, cancelReplaceMode, ...params } = req.args;
+            const response = this.simulator.cancelAndReplace(this.data.getSymbolInfo(symbol), side, type, params);
+            if (response.cancelResult === 'SUCCESS') this.emitOrderUpdate(this.findOrder({ symbol, orderId: params.cancelOrderId }), 'CANCELED');
+            if (response.newOrderResult === 'SUCCESS') this.emitOrderUpdate(this.findOrder(response.newOrderResponse), 'NEW');
+
+            if (response.cancelResult === 'SUCCESS' && response.newOrderResult === 'SUCCESS') {
+                return res.json(response);
+            }
+            // Binance answers a partial failure with 400/409 and the per-leg results in `data`
+            const toBinanceError = (result) => result.error ? { code: -2010, msg: result.details } : result;
+            const bothFailed = response.cancelResult === 'FAILURE' && response.newOrderResult === 'FAILURE';
+            res.status(bothFailed ? 400 : 409).json({
+                code: bothFailed ? -2022 : -2021,
+                msg: bothFailed ? 'Order cancel-replace failed.' : 'Order cancel-replace partially failed.',
+                data: {
+                    cancelResult: response.cancelResult,
+                    newOrderResult: response.newOrderResult,
+                    cancelResponse: toBinanceError(response.cancelResponse),
+                    newOrderResponse: toBinanceError(response.newOrderResponse)
+                }
+            });
+        });
+
+        this.app.post('/api/v3/orderList/oco', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const { side, quantity, aboveType, belowType, ...params } = req.args;
+            if (aboveType !== 'LIMIT_MAKER' || belowType !== 'STOP_LOSS_LIMIT') {
+                return this.sendError(res, -1106, `The mock only supports aboveType LIMIT_MAKER with belowType STOP_LOSS_LIMIT.`);
+            }
+            const response = this.simulator.placeOrderList(this.data.getSymbolInfo(symbol), side, quantity, params);
+            if (response.error) return this.sendError(res, -2010, response.details);
+            response.orders.forEach(order => this.emitOrderUpdate(this.findOrder(order), 'NEW'));
+            res.json(response);
+        });
+        this.app.delete('/api/v3/orderList', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const response = this.simulator.cancelOrderList(symbol, req.args.orderListId);
+            if (response.error) return this.sendError(res, -2011, response.details);
+            response.orders.forEach(order => this.emitOrderUpdate(this.findOrder(order), 'CANCELED'));
+            res.json(response);
+        });
+
+        // Isolated margin, each symbol's account in the MarginSimulator. Margin orders aren't pushed on the user stream
+        this.app.get('/sapi/v1/margin/isolated/account', (req, res) => {
+            const symbols = (req.args.symbols || '').split(',').filter(symbol => this.data.has(symbol));
+            res.json({ assets: symbols.map(symbol => this.margin.getAccount(this.data.getSymbolInfo(symbol))) });
+        });
+        this.app.get('/sapi/v1/margin/maxBorrowable', (req, res) => {
+            req.args.symbol = req.args.isolatedSymbol;
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json(this.margin.maxBorrowable(this.data.getSymbolInfo(symbol), req.args.asset));
+        });
+        this.app.post('/sapi/v1/margin/borrow-repay', (req, res) => {
+            const symbol = this.requireIsolated(req, res);
+            if (!symbol) return;
+            const { asset, amount, type } = req.args;
+            const symbolInfo = this.data.getSymbolInfo(symbol);
+            const response = type === 'BORROW' ? this.margin.borrow(symbolInfo, asset, amount) : this.margin.repay(symbolInfo, asset, amount);
+            if (response.error) return this.sendError(res, response.code, response.details);
+            res.json(response);
+        });
+        this.app.post('/sapi/v1/margin/order', (req, res) => {
+            const symbol = this.requireIsolated(req, res);
+            if (!symbol) return;
+            const { side, type, isIsolated, ...params } = req.args;
+            const response = this.margin.placeOrder(this.data.getSymbolInfo(symbol), side, type, params);
+            if (response.error) return this.sendError(res, response.code ?? -2010, response.details);
+            res.json(response);
+        });
+        this.app.delete('/sapi/v1/margin/order', (req, res) => {
+            const symbol = this.requireIsolated(req, res);
+            if (!symbol) return;
+            const response = this.margin.cancelOrder(symbol, req.args.orderId);
+            if (response.error) return this.sendError(res, -2011, response.details);
+            res.json(response);
+        });
+        this.app.post('/sapi/v1/margin/order/oco', (req, res) => {
+            const symbol = this.requireIsolated(req, res);
+            if (!symbol) return;
+            const { side, quantity, isIsolated, ...params } = req.args;
+            const response = this.margin.placeOrderList(this.data.getSymbolInfo(symbol), side, quantity, params);
+            if (response.error) return this.sendError(res, response.code ?? -2010, response.details);
+            res.json(response);
+        });
+        this.app.delete('/sapi/v1/margin/orderList', (req, res) => {
+            const symbol = this.requireIsolated(req, res);
+            if (!symbol) return;
+            const response = this.margin.cancelOrderList(symbol, req.args.orderListId);
+            if (response.error) return this.sendError(res, -2011, response.details);
+            res.json(response);
+        });
+        this.app.get('/sapi/v1/margin/allOrders', (req, res) => {
+            const symbol = this.requireIsolated(req, res);
+            if (symbol) res.json(this.margin.getOrders(symbol, Math.min(parseInt(req.args.limit) || 500, 500)));
+        });
+        this.app.get('/sapi/v1/margin/openOrders', (req, res) => {
+            const symbol = this.requireIsolated(req, res);
+            if (symbol) res.json(this.margin.getOpenOrders(symbol));
+        });
+        this.app.get('/sapi/v1/margin/myTrades', (req, res) => {
+            const symbol = this.requireIsolated(req, res);
+            if (symbol) res.json(this.margin.getTrades(symbol, req.args.orderId ? Number(req.args.orderId) : null));
+        });
+        this.app.get('/sapi/v1/margin/interestHistory', (req, res) => {
+            const rows = this.margin.getInterestHistory(req.args.isolatedSymbol, req.args.asset, parseInt(req.args.startTime) || 0);
+            res.json({ rows: rows.slice(-(parseInt(req.args.size) || 10)).reverse(), total: rows.length });
+        });
+
+        // USDⓈ-M futures, every fixture symbol as a perpetual in the FuturesSimulator
+        this.app.get('/fapi/v1/exchangeInfo', (req, res) => {
+            const symbols = this.data.getSymbolInfos().map(info => this.toFuturesSymbolInfo(info));
+            res.json({ timezone: 'UTC', serverTime: Date.now(), rateLimits: [], exchangeFilters: [], assets: [], symbols });
+        });
+        this.app.get('/fapi/v1/premiumIndex', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json(this.futures.premiumIndex(symbol));
+        });
+        this.app.post('/fapi/v1/leverage', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const response = this.futures.setLeverage(symbol, req.args.leverage);
+            if (response.error) return this.sendError(res, response.code, response.details);
+            res.json(response);
+        });
+        this.app.post('/fapi/v1/marginType', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const response = this.futures.setMarginType(symbol, req.args.marginType);
+            if (response.error) return this.sendError(res, response.code, response.details);
+            res.json(response);
+        });
+        this.app.get('/fapi/v2/positionRisk', (req, res) => {
+            const symbols = req.args.symbol ? [req.args.symbol] : Object.keys(this.data.symbols);
+            res.json(symbols.filter(symbol => this.data.has(symbol)).map(symbol => this.futures.getPosition(symbol)));
+        });
+        this.app.get('/fapi/v2/account', (req, res) => res.json(this.futures.getAccount()));
+        this.app.post('/fapi/v1/order', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const { side, type, ...params } = req.args;
+            const response = this.futures.placeOrder(this.data.getSymbolInfo(symbol), side, type, params);
+            if (response.error) return this.sendError(res, response.code ?? -2010, response.details);
+            res.json(response);
+        });
+        this.app.delete('/fapi/v1/order', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const response = this.futures.cancelOrder(symbol, req.args.orderId);
+            if (response.error) return this.sendError(res, response.code, response.details);
+            res.json(response);
+        });
+        this.app.get('/fapi/v1/order', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (!symbol) return;
+            const response = this.futures.getOrder(symbol, req.args.orderId);
+            if (response.error) return this.sendError(res, response.code, response.details);
+            res.json(response);
+        });
+        this.app.get('/fapi/v1/allOrders', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json(this.futures.getOrders(symbol, Math.min(parseInt(req.args.limit) || 500, 1000)));
+        });
+        this.app.get('/fapi/v1/openOrders', (req, res) => {
+            const symbols = req.args.symbol ? [req.args.symbol] : Object.keys(this.data.symbols);
+            res.json(symbols.flatMap(symbol => this.futures.getOpenOrders(symbol)));
+        });
+        this.app.get('/fapi/v1/userTrades', (req, res) => {
+            const symbol = this.requireSymbol(req, res);
+            if (symbol) res.json(this.futures.getTrades(symbol, req.args.orderId ? Number(req.args.orderId) : null));
+        });
+        this.app.get('/fapi/v1/income', (req, res) => {
+            const rows = this.futures.getIncome(req.args.symbol, req.args.incomeType, parseInt(req.args.startTime) || 0);
+            res.json(rows.slice(-(parseInt(req.args.limit) || 100)));
+        });
+
+        // User data stream
+        this.app.post('/api/v3/userDataStream', (req, res) => {
+            const listenKey = crypto.randomBytes(30).toString('hex');
+            this.listenKeys.add(listenKey);
+            res.json({ listenKey });
+        });
+        this.app.put('/api/v3/userDataStream', (req, res) => res.json({}));
+        this.app.delete('/api/v3/userDataStream', (req, res) => {
+            this.listenKeys.delete(req.args.listenKey);
+            res.json({});
+        });
+
+        // Test controls
+        this.app.get('/mock/state', (req, res) => res.json(this.getState()));
+        this.app.get('/mock/orders', (req, res) => res.json(this.simulator.orders.map(o => this.simulator._publicOrder(o))));
+        this.app.post('/mock/advance', (req, res) => {
+            const taken = this.advance(parseInt(req.args.steps) || 1);
+            res.json({ taken, ...this.getState() });
+        });
+        // Answers the next `times` requests to `path` with an error: ?path=/api/v3/order&status=429&code=-1003&msg=..&retryAfter=1&times=1,
+        // status=0 drops the connection instead
+        this.app.post('/mock/fail', (req, res) => {
+            const { path: failPath, status = 400, code = -1000, msg = 'Injected failure.', retryAfter, times = 1 } = req.args;
+            if (!failPath) return this.sendError(res, -1102, 'Mandatory parameter \'path\' was not sent.');
+            this.failures.push({ path: failPath, status: parseInt(status), code: parseInt(code), msg, retryAfter, times: parseInt(times) });
+            res.json({ failures: this.failures });
+        });
+        this.app.post('/mock/reset', (req, res) => {
+            this.failures = [];
+            this.reset();
+            res.json(this.getState());
+        });
+
+        this.app.use((req, res) => this.sendError(res, -1000, `Mock server has no route for ${req.method} ${req.path}`, 404));
+    }
+
+    // Sends the first injected failure matching the request, true when one was sent
+    failRequest(req, res) {
+        const failure = this.failures.find(f => f.path === req.path && f.times > 0);
+        if (!failure) return false;
+        failure.times--;
+        if (!failure.status) {
+            req.socket.destroy();
+            return true;
+        }
+        if (failure.retryAfter !== undefined) res.set('Retry-After', String(failure.retryAfter));
+        this.sendError(res, failure.code, failure.msg, failure.status);
+        return true;
+    }
+
+    /**
+     * A fixture's spot symbolInfo as a /fapi/v1/exchangeInfo perpetual: its price and lot filters,
+     * the minimum notional as MIN_NOTIONAL `notional` and the futures order limits
+     */
+    toFuturesSymbolInfo(info) {
+        const filters = info.filters.flatMap(filter => {
+            if (['PRICE_FILTER', 'LOT_SIZE'].includes(filter.filterType)) return [filter];
+            if (['NOTIONAL', 'MIN_NOTIONAL'].includes(filter.filterType)) return [{ filterType: 'MIN_NOTIONAL', notional: filter.minNotional }];
+            return [];
+        });
+        return {
+            symbol: info.symbol,
+            pair: info.symbol,
+            contractType: 'PERPETUAL',
+            status: 'TRADING',
+            baseAsset: info.baseAsset,
+            quoteAsset: info.quoteAsset,
+            marginAsset: info.quoteAsset,
+            pricePrecision: info.quotePrecision,
+            quantityPrecision: info.baseAssetPrecision,
+            orderTypes: FuturesSimulator.ORDER_TYPES,
+            timeInForce: ['GTC', 'IOC', 'FOK', 'GTX'],
+            filters: [
+                ...filters,
+                { filterType: 'MAX_NUM_ORDERS', limit: 200 },
+                { filterType: 'MAX_NUM_ALGO_ORDERS', limit: 10 }
+            ]
+        };
+    }
+
+    findOrder({ symbol, orderId, origClientOrderId }) {
+        return this.simulator.orders.find(o => o.symbol === symbol &&
+            (orderId !== undefined ? o.orderId == orderId : o.clientOrderId === origClientOrderId));
+    }
+
+    getState() {
+        return {
+            time: this.now(),
+            cursor: this.cursor,
+            remaining: this.timeline.length - 1 - this.cursor,
+            balances: this.simulator.getAccount().balances,
+            fills: this.simulator.fills
+        };
+    }
+
+    // Websocket streams: /ws/<symbol>@kline_<interval>, /ws/<symbol>@depth<levels>[@100ms], /ws/<listenKey>
+    handleConnection(socket, req) {
+        const name = (req.url || '').replace(/^\/ws\//, '');
+        const [symbolName, channel = ''] = name.split('@');
+        let stream;
+        if (this.listenKeys.has(name)) {
+            stream = { socket, type: 'userData' };
+        } else if (channel.startsWith('kline_')) {
+            stream = { socket, type: 'kline', symbol: symbolName.toUpperCase(), interval: channel.replace('kline_', '') };
+        } else if (channel.startsWith('depth')) {
+            stream = { socket, type: 'depth', symbol: symbolName.toUpperCase(), levels: parseInt(channel.replace('depth', '')) || 20 };
+        } else {
+            socket.close(1008, `Unknown stream ${name}`);
+            return;
+        }
+        this.streams.add(stream);
+        socket.on('close', () => this.streams.delete(stream));
+        if (stream.type === 'depth' && this.data.has(stream.symbol)) {
+            this.send(stream, this.getDepth(stream.symbol, stream.levels));
+        }
+    }
+
+    send(stream, payload) {
+        if (stream.socket.readyState === WebSocket.OPEN) {
+            stream.socket.send(JSON.stringify(payload));
+        }
+    }
+
+    pushMarketData() {
+        this.streams.forEach(stream => {
+            if (!this.data.has(stream.symbol)) return;
+            if (stream.type === 'depth') this.send(stream, this.getDepth(stream.symbol, stream.levels));
+            if (stream.type === 'kline') {
+                const event = this.klineEvent(stream.symbol, stream.interval);
+                if (event) this.send(stream, event);
+            }
+        });
+    }
+
+    klineEvent(symbol, interval) {
+        const closed = this.data.getCandleClosingAt(symbol, interval, this.now());
+        const candle = closed || this.data.getKlines(symbol, interval, this.now(), { limit: 1, partialFrom: this.interval })[0];
+        if (!candle) return null;
+        const [t, o, h, l, c, v, T, q, n, V, Q] = candle;
+        return {
+            e: 'kline', E: this.now(), s: symbol,
+            k: { t, T, s: symbol, i: interval, f: 0, L: 0, o, c, h, l, v, n, x: !!closed, q, V, Q, B: '0' }
+        };
+    }
+
+    emitUserData(payload) {
+        this.streams.forEach(stream => {
+            if (stream.type === 'userData') this.send(stream, payload);
+        });
+    }
+
+    /**
+     * executionReport for a NEW/CANCELED order, `fill` turns it into a TRADE report
+     */
+    emitOrderUpdate(order, executionType, fill = null) {
+        if (!order) return;
+        const now = Date.now();
+        this.emitUserData({
+            e: 'executionReport', E: now, s: order.symbol, c: order.clientOrderId,
+            S: order.side, o: order.type, f: order.timeInForce, q: order.origQty, p: order.price,
+            P: order.stopPrice, F: '0.00000000', g: order.orderListId, C: '', x: executionType, X: order.status, r: 'NONE',
+            i: order.orderId, l: fill ? String(fill.qty) : '0', z: order.executedQty, L: fill ? String(fill.price) : '0',
+            n: fill ? String(fill.commission) : '0', N: fill ? fill.commissionAsset : null, T: now,
+            t: fill ? this.simulator.fills.indexOf(fill) + 1 : -1, w: order.status === OrderSimulator.NEW,
+            m: !!fill, M: false, O: order.time, Z: order.cummulativeQuoteQty,
+            Y: fill ? String(fill.quoteQty) : '0', Q: '0'
+        });
+        // Placing, cancelling and expiring lock or release funds too, fills report their balances in emitFill
+        if (executionType !== 'TRADE') {
+            const { baseAsset, quoteAsset } = this.data.getSymbolInfo(order.symbol);
+            this.emitAccountPosition([baseAsset, quoteAsset]);
+        }
+    }
+
+    emitAccountPosition(assets) {
+        this.emitUserData({
+            e: 'outboundAccountPosition', E: Date.now(), u: Date.now(),
+            B: assets.map(asset => {
+                const { free, locked } = this.simulator.getBalance(asset);
+                return { a: asset, f: free, l: locked };
+            })
+        });
+    }
+
+    emitFill(fill) {
+        const order = this.findOrder(fill);
+        this.emitOrderUpdate(order, 'TRADE', fill);
+        this.simulator._listLegs(order)
+            .filter(leg => leg !== order && leg.status === OrderSimulator.EXPIRED)
+            .forEach(leg => this.emitOrderUpdate(leg, 'EXPIRED'));
+        this.emitAccountPosition([fill.baseAsset, fill.quoteAsset]);
+    }
+}
+
+module.exports = MockBinanceServer;
@@ -0,0 +1,41 @@
+const path = require('path');
+const { parseArgs } = require('node:util');
+const config = require('../config');
+const MockBinanceServer = require('./MockBinanceServer');
+
+// Starts the mock Binance server.
+// Usage: node mock-server [--port 4000] [--fixtures ./mock-server/fixtures] [--tick 0] [--start 480] [--marginCollateral 100] [--futuresBalance 1000]
+// Then run the bots with BINANCE_BASE_URL=http://localhost:4000 BINANCE_WS_URL=ws://localhost:4000
+// (and BINANCE_FUTURES_BASE_URL=http://localhost:4000 for pairs on 'binance-futures')
+const { values: args } = parseArgs({
+    options: {
+        port: { type: 'string', default: '4000' },
+        fixtures: { type: 'string', default: path.join(__dirname, 'fixtures') },
+        account: { type: 'string' },
+        interval: { type: 'string', default: config.klinesInterval_1 },
+        start: { type: 'string', default: '480' },
+        tick: { type: 'string', default: '0' },
+        fee: { type: 'string', default: '0.1' },
+        marginCollateral: { type: 'string', default: '100' },
+        futuresBalance: { type: 'string', default: '1000' }
+    }
+});
+
+const server = new MockBinanceServer({
+    port: parseInt(args.port),
+    fixturesDir: args.fixtures,
+    accountFile: args.account,
+    interval: args.interval,
+    startCandles: parseInt(args.start),
+    tickMs: parseInt(args.tick),
+    feePercent: parseFloat(args.fee),
+    marginCollateral: parseFloat(args.marginCollateral),
+    futuresBalance: parseFloat(args.futuresBalance)
+});
+
+server.start();
+
+process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const HistoricalData = require('../backtest/HistoricalData');
+const BacktestRunner = require('../backtest/BacktestRunner');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+const HOURS = 300;
+
+// Hourly klines drifting around 100 with the matching 4h klines
+const closeAt = (i) => 100 + 10 * Math.sin(i / 10) + i * 0.05;
+const hourly = Array.from({ length: HOURS }, (_, i) => {
+    const [open, close] = [closeAt(i - 1), closeAt(i)];
+    const openTime = START + i * HOUR;
+    return [openTime, open.toFixed(2), (Math.max(open, close) + 0.5).toFixed(2), (Math.min(open, close) - 0.5).toFixed(2),
+        close.toFixed(2), '10', openTime + HOUR - 1, '1000', 5, '5', '500', '0'];
+});
+const fourHourly = Array.from({ length: HOURS / 4 }, (_, i) => {
+    const hours = hourly.slice(i * 4, i * 4 + 4);
+    return [hours[0][0], hours[0][1], String(Math.max(...hours.map(h => parseFloat(h[2])))), String(Math.min(...hours.map(h => parseFloat(h[3])))),
+        hours[3][4], '40', hours[3][6], '4000', 20, '20', '2000', '0'];
+});
+
+const pair = { key: 'BTC_USDT', orderQty: 50, profitMgn: 1.5, belowPrice: 0.2, okLoss: -2, maxStopLoss: -4, okDiff: 2, tradeable: true };
+const createRunner = (options = {}) => {
+    const data = new HistoricalData();
+    data.addSymbol({ key: pair.key, joinedPair: 'BTCUSDT' }, { klines: { '1h': hourly, '4h': fourHourly } });
+    return new BacktestRunner({ config, pairs: [pair], data, balance: 1000, feePercent: 0.1, minCandles: 10, ...options });
+};
+
+test('every hourly close is a step and the bot runs once both timeframes have minCandles', async (t) => {
+    const runner = createRunner();
+    const processPair = t.mock.method(runner.bot, 'processPair', async () => {});
+    const report = await runner.run();
+    // the tenth 4h candle closes with hour 39
+    assert.equal(processPair.mock.callCount(), HOURS - 39);
+    assert.equal(processPair.mock.calls[0].arguments[0].joinedPair, 'BTCUSDT');
+    assert.equal(runner.portfolioCurve.length, HOURS);
+    assert.equal(runner.portfolioCurve[HOURS - 1], 1000);
+    const summary = report.summarize();
+    assert.equal(summary.start, new Date(hourly[0][6] + 1).toISOString());
+    assert.equal(summary.end, new Date(hourly[HOURS - 1][6] + 1).toISOString());
+    assert.equal(summary.finalValue, 1000);
+});
+
+test('resting orders fill on the candle trading through them and are marked to market', async (t) => {
+    const runner = createRunner();
+    t.mock.method(runner.bot, 'processPair', async () => {});
+    // the first trough dips under 92 around hour 47
+    const low = Math.min(...hourly.map(h => parseFloat(h[3])));
+    const order = runner.simulator.placeOrder(runner.data.getSymbolInfo('BTCUSDT'), 'BUY', 'LIMIT', { price: '92', quantity: '1' });
+    assert.ok(!order.error);
+    assert.ok(low < 92);
+    await runner.run();
+
+    const [fill] = runner.simulator.fills;
+    assert.equal(runner.simulator.fills.length, 1);
+    assert.equal(fill.price, 92);
+    const qty = 1 - fill.commission;
+    assert.deepEqual(runner.positions.BTCUSDT, { cash: -92, qty });
+    const lastClose = parseFloat(hourly[HOURS - 1][4]);
+    assert.ok(Math.abs(runner.portfolioCurve[HOURS - 1] - (1000 - 92 + qty * lastClose)) < 1e-9);
+});
+
+test('the bot trades the replayed data without errors', async () => {
+    const runner = createRunner({ minCandles: config.backtestMinCandles });
+    const summary = (await runner.run()).summarize();
+    assert.equal(runner.errors, 0);
+    assert.ok(runner.simulator.fills.length > 0);
+    assert.equal(summary.finalValue, runner.portfolioCurve[HOURS - 1]);
+    // fills are all that moves the account
+    const { cash, qty } = runner.positions.BTCUSDT;
+    assert.ok(Math.abs(summary.finalValue - (1000 + cash + qty * parseFloat(hourly[HOURS - 1][4]))) < 1e-9);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExchangeError = require('../bot/exchanges/ExchangeError');
+
+test('fromResponse maps Binance codes onto categories', () => {
+    const error = ExchangeError.fromResponse('newOrder', ['BTCUSDT'], { status: 400, code: -2013, msg: 'Order does not exist.' });
+    assert.equal(error.error, 'Failed to execute newOrder');
+    assert.equal(error.category, ExchangeError.UNKNOWN_ORDER);
+    assert.equal(error.details, 'Order does not exist.');
+    assert.equal(error.code, -2013);
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.params, ['BTCUSDT']);
+    assert.equal(ExchangeError.fromResponse('x', [], { code: -1021, msg: 'Timestamp outside recvWindow' }).category, ExchangeError.TIMESTAMP);
+});
+
+test('fromResponse tells the causes of a shared code apart by message', () => {
+    const insufficient = ExchangeError.fromResponse('newOrder', [], { code: -2010, msg: 'Account has insufficient balance for requested action.' });
+    assert.equal(insufficient.category, ExchangeError.INSUFFICIENT_BALANCE);
+    const rejected = ExchangeError.fromResponse('newOrder', [], { code: -2010, msg: 'Order would immediately match and take.' });
+    assert.equal(rejected.category, ExchangeError.REJECTED);
+    const unknown = ExchangeError.fromResponse('cancelOrder', [], { code: -2011, msg: 'Unknown order sent.' });
+    assert.equal(unknown.category, ExchangeError.UNKNOWN_ORDER);
+});
+
+test('fromResponse lets the HTTP status override the code', () => {
+    const limited = ExchangeError.fromResponse('klines', [], { status: 429, code: -1003, msg: 'Too many requests.', headers: { 'retry-after': '3' } });
+    assert.equal(limited.category, ExchangeError.RATE_LIMIT);
+    assert.equal(limited.retryAfter, 3000);
+    assert.equal(ExchangeError.fromResponse('klines', [], { status: 418, code: -1003, msg: 'Banned.' }).category, ExchangeError.RATE_LIMIT);
+    const down = ExchangeError.fromResponse('klines', [], { status: 503, code: -2013 });
+    assert.equal(down.category, ExchangeError.NETWORK);
+    assert.equal(down.details, 'HTTP 503');
+});
+
+test('fromResponse falls back to REJECTED and takes a venue\'s own codes', () => {
+    assert.equal(ExchangeError.fromResponse('x', [], { code: -1013, msg: 'Filter failure: LOT_SIZE' }).category, ExchangeError.REJECTED);
+    assert.equal(ExchangeError.fromResponse('x', [], { code: null, msg: 'Bad request' }).category, ExchangeError.REJECTED);
+    const codes = { 170131: ExchangeError.INSUFFICIENT_BALANCE };
+    assert.equal(ExchangeError.fromResponse('x', [], { code: 170131, msg: 'Insufficient balance.' }, codes).category, ExchangeError.INSUFFICIENT_BALANCE);
+});
+
+test('categoryOf is null for successful responses', () => {
+    assert.equal(ExchangeError.categoryOf({ orderId: 1 }), null);
+    assert.equal(ExchangeError.categoryOf(undefined), null);
+    assert.equal(ExchangeError.categoryOf({ error: 'Failed to execute x' }), ExchangeError.REJECTED);
+    assert.equal(ExchangeError.categoryOf(new ExchangeError('x', { category: ExchangeError.NETWORK, details: 'socket hang up' })), ExchangeError.NETWORK);
+});
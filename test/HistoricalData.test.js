@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoricalData = require('../backtest/HistoricalData');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+const pair = { key: 'BTC_USDT', joinedPair: 'BTCUSDT' };
+
+// Hourly klines drifting around 100, each opening at the previous close
+const closeAt = (i) => 100 + 10 * Math.sin(i / 10) + i * 0.05;
+const hourly = Array.from({ length: 300 }, (_, i) => {
+    const [open, close] = [closeAt(i - 1), closeAt(i)];
+    const openTime = START + i * HOUR;
+    return [openTime, open.toFixed(2), (Math.max(open, close) + 0.5).toFixed(2), (Math.min(open, close) - 0.5).toFixed(2),
+        close.toFixed(2), '10', openTime + HOUR - 1, '1000', 5, '5', '500', '0'];
+});
+// The same hours as 4h klines
+const fourHourly = Array.from({ length: hourly.length / 4 }, (_, i) => {
+    const hours = hourly.slice(i * 4, i * 4 + 4);
+    return [hours[0][0], hours[0][1], String(Math.max(...hours.map(h => parseFloat(h[2])))), String(Math.min(...hours.map(h => parseFloat(h[3])))),
+        hours[3][4], '40', hours[3][6], '4000', 20, '20', '2000', '0'];
+});
+const depth = [1, 2, 3].map(n => ({ time: START + n * HOUR, bids: [[String(100 - n), '1']], asks: [[String(100 + n), '1']] }));
+
+const loaded = () => {
+    const data = new HistoricalData();
+    data.addSymbol(pair, { klines: { '1h': [...hourly].reverse(), '4h': fourHourly }, depth: [...depth].reverse() });
+    return data;
+};
+// The instant the hourly candle `index` closes
+const closeOf = (index) => hourly[index][6] + 1;
+
+test('addSymbol sorts klines and depth and makes up a symbolInfo without one', () => {
+    const data = loaded();
+    assert.deepEqual(data.getCandles('BTCUSDT', '1h'), hourly);
+    assert.equal(data.getSymbolInfo('BTCUSDT').baseAsset, 'BTC');
+    assert.equal(data.getSymbolInfo('BTCUSDT').quoteAsset, 'USDT');
+    assert.ok(data.has('BTCUSDT'));
+    assert.ok(!data.has('ETHUSDT'));
+    assert.deepEqual(data.getCandles('ETHUSDT', '1h'), []);
+});
+
+test('getCandleClosingAt returns the candle closing at that instant only', () => {
+    const data = loaded();
+    assert.deepEqual(data.getCandleClosingAt('BTCUSDT', '1h', closeOf(5)), hourly[5]);
+    assert.equal(data.getCandleClosingAt('BTCUSDT', '1h', closeOf(5) + 1), null);
+    assert.deepEqual(data.getTimeline('BTCUSDT', '1h').slice(0, 2), [closeOf(0), closeOf(1)]);
+});
+
+test('getKlines returns the candles closed before the clock, up to the limit', () => {
+    const data = loaded();
+    const klines = data.getKlines('BTCUSDT', '1h', closeOf(199));
+    assert.equal(klines.length, 120);
+    assert.deepEqual(klines[klines.length - 1], hourly[199]);
+    assert.deepEqual(data.getKlines('BTCUSDT', '1h', closeOf(199) - 1, { limit: 10 }), hourly.slice(189, 199));
+    assert.deepEqual(data.getKlines('BTCUSDT', '1h', START), []);
+});
+
+test('getKlines rebuilds the candle in progress from the finer interval', () => {
+    const data = loaded();
+    // two hours into the 4h candle starting at hour 8
+    const klines = data.getKlines('BTCUSDT', '4h', closeOf(9), { partialFrom: '1h' });
+    const partial = klines[klines.length - 1];
+    assert.equal(klines.length, 3);
+    assert.equal(partial[0], fourHourly[2][0]);
+    assert.equal(partial[6], fourHourly[2][6]);
+    assert.equal(partial[1], hourly[8][1]);
+    assert.equal(parseFloat(partial[2]), Math.max(parseFloat(hourly[8][2]), parseFloat(hourly[9][2])));
+    assert.equal(parseFloat(partial[3]), Math.min(parseFloat(hourly[8][3]), parseFloat(hourly[9][3])));
+    assert.equal(partial[4], hourly[9][4]);
+    assert.equal(parseFloat(partial[5]), 20);
+    // without partialFrom only closed candles
+    assert.equal(data.getKlines('BTCUSDT', '4h', closeOf(9)).length, 2);
+});
+
+test('getDepth returns the latest snapshot taken before the clock', () => {
+    const data = loaded();
+    assert.equal(data.getDepth('BTCUSDT', START), null);
+    assert.deepEqual(data.getDepth('BTCUSDT', START + 2.5 * HOUR), { lastUpdateId: depth[1].time, bids: depth[1].bids, asks: depth[1].asks });
+});
+
+test('load reads one file per symbol and skips pairs without one', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'historical-data-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'BTCUSDT.json'), JSON.stringify({ symbol: 'BTCUSDT', klines: { '1h': hourly } }));
+        const data = HistoricalData.load(dir, [pair, { key: 'ETH_USDT', joinedPair: 'ETHUSDT' }]);
+        assert.ok(data.has('BTCUSDT'));
+        assert.ok(!data.has('ETHUSDT'));
+        assert.equal(warn.mock.callCount(), 1);
+        assert.deepEqual(data.getCandles('BTCUSDT', '1h'), hourly);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Candle = require('../analysis/Candle');
+const { getIndicators, createIndicatorEngine } = require('../analysis/indicators');
+const { klines } = require('../mock-server/fixtures/BTCUSDT.json');
+
+const WINDOW = 120; // candles ExchangeManager.fetchPairData gets per timeframe
+const SERIES = ['rsi', 'stoch_rsi', 'macd', 'adx', 'ao', 'atr', 'ema', 'bbands'];
+
+/**
+ * The fixture's candles from `start` to `end`, the last one still in progress (price half way to its close)
+ * or just closed
+ */
+const candlesBetween = (start, end, inProgress) => {
+    const rows = klines['1h'].slice(start, end).map(row => row.slice());
+    const last = rows[rows.length - 1];
+    if (!inProgress) return Candle.fromKlines(rows, last[6] + 1);
+    last[4] = String((parseFloat(last[1]) + parseFloat(last[4])) / 2);
+    return Candle.fromKlines(rows, last[0] + 1);
+};
+// The fetched window ending at candle `end`
+const windowAt = (end, inProgress) => candlesBetween(end - WINDOW, end, inProgress);
+
+const assertSameIndicators = (actual, expected, label) => {
+    SERIES.forEach(name => {
+        assert.equal(actual[name].length, expected[name].length, `${label} ${name} length`);
+        assert.deepEqual(actual[name], expected[name], `${label} ${name}`);
+    });
+    assert.deepEqual(actual.current, expected.current, `${label} current`);
+    assert.equal(actual.volatility, expected.volatility, `${label} volatility`);
+};
+
+// getIndicators over every candle from `start` to `end`, each series cut to the length it has over the window
+const sinceStart = (start, end, inProgress) => {
+    const full = getIndicators(candlesBetween(start, end, inProgress));
+    const window = getIndicators(windowAt(end, inProgress));
+    SERIES.forEach(name => { full[name] = full[name].slice(full[name].length - window[name].length); });
+    return full;
+};
+
+test('a sliding window resumes the series without a rebuild', (t) => {
+    const { update, engine } = createIndicatorEngine();
+    const created = t.mock.method(engine, '_createState');
+    for (let end = WINDOW; end <= 360; end++) {
+        // a round while the candle is in progress, then one once it closed
+        for (const inProgress of [true, false]) {
+            const candles = windowAt(end, inProgress);
+            assertSameIndicators(update('BTCUSDT:1h', candles), sinceStart(0, end, inProgress), `window ending at ${end}${inProgress ? ' (in progress)' : ''}`);
+        }
+    }
+    assert.equal(created.mock.callCount(), 1);
+});
+
+test('the first window equals getIndicators over it', () => {
+    const { update } = createIndicatorEngine();
+    [true, false].forEach(inProgress => {
+        const candles = windowAt(200, inProgress);
+        assertSameIndicators(update('BTCUSDT:1h', candles), getIndicators(candles), `window${inProgress ? ' (in progress)' : ''}`);
+    });
+});
+
+test('a window that jumps back or skips ahead is rebuilt', (t) => {
+    const { update, engine } = createIndicatorEngine();
+    const created = t.mock.method(engine, '_createState');
+    [200, 150, 400, 401].forEach(end => {
+        const candles = windowAt(end, false);
+        assertSameIndicators(update('BTCUSDT:1h', candles), end === 401 ? sinceStart(400 - WINDOW, end, false) : getIndicators(candles), `window ending at ${end}`);
+    });
+    assert.equal(created.mock.callCount(), 3);
+});
+
+test('a window with its candles out of order is rebuilt', (t) => {
+    const { update, engine } = createIndicatorEngine();
+    const created = t.mock.method(engine, '_createState');
+    update('BTCUSDT:1h', windowAt(200, false));
+    // the two candles after the last committed one swapped
+    const candles = windowAt(202, false);
+    [candles[WINDOW - 2], candles[WINDOW - 1]] = [candles[WINDOW - 1], candles[WINDOW - 2]];
+    update('BTCUSDT:1h', candles);
+    assert.equal(created.mock.callCount(), 2);
+});
+
+test('series are kept apart by key and short arrays return null', () => {
+    const { update, engine } = createIndicatorEngine();
+    update('BTCUSDT:1h', windowAt(200, false));
+    update('BTCUSDT:4h', windowAt(300, false));
+    assert.equal(engine.states.size, 2);
+    assert.equal(update('BTCUSDT:1h', windowAt(200, false).slice(-10)), null);
+});
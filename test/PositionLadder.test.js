@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PositionLadder = require('../bot/PositionLadder');
+
+const ladder = new PositionLadder({
+    ladderEntries: 3,
+    ladderSpacing: 'percent',
+    ladderSpacingPercent: 1,
+    ladderTargets: [{ percent: 1, portion: 50 }, { percent: 2, portion: 50 }]
+});
+const order = (orderId, side, status, fields = {}) => ({ orderId, side, status, price: '100', origQty: '1', executedQty: '0', time: 10, ...fields });
+
+test('merge folds items under the minimum into the one before', () => {
+    const merge = (values, min) => PositionLadder.merge(values, value => value, min, (value, into) => value + into);
+    assert.deepEqual(merge([10, 2, 10], 5), [12, 10]);
+    assert.deepEqual(merge([10, 2, 2], 5), [14]);
+});
+
+test('merge folds a small first item into the next and keeps a lone item', () => {
+    const merge = (values, min) => PositionLadder.merge(values, value => value, min, (value, into) => value + into);
+    assert.deepEqual(merge([2, 10, 10], 5), [12, 10]);
+    assert.deepEqual(merge([2], 5), [2]);
+    assert.deepEqual(merge([], 5), []);
+});
+
+test('getEntries spaces the rungs and splits the quote by weight', () => {
+    const settings = { ...ladder.getSettings({ ladder: true }), weights: [1, 1, 2] };
+    const rungs = ladder.getEntries(settings, 100, 100);
+    assert.deepEqual(rungs.map(rung => rung.quoteQty), [25, 25, 50]);
+    assert.equal(rungs[0].price, 100);
+    assert.ok(Math.abs(rungs[2].price - 98.01) < 1e-9);
+    // a 25 rung under a 30 minNotional goes into its neighbour
+    assert.deepEqual(ladder.getEntries(settings, 100, 100, null, 30).map(rung => rung.quoteQty), [50, 50]);
+});
+
+test('describe averages the entries\' fills and lists the open orders', () => {
+    const position = ladder.describe([
+        order(1, 'BUY', 'FILLED', { executedQty: '1', cummulativeQuoteQty: '100' }),
+        order(2, 'BUY', 'PARTIALLY_FILLED', { price: '90', executedQty: '0.5', cummulativeQuoteQty: '45' }),
+        order(3, 'BUY', 'NEW', { price: '80' }),
+        order(4, 'SELL', 'NEW', { price: '110', origQty: '0.5' })
+    ]);
+    assert.equal(position.bought, 1.5);
+    assert.equal(position.cost, 145);
+    assert.ok(Math.abs(position.averagePrice - 145 / 1.5) < 1e-9);
+    // a buy's fee is taken from the coins it bought
+    assert.ok(Math.abs(position.held - 1.4985) < 1e-9);
+    assert.equal(position.filledEntries, 2);
+    assert.equal(position.settledEntries, 1);
+    assert.deepEqual(position.pendingEntries.map(o => o.orderId), [2, 3]);
+    assert.deepEqual(position.pendingExits.map(o => o.orderId), [4]);
+});
+
+test('describe prices fills by their limit without a quote and nets what targets sold', () => {
+    const position = ladder.describe([
+        order(1, 'BUY', 'FILLED', { executedQty: '1' }),
+        order(2, 'SELL', 'FILLED', { price: '101', executedQty: '0.5', cummulativeQuoteQty: '50.5' })
+    ]);
+    assert.equal(position.cost, 100);
+    assert.equal(position.proceeds, 50.5);
+    assert.ok(Math.abs(position.held - 0.499) < 1e-9);
+    assert.equal(ladder.describe([]).averagePrice, null);
+});
+
+test('track keeps recorded orders the window no longer returns and adds the pair\'s new ones', () => {
+    const recorded = {
+        1: order(1, 'BUY', 'NEW'),
+        2: order(2, 'BUY', 'FILLED', { executedQty: '1', time: 1 })
+    };
+    const tracked = PositionLadder.track(recorded, [
+        order(1, 'BUY', 'PARTIALLY_FILLED', { executedQty: '0.4' }),
+        order(5, 'SELL', 'NEW'),
+        order(6, 'BUY', 'CANCELED'),
+        order(7, 'SELL', 'FILLED', { executedQty: '1', time: 2 })
+    ], 5);
+    assert.deepEqual(Object.keys(tracked), ['1', '2', '5']);
+    assert.equal(tracked[1].executedQty, '0.4');
+    assert.equal(tracked[2].status, 'FILLED');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PositionSizer = require('../bot/PositionSizer');
+
+const config = {
+    sizingMode: 'fixed',
+    sizingEquityPercent: 10,
+    sizingRiskPercent: 1,
+    sizingTargetAtrPercent: 2,
+    sizingKellyFraction: 0.5,
+    sizingKellyMaxPercent: 20,
+    sizingKellyMinTrades: 3,
+    sizingMaxQty: 0
+};
+const pair = { key: 'BTC_USDT', joinedPair: 'BTCUSDT', orderQty: 50 };
+
+// A buy at 100 sold at `exit`, without fees
+const trip = (exit, time) => [
+    { symbol: 'BTCUSDT', baseAsset: 'BTC', side: 'BUY', price: 100, qty: 1, quoteQty: 100, commission: 0, commissionAsset: 'USDT', time },
+    { symbol: 'BTCUSDT', baseAsset: 'BTC', side: 'SELL', price: exit, qty: 1, quoteQty: exit, commission: 0, commissionAsset: 'USDT', time: time + 1 }
+];
+const sizerWith = (fills) => new PositionSizer(config, { getFills: () => fills });
+
+test('getSettings takes a mode name or options over the config defaults', () => {
+    const sizer = sizerWith([]);
+    assert.equal(sizer.getSettings(pair).mode, 'fixed');
+    assert.equal(sizer.getSettings({ ...pair, sizing: 'equity' }).percent, 10);
+    const settings = sizer.getSettings({ ...pair, sizing: { mode: 'risk', riskPercent: 2, maxQty: 300 } });
+    assert.equal(settings.mode, 'risk');
+    assert.equal(settings.riskPercent, 2);
+    assert.equal(settings.maxQty, 300);
+});
+
+test('sizeBy spends the orderQty, a share of equity, or the stop risk', () => {
+    const sizer = sizerWith([]);
+    const settings = (mode) => sizer.getSettings({ ...pair, sizing: mode });
+    const inputs = { equity: 1000, stopPercent: -2, atrPercent: 4 };
+    assert.equal(sizer.sizeBy(settings('fixed'), pair, inputs).quoteQty, 50);
+    assert.equal(sizer.sizeBy(settings('equity'), pair, inputs).quoteQty, 100);
+    // 1% of 1000 lost over a 2% stop
+    assert.equal(sizer.sizeBy(settings('risk'), pair, inputs).quoteQty, 500);
+    // a 4% ATR buys half of a 2% target's orderQty
+    assert.equal(sizer.sizeBy(settings('atr'), pair, inputs).quoteQty, 25);
+});
+
+test('sizeBy falls back to the orderQty without a stop distance or ATR', () => {
+    const sizer = sizerWith([]);
+    const risk = sizer.sizeBy(sizer.getSettings({ ...pair, sizing: 'risk' }), pair, { equity: 1000, stopPercent: null, atrPercent: null });
+    assert.deepEqual(risk, { quoteQty: 50, detail: 'no stop distance, orderQty' });
+    const atr = sizer.sizeBy(sizer.getSettings({ ...pair, sizing: 'atr' }), pair, { equity: 1000, stopPercent: null, atrPercent: 0 });
+    assert.equal(atr.quoteQty, 50);
+});
+
+test('sizeBy bets a capped fraction of the Kelly edge once the pair has enough trips', () => {
+    const settings = (sizer) => sizer.getSettings({ ...pair, sizing: 'kelly' });
+    const few = sizerWith([...trip(110, 1), ...trip(95, 3)]);
+    assert.equal(few.sizeBy(settings(few), pair, { equity: 1000 }).quoteQty, 50);
+
+    // 2 wins of 10% and a loss of 5%: 2/3 - 1/3 / (10 / 5) = 0.5, half of it capped at 20%
+    const sizer = sizerWith([...trip(110, 1), ...trip(110, 3), ...trip(95, 5)]);
+    const { trades, kelly } = sizer.getKelly(pair);
+    assert.equal(trades, 3);
+    assert.ok(Math.abs(kelly - 0.5) < 1e-9);
+    assert.equal(sizer.sizeBy(settings(sizer), pair, { equity: 1000 }).quoteQty, 200);
+
+    const losing = sizerWith([...trip(101, 1), ...trip(90, 3), ...trip(90, 5)]);
+    assert.ok(losing.sizeBy(settings(losing), pair, { equity: 1000 }).quoteQty < 0);
+    assert.equal(losing.size({ ...pair, sizing: 'kelly' }, { equity: 1000 }).quoteQty, 0);
+});
+
+test('size caps every mode at maxQty', () => {
+    const sized = sizerWith([]).size({ ...pair, sizing: { mode: 'equity', maxQty: 80 } }, { equity: 1000 });
+    assert.equal(sized.mode, 'equity');
+    assert.equal(sized.quoteQty, 80);
+    assert.match(sized.detail, /capped at 80$/);
+});
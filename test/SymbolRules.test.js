@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SymbolRules = require('../bot/classes/SymbolRules');
+
+const rules = new SymbolRules({
+    symbol: 'BTCUSDT',
+    filters: [
+        { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+        { filterType: 'LOT_SIZE', minQty: '0.00001000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+        { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: '100.00000000', stepSize: '0.00100000' },
+        { filterType: 'NOTIONAL', minNotional: '5.00000000', applyMinToMarket: true, maxNotional: '9000000.00000000', applyMaxToMarket: false },
+        { filterType: 'PERCENT_PRICE_BY_SIDE', bidMultiplierUp: '5', bidMultiplierDown: '0.2', askMultiplierUp: '5', askMultiplierDown: '0.2' },
+        { filterType: 'MAX_NUM_ORDERS', maxNumOrders: 2 }
+    ]
+});
+
+const filtersOf = (rejections) => rejections.map(({ filter, field }) => `${filter}.${field}`);
+
+test('decimalsOf reads a step as a string or a number', () => {
+    assert.equal(SymbolRules.decimalsOf('0.00010000'), 4);
+    assert.equal(SymbolRules.decimalsOf(1e-7), 7);
+    assert.equal(SymbolRules.decimalsOf('1.00000000'), 0);
+});
+
+test('minNotional and tickSize come from the filters, 0 limits are disabled', () => {
+    assert.equal(rules.tickSize, 0.01);
+    assert.equal(rules.minNotional, 5);
+    assert.equal(rules.limit('MARKET_LOT_SIZE', 'minQty'), null);
+    assert.equal(rules.limit('ICEBERG_PARTS', 'limit'), null);
+});
+
+test('normalizePrice rounds to the nearest tick', () => {
+    assert.equal(rules.normalizePrice(60000.126), '60000.13');
+    assert.equal(rules.normalizePrice('60000.124'), '60000.12');
+    assert.equal(new SymbolRules({ symbol: 'X', filters: [] }).normalizePrice('1.5'), '1.5');
+});
+
+test('normalizeQuantity rounds down to the lot step of the order type', () => {
+    assert.equal(rules.normalizeQuantity(0.123456789), '0.12345');
+    assert.equal(rules.normalizeQuantity(0.123456789, 'MARKET'), '0.123');
+    // 0.3 / 0.1 is 2.9999999999999996, the epsilon keeps it on the step
+    const tenths = new SymbolRules({ symbol: 'X', filters: [{ filterType: 'LOT_SIZE', stepSize: '0.1' }] });
+    assert.equal(tenths.normalizeQuantity(0.3), '0.3');
+    assert.equal(tenths.normalizeQuantity(0.39), '0.3');
+});
+
+test('validate passes an order on the grid', () => {
+    assert.deepEqual(rules.validate({ side: 'BUY', type: 'LIMIT', price: '60000.12', quantity: '0.001' }, { referencePrice: 60000 }), []);
+});
+
+test('validate rejects prices and quantities off the grid or out of range', () => {
+    const rejections = rules.validate({ side: 'SELL', type: 'STOP_LOSS_LIMIT', price: '60000.123', stopPrice: '0', quantity: '0.0010001' });
+    assert.deepEqual(filtersOf(rejections), ['PRICE_FILTER.price', 'PRICE_FILTER.stopPrice', 'LOT_SIZE.quantity']);
+    assert.equal(rejections[0].limit, 0.01);
+    assert.equal(rejections[0].side, 'SELL');
+    assert.equal(rejections[0].type, 'STOP_LOSS_LIMIT');
+    assert.deepEqual(filtersOf(rules.validate({ side: 'BUY', price: '1', quantity: '10000' })), ['LOT_SIZE.quantity']);
+});
+
+test('validate checks notionals, market orders against the reference price', () => {
+    assert.deepEqual(filtersOf(rules.validate({ side: 'BUY', price: '100', quantity: '0.01' })), ['NOTIONAL.notional']);
+    assert.deepEqual(rules.validate({ side: 'SELL', type: 'MARKET', quantity: '0.001' }), []);
+    assert.deepEqual(filtersOf(rules.validate({ side: 'SELL', type: 'MARKET', quantity: '0.001' }, { referencePrice: 100 })), ['NOTIONAL.notional']);
+    assert.deepEqual(rules.validate({ side: 'SELL', price: '100', quantity: '0.01', reduceOnly: true }), []);
+});
+
+test('validate keeps limit prices within the percent band of the reference price', () => {
+    const rejections = rules.validate({ side: 'BUY', price: '10', quantity: '1' }, { referencePrice: 100 });
+    assert.deepEqual(filtersOf(rejections), ['PERCENT_PRICE_BY_SIDE.price']);
+    assert.equal(rejections[0].limit, 20);
+});
+
+test('validate counts open orders only when they are given', () => {
+    const legs = [
+        { side: 'SELL', type: 'LIMIT_MAKER', price: '70000', quantity: '0.001' },
+        { side: 'SELL', type: 'STOP_LOSS_LIMIT', price: '50000', stopPrice: '50000', quantity: '0.001' }
+    ];
+    assert.equal(rules.countsOrders, true);
+    assert.deepEqual(rules.validate(legs), []);
+    assert.deepEqual(rules.validate(legs, { openOrders: [] }), []);
+    assert.deepEqual(filtersOf(rules.validate(legs, { openOrders: [{ type: 'LIMIT' }] })), ['MAX_NUM_ORDERS.orders']);
+});
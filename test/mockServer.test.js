@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MockBinanceServer = require('../mock-server/MockBinanceServer');
+const ExchangeError = require('../bot/exchanges/ExchangeError');
+const { klines } = require('../mock-server/fixtures/BTCUSDT.json');
+
+// The REST side as the bots' clients see it, with the simulated clock at the default 480th candle
+test('mock server REST endpoints', async (t) => {
+    // the server's start and stop lines would end up in the test runner's output
+    t.mock.method(console, 'log', () => {});
+    const server = new MockBinanceServer({ port: 0 });
+    await server.start();
+    const baseUrl = `http://localhost:${server.server.address().port}`;
+    const call = async (method, path, params = {}) => {
+        const response = await fetch(`${baseUrl}${path}?${new URLSearchParams(params)}`, { method });
+        return { status: response.status, body: await response.json() };
+    };
+
+    await t.test('serves the candles closed before its clock and advances it', async () => {
+        const { body: candles } = await call('GET', '/api/v3/klines', { symbol: 'BTCUSDT', interval: '1h', limit: 5 });
+        assert.equal(candles.length, 5);
+        assert.deepEqual(candles[4], klines['1h'][479]);
+        const { body: state } = await call('POST', '/mock/advance');
+        assert.equal(state.taken, 1);
+        assert.equal(state.time, klines['1h'][480][6] + 1);
+        const { body: next } = await call('GET', '/api/v3/klines', { symbol: 'BTCUSDT', interval: '1h', limit: 1 });
+        assert.deepEqual(next, [klines['1h'][480]]);
+    });
+
+    await t.test('fills a resting order against the next candle', async () => {
+        await call('POST', '/mock/reset');
+        // above the next candle's low, below its high
+        const price = klines['1h'][480][3] * 1.001;
+        const { body: order } = await call('POST', '/api/v3/order', { symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', price: price.toFixed(2), quantity: '0.001', timeInForce: 'GTC' });
+        assert.equal(order.status, 'NEW');
+        await call('POST', '/mock/advance');
+        const { body: orders } = await call('GET', '/mock/orders');
+        assert.equal(orders.find(o => o.orderId === order.orderId).status, 'FILLED');
+        const { body: account } = await call('GET', '/api/v3/account');
+        assert.ok(parseFloat(account.balances.find(b => b.asset === 'BTC').free) > 0);
+    });
+
+    await t.test('answers unknown symbols and routes with Binance errors', async () => {
+        assert.deepEqual(await call('GET', '/api/v3/depth', { symbol: 'XXXUSDT' }), { status: 400, body: { code: -1121, msg: 'Invalid symbol.' } });
+        const { status, body } = await call('GET', '/api/v3/nothing');
+        assert.equal(status, 404);
+        assert.equal(body.code, -1000);
+    });
+
+    await t.test('reset rewinds the clock and the account', async () => {
+        await call('POST', '/mock/advance', { steps: 3 });
+        const { body: state } = await call('POST', '/mock/reset');
+        assert.equal(state.time, klines['1h'][479][6] + 1);
+        assert.deepEqual(state.fills, []);
+    });
+
+    await server.stop();
+});
+
+// Failure injection through /mock/fail, seen by an adapter the way the bot sees exchange failures
+test('mock server failure injection', async (t) => {
+    // the server's start and stop lines would end up in the test runner's output
+    t.mock.method(console, 'log', () => {});
+    const server = new MockBinanceServer({ port: 0 });
+    await server.start();
+    const baseUrl = `http://localhost:${server.server.address().port}`;
+    // utils/binance-spot reads its base URL when it is loaded
+    process.env.BINANCE_BASE_URL = baseUrl;
+    const adapter = new (require('../bot/exchanges/BinanceAdapter'))();
+    const fail = async (params) => (await fetch(`${baseUrl}/mock/fail?${new URLSearchParams(params)}`, { method: 'POST' })).json();
+
+    await t.test('answers the next request to the path with the injected error', async () => {
+        await fail({ path: '/api/v3/time', status: 429, code: -1003, msg: 'Too many requests.', retryAfter: 2 });
+        const error = await adapter.serverTime();
+        assert.equal(error.error, 'Failed to execute time');
+        assert.equal(error.category, ExchangeError.RATE_LIMIT);
+        assert.equal(error.code, -1003);
+        assert.equal(error.details, 'Too many requests.');
+        assert.equal(error.retryAfter, 2000);
+        assert.ok((await adapter.serverTime()).serverTime > 0);
+    });
+
+    await t.test('fails `times` requests and leaves other paths alone', async () => {
+        await fail({ path: '/api/v3/depth', status: 400, code: -2013, msg: 'Order does not exist.', times: 2 });
+        assert.ok((await adapter.serverTime()).serverTime > 0);
+        assert.equal((await adapter.depth('BTCUSDT')).category, ExchangeError.UNKNOWN_ORDER);
+        assert.equal((await adapter.depth('BTCUSDT')).category, ExchangeError.UNKNOWN_ORDER);
+        assert.ok(Array.isArray((await adapter.depth('BTCUSDT')).bids));
+    });
+
+    await t.test('drops the connection with status 0', async () => {
+        await fail({ path: '/api/v3/time', status: 0 });
+        assert.equal((await adapter.serverTime()).category, ExchangeError.NETWORK);
+    });
+
+    await t.test('requires a path and forgets failures on reset', async () => {
+        assert.deepEqual(await fail({ status: 500 }), { code: -1102, msg: 'Mandatory parameter \'path\' was not sent.' });
+        await fail({ path: '/api/v3/time', status: 500 });
+        await fetch(`${baseUrl}/mock/reset`, { method: 'POST' });
+        assert.ok((await adapter.serverTime()).serverTime > 0);
+    });
+
+    await server.stop();
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ti = require('technicalindicators');
+const streaming = require('../analysis/streamingIndicators');
+const Candle = require('../analysis/Candle');
+const { klines } = require('../mock-server/fixtures/BTCUSDT.json');
+
+const candles = Candle.fromKlines(klines['1h'].slice(0, 300), Infinity);
+const closes = candles.map(c => c.close);
+const hlc = { high: candles.map(c => c.high), low: candles.map(c => c.low), close: closes };
+
+// Every defined value of the streaming indicator, in order
+const stream = (indicator, inputs) => inputs.map(input => indicator.next(input)).filter(value => value !== undefined);
+
+// The streaming classes follow the library operation by operation, so values are equal, not just close
+const cases = [
+    ['SMA', () => new streaming.SMA(20), closes, () => ti.SMA.calculate({ values: closes, period: 20 })],
+    ['EMA', () => new streaming.EMA(8), closes, () => ti.EMA.calculate({ values: closes, period: 8 })],
+    ['WEMA', () => new streaming.WEMA(14), closes, () => ti.WEMA.calculate({ values: closes, period: 14 })],
+    ['RSI', () => new streaming.RSI(14), closes, () => ti.RSI.calculate({ values: closes, period: 14 })],
+    ['StochasticRSI', () => new streaming.StochasticRSI({ rsiPeriod: 14, stochasticPeriod: 14, kPeriod: 3, dPeriod: 3 }), closes,
+        () => ti.StochasticRSI.calculate({ values: closes, rsiPeriod: 14, stochasticPeriod: 14, kPeriod: 3, dPeriod: 3 })],
+    ['MACD', () => new streaming.MACD({ fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 }), closes,
+        () => ti.MACD.calculate({ values: closes, fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, SimpleMAOscillator: false, SimpleMASignal: false })],
+    ['ADX', () => new streaming.ADX(14), candles, () => ti.ADX.calculate({ ...hlc, period: 14 })],
+    ['ATR', () => new streaming.ATR(14), candles, () => ti.ATR.calculate({ ...hlc, period: 14 })],
+    ['AwesomeOscillator', () => new streaming.AwesomeOscillator({ fastPeriod: 5, slowPeriod: 34 }), candles,
+        () => ti.AwesomeOscillator.calculate({ high: hlc.high, low: hlc.low, fastPeriod: 5, slowPeriod: 34 })],
+    ['BollingerBands', () => new streaming.BollingerBands({ period: 20, stdDev: 2 }), closes,
+        () => ti.BollingerBands.calculate({ values: closes, period: 20, stdDev: 2 })]
+];
+
+for (const [name, create, inputs, calculate] of cases) {
+    test(`${name} fed one value at a time equals technicalindicators`, () => {
+        const expected = calculate();
+        assert.ok(expected.length > 0);
+        assert.deepEqual(stream(create(), inputs), expected);
+    });
+}
+
+test('peek previews a value without moving the state', () => {
+    const rsi = new streaming.RSI(14);
+    closes.slice(0, 50).forEach(close => rsi.next(close));
+    const saved = rsi.save();
+    const preview = rsi.peek(closes[50] * 1.05);
+    assert.deepEqual(rsi.save(), saved);
+    assert.equal(rsi.next(closes[50] * 1.05), preview);
+});
+
+test('restore rewinds nested indicators to a saved state', () => {
+    const macd = new streaming.MACD({ fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 });
+    closes.slice(0, 60).forEach(close => macd.next(close));
+    const saved = macd.save();
+    const next = macd.next(closes[60]);
+    closes.slice(61, 80).forEach(close => macd.next(close));
+    macd.restore(saved);
+    assert.deepEqual(macd.next(closes[60]), next);
+});
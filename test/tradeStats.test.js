@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRoundTrips, feeInQuote } = require('../utils/tradeStats');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+const fill = (fields) => ({ symbol: 'BTCUSDT', baseAsset: 'BTC', commission: 0, commissionAsset: 'USDT', ...fields });
+
+test('feeInQuote prices base commissions and keeps precomputed ones', () => {
+    assert.equal(feeInQuote({ commission: 0.001, commissionAsset: 'BTC', baseAsset: 'BTC', price: 100 }), 0.1);
+    assert.equal(feeInQuote({ commission: 0.2, commissionAsset: 'USDT', baseAsset: 'BTC', price: 100 }), 0.2);
+    assert.equal(feeInQuote({ commission: 0.001, commissionAsset: 'BNB', feeQuote: 0.3 }), 0.3);
+    assert.equal(feeInQuote({}), 0);
+});
+
+test('buildRoundTrips closes a buy → sell trip once the held quantity is sold', () => {
+    const { trips, open } = buildRoundTrips([
+        // given out of order, fills are sorted by time
+        fill({ side: 'SELL', price: 110, qty: 0.999, quoteQty: 109.89, commission: 0.10989, time: 2 }),
+        fill({ side: 'BUY', price: 100, qty: 1, quoteQty: 100, commission: 0.001, commissionAsset: 'BTC', time: 1 })
+    ]);
+
+    assert.deepEqual(open, {});
+    assert.equal(trips.length, 1);
+    const [trip] = trips;
+    assert.equal(trip.entryTime, 1);
+    assert.equal(trip.exitTime, 2);
+    assert.equal(trip.entryPrice, 100);
+    close(trip.exitPrice, 110);
+    close(trip.fees, 0.1 + 0.10989);
+    // only the sold share of the cost counts: 0.999 of the 1 bought
+    close(trip.pnl, 109.89 - 99.9 - 0.1 - 0.10989);
+    close(trip.pnlPercent, trip.pnl / 99.9 * 100);
+});
+
+test('buildRoundTrips keeps a partly sold position open and ignores sells without an entry', () => {
+    const { trips, open } = buildRoundTrips([
+        fill({ side: 'SELL', price: 90, qty: 1, quoteQty: 90, time: 1 }),
+        fill({ side: 'BUY', price: 100, qty: 1, quoteQty: 100, time: 2 }),
+        fill({ side: 'BUY', price: 80, qty: 1, quoteQty: 80, time: 3 }),
+        fill({ side: 'SELL', price: 95, qty: 1, quoteQty: 95, time: 4 })
+    ]);
+
+    assert.deepEqual(trips, []);
+    assert.equal(open.BTCUSDT.boughtQty, 2);
+    assert.equal(open.BTCUSDT.heldQty, 1);
+    assert.equal(open.BTCUSDT.proceeds, 95);
+});
+
+test('buildRoundTrips pairs isolated margin fills into a short and charges its interest', () => {
+    const { trips, open } = buildRoundTrips([
+        fill({ side: 'SELL', isIsolated: true, price: 100, qty: 1, quoteQty: 100, commission: 0.1, time: 1 }),
+        // the base commission leaves 0.999999 to repay with, within the dust ratio
+        fill({ side: 'BUY', isIsolated: true, price: 90, qty: 1.001, quoteQty: 90.09, commission: 0.001001, commissionAsset: 'BTC', time: 2 }),
+        { event: 'interest', symbol: 'BTCUSDT', feeQuote: 0.05, time: 3 }
+    ]);
+
+    assert.deepEqual(open, {});
+    assert.equal(trips.length, 1);
+    const [trip] = trips;
+    assert.equal(trip.side, 'short');
+    assert.equal(trip.entryPrice, 100);
+    close(trip.exitPrice, 90);
+    close(trip.interest, 0.05);
+    close(trip.pnl, 100 - 90.09 - 0.1 - 0.09009 - 0.05);
+});
+
+test('buildRoundTrips pairs futures fills into position trips charged their funding', () => {
+    const { trips } = buildRoundTrips([
+        fill({ side: 'SELL', isFutures: true, price: 100, qty: 2, quoteQty: 200, time: 1 }),
+        { event: 'funding', symbol: 'BTCUSDT', feeQuote: 0.5, time: 2 },
+        fill({ side: 'BUY', isFutures: true, price: 95, qty: 2, quoteQty: 190, commission: 0.19, time: 3 })
+    ]);
+
+    assert.equal(trips.length, 1);
+    const [trip] = trips;
+    assert.equal(trip.side, 'short');
+    assert.equal(trip.futures, true);
+    assert.equal(trip.funding, 0.5);
+    close(trip.pnl, 10 - 0.5 - 0.19);
+    close(trip.pnlPercent, trip.pnl / 200 * 100);
+});
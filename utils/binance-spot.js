@@ -1,22 +1,24 @@
 const { Spot } = require('@binance/connector');
+const ExchangeError = require('../bot/exchanges/ExchangeError');
 
 const TESTNET = process.env.TESTNET === 'true';
 const TEST_URL = 'https://testnet.binance.vision/';
 const apiKey = TESTNET ? process.env.BINANCE_API_KEY_TEST : process.env.BINANCE_API_KEY;
 const apiSecret = TESTNET ? process.env.BINANCE_API_SECRET_TEST : process.env.BINANCE_API_SECRET;
 
-const client = new Spot(apiKey, apiSecret, { baseURL: TESTNET ? TEST_URL : undefined });
+// BINANCE_BASE_URL points the client elsewhere, e.g. the local mock server (mock-server/)
+const BASE_URL = process.env.BINANCE_BASE_URL || (TESTNET ? TEST_URL : undefined);
+const WS_BASE_URL = process.env.BINANCE_WS_URL || (TESTNET ? 'wss://stream.testnet.binance.vision' : 'wss://stream.binance.com:9443');
+
+const client = new Spot(apiKey, apiSecret, { baseURL: BASE_URL });
 
 const DEBUG = true;
 
-// Centralized error handling function
+// Centralized error handling function, failures come back as a categorized ExchangeError
 const handleApiError = (error, methodName, params = {}) => {
-    if (DEBUG) client.logger.error(error);
-    return { 
-        error: `Failed to execute ${methodName}`, 
-        details: error.message,
-        params
-    };
+    const failure = ExchangeError.fromAxios(error, methodName, params);
+    if (DEBUG) client.logger.error(`${failure.error} (${failure.category}${failure.code !== null ? ` ${failure.code}` : ''}): ${failure.details}`);
+    return failure;
 };
 
 // Wrapper function for API calls, binding the client context
@@ -36,20 +38,49 @@ const fetchMyAccount = () => makeApiCall(client.account);
 const avgPrice = (pair) => makeApiCall(client.avgPrice, pair);
 const tickerPrice = (pair) => makeApiCall(client.tickerPrice, pair);
 const fetchMyOrders = (pair) => makeApiCall(client.allOrders, pair, { limit: 30, timestamp: 123123 });
-const fetchMyTrades = (pair) => makeApiCall(client.myTrades, pair);
+const fetchMyTrades = (pair, params) => makeApiCall(client.myTrades, pair, params);
+const fetchOpenOrders = (pair) => makeApiCall(client.openOrders, { symbol: pair });
 const getOrder = (pair, id) => makeApiCall(client.getOrder, pair, { orderId: id });
 const placeOrder = (pair, side, type, params) => makeApiCall(client.newOrder, pair, side, type, params);
 const cancelOrder = (pair, id) => makeApiCall(client.cancelOrder, pair, { orderId: id });
 const cancelAndReplace = (pair, side, type, params) => makeApiCall(client.cancelAndReplace, pair, side, type, 'ALLOW_FAILURE', params);
+const placeOcoOrder = (pair, side, quantity, params) => makeApiCall(client.newOCOOrder, pair, side, quantity, 'LIMIT_MAKER', 'STOP_LOSS_LIMIT', params);
+const cancelOrderList = (pair, orderListId) => makeApiCall(client.cancelOCOOrder, pair, { orderListId });
 const assetDetail = (pair) => makeApiCall(client.assetDetail, { asset: pair });
 const userAsset = (pair) => makeApiCall(client.userAsset, { asset: pair });
 const klines = (pair, interval) => makeApiCall(client.klines, pair, interval, { limit: 120 });
+const historicalKlines = (pair, interval, params) => makeApiCall(client.klines, pair, interval, { limit: 1000, ...params });
 const exchangeInfo = (params) => makeApiCall(client.exchangeInfo, params);
 const depth = (pair) => makeApiCall(client.depth, pair, {limit: 100});
+const aggTrades = (pair, params) => makeApiCall(client.aggTrades, pair, { limit: 1000, ...params });
+const createListenKey = () => makeApiCall(client.createListenKey);
+const keepAliveListenKey = (listenKey) => makeApiCall(client.renewListenKey, listenKey);
+const closeListenKey = (listenKey) => makeApiCall(client.closeListenKey, listenKey);
+
+// Isolated margin, every call works on the pair's own isolated account
+// The connector has no call for POST /sapi/v1/margin/borrow-repay, which replaced the separate borrow and repay endpoints
+function marginBorrowRepay(params) {
+    return this.signRequest('POST', '/sapi/v1/margin/borrow-repay', params);
+}
+const isolatedMarginAccount = (pair) => makeApiCall(client.isolatedMarginAccountInfo, { symbols: pair });
+const marginMaxBorrowable = (pair, asset) => makeApiCall(client.marginMaxBorrowable, asset, { isolatedSymbol: pair });
+const marginBorrow = (pair, asset, amount) => makeApiCall(marginBorrowRepay, { asset, isIsolated: 'TRUE', symbol: pair, amount, type: 'BORROW' });
+const marginRepay = (pair, asset, amount) => makeApiCall(marginBorrowRepay, { asset, isIsolated: 'TRUE', symbol: pair, amount, type: 'REPAY' });
+const placeMarginOrder = (pair, side, type, params) => makeApiCall(client.newMarginOrder, pair, side, type, { isIsolated: 'TRUE', ...params });
+const cancelMarginOrder = (pair, id) => makeApiCall(client.cancelMarginOrder, pair, { isIsolated: 'TRUE', orderId: id });
+const placeMarginOcoOrder = (pair, side, quantity, { price, stopPrice, ...params }) => makeApiCall(client.marginOCOOrder, pair, side, quantity, price, stopPrice, { isIsolated: 'TRUE', ...params });
+const cancelMarginOrderList = (pair, orderListId) => makeApiCall(client.cancelMarginOCOOrder, pair, { isIsolated: 'TRUE', orderListId });
+const fetchMarginOrders = (pair) => makeApiCall(client.marginAllOrders, pair, { isIsolated: 'TRUE', limit: 30 });
+const fetchMarginOpenOrders = (pair) => makeApiCall(client.marginOpenOrders, { symbol: pair, isIsolated: 'TRUE' });
+const fetchMarginTrades = (pair, params) => makeApiCall(client.marginMyTrades, pair, { isIsolated: 'TRUE', ...params });
+const marginInterestHistory = (pair, asset, params) => makeApiCall(client.marginInterestHistory, { isolatedSymbol: pair, asset, size: 100, ...params });
 
 module.exports = {
-    serverTime, fetchMyAccount, avgPrice, tickerPrice, fetchMyOrders, fetchMyTrades,
-    placeOrder, getOrder, cancelOrder, cancelAndReplace, assetDetail, userAsset, klines, exchangeInfo, depth
+    serverTime, fetchMyAccount, avgPrice, tickerPrice, fetchMyOrders, fetchMyTrades, fetchOpenOrders,
+    placeOrder, getOrder, cancelOrder, cancelAndReplace, placeOcoOrder, cancelOrderList, assetDetail, userAsset, klines, historicalKlines, exchangeInfo, depth, aggTrades,
+    createListenKey, keepAliveListenKey, closeListenKey, WS_BASE_URL,
+    isolatedMarginAccount, marginMaxBorrowable, marginBorrow, marginRepay, placeMarginOrder, cancelMarginOrder, placeMarginOcoOrder,
+    cancelMarginOrderList, fetchMarginOrders, fetchMarginOpenOrders, fetchMarginTrades, marginInterestHistory
 };
 
 
@@ -39,4 +39,19 @@ const saveData = async (dataToSave, fileName) => {
     }
 };
 
-module.exports = { saveData };
+/**
+ * Reads back a file saveData wrote on the given day
+ * @returns {{ data: any, time: number }|null} Its contents and when it was last written
+ */
+const loadData = (fileName, date = new Date()) => {
+    const file = path.join(config.ROOT_DB_DIR, date.toISOString().split('T')[0], fileName);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return { data: JSON.parse(fs.readFileSync(file)), time: fs.statSync(file).mtimeMs };
+    } catch (err) {
+        logError('Error reading file', err);
+        return null;
+    }
+};
+
+module.exports = { saveData, loadData };
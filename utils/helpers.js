@@ -14,9 +14,7 @@ const plusPercent = (p, n) => {
     const pInt = parseFloat(n)
     return pInt + (pInt * (p/100));
 }
-const timePassed = (start) =>{ //1729826486254
-    // get the end time 
-    let end = Date.now(); 
+const timePassed = (start, end = Date.now()) =>{ //1729826486254
     // elapsed time in milliseconds 
     let elapsed = end - start;    
     // converting milliseconds to seconds  
@@ -36,4 +34,12 @@ const wait = async (ms) => {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-module.exports = { percent , roundDown, minusPercent, plusPercent, timePassed, calculateProfit, getLastElement, wait };
\ No newline at end of file
+// Length of a Binance kline interval ('1m', '4h', '1d', '1w') in milliseconds, '1M' counts 30 days
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000, M: 30 * 24 * 60 * 60 * 1000 };
+const intervalToMs = (interval) => {
+    const match = /^(\d+)([smhdwM])$/.exec(interval);
+    if (!match) throw new Error(`Unknown kline interval ${interval}`);
+    return parseInt(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+module.exports = { percent , roundDown, minusPercent, plusPercent, timePassed, calculateProfit, getLastElement, wait, intervalToMs };
\ No newline at end of file
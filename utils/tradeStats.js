@@ -0,0 +1,287 @@
+// Round-trip and performance statistics built from order fills
+
+// A round trip is considered closed once less than this share of the bought quantity is left.
+// Covers fee dust plus LOT_SIZE truncation of the sell quantity on small orders
+const DUST_RATIO = 0.02;
+
+/**
+ * Fee of a fill in quote currency. Journal fills carry a precomputed `feeQuote`
+ * (covers commissions paid in a third asset such as BNB).
+ */
+const feeInQuote = (fill) => {
+    if (fill.feeQuote !== undefined) return fill.feeQuote;
+    if (!fill.commission) return 0;
+    return fill.commissionAsset === fill.baseAsset ? fill.commission * fill.price : fill.commission;
+};
+
+/**
+ * Pairs the isolated margin fill of a short into its sell→buy-back trip, see buildRoundTrips
+ */
+const addShortFill = (fill, fee, trips, open) => {
+    const { symbol } = fill;
+    const key = `${symbol}:short`;
+    if (fill.side === 'SELL') {
+        const trip = open[key] || (open[key] = {
+            symbol,
+            side: 'short',
+            entryTime: fill.time,
+            soldQty: 0,
+            proceeds: 0,
+            boughtQty: 0,
+            coveredQty: 0,
+            cost: 0,
+            fees: 0,
+            interest: 0
+        });
+        trip.soldQty += fill.qty;
+        trip.proceeds += fill.quoteQty;
+        trip.fees += fee;
+        return;
+    }
+
+    const trip = open[key];
+    if (!trip) return; // Buys without a recorded short can't be attributed
+
+    // A commission taken in the base asset leaves less to repay the borrowed coins with
+    trip.boughtQty += fill.qty;
+    trip.coveredQty += fill.commissionAsset === fill.baseAsset ? fill.qty - fill.commission : fill.qty;
+    trip.cost += fill.quoteQty;
+    trip.fees += fee;
+
+    if (trip.coveredQty >= trip.soldQty * (1 - DUST_RATIO)) {
+        const cost = trip.cost * Math.min(1, trip.soldQty / trip.coveredQty);
+        const pnl = trip.proceeds - cost - trip.fees;
+        trips.push({
+            symbol,
+            side: 'short',
+            entryTime: trip.entryTime,
+            exitTime: fill.time,
+            entryPrice: trip.proceeds / trip.soldQty,
+            exitPrice: trip.cost / trip.boughtQty,
+            qty: trip.soldQty,
+            fees: trip.fees,
+            interest: trip.interest,
+            pnl,
+            pnlPercent: trip.proceeds > 0 ? (pnl / trip.proceeds) * 100 : 0
+        });
+        delete open[key];
+    }
+};
+
+/**
+ * Margin interest goes to the symbol's open short, or to its last closed one when it is
+ * charged after the buy-back (repayments settle the interest last)
+ */
+const addInterest = (entry, fee, trips, open) => {
+    const trip = open[`${entry.symbol}:short`]
+        || trips.findLast(t => t.symbol === entry.symbol && t.side === 'short');
+    if (!trip) return;
+    trip.interest += fee;
+    trip.fees += fee;
+    if (trip.pnl === undefined) return;
+    trip.pnl -= fee;
+    trip.pnlPercent = (trip.pnl / (trip.entryPrice * trip.qty)) * 100;
+};
+
+/**
+ * Pairs a futures fill into its symbol's position trip: the first fill while flat opens a long (BUY)
+ * or a short (SELL), fills the other way close it, see buildRoundTrips
+ */
+const addFuturesFill = (fill, fee, trips, open) => {
+    const { symbol } = fill;
+    const key = `${symbol}:futures`;
+    const trip = open[key] || (open[key] = {
+        symbol,
+        side: fill.side === 'BUY' ? 'long' : 'short',
+        futures: true,
+        entryTime: fill.time,
+        openedQty: 0,
+        entryValue: 0,
+        closedQty: 0,
+        exitValue: 0,
+        fees: 0,
+        funding: 0
+    });
+    trip.fees += fee;
+    if ((fill.side === 'BUY') === (trip.side === 'long')) {
+        trip.openedQty += fill.qty;
+        trip.entryValue += fill.quoteQty;
+        return;
+    }
+    trip.closedQty += fill.qty;
+    trip.exitValue += fill.quoteQty;
+
+    if (trip.closedQty >= trip.openedQty * (1 - DUST_RATIO)) {
+        const entryPrice = trip.entryValue / trip.openedQty;
+        const exitPrice = trip.exitValue / trip.closedQty;
+        const qty = Math.min(trip.openedQty, trip.closedQty);
+        const pnl = (exitPrice - entryPrice) * qty * (trip.side === 'long' ? 1 : -1) - trip.fees;
+        trips.push({
+            symbol,
+            side: trip.side,
+            futures: true,
+            entryTime: trip.entryTime,
+            exitTime: fill.time,
+            entryPrice,
+            exitPrice,
+            qty,
+            fees: trip.fees,
+            funding: trip.funding,
+            pnl,
+            pnlPercent: (pnl / (entryPrice * qty)) * 100
+        });
+        delete open[key];
+    }
+};
+
+/**
+ * Funding goes to the symbol's open futures position, or to its last closed one when the position
+ * closed before it was journaled
+ */
+const addFunding = (entry, fee, trips, open) => {
+    const trip = open[`${entry.symbol}:futures`]
+        || trips.findLast(t => t.symbol === entry.symbol && t.futures);
+    if (!trip) return;
+    trip.funding += fee;
+    trip.fees += fee;
+    if (trip.pnl === undefined) return;
+    trip.pnl -= fee;
+    trip.pnlPercent = (trip.pnl / (trip.entryPrice * trip.qty)) * 100;
+};
+
+/**
+ * Pairs fills into buy→sell round trips per symbol.
+ * A trip opens on the first BUY while flat, accumulates further buys and
+ * closes once sells have taken the position back down to dust.
+ * P&L is gross proceeds minus the cost of the sold share minus every fee, in quote currency.
+ * Isolated margin fills (`isIsolated`) form sell→buy-back short trips of their own (`side: 'short'`),
+ * the margin interest entries of the journal are charged to them as fees. Futures fills (`isFutures`) form long
+ * or short position trips (`futures: true`) that are charged the funding entries.
+ * @param {Array} fills - { symbol, side, price, qty, quoteQty, commission, commissionAsset, baseAsset, time }
+ * @returns {{ trips: Array, open: Object }} Closed trips and the open trip per symbol (symbol:short for shorts, symbol:futures for futures)
+ */
+const buildRoundTrips = (fills) => {
+    const trips = [];
+    const open = {};
+
+    [...fills].sort((a, b) => a.time - b.time).forEach(fill => {
+        const symbol = fill.symbol;
+        const fee = feeInQuote(fill);
+
+        if (fill.event === 'interest') return addInterest(fill, fee, trips, open);
+        if (fill.event === 'funding') return addFunding(fill, fee, trips, open);
+        if (fill.isIsolated) return addShortFill(fill, fee, trips, open);
+        if (fill.isFutures) return addFuturesFill(fill, fee, trips, open);
+
+        if (fill.side === 'BUY') {
+            const trip = open[symbol] || (open[symbol] = {
+                symbol,
+                entryTime: fill.time,
+                boughtQty: 0,
+                heldQty: 0,
+                cost: 0,
+                soldQty: 0,
+                proceeds: 0,
+                fees: 0
+            });
+            // A commission taken in the base asset shrinks what can be sold later
+            const received = fill.commissionAsset === fill.baseAsset ? fill.qty - fill.commission : fill.qty;
+            trip.boughtQty += fill.qty;
+            trip.heldQty += received;
+            trip.cost += fill.quoteQty;
+            trip.fees += fee;
+            return;
+        }
+
+        const trip = open[symbol];
+        if (!trip) return; // Sells without a recorded entry can't be attributed
+
+        trip.soldQty += fill.qty;
+        trip.heldQty = Math.max(0, trip.heldQty - fill.qty);
+        trip.proceeds += fill.quoteQty;
+        trip.fees += fee;
+
+        if (trip.heldQty <= trip.boughtQty * DUST_RATIO) {
+            const cost = trip.cost * Math.min(1, trip.soldQty / trip.boughtQty);
+            const pnl = trip.proceeds - cost - trip.fees;
+            trips.push({
+                symbol,
+                entryTime: trip.entryTime,
+                exitTime: fill.time,
+                entryPrice: trip.cost / trip.boughtQty,
+                exitPrice: trip.proceeds / trip.soldQty,
+                qty: trip.soldQty,
+                fees: trip.fees,
+                pnl,
+                pnlPercent: cost > 0 ? (pnl / cost) * 100 : 0
+            });
+            delete open[symbol];
+        }
+    });
+
+    return { trips, open };
+};
+
+/**
+ * Largest peak-to-trough drop of a value series
+ * @returns {{ amount: number, percent: number }}
+ */
+const maxDrawdown = (values, base = 0) => {
+    let peak = -Infinity;
+    let amount = 0;
+    let percent = 0;
+    values.forEach(value => {
+        peak = Math.max(peak, value);
+        const drop = peak - value;
+        if (drop > amount) {
+            amount = drop;
+            percent = peak + base > 0 ? (drop / (peak + base)) * 100 : 0;
+        }
+    });
+    return { amount, percent };
+};
+
+/**
+ * Annualized Sharpe ratio (risk-free rate 0) of the step returns of a value series
+ * @param {Array} values - Account value, one per step
+ * @param {number} periodsPerYear - Steps in a year, e.g. 8760 for hourly values
+ */
+const sharpeRatio = (values, periodsPerYear) => {
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+        if (values[i - 1] > 0) returns.push(values[i] / values[i - 1] - 1);
+    }
+    if (returns.length < 2) return 0;
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    if (!variance) return 0;
+    return (mean / Math.sqrt(variance)) * Math.sqrt(periodsPerYear);
+};
+
+/**
+ * Aggregates closed round trips
+ * @param {Array} trips - Output of buildRoundTrips
+ * @param {number} [capital] - Capital the P&L curve is measured against for drawdown percent
+ */
+const summarizeRoundTrips = (trips, capital = 0) => {
+    const wins = trips.filter(t => t.pnl > 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = trips.filter(t => t.pnl <= 0).reduce((sum, t) => sum + Math.abs(t.pnl), 0);
+    const realizedPnl = trips.reduce((sum, t) => sum + t.pnl, 0);
+
+    let cumulative = 0;
+    const pnlCurve = [0, ...trips.map(t => (cumulative += t.pnl))];
+
+    return {
+        totalTrades: trips.length,
+        profitableTrades: wins.length,
+        winRate: trips.length ? (wins.length / trips.length) * 100 : 0,
+        averageProfit: trips.length ? trips.reduce((sum, t) => sum + t.pnlPercent, 0) / trips.length : 0,
+        realizedPnl,
+        totalFees: trips.reduce((sum, t) => sum + t.fees, 0),
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+        maxDrawdown: maxDrawdown(pnlCurve, capital)
+    };
+};
+
+module.exports = { feeInQuote, buildRoundTrips, maxDrawdown, sharpeRatio, summarizeRoundTrips };
@@ -0,0 +1,410 @@
+const CandleAnalyzer = require('./analyzers/CandleAnalyzer');
+const OrderBookAnalyzer = require('./analyzers/OrderBookAnalyzer');
+const SignalScorer = require('./analyzers/SignalScorer');
+const { PAIR_SIGNAL_CONFIGS, DEFAULT_PAIR_SIGNAL_CONFIG } = require('./riskManagement');
+
+/**
+ * The predictor's analysis of one symbol: CandleAnalyzer and OrderBookAnalyzer signals, the 10-point
+ * SignalScorer score, a long/short composite signal (held back during the symbol's cooldown) and
+ * suggested entry, stop and target prices. Shared by v3/predictor.js and the trading engine (bot/Engine.js),
+ * which decide what to do with a prediction; alerts are built with toAlert.
+ */
+class SignalPredictor {
+    /**
+     * @param {Object} options
+     * @param {string} options.timeframe - Timeframe of the candles predict is called with
+     * @param {Object} options.riskManagement - See buildRiskManagement
+     * @param {Object} [options.pairConfigs] - { cooldown, minVolume, volatilityMultiplier } by symbol
+     * @param {Map} [options.lastSignalTimes] - symbol -> time of its last long/short, owned by the caller so it can be persisted
+     */
+    constructor({ timeframe, riskManagement, pairConfigs = PAIR_SIGNAL_CONFIGS, lastSignalTimes = new Map() }) {
+        this.timeframe = timeframe;
+        this.riskManagement = riskManagement;
+        this.pairConfigs = pairConfigs;
+        this.lastSignalTimes = lastSignalTimes;
+        this.candleAnalyzer = new CandleAnalyzer(timeframe, riskManagement);
+        this.orderBookAnalyzer = new OrderBookAnalyzer();
+        this.scorer = new SignalScorer(riskManagement);
+    }
+
+    getPairConfig(symbol) {
+        return { ...DEFAULT_PAIR_SIGNAL_CONFIG, ...this.pairConfigs[symbol] };
+    }
+
+    /**
+     * @param {string} symbol - e.g. BTCUSDT, keys the cooldown, pair config and incremental indicators
+     * @param {Candle[]} candles - Oldest first, the last one may still be open
+     * @param {OrderBook} orderBook
+     * @param {OrderBook} [previousOrderBook] - Order book flow is measured against it
+     * @returns {Object|null} null without enough candles or when the analysis fails
+     */
+    predict(symbol, candles, orderBook, previousOrderBook = null) {
+        if (candles.length < this.riskManagement.minCandlesRequired) return null;
+
+        try {
+            const currentPrice = candles[candles.length - 1].close;
+            const obAnalysis = this.orderBookAnalyzer.analyze(orderBook, previousOrderBook, candles);
+            const candleAnalysis = this.candleAnalyzer.getAllSignals(candles, symbol);
+            // Calculate signal score first
+            const signalScore = this.calculateSignalScore(candleAnalysis, obAnalysis.signals, candles, symbol);
+
+            // Log signal details for debugging
+            this.logSignalDetails(symbol, signalScore, candleAnalysis, obAnalysis.signals);
+
+            const compositeSignal = this.determineCompositeSignal(candleAnalysis, obAnalysis.signals, candles, symbol, signalScore);
+            const suggestedPrices = this.calculateSuggestedPrices(orderBook, candles, compositeSignal, candleAnalysis, symbol);
+
+            return {
+                symbol,
+                currentPrice,
+                timestamp: Date.now(),
+                signals: {
+                    candle: candleAnalysis,
+                    orderBook: obAnalysis.signals,
+                    compositeSignal,
+                    signalScore // Include score in results
+                },
+                suggestedPrices,
+                indicators: {
+                    emaFast: candleAnalysis.emaFast,
+                    emaMedium: candleAnalysis.emaMedium,
+                    emaSlow: candleAnalysis.emaSlow,
+                    rsi: candleAnalysis.rsi,
+                    bollingerBands: candleAnalysis.bollingerBands,
+                    volumeEMA: candleAnalysis.volumeEMA,
+                    volumeSpike: candleAnalysis.volumeSpike,
+                    buyingPressure: candleAnalysis.buyingPressure
+                }
+            };
+        } catch (error) {
+            console.error(`Error analyzing ${symbol}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * The alert data of a long/short prediction (see TelegramBotHandler.formatSignalAlert), null for neutral ones
+     * @param {string} [pair] - Name shown in the alert, the symbol by default
+     */
+    static toAlert(prediction, pair = prediction?.symbol) {
+        const signal = prediction?.signals.compositeSignal;
+        if (signal !== 'long' && signal !== 'short') return null;
+        const { entry, stopLoss, takeProfit, optimalBuy } = prediction.suggestedPrices;
+        return {
+            pair,
+            signal,
+            currentPrice: prediction.currentPrice,
+            entryPrice: entry,
+            stopLoss,
+            takeProfit,
+            optimalBuy,
+            signalScore: prediction.signals.signalScore[signal]
+        };
+    }
+
+    // UPDATED: Signal determination with scoring system
+    determineCompositeSignal(candleSignals, obSignals, candles, symbol, signalScore) {
+        if (candleSignals.error) return 'neutral';
+
+        // Check cooldown first
+        if (this.isInCooldown(symbol)) {
+            return 'neutral';
+        }
+
+        // Use scoring system instead of binary conditions
+        const score = signalScore || this.calculateSignalScore(candleSignals, obSignals, candles, symbol);
+
+        // Only trigger on high-confidence signals (8/10 score)
+        if (score.long >= 8) {
+            console.log(`🎯 STRONG LONG (Score: ${score.long}/10) for ${symbol}`);
+            this.updateCooldown(symbol);
+            return 'long';
+        }
+
+        if (score.short >= 8) {
+            console.log(`🎯 STRONG SHORT (Score: ${score.short}/10) for ${symbol}`);
+            this.updateCooldown(symbol);
+            return 'short';
+        }
+
+        return 'neutral';
+    }
+
+    // Scoring system for signal quality, see SignalScorer
+    calculateSignalScore(candleSignals, obSignals, candles, symbol) {
+        return this.scorer.score(candleSignals, obSignals, candles);
+    }
+
+    // ADDED: Signal details logging
+logSignalDetails(symbol, signalScore, candleSignals, obSignals) {
+    if (signalScore.long >= 6 || signalScore.short >= 6) {
+        console.log(`\n📊 ${symbol} Signal Analysis:`);
+        console.log(`   Long Score: ${signalScore.long}/10, Short Score: ${signalScore.short}/10`);
+        
+        // Show Bollinger Band status
+        if (this.riskManagement.useBollingerBands) {
+            console.log(`   Bollinger Bands: ${candleSignals.nearLowerBand ? 'Near Lower' : candleSignals.nearUpperBand ? 'Near Upper' : 'Mid-Range'}`);
+            if (candleSignals.bbandsSqueeze) console.log(`   - Bollinger Squeeze Detected`);
+        }
+
+        if (signalScore.long >= 6) {
+            console.log(`   🟢 LONG Conditions:`);
+            if (candleSignals.emaBullishCross) console.log(`     - EMA Bullish Cross`);
+            if (candleSignals.buyingPressure) console.log(`     - Buying Pressure`);
+            if (obSignals.strongBidImbalance) console.log(`     - Bid Imbalance`);
+            if (candleSignals.volumeSpike) console.log(`     - Volume Spike`);
+            if (candleSignals.nearLowerBand) console.log(`     - Near Lower Bollinger Band`);
+        }
+
+        if (signalScore.short >= 6) {
+            console.log(`   🔴 SHORT Conditions:`);
+            if (candleSignals.emaBearishCross) console.log(`     - EMA Bearish Cross`);
+            if (candleSignals.sellingPressure) console.log(`     - Selling Pressure`);
+            if (obSignals.strongAskImbalance) console.log(`     - Ask Imbalance`);
+            if (candleSignals.volumeSpike) console.log(`     - Volume Spike`);
+            if (candleSignals.nearUpperBand) console.log(`     - Near Upper Bollinger Band`);
+        }
+    }
+}
+
+    // ADDED: Signal validation helper methods
+    /*
+    isValidSignalConditions(candleSignals, candles, symbol) {
+        const pairConfig = this.getPairConfig(symbol);
+        const lastCandle = candles[candles.length - 1];
+        const volume = lastCandle.volume;
+
+        // Minimum volume filter
+        if (volume < pairConfig.minVolume) return false;
+
+        // RSI filter - avoid extreme zones
+        if (candleSignals.rsi > 75 || candleSignals.rsi < 25) return false;
+
+        // Time filter - avoid low activity periods
+        const utcHour = new Date().getUTCHours();
+        if (utcHour >= 0 && utcHour <= 4) return false; // Asian session
+
+        // Trend strength filter
+        const trendStrength = Math.abs(candleSignals.emaFast - candleSignals.emaMedium) / candleSignals.emaMedium;
+        if (trendStrength < 0.002) return false; // Minimum 0.2% trend strength
+
+        return true;
+    }*/
+
+    isInCooldown(symbol) {
+        const { cooldown } = this.getPairConfig(symbol); // minutes
+        const lastSignal = this.lastSignalTimes.get(symbol);
+        if (!lastSignal) return false;
+
+        return (Date.now() - lastSignal) < (cooldown * 60 * 1000);
+    }
+
+    updateCooldown(symbol) {
+        this.lastSignalTimes.set(symbol, Date.now());
+    }
+
+    calculateOptimalBuyPrice(candles, orderBook, signal) {
+        if (signal !== 'long') return null;
+
+        const currentPrice = candles[candles.length - 1].close;
+        const lookback = this.riskManagement.optimalEntryLookback;
+        const recentCandles = candles.slice(-lookback);
+
+        if (recentCandles.length < 5) return null;
+        // Get recent lows (support levels)
+        const recentLows = recentCandles.map(candle => candle.low);
+        const sortedLows = [...recentLows].sort((a, b) => a - b);
+
+        // Use median of recent lows as strong support (more robust than average)
+        const medianSupport = sortedLows[Math.floor(sortedLows.length / 2)];
+
+        // Calculate VWAP for the lookback period
+        let totalVolume = 0;
+        let volumeWeightedSum = 0;
+
+        recentCandles.forEach(candle => {
+            const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+            totalVolume += candle.volume;
+            volumeWeightedSum += typicalPrice * candle.volume;
+        });
+
+        const vwap = totalVolume > 0 ? volumeWeightedSum / totalVolume : currentPrice;
+
+        // Get order book support from significant bids
+        let orderBookSupport = currentPrice;
+        if (orderBook.bids && orderBook.bids.length > 0) {
+            const significantBids = orderBook.bids
+                .filter(bid => bid.quantity > 0)
+                .slice(0, this.riskManagement.significantBidsCount);
+
+            if (significantBids.length > 0) {
+                const totalBidVolume = significantBids.reduce((sum, bid) => sum + bid.quantity, 0);
+                orderBookSupport = significantBids.reduce((sum, bid) => sum + (bid.price * bid.quantity), 0) / totalBidVolume;
+            }
+        }
+
+        // Calculate weighted optimal price
+        const weights = this.riskManagement;
+        let optimalPrice = (
+            weights.supportResistanceWeight * medianSupport +
+            weights.volumeWeight * vwap +
+            weights.orderBookWeight * orderBookSupport
+        );
+
+        // Apply constraints using config values
+        const maxDiscount = currentPrice * (1 - this.riskManagement.minOptimalDiscount);
+        const minDiscount = currentPrice * (1 - this.riskManagement.maxOptimalDiscount);
+
+        optimalPrice = Math.max(
+            Math.min(optimalPrice, maxDiscount),
+            minDiscount,
+            medianSupport
+        );
+
+        // Final sanity check - ensure optimal is below current
+        optimalPrice = Math.min(optimalPrice, currentPrice * (1 - this.riskManagement.minOptimalDiscountPercent));
+
+        // Round to appropriate precision
+        const precision = this.getPrecision(currentPrice);
+        optimalPrice = Math.round(optimalPrice / precision) * precision;
+
+        // If optimal price is still above or equal to current, return null
+        if (optimalPrice >= currentPrice) {
+            return null;
+        }
+
+        return optimalPrice;
+
+    }
+
+    getPrecision(price) {
+        if (price >= 1000) return 1;
+        if (price >= 100) return 0.1;
+        if (price >= 10) return 0.01;
+        if (price >= 1) return 0.001;
+        if (price >= 0.1) return 0.0001;
+        if (price >= 0.01) return 0.00001;
+        if (price >= 0.001) return 0.000001;
+        return 0.0000001;
+    }
+
+    // UPDATED: Dynamic stop loss calculation with ATR
+calculateSuggestedPrices(orderBook, candles, signal, candleAnalysis, symbol) {
+    const currentPrice = candles[candles.length - 1].close;
+    const bestBid = orderBook.bestBid || currentPrice;
+    const bestAsk = orderBook.bestAsk || currentPrice;
+    const bb = candleAnalysis.bollingerBands;
+
+    const pairConfig = this.getPairConfig(symbol);
+    const atr = this.calculateATR(candles, 14);
+    const volatility = atr / currentPrice;
+
+    // Dynamic stop loss based on volatility
+    const baseStopPercent = 0.02; // 2%
+    const volatilityAdjustedStop = baseStopPercent * pairConfig.volatilityMultiplier * (1 + volatility * 10);
+    const dynamicStopPercent = Math.min(Math.max(volatilityAdjustedStop, 0.015), 0.05); // 1.5% to 5%
+
+    const {
+        riskRewardRatio,
+        useBollingerBands,
+        longEntryDiscount,
+        shortEntryPremium,
+        bollingerBandAdjustment
+    } = this.riskManagement;
+
+    const optimalBuy = signal === 'long' ?
+        this.calculateOptimalBuyPrice(candles, orderBook, signal) :
+        null;
+
+    if (signal === 'long') {
+        let entryPrice = bestAsk * (1 - longEntryDiscount);
+
+        // Apply Bollinger Band adjustment if enabled
+        if (useBollingerBands && bb && candleAnalysis.nearLowerBand) {
+            entryPrice *= (1 - bollingerBandAdjustment);
+            console.log(`📊 ${symbol}: Applied Bollinger Band adjustment for long entry`);
+        }
+
+        // Use ATR-based stop loss instead of fixed percentage
+        const atrStopPrice = currentPrice - (atr * 1.5);
+        const percentageStopPrice = entryPrice * (1 - dynamicStopPercent);
+        
+        // Use Bollinger Band lower as stop if it provides better protection
+        let stopLossPrice = Math.max(atrStopPrice, percentageStopPrice);
+        if (useBollingerBands && bb && bb.lower) {
+            stopLossPrice = Math.max(stopLossPrice, bb.lower * (1 - 0.001)); // Slightly below lower band
+        }
+
+        const riskAmount = entryPrice - stopLossPrice;
+        const takeProfitPrice = entryPrice + (riskAmount * riskRewardRatio);
+
+        return {
+            entry: entryPrice,
+            optimalBuy: optimalBuy,
+            stopLoss: stopLossPrice,
+            takeProfit: takeProfitPrice
+        };
+    }
+
+    if (signal === 'short') {
+        let entryPrice = bestBid * (1 + shortEntryPremium);
+
+        // Apply Bollinger Band adjustment if enabled
+        if (useBollingerBands && bb && candleAnalysis.nearUpperBand) {
+            entryPrice *= (1 + bollingerBandAdjustment);
+            console.log(`📊 ${symbol}: Applied Bollinger Band adjustment for short entry`);
+        }
+
+        const atrStopPrice = currentPrice + (atr * 1.5);
+        const percentageStopPrice = entryPrice * (1 + dynamicStopPercent);
+        
+        // Use Bollinger Band upper as stop if it provides better protection
+        let stopLossPrice = Math.min(atrStopPrice, percentageStopPrice);
+        if (useBollingerBands && bb && bb.upper) {
+            stopLossPrice = Math.min(stopLossPrice, bb.upper * (1 + 0.001)); // Slightly above upper band
+        }
+
+        const riskAmount = stopLossPrice - entryPrice;
+        const takeProfitPrice = entryPrice - (riskAmount * riskRewardRatio);
+
+        return {
+            entry: entryPrice,
+            optimalBuy: null,
+            stopLoss: stopLossPrice,
+            takeProfit: takeProfitPrice
+        };
+    }
+
+    return {
+        entry: null,
+        optimalBuy: null,
+        stopLoss: null,
+        takeProfit: null
+    };
+}
+
+    // ADDED: ATR calculation method
+    calculateATR(candles, period = 14) {
+        if (candles.length < period + 1) return 0;
+
+        let trueRanges = [];
+        for (let i = 1; i < candles.length; i++) {
+            const high = candles[i].high;
+            const low = candles[i].low;
+            const prevClose = candles[i - 1].close;
+
+            const tr1 = high - low;
+            const tr2 = Math.abs(high - prevClose);
+            const tr3 = Math.abs(low - prevClose);
+
+            trueRanges.push(Math.max(tr1, tr2, tr3));
+        }
+
+        // Simple moving average of true ranges
+        const atr = trueRanges.slice(-period).reduce((sum, tr) => sum + tr, 0) / period;
+        return atr;
+    }
+
+}
+
+module.exports = SignalPredictor;
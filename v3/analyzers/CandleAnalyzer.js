@@ -1,4 +1,7 @@
 const TechnicalIndicators = require('technicalindicators');
+const Candle = require('../../analysis/Candle');
+const IndicatorEngine = require('../../analysis/IndicatorEngine');
+const { EMA, RSI, BollingerBands } = require('../../analysis/streamingIndicators');
 
 class CandleAnalyzer {
     constructor(timeframe = '1h', riskManagementConfig = null) {
@@ -6,14 +9,16 @@ class CandleAnalyzer {
         this.config = this.buildConfig(riskManagementConfig);
         this.DEBUG = process.env.DEBUG === 'true'; // Enable debug logs via environment variable
 
-        this.CANDLE_INDEX = {
-            TIMESTAMP: 0,
-            OPEN: 1,
-            HIGH: 2,
-            LOW: 3,
-            CLOSE: 4,
-            VOLUME: 5
-        };
+        // Same indicators as the calculate* methods, kept per series for getAllSignals(candles, seriesKey)
+        const { emaPeriods, rsiPeriod, bbands, volumeEmaPeriod } = this.config;
+        this.engine = new IndicatorEngine({
+            fastEMA: { create: () => new EMA(emaPeriods.fast), input: c => c.close },
+            mediumEMA: { create: () => new EMA(emaPeriods.medium), input: c => c.close },
+            slowEMA: { create: () => new EMA(emaPeriods.slow), input: c => c.close },
+            volumeEMA: { create: () => new EMA(volumeEmaPeriod), input: c => c.volume },
+            rsi: { create: () => new RSI(rsiPeriod), input: c => c.close },
+            bbands: { create: () => new BollingerBands({ period: bbands.period, stdDev: bbands.stdDev }), input: c => c.close }
+        });
     }
 
     buildConfig(riskManagementConfig) {
@@ -44,12 +49,8 @@ class CandleAnalyzer {
         throw new Error('CandleAnalyzer requires riskManagementConfig from main bot');
     }
 
-    _getCandleProp(candle, prop) {
-        return candle[this.CANDLE_INDEX[prop.toUpperCase()]];
-    }
-
     _prepareInput(candles, key = 'close') {
-        return candles.map(c => this._getCandleProp(c, key));
+        return candles.map(c => c[key]);
     }
 
     calculateEMA(candles, period, key = 'close') {
@@ -94,16 +95,16 @@ class CandleAnalyzer {
 
         // Count STRONG bullish candles (close > open by at least 0.1%)
         const strongBullishCount = recent.filter(c => {
-            const open = this._getCandleProp(c, 'open');
-            const close = this._getCandleProp(c, 'close');
+            const open = c.open;
+            const close = c.close;
             return close > open && ((close - open) / open) > 0.001;
         }).length;
 
         // Calculate bullish volume ratio with higher threshold
-        const totalVolume = recent.reduce((sum, c) => sum + this._getCandleProp(c, 'volume'), 0);
+        const totalVolume = recent.reduce((sum, c) => sum + c.volume, 0);
         const bullishVolume = recent.reduce((sum, c) => {
-            const isBullish = this._getCandleProp(c, 'close') > this._getCandleProp(c, 'open');
-            return sum + (isBullish ? this._getCandleProp(c, 'volume') : 0);
+            const isBullish = c.close > c.open;
+            return sum + (isBullish ? c.volume : 0);
         }, 0);
 
         const bullishVolumeRatio = totalVolume > 0 ? bullishVolume / totalVolume : 0;
@@ -136,16 +137,16 @@ class CandleAnalyzer {
 
         // Count STRONG bearish candles (close < open by at least 0.1%)
         const strongBearishCount = recent.filter(c => {
-            const open = this._getCandleProp(c, 'open');
-            const close = this._getCandleProp(c, 'close');
+            const open = c.open;
+            const close = c.close;
             return close < open && ((open - close) / open) > 0.001;
         }).length;
 
         // Calculate bearish volume ratio with higher threshold
-        const totalVolume = recent.reduce((sum, c) => sum + this._getCandleProp(c, 'volume'), 0);
+        const totalVolume = recent.reduce((sum, c) => sum + c.volume, 0);
         const bearishVolume = recent.reduce((sum, c) => {
-            const isBearish = this._getCandleProp(c, 'close') < this._getCandleProp(c, 'open');
-            return sum + (isBearish ? this._getCandleProp(c, 'volume') : 0);
+            const isBearish = c.close < c.open;
+            return sum + (isBearish ? c.volume : 0);
         }, 0);
 
         const bearishVolumeRatio = totalVolume > 0 ? bearishVolume / totalVolume : 0;
@@ -182,7 +183,7 @@ class CandleAnalyzer {
     _hasVolumeSpike(candles, volumeEMA) {
         if (!candles.length || !volumeEMA.length) return false;
         
-        const currentVolume = this._getCandleProp(candles.slice(-1)[0], 'volume');
+        const currentVolume = candles.slice(-1)[0].volume;
         const currentVolumeEMA = volumeEMA.slice(-1)[0];
         const averageVolume = this.calculateAverageVolume(
             candles.slice(-this.config.volumeLookbackPeriod)
@@ -205,7 +206,7 @@ class CandleAnalyzer {
 
     calculateAverageVolume(candles) {
         if (!candles.length) return 0;
-        return candles.reduce((sum, c) => sum + this._getCandleProp(c, 'volume'), 0) / candles.length;
+        return candles.reduce((sum, c) => sum + c.volume, 0) / candles.length;
     }
 
     _isTrendConfirmed(candles, slowEMA) {
@@ -213,7 +214,7 @@ class CandleAnalyzer {
 
         const recentCandles = candles.slice(-5);
         const aboveCount = recentCandles.filter(c =>
-            this._getCandleProp(c, 'close') > slowEMA[slowEMA.length - 1]
+            c.close > slowEMA[slowEMA.length - 1]
         ).length;
 
         return aboveCount >= 4;
@@ -224,28 +225,25 @@ class CandleAnalyzer {
 
         const recentCandles = candles.slice(-5);
         const belowCount = recentCandles.filter(c =>
-            this._getCandleProp(c, 'close') < slowEMA[slowEMA.length - 1]
+            c.close < slowEMA[slowEMA.length - 1]
         ).length;
 
         return belowCount >= 4;
     }
 
-    isOverbought(candles) {
-        const rsi = this.calculateRSI(candles);
+    isOverbought(candles, rsi = this.calculateRSI(candles)) {
         return rsi.length > 0 && rsi.slice(-1)[0] > 72;
     }
 
-    isOversold(candles) {
-        const rsi = this.calculateRSI(candles);
+    isOversold(candles, rsi = this.calculateRSI(candles)) {
         return rsi.length > 0 && rsi.slice(-1)[0] < 28;
     }
 
-    isNearBollingerBand(candles, type = 'upper') {
-        const bbands = this.calculateBBands(candles);
+    isNearBollingerBand(candles, type = 'upper', bbands = this.calculateBBands(candles)) {
         if (!bbands.length) return false;
 
         const lastCandle = candles.slice(-1)[0];
-        const lastClose = this._getCandleProp(lastCandle, 'close');
+        const lastClose = lastCandle.close;
         const lastBand = type === 'upper'
             ? bbands[bbands.length - 1].upper
             : bbands[bbands.length - 1].lower;
@@ -253,9 +251,15 @@ class CandleAnalyzer {
         return Math.abs(lastClose - lastBand) / lastBand < 0.008;
     }
 
-    getAllSignals(candles) {
+    /**
+     * @param {Candle[]} candles
+     * @param {string} [seriesKey] - e.g. the symbol; indicators are then updated incrementally
+     *                               (analysis/IndicatorEngine.js) instead of recomputed over all candles
+     */
+    getAllSignals(candles, seriesKey = null) {
         try {
-            if (!candles || candles.length < this.config.minCandlesForAnalysis) {
+            if (!Candle.isCandles(candles)) throw new Error('Candles must be Candle instances (analysis/Candle.js)');
+            if (candles.length < this.config.minCandlesForAnalysis) {
                 throw new Error(`Insufficient candle data (need at least ${this.config.minCandlesForAnalysis} candles)`);
             }
 
@@ -263,21 +267,25 @@ class CandleAnalyzer {
             if (this.DEBUG) {
                 console.log(`\n🕯️ CANDLE ANALYZER DEBUG - ${this.timeframe}`);
                 console.log(`   Total candles: ${candles.length}`);
-                console.log(`   Date range: ${new Date(candles[0][0]).toISOString()} to ${new Date(candles[candles.length-1][0]).toISOString()}`);
+                console.log(`   Date range: ${new Date(candles[0].openTime).toISOString()} to ${new Date(candles[candles.length-1].openTime).toISOString()}`);
                 
                 // DEBUG: Recent price action
                 const last5 = candles.slice(-5);
-                console.log(`   Recent closes: ${last5.map(c => this._getCandleProp(c, 'close').toFixed(4)).join(' → ')}`);
-                console.log(`   Recent volumes: ${last5.map(c => this._getCandleProp(c, 'volume').toFixed(0)).join(', ')}`);
+                console.log(`   Recent closes: ${last5.map(c => c.close.toFixed(4)).join(' → ')}`);
+                console.log(`   Recent volumes: ${last5.map(c => c.volume.toFixed(0)).join(', ')}`);
             }
 
             // Calculate all indicators once for performance
-            const fastEMA = this.calculateEMA(candles, this.config.emaPeriods.fast);
-            const mediumEMA = this.calculateEMA(candles, this.config.emaPeriods.medium);
-            const slowEMA = this.calculateEMA(candles, this.config.emaPeriods.slow);
-            const volumeEMA = this.calculateVolumeEMA(candles);
-            const rsi = this.calculateRSI(candles);
-            const bbands = this.calculateBBands(candles);
+            const streamed = seriesKey ? this.engine.update(seriesKey, candles) : null;
+            if (seriesKey && !streamed) throw new Error('Invalid candle data');
+            const { fastEMA, mediumEMA, slowEMA, volumeEMA, rsi, bbands } = streamed || {
+                    fastEMA: this.calculateEMA(candles, this.config.emaPeriods.fast),
+                    mediumEMA: this.calculateEMA(candles, this.config.emaPeriods.medium),
+                    slowEMA: this.calculateEMA(candles, this.config.emaPeriods.slow),
+                    volumeEMA: this.calculateVolumeEMA(candles),
+                    rsi: this.calculateRSI(candles),
+                    bbands: this.calculateBBands(candles)
+                };
 
             // DEBUG: Indicator values
             if (this.DEBUG) {
@@ -296,8 +304,8 @@ class CandleAnalyzer {
             const volumeSpike = this._hasVolumeSpike(candles, volumeEMA);
             const trendConfirmed = this._isTrendConfirmed(candles, slowEMA);
             const downtrendConfirmed = this._isDowntrendConfirmed(candles, slowEMA);
-            const isOverbought = this.isOverbought(candles);
-            const isOversold = this.isOversold(candles);
+            const isOverbought = this.isOverbought(candles, rsi);
+            const isOversold = this.isOversold(candles, rsi);
 
             // DEBUG: Signal breakdown
             if (this.DEBUG) {
@@ -307,7 +315,7 @@ class CandleAnalyzer {
                 console.log(`   ├── Volume: Spike=${volumeSpike}, EMA=${volumeEMA.slice(-1)[0]?.toFixed(0)}`);
                 console.log(`   ├── Trend: Up=${trendConfirmed}, Down=${downtrendConfirmed}`);
                 console.log(`   ├── RSI: Overbought=${isOverbought}, Oversold=${isOversold}`);
-                console.log(`   └── BBands: NearUpper=${this.isNearBollingerBand(candles, 'upper')}, NearLower=${this.isNearBollingerBand(candles, 'lower')}`);
+                console.log(`   └── BBands: NearUpper=${this.isNearBollingerBand(candles, 'upper', bbands)}, NearLower=${this.isNearBollingerBand(candles, 'lower', bbands)}`);
             }
 
             return {
@@ -337,8 +345,8 @@ class CandleAnalyzer {
                 isOversold: isOversold,
 
                 // Bollinger Band conditions
-                nearUpperBand: this.isNearBollingerBand(candles, 'upper'),
-                nearLowerBand: this.isNearBollingerBand(candles, 'lower'),
+                nearUpperBand: this.isNearBollingerBand(candles, 'upper', bbands),
+                nearLowerBand: this.isNearBollingerBand(candles, 'lower', bbands),
 
                 // Additional metadata
                 timeframe: this.timeframe,
@@ -12,6 +12,11 @@ class OrderBookAnalyzer {
         this.DEBUG = process.env.DEBUG === 'true'; // Enable debug logs via environment variable
     }
 
+    /**
+     * @param {OrderBook} orderBook - analysis/OrderBook, levels are { price, quantity }
+     * @param {OrderBook} [previousOrderBook]
+     * @param {Candle[]} [candles]
+     */
     analyze(orderBook, previousOrderBook = null, candles = []) {
         //console.log(orderBook)
         const { bids, asks } = orderBook;
@@ -22,9 +27,9 @@ class OrderBookAnalyzer {
         // DEBUG: Basic order book info
         if (this.DEBUG) {
             console.log(`\n📊 ORDER BOOK ANALYZER DEBUG`);
-            console.log(`   Top Bid: ${topBids[0]?.[0]?.toFixed(4)} (Vol: ${topBids[0]?.[1]?.toFixed(2)})`);
-            console.log(`   Top Ask: ${topAsks[0]?.[0]?.toFixed(4)} (Vol: ${topAsks[0]?.[1]?.toFixed(2)})`);
-            console.log(`   Spread: ${(topAsks[0]?.[0] - topBids[0]?.[0])?.toFixed(4)}`);
+            console.log(`   Top Bid: ${topBids[0]?.price.toFixed(4)} (Vol: ${topBids[0]?.quantity.toFixed(2)})`);
+            console.log(`   Top Ask: ${topAsks[0]?.price.toFixed(4)} (Vol: ${topAsks[0]?.quantity.toFixed(2)})`);
+            console.log(`   Spread: ${(topAsks[0]?.price - topBids[0]?.price)?.toFixed(4)}`);
         }
         
         const metrics = {
@@ -82,15 +87,15 @@ class OrderBookAnalyzer {
     }
 
     calculateSpread([bestBid], [bestAsk]) {
-        return bestBid && bestAsk ? bestAsk[0] - bestBid[0] : 0;
+        return bestBid && bestAsk ? bestAsk.price - bestBid.price : 0;
     }
 
     calculateMidPrice([bestBid], [bestAsk]) {
-        return bestBid && bestAsk ? (bestBid[0] + bestAsk[0]) / 2 : 0;
+        return bestBid && bestAsk ? (bestBid.price + bestAsk.price) / 2 : 0;
     }
 
     calculateTotalVolume(levels) {
-        return levels.reduce((sum, [_, vol]) => sum + vol, 0);
+        return levels.reduce((sum, { quantity }) => sum + quantity, 0);
     }
 
     calculateImbalance(bids, asks) {
@@ -103,14 +108,14 @@ class OrderBookAnalyzer {
         if (!levels.length) return [];
         const clusters = [];
         let currentCluster = {
-            priceStart: levels[0][0],
-            priceEnd: levels[0][0],
-            totalVolume: levels[0][1],
+            priceStart: levels[0].price,
+            priceEnd: levels[0].price,
+            totalVolume: levels[0].quantity,
             levels: [levels[0]]
         };
         
         for (let i = 1; i < levels.length; i++) {
-            const [price, vol] = levels[i];
+            const { price, quantity: vol } = levels[i];
             const priceDiff = Math.abs(price - currentCluster.priceEnd) / currentCluster.priceEnd;
             if (priceDiff <= this.config.clusterThreshold) {
                 currentCluster.priceEnd = price;
@@ -179,10 +184,10 @@ class OrderBookAnalyzer {
         const getWeightedPrice = (levels) => {
             if (!levels?.length) return 0;
             const topLevels = levels.slice(0, depth);
-            const totalVolume = topLevels.reduce((sum, [_, vol]) => sum + vol, 0);
+            const totalVolume = topLevels.reduce((sum, { quantity }) => sum + quantity, 0);
             return totalVolume > 0 
-                ? topLevels.reduce((sum, [price, vol]) => sum + (price * vol), 0) / totalVolume
-                : topLevels[0][0];
+                ? topLevels.reduce((sum, { price, quantity }) => sum + (price * quantity), 0) / totalVolume
+                : topLevels[0].price;
         };
 
         const currentBid = getWeightedPrice(current.bids);
@@ -211,15 +216,15 @@ class OrderBookAnalyzer {
         const priceMatches = (p1, p2) => Math.abs(p1 - p2) / Math.min(p1, p2) < 0.0001; // 0.01% tolerance
         
         const compareLevels = (currentLevels, previousLevels) => {
-            return currentLevels.slice(0, depth).map(([currPrice, currVol]) => {
-                const prevLevel = previousLevels.find(([prevPrice]) => 
+            return currentLevels.slice(0, depth).map(({ price: currPrice, quantity: currVol }) => {
+                const prevLevel = previousLevels.find(({ price: prevPrice }) => 
                     priceMatches(currPrice, prevPrice)
                 );
                 return {
                     price: currPrice,
                     currentVolume: currVol,
-                    previousVolume: prevLevel ? prevLevel[1] : 0,
-                    volumeChange: currVol - (prevLevel ? prevLevel[1] : 0)
+                    previousVolume: prevLevel ? prevLevel.quantity : 0,
+                    volumeChange: currVol - (prevLevel ? prevLevel.quantity : 0)
                 };
             });
         };
@@ -293,13 +298,13 @@ class OrderBookAnalyzer {
     // 🎯 NEW: Trend detection helpers
     isUptrend(candles) {
         if (!candles || candles.length < 3) return false;
-        const recentPrices = candles.slice(-3).map(c => c[4]); // closing prices
+        const recentPrices = candles.slice(-3).map(c => c.close);
         return recentPrices[2] > recentPrices[1] && recentPrices[1] > recentPrices[0];
     }
 
     isDowntrend(candles) {
         if (!candles || candles.length < 3) return false;
-        const recentPrices = candles.slice(-3).map(c => c[4]); // closing prices
+        const recentPrices = candles.slice(-3).map(c => c.close);
         return recentPrices[2] < recentPrices[1] && recentPrices[1] < recentPrices[0];
     }
 
@@ -308,8 +313,8 @@ class OrderBookAnalyzer {
         const avgVolume = this.calculateAverageVolume(levels);
         const threshold = avgVolume * this.config.wallDetectionMultiplier;
         const walls = levels
-            .filter(([_, vol]) => vol >= threshold)
-            .map(([price, vol]) => ({
+            .filter(({ quantity }) => quantity >= threshold)
+            .map(({ price, quantity: vol }) => ({
                 price,
                 volume: vol,
                 type,
@@ -328,7 +333,7 @@ class OrderBookAnalyzer {
     }
 
     calculateAverageVolume(levels) {
-        return levels?.length ? levels.reduce((sum, [_, vol]) => sum + vol, 0) / levels.length : 0;
+        return levels?.length ? levels.reduce((sum, { quantity }) => sum + quantity, 0) / levels.length : 0;
     }
 
     generateCompositeSignal(signals, metrics, candles) {
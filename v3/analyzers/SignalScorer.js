@@ -0,0 +1,94 @@
+/**
+ * 10-point long/short scoring of the v3 predictor, also used by the bot's score strategy
+ */
+class SignalScorer {
+    /**
+     * @param {Object} riskManagement - See v3/riskManagement.js
+     */
+    constructor(riskManagement) {
+        this.riskManagement = riskManagement;
+    }
+
+    /**
+     * @param {Object} candleSignals - CandleAnalyzer.getAllSignals result
+     * @param {Object} obSignals - OrderBookAnalyzer.analyze(...).signals
+     * @param {Array} candles - Numeric [time, open, high, low, close, volume] candles
+     * @returns {{ long: number, short: number }} Scores out of 10
+     */
+    score(candleSignals, obSignals, candles) {
+        let longScore = 0;
+        let shortScore = 0;
+
+        const isUptrend = candleSignals.emaFast > candleSignals.emaMedium &&
+            candleSignals.emaMedium > candleSignals.emaSlow;
+
+        const isDowntrend = candleSignals.emaFast < candleSignals.emaMedium &&
+            candleSignals.emaMedium < candleSignals.emaSlow;
+
+        const lastVolume = candles[candles.length - 1].volume;
+        const isHighVolume = candleSignals.volumeSpike ||
+            lastVolume > candleSignals.volumeEMA * this.riskManagement.volumeAverageMultiplier;
+
+        const { useBollingerBands } = this.riskManagement;
+
+        // === LONG SIGNAL SCORING ===
+
+        // Core trend signals (HIGH WEIGHT)
+        if (candleSignals.emaBullishCross) longScore += 3;
+        if (candleSignals.buyingPressure) longScore += 2;
+        if (isUptrend) longScore += 2;
+
+        // Bollinger Band signals (MEDIUM WEIGHT)
+        if (useBollingerBands) {
+            if (candleSignals.nearLowerBand) longScore += 2; // Oversold bounce potential
+            if (candleSignals.bbandsSqueeze) longScore += 1; // Impending breakout
+        }
+
+        // Confirmation signals (MEDIUM WEIGHT)
+        if (!candleSignals.isOverbought) longScore += 1;
+        if (isHighVolume) longScore += 1;
+        if (candleSignals.rsi > 40 && candleSignals.rsi < 60) longScore += 1;
+
+        // Additional bullish conditions (LOW WEIGHT)
+        if (obSignals.strongBidImbalance) longScore += 1;
+        if (obSignals.supportDetected) longScore += 1;
+        if (obSignals.pricePressure === 'up' || obSignals.pricePressure === 'strong_up') longScore += 1;
+
+        // === SHORT SIGNAL SCORING ===
+
+        // Core trend signals (HIGH WEIGHT)
+        if (candleSignals.emaBearishCross) shortScore += 3;
+        if (candleSignals.sellingPressure) shortScore += 2;
+        if (isDowntrend) shortScore += 2;
+
+        // Bollinger Band signals (MEDIUM WEIGHT)
+        if (useBollingerBands) {
+            if (candleSignals.nearUpperBand) shortScore += 2; // Overbought rejection potential
+            if (candleSignals.bbandsSqueeze) shortScore += 1; // Impending breakdown
+        }
+
+        // Confirmation signals (MEDIUM WEIGHT)
+        if (candleSignals.isOverbought) shortScore += 1;
+        if (isHighVolume) shortScore += 1;
+        if (candleSignals.rsi > 60 && candleSignals.rsi < 80) shortScore += 1;
+
+        // Additional bearish conditions (LOW WEIGHT)
+        if (obSignals.strongAskImbalance) shortScore += 1;
+        if (obSignals.resistanceDetected) shortScore += 1;
+        if (obSignals.pricePressure === 'down' || obSignals.pricePressure === 'strong_down') shortScore += 1;
+
+        // === VOLUME BOOST (applies to both) ===
+        if (isHighVolume) {
+            longScore += 1;
+            shortScore += 1;
+        }
+
+        // === TREND ALIGNMENT BONUS ===
+        if (isUptrend) longScore += 1;
+        if (isDowntrend) shortScore += 1;
+
+        return { long: Math.min(longScore, 10), short: Math.min(shortScore, 10) };
+    }
+}
+
+module.exports = SignalScorer;
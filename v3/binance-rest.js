@@ -3,7 +3,8 @@ const crypto = require('crypto');
 const qs = require('qs');
 
 const TESTNET = process.env.TESTNET === 'true';
-const BASE_URL = TESTNET ? 'https://testnet.binance.vision' : 'https://api.binance.com';
+// BINANCE_BASE_URL overrides the endpoint, e.g. the local mock server (mock-server/)
+const BASE_URL = process.env.BINANCE_BASE_URL || (TESTNET ? 'https://testnet.binance.vision' : 'https://api.binance.com');
 const API_KEY = TESTNET ? process.env.BINANCE_API_KEY_TEST : process.env.BINANCE_API_KEY;
 const API_SECRET = TESTNET ? process.env.BINANCE_API_SECRET_TEST : process.env.BINANCE_API_SECRET;
 
@@ -1,5 +1,6 @@
 // handlers/CommandHandler.js
 const { wait } = require('../../utils/helpers');
+const TradeJournal = require('../../bot/classes/TradeJournal');
 
 class CommandHandler {
     constructor(bot) {
@@ -101,7 +102,16 @@ class CommandHandler {
     }
 
     getTradingStats(pair) {
-        return `Stats for ${pair || 'all pairs'}: Not implemented yet`;
+        const journal = this.bot.exchangeManager?.journal;
+        if (!journal) return '❌ Trade journal not available';
+
+        const symbol = pair ? pair.replace('_', '').toUpperCase() : null;
+        const currentPrices = Object.fromEntries(
+            Object.entries(this.bot.marketData || {})
+                .filter(([, data]) => data.candles?.length)
+                .map(([key, data]) => [key, data.candles[data.candles.length - 1].close])
+        );
+        return TradeJournal.formatStats(journal.getStats(symbol, { currentPrices }));
     }
 }
 
@@ -1,4 +1,5 @@
 const TelegramBot = require('node-telegram-bot-api');
+const SharedTelegramBotHandler = require('../../bot/TelegramBotHandler'); // alert format shared with the trading bot
 
 class TelegramBotHandler {
     constructor(config, handleCommandCallback) {
@@ -70,47 +71,14 @@ class TelegramBotHandler {
     sendAlert(alertData) {
         if (!this.config.telegramBotEnabled) return;
 
-        const {
-            pair,
-            signal,
-            currentPrice,
-            entryPrice,
-            stopLoss,
-            takeProfit,
-            optimalBuy = null
-        } = alertData;
+        const { pair, signal } = alertData;
 
         if (!this.config.alertSignals.includes(signal)) return;
         const now = Date.now();
         const lastAlert = this.lastAlertTimes[pair] || 0;
         if (now - lastAlert < this.config.alertCooldown) return;
 
-        const riskPct = Math.abs((entryPrice - stopLoss) / entryPrice * 100);
-        const rewardPct = Math.abs((takeProfit - entryPrice) / entryPrice * 100);
-        const rrRatio = (rewardPct / riskPct).toFixed(2);
-
-        const action = signal === 'long' ? '🟢 LONG' : '🔴 SHORT';
-        const pricePrecision = pair.includes('BTC') ? 2 : 6;
-
-        let message = `
-${action} SIGNAL
-──────────────
-📊 Pair: ${pair}
-💰 Current: $${currentPrice.toFixed(pricePrecision)}
-🎯 Entry: $${entryPrice.toFixed(pricePrecision)}
-        `.trim();
-
-        if (optimalBuy && optimalBuy !== entryPrice) {
-            const discount = ((currentPrice - optimalBuy) / currentPrice * 100).toFixed(2);
-            message += `\n⭐ Optimal: $${optimalBuy.toFixed(pricePrecision)} (${discount}% below current) \n`;
-        }
-
-        message += `
-🛑 Stop Loss: $${stopLoss.toFixed(pricePrecision)} (${riskPct.toFixed(2)}%)
-🎯 Take Profit: $${takeProfit.toFixed(pricePrecision)} (${rewardPct.toFixed(2)}%)
-⚖️ Risk/Reward: ${rrRatio}:1
-⏰ Time: ${new Date().toLocaleString()}
-        `.trim();
+        const message = SharedTelegramBotHandler.formatSignalAlert(alertData);
 
         try {
             this.bot.sendMessage(process.env.TELEGRAM_GROUPCHAT_ID, message);
@@ -1,10 +1,20 @@
 const { wait } = require('../../utils/helpers');
 
+/**
+ * Start, stop and restart sequence of the v3 predictor and the trading engine (bot/Engine.js).
+ * The engine keeps its websockets in `streamManager` and orders in `exchangeManager`,
+ * the predictor has both in `exchangeManager`.
+ */
 class BootManager {
     constructor(bot) {
         this.bot = bot;
     }
 
+    // The v3 ExchangeManager holding the websocket feeds
+    get streams() {
+        return this.bot.streamManager || this.bot.exchangeManager;
+    }
+
     async executeBootSequence(options = {}) {
         const { 
             clearData = false, 
@@ -15,29 +25,32 @@ class BootManager {
         console.log(isRestart ? '🔄 Restarting bot...' : '🚀 Starting bot...');
 
         // 🎯 CRITICAL FIX: Reset shutdown state BEFORE starting
-        this.bot.exchangeManager.resetShutdownState();
+        this.streams.resetShutdownState();
         
         if (isRestart) {
             await this.executeShutdownSequence();
             await wait(2000); // Wait for connections to fully close
             
             // 🎯 RESET SHUTDOWN STATE again after shutdown
-            this.bot.exchangeManager.resetShutdownState();
+            this.streams.resetShutdownState();
         }
 
         // Clear data if restarting
         if (clearData) {
             this.bot.marketData = this.bot.initializeMarketData();
             this.bot.lastSignalTimes.clear();
+            this.bot.saveState();
         }
 
-        // ADDED: Log configuration details
-        this.logConfiguration();
+        // ADDED: Log configuration details, bots with their own config layout log it themselves
+        if (this.bot.logConfiguration) this.bot.logConfiguration();
+        else this.logConfiguration();
 
         // PROPER BOOT SEQUENCE:
-        // 1. First get exchange information
+        // 1. First get exchange information, bots with an init (the engine) also load pairs and state there
         console.log('📊 Fetching exchange information...');
-        await this.bot.exchangeManager.init(); // This also resets shutdown state
+        if (this.bot.init) await this.bot.init();
+        else await this.bot.exchangeManager.init(); // This also resets shutdown state
         console.log('✅ Exchange information loaded');
 
         // 2. Then fetch initial candles
@@ -82,7 +95,7 @@ class BootManager {
         console.log('🛑 Stopping bot and closing connections...');
         this.bot.isRunning = false;
         await wait(1000);
-        await this.bot.exchangeManager.closeAllConnections();
+        await this.streams.closeAllConnections();
         console.log('✅ Bot stopped successfully');
     }
 }
@@ -1,4 +1,5 @@
 const RateLimitedQueue = require('../../bot/classes/RateLimitedQueue');
+const TradeJournal = require('../../bot/classes/TradeJournal');
 const WebSocket = require('ws');
 const { 
   klines, fetchMyOrders, tickerPrice, userAsset, fetchMyAccount, 
@@ -11,9 +12,10 @@ class ExchangeManager {
         this.config = config;
         this.queue = new RateLimitedQueue(1100, 1800, 20);
         this.exchangeInfo = {};
+        this.journal = new TradeJournal(config?.journalFile); // shared with the polling bot unless configured
         this.listenKey = null;
         this.keepAliveInterval = null;
-        this.wsBaseUrl = 'wss://stream.binance.com:9443';
+        this.wsBaseUrl = process.env.BINANCE_WS_URL || 'wss://stream.binance.com:9443';
         this.sockets = {};
         this.subscribers = {
             kline: {},
@@ -87,8 +89,10 @@ class ExchangeManager {
         return await this.makeQueuedReq(fetchMyAccount);
     }
 
-    async createOrder(...args) {
-        return await this.makeQueuedReq(placeOrder, ...args);
+    async createOrder(pair, side, type, params = {}) {
+        const order = await this.makeQueuedReq(placeOrder, pair, side, type, params);
+        this.journal.recordOrder(pair, order, { side, type, price: params.price, origQty: params.quantity });
+        return order;
     }
 
     async fetchKlines(...args) {
@@ -103,13 +107,15 @@ class ExchangeManager {
         return await this.makeQueuedReq(depth, pair);
     }
 
+    // One socket per pair and timeframe, so a pair can be followed on several timeframes
     async subscribeToKline(pair, timeframe, callback) {
-        if (!this.subscribers.kline[pair]) {
-            this.subscribers.kline[pair] = [];
+        const key = `${pair}_kline_${timeframe}`;
+        if (!this.subscribers.kline[key]) {
+            this.subscribers.kline[key] = [];
         }
-        this.subscribers.kline[pair].push(callback);
+        this.subscribers.kline[key].push(callback);
 
-        if (!this.sockets[`${pair}_kline`]) {
+        if (!this.sockets[key]) {
             await this.connectKlineSocket(pair, timeframe);
         }
     }
@@ -133,6 +139,7 @@ class ExchangeManager {
     }
 
     connectKlineSocket(pair, timeframe) {
+        const key = `${pair}_kline_${timeframe}`;
         return new Promise((resolve, reject) => {
             // Don't connect if we're shutting down
             if (this.isShuttingDown) {
@@ -156,14 +163,14 @@ class ExchangeManager {
             klineWs.on('message', (data) => {
                 if (this.isShuttingDown) return;
                 const parsedData = JSON.parse(data);
-                if (this.subscribers.kline[pair]) {
-                    this.subscribers.kline[pair].forEach(callback => callback(parsedData));
+                if (this.subscribers.kline[key]) {
+                    this.subscribers.kline[key].forEach(callback => callback(parsedData));
                 }
             });
 
             klineWs.on('close', async () => {
                 console.log(`Kline websocket for ${pair} disconnected`);
-                delete this.sockets[`${pair}_kline`];
+                delete this.sockets[key];
                 
                 // 🎯 ONLY reconnect if we're NOT shutting down
                 if (!this.isShuttingDown) {
@@ -172,7 +179,7 @@ class ExchangeManager {
                             this.connectKlineSocket(pair, timeframe);
                         }
                     }, 5000);
-                    this.reconnectTimeouts.set(`${pair}_kline`, timeoutId);
+                    this.reconnectTimeouts.set(key, timeoutId);
                     console.log(`⏰ Scheduled kline reconnection for ${pair} in 5 seconds`);
                 } else {
                     console.log(`❌ Kline reconnection skipped for ${pair} - shutdown in progress`);
@@ -184,7 +191,7 @@ class ExchangeManager {
                 reject(error);
             });
 
-            this.sockets[`${pair}_kline`] = klineWs;
+            this.sockets[key] = klineWs;
         });
     }
 
@@ -1,10 +1,13 @@
 require('dotenv').config();
-const CandleAnalyzer = require('./analyzers/CandleAnalyzer');
-const OrderBookAnalyzer = require('./analyzers/OrderBookAnalyzer');
+const SignalPredictor = require('./SignalPredictor');
 const TelegramBotHandler = require('./handlers/TelegramBotHandler');
 const CommandHandler = require('./handlers/CommandHandler');
 const BootManager = require('./managers/BootManager');
 const LogFormatter = require('./LogFormatter');
+const { getTimeframeConfig, buildRiskManagement } = require('./riskManagement');
+const StateStore = require('../bot/classes/StateStore');
+const Candle = require('../analysis/Candle');
+const OrderBook = require('../analysis/OrderBook');
 const { wait } = require('../utils/helpers');
 
 class BinancePredictiveBot {
@@ -13,10 +16,6 @@ class BinancePredictiveBot {
         this.config = this.buildConfig();
         this.logFormatter = new LogFormatter();
         this.exchangeManager = new (require('./managers/ExchangeManager'));
-        this.analyzers = {
-            candle: new CandleAnalyzer(this.timeframe, this.config.riskManagement),
-            orderBook: new OrderBookAnalyzer()
-        };
         this.marketData = this.initializeMarketData();
         this.isRunning = false;
         // Command handling
@@ -28,8 +27,15 @@ class BinancePredictiveBot {
         );
         // ADDED: Signal cooldown and pair-specific configs
         //this.signalCooldowns = new Map();
-        this.lastSignalTimes = new Map();
-        this.pairConfigs = this.buildPairSpecificConfigs();
+        // Signal and alert cooldowns survive restarts
+        this.stateStore = new StateStore(this.config.stateFile);
+        this.lastSignalTimes = new Map(Object.entries(this.stateStore.get('lastSignalTimes', {})));
+        this.telegramBotHandler.lastAlertTimes = this.stateStore.get('lastAlertTimes', {});
+        this.predictor = new SignalPredictor({
+            timeframe: this.timeframe,
+            riskManagement: this.config.riskManagement,
+            lastSignalTimes: this.lastSignalTimes
+        });
 
         // ADDED: Uptime tracking
         this.startTime = Date.now();
@@ -37,98 +43,8 @@ class BinancePredictiveBot {
     }
 
 
-    buildPairSpecificConfigs() {
-        return {
-            'BTCUSDT': { cooldown: 10, minVolume: 1000000, volatilityMultiplier: 1.0 }, // 10 minutes
-            'ETHUSDT': { cooldown: 10, minVolume: 500000, volatilityMultiplier: 1.2 },
-            'XRPUSDT': { cooldown: 10, minVolume: 1000000, volatilityMultiplier: 1.5 },
-            'ADAUSDT': { cooldown: 10, minVolume: 500000, volatilityMultiplier: 1.5 },
-            'DOGEUSDT': { cooldown: 10, minVolume: 2000000, volatilityMultiplier: 1.8 },
-            'FETUSDT': { cooldown: 10, minVolume: 500000, volatilityMultiplier: 2.0 }
-        };
-    }
-
     buildConfig() {
-        // Timeframe configuration with adaptive lookback periods
-        const timeframeConfigs = {
-            '1m': {
-                analysisInterval: 10000, // 10 seconds
-                maxCandles: 240,
-                lookbackMultiplier: 1,
-                emaMultiplier: 0.8
-            },
-            '5m': {
-                analysisInterval: 15000, // 15 seconds
-                maxCandles: 288,
-                lookbackMultiplier: 5,
-                emaMultiplier: 0.9
-            },
-            '15m': {
-                analysisInterval: 20000, // 20 seconds
-                maxCandles: 192,
-                lookbackMultiplier: 15,
-                emaMultiplier: 1.0
-            },
-            '1h': {
-                analysisInterval: 60000, // 1 minute
-                maxCandles: 168,
-                lookbackMultiplier: 60,
-                emaMultiplier: 1.0
-            },
-            '4h': {
-                analysisInterval: 5000, // 5 seconds
-                maxCandles: 126,
-                lookbackMultiplier: 240,
-                emaMultiplier: 1.2
-            },
-            '1d': {
-                analysisInterval: 10000, // 10 seconds
-                maxCandles: 90,
-                lookbackMultiplier: 1440,
-                emaMultiplier: 1.5
-            }
-        };
-
-        const timeframeConfig = timeframeConfigs[this.timeframe] || timeframeConfigs['1h'];
-
-        const baseRiskManagement = {
-            stopLossPercent: 0.02, // 2% stop loss
-            riskRewardRatio: 2,    // 2:1 risk-reward ratio
-            useBollingerBands: true,
-            supportResistanceWeight: 0.4,
-            volumeWeight: 0.3,
-            orderBookWeight: 0.2,
-            maxOptimalDiscount: 0.08,
-            minOptimalDiscount: 0.01,
-            longEntryDiscount: 0.002,
-            shortEntryPremium: 0.001,
-            minCandlesRequired: 20,
-            volumeSpikeMultiplier: 1.5,
-            volumeAverageMultiplier: 1.8,
-            volumeLookbackPeriod: 20,
-            significantBidsCount: 3,
-            minOptimalDiscountPercent: 0.005,
-            optimalBuyThreshold: 0.01,
-            bollingerBandAdjustment: 0.002,
-            // Base EMA periods (will be adjusted by timeframe)
-            baseEmaShortPeriod: 8,
-            baseEmaMediumPeriod: 21,
-            baseEmaLongPeriod: 50,
-            // Base lookback periods (will be adjusted by timeframe)
-            baseOptimalEntryLookback: 10,
-            basePriceTrendLookback: 8,
-            baseVolumeLookback: 20,
-            // Candle analyzer specific settings
-            buyingPressureLookback: 4,
-            buyingPressureThreshold: 0.7,
-            rsiPeriod: 14,
-            bbandsPeriod: 20,
-            bbandsStdDev: 2,
-            volumeEmaPeriod: 20,
-            minCandlesForAnalysis: 50
-        };
-
-        const adaptiveRiskManagement = this.calculateAdaptiveRiskManagement(baseRiskManagement, timeframeConfig);
+        const timeframeConfig = getTimeframeConfig(this.timeframe);
 
         return {
             tradingPairs: ['BTCUSDT', 'ETHUSDT', 'FETUSDT', 'XRPUSDT', 'ADAUSDT', 'DOGEUSDT'],
@@ -138,63 +54,19 @@ class BinancePredictiveBot {
             telegramBotEnabled: true,
             alertCooldown: 3600000,
             alertSignals: ['long', 'short'],
-            riskManagement: adaptiveRiskManagement,
+            riskManagement: buildRiskManagement(this.timeframe),
             reconnectInterval: 5000,
+            stateFile: `./db/v3-state-${this.timeframe}.json`, // cooldowns, one file per timeframe instance
         };
     }
 
-    calculateAdaptiveRiskManagement(baseRiskManagement, timeframeConfig) {
-        const multiplier = timeframeConfig.lookbackMultiplier;
-        const emaMultiplier = timeframeConfig.emaMultiplier;
-
-        return {
-            ...baseRiskManagement,
-            // Scale lookback periods based on timeframe
-            optimalEntryLookback: Math.max(5, Math.round(baseRiskManagement.baseOptimalEntryLookback * (60 / multiplier))),
-            priceTrendLookback: Math.max(3, Math.round(baseRiskManagement.basePriceTrendLookback * (60 / multiplier))),
-            volumeLookback: Math.max(10, Math.round(baseRiskManagement.baseVolumeLookback * (60 / multiplier))),
-            // Adjust EMA periods for different timeframes
-            emaShortPeriod: Math.max(5, Math.round(baseRiskManagement.baseEmaShortPeriod * emaMultiplier)),
-            emaMediumPeriod: Math.max(10, Math.round(baseRiskManagement.baseEmaMediumPeriod * emaMultiplier)),
-            emaLongPeriod: Math.max(20, Math.round(baseRiskManagement.baseEmaLongPeriod * emaMultiplier)),
-            // Adjust analysis intervals and thresholds
-            minCandlesRequired: Math.max(20, Math.round(20 * (60 / multiplier))),
-            volumeSpikeThreshold: this.getAdaptiveVolumeThreshold(multiplier),
-            volumeAverageMultiplier: this.getAdaptiveVolumeAverageThreshold(multiplier)
-        };
-    }
-
-    getAdaptiveVolumeThreshold(multiplier) {
-        // Higher timeframes need higher volume thresholds
-        const baseThreshold = 1.5;
-
-        if (multiplier <= 1) return baseThreshold; // 1m
-        if (multiplier <= 5) return 1.8; // 5m
-        if (multiplier <= 15) return 2.0; // 15m
-        if (multiplier <= 60) return 2.2; // 1h
-        if (multiplier <= 240) return 2.5; // 4h
-        return 3.0; // 1d and above
-    }
-
-    getAdaptiveVolumeAverageThreshold(multiplier) {
-        // Slightly lower thresholds for average comparison
-        const baseThreshold = 1.8;
-
-        if (multiplier <= 1) return baseThreshold; // 1m
-        if (multiplier <= 5) return 2.0; // 5m
-        if (multiplier <= 15) return 2.2; // 15m
-        if (multiplier <= 60) return 2.0; // 1h
-        if (multiplier <= 240) return 2.2; // 4h
-        return 2.8; // 1d and above
-    }
-
     initializeMarketData() {
         return Object.fromEntries(
             this.config.tradingPairs.map(symbol => [
                 symbol, {
                     candles: [],
-                    orderBook: { bids: [], asks: [] },
-                    previousOrderBook: { bids: [], asks: [] },
+                    orderBook: new OrderBook({}),
+                    previousOrderBook: new OrderBook({}),
                     lastAnalysis: null
                 }
             ])
@@ -229,11 +101,14 @@ class BinancePredictiveBot {
                 this.config.maxCandles
             );
 
-            if (klines && klines.length > 0) {
-                this.marketData[symbol].candles = klines.map(k => [
-                    k[0], parseFloat(k[1]), parseFloat(k[2]),
-                    parseFloat(k[3]), parseFloat(k[4]), parseFloat(k[5])
-                ]);
+            if (Array.isArray(klines) && klines.length > 0) {
+                try {
+                    this.marketData[symbol].candles = Candle.fromKlines(klines);
+                } catch (error) {
+                    console.warn(`  ⚠️ ${symbol}: Invalid candles, ${error.message}`);
+                    this.marketData[symbol].candles = [];
+                    return;
+                }
                 console.log(`  ✅ ${symbol}: ${this.marketData[symbol].candles.length} candles loaded`);
             } else {
                 console.warn(`  ⚠️ ${symbol}: No candles received`);
@@ -250,19 +125,25 @@ class BinancePredictiveBot {
         //console.log('prcs klin', symbol,data)
         if (!data?.k) return;
         const kline = data.k;
-        const candle = [
-            kline.t, parseFloat(kline.o), parseFloat(kline.h),
-            parseFloat(kline.l), parseFloat(kline.c), parseFloat(kline.v)
-        ];
-        const symbolData = this.marketData[symbol];
-        if (kline.x) {
-            symbolData.candles.push(candle);
-            if (symbolData.candles.length > this.config.maxCandles) {
-                symbolData.candles.shift();
-            }
-        } else {
-            if (symbolData.candles.length > 0) {
-                symbolData.candles[symbolData.candles.length - 1] = candle;
+        let candle;
+        try {
+            candle = new Candle({
+                openTime: kline.t, open: kline.o, high: kline.h, low: kline.l, close: kline.c, volume: kline.v,
+                closeTime: kline.T, quoteVolume: kline.q, trades: kline.n, closed: kline.x
+            });
+        } catch (error) {
+            console.warn(`⚠️ ${symbol}: Skipping kline update, ${error.message}`);
+            return;
+        }
+        const { candles } = this.marketData[symbol];
+        const last = candles[candles.length - 1];
+        // Updates of the live candle replace it, the next open time starts a new one; open times stay increasing
+        if (last && candle.openTime === last.openTime) {
+            candles[candles.length - 1] = candle;
+        } else if (!last || candle.openTime > last.openTime) {
+            candles.push(candle);
+            if (candles.length > this.config.maxCandles) {
+                candles.shift();
             }
         }
     }
@@ -270,449 +151,32 @@ class BinancePredictiveBot {
     processDepthData(symbol, data) {
         //console.log('prcs dep', symbol,data)
         const symbolData = this.marketData[symbol];
-        symbolData.previousOrderBook = { ...symbolData.orderBook };
-        symbolData.orderBook = {
-            bids: data.bids.map(b => [parseFloat(b[0]), parseFloat(b[1])]),
-            asks: data.asks.map(a => [parseFloat(a[0]), parseFloat(a[1])]),
-            timestamp: Date.now()
-        };
-    }
-
-    async analyzeMarket(symbol) {
-        const { candles, orderBook, previousOrderBook } = this.marketData[symbol];
-        //console.log(12, orderBook)
-        if (candles.length < this.config.riskManagement.minCandlesRequired) return null;
-
+        let orderBook;
         try {
-            const currentPrice = candles[candles.length - 1][4];
-            const [obAnalysis, candleAnalysis] = await Promise.all([
-                this.analyzers.orderBook.analyze(orderBook, previousOrderBook, candles),
-                this.analyzers.candle.getAllSignals(candles)
-            ]);
-            //console.log(obAnalysis)
-            // Calculate signal score first
-            const signalScore = this.calculateSignalScore(candleAnalysis, obAnalysis.signals, candles, symbol);
-
-            // Log signal details for debugging
-            this.logSignalDetails(symbol, signalScore, candleAnalysis, obAnalysis.signals);
-
-            const compositeSignal = this.determineCompositeSignal(candleAnalysis, obAnalysis.signals, candles, symbol, signalScore);
-            const suggestedPrices = this.calculateSuggestedPrices(orderBook, candles, compositeSignal, candleAnalysis, symbol);
-
-            if (compositeSignal === 'long' || compositeSignal === 'short') {
-                this.telegramBotHandler.sendAlert({
-                    pair: symbol,
-                    signal: compositeSignal,
-                    currentPrice: currentPrice,
-                    entryPrice: suggestedPrices.entry,
-                    stopLoss: suggestedPrices.stopLoss,
-                    takeProfit: suggestedPrices.takeProfit,
-                    optimalBuy: suggestedPrices.optimalBuy,
-                    signalScore: signalScore[compositeSignal] // Add score to alert
-                });
-            }
-
-            return {
-                symbol,
-                currentPrice,
-                timestamp: Date.now(),
-                signals: {
-                    candle: candleAnalysis,
-                    orderBook: obAnalysis.signals,
-                    compositeSignal,
-                    signalScore // Include score in results
-                },
-                suggestedPrices,
-                indicators: {
-                    emaFast: candleAnalysis.emaFast,
-                    emaMedium: candleAnalysis.emaMedium,
-                    emaSlow: candleAnalysis.emaSlow,
-                    rsi: candleAnalysis.rsi,
-                    bollingerBands: candleAnalysis.bollingerBands,
-                    volumeEMA: candleAnalysis.volumeEMA,
-                    volumeSpike: candleAnalysis.volumeSpike,
-                    buyingPressure: candleAnalysis.buyingPressure
-                }
-            };
+            orderBook = OrderBook.fromDepth(data, Date.now());
         } catch (error) {
-            console.error(`Error analyzing ${symbol}:`, error);
-            return null;
-        }
-    }
-
-    // UPDATED: Signal determination with scoring system
-    determineCompositeSignal(candleSignals, obSignals, candles, symbol, signalScore) {
-        if (candleSignals.error) return 'neutral';
-
-        // Check cooldown first
-        if (this.isInCooldown(symbol)) {
-            return 'neutral';
-        }
-
-        // Use scoring system instead of binary conditions
-        const score = signalScore || this.calculateSignalScore(candleSignals, obSignals, candles, symbol);
-
-        // Only trigger on high-confidence signals (8/10 score)
-        if (score.long >= 8) {
-            console.log(`🎯 STRONG LONG (Score: ${score.long}/10) for ${symbol}`);
-            this.updateCooldown(symbol);
-            return 'long';
-        }
-
-        if (score.short >= 8) {
-            console.log(`🎯 STRONG SHORT (Score: ${score.short}/10) for ${symbol}`);
-            this.updateCooldown(symbol);
-            return 'short';
-        }
-
-        return 'neutral';
-    }
-
-    // ADDED: Scoring system for signal quality
-calculateSignalScore(candleSignals, obSignals, candles, symbol) {
-    let longScore = 0;
-    let shortScore = 0;
-
-    const isUptrend = candleSignals.emaFast > candleSignals.emaMedium &&
-        candleSignals.emaMedium > candleSignals.emaSlow;
-
-    const isDowntrend = candleSignals.emaFast < candleSignals.emaMedium &&
-        candleSignals.emaMedium < candleSignals.emaSlow;
-
-    const lastCandle = candles[candles.length - 1];
-    const lastVolume = this.analyzers.candle._getCandleProp(lastCandle, 'volume');
-    const isHighVolume = candleSignals.volumeSpike ||
-        lastVolume > candleSignals.volumeEMA * this.config.riskManagement.volumeAverageMultiplier;
-
-    const { useBollingerBands } = this.config.riskManagement;
-
-    // === LONG SIGNAL SCORING ===
-
-    // Core trend signals (HIGH WEIGHT)
-    if (candleSignals.emaBullishCross) longScore += 3;
-    if (candleSignals.buyingPressure) longScore += 2;
-    if (isUptrend) longScore += 2;
-
-    // Bollinger Band signals (MEDIUM WEIGHT)
-    if (useBollingerBands) {
-        if (candleSignals.nearLowerBand) longScore += 2; // Oversold bounce potential
-        if (candleSignals.bbandsSqueeze) longScore += 1; // Impending breakout
-    }
-
-    // Confirmation signals (MEDIUM WEIGHT)
-    if (!candleSignals.isOverbought) longScore += 1;
-    if (isHighVolume) longScore += 1;
-    if (candleSignals.rsi > 40 && candleSignals.rsi < 60) longScore += 1;
-
-    // Additional bullish conditions (LOW WEIGHT)
-    if (obSignals.strongBidImbalance) longScore += 1;
-    if (obSignals.supportDetected) longScore += 1;
-    if (obSignals.pricePressure === 'up' || obSignals.pricePressure === 'strong_up') longScore += 1;
-
-    // === SHORT SIGNAL SCORING ===
-
-    // Core trend signals (HIGH WEIGHT)
-    if (candleSignals.emaBearishCross) shortScore += 3;
-    if (candleSignals.sellingPressure) shortScore += 2;
-    if (isDowntrend) shortScore += 2;
-
-    // Bollinger Band signals (MEDIUM WEIGHT)
-    if (useBollingerBands) {
-        if (candleSignals.nearUpperBand) shortScore += 2; // Overbought rejection potential
-        if (candleSignals.bbandsSqueeze) shortScore += 1; // Impending breakdown
-    }
-
-    // Confirmation signals (MEDIUM WEIGHT)
-    if (candleSignals.isOverbought) shortScore += 1;
-    if (isHighVolume) shortScore += 1;
-    if (candleSignals.rsi > 60 && candleSignals.rsi < 80) shortScore += 1;
-
-    // Additional bearish conditions (LOW WEIGHT)
-    if (obSignals.strongAskImbalance) shortScore += 1;
-    if (obSignals.resistanceDetected) shortScore += 1;
-    if (obSignals.pricePressure === 'down' || obSignals.pricePressure === 'strong_down') shortScore += 1;
-
-    // === VOLUME BOOST (applies to both) ===
-    if (isHighVolume) {
-        longScore += 1;
-        shortScore += 1;
-    }
-
-    // === TREND ALIGNMENT BONUS ===
-    if (isUptrend) longScore += 1;
-    if (isDowntrend) shortScore += 1;
-
-    return { long: Math.min(longScore, 10), short: Math.min(shortScore, 10) };
-}
-
-    // ADDED: Signal details logging
-logSignalDetails(symbol, signalScore, candleSignals, obSignals) {
-    if (signalScore.long >= 6 || signalScore.short >= 6) {
-        console.log(`\n📊 ${symbol} Signal Analysis:`);
-        console.log(`   Long Score: ${signalScore.long}/10, Short Score: ${signalScore.short}/10`);
-        
-        // Show Bollinger Band status
-        if (this.config.riskManagement.useBollingerBands) {
-            console.log(`   Bollinger Bands: ${candleSignals.nearLowerBand ? 'Near Lower' : candleSignals.nearUpperBand ? 'Near Upper' : 'Mid-Range'}`);
-            if (candleSignals.bbandsSqueeze) console.log(`   - Bollinger Squeeze Detected`);
-        }
-
-        if (signalScore.long >= 6) {
-            console.log(`   🟢 LONG Conditions:`);
-            if (candleSignals.emaBullishCross) console.log(`     - EMA Bullish Cross`);
-            if (candleSignals.buyingPressure) console.log(`     - Buying Pressure`);
-            if (obSignals.strongBidImbalance) console.log(`     - Bid Imbalance`);
-            if (candleSignals.volumeSpike) console.log(`     - Volume Spike`);
-            if (candleSignals.nearLowerBand) console.log(`     - Near Lower Bollinger Band`);
-        }
-
-        if (signalScore.short >= 6) {
-            console.log(`   🔴 SHORT Conditions:`);
-            if (candleSignals.emaBearishCross) console.log(`     - EMA Bearish Cross`);
-            if (candleSignals.sellingPressure) console.log(`     - Selling Pressure`);
-            if (obSignals.strongAskImbalance) console.log(`     - Ask Imbalance`);
-            if (candleSignals.volumeSpike) console.log(`     - Volume Spike`);
-            if (candleSignals.nearUpperBand) console.log(`     - Near Upper Bollinger Band`);
-        }
-    }
-}
-
-    // ADDED: Signal validation helper methods
-    /*
-    isValidSignalConditions(candleSignals, candles, symbol) {
-        const pairConfig = this.pairConfigs[symbol];
-        const lastCandle = candles[candles.length - 1];
-        const volume = this.analyzers.candle._getCandleProp(lastCandle, 'volume');
-
-        // Minimum volume filter
-        if (volume < pairConfig.minVolume) return false;
-
-        // RSI filter - avoid extreme zones
-        if (candleSignals.rsi > 75 || candleSignals.rsi < 25) return false;
-
-        // Time filter - avoid low activity periods
-        const utcHour = new Date().getUTCHours();
-        if (utcHour >= 0 && utcHour <= 4) return false; // Asian session
-
-        // Trend strength filter
-        const trendStrength = Math.abs(candleSignals.emaFast - candleSignals.emaMedium) / candleSignals.emaMedium;
-        if (trendStrength < 0.002) return false; // Minimum 0.2% trend strength
-
-        return true;
-    }*/
-
-    isInCooldown(symbol) {
-        const cooldown = this.pairConfigs[symbol]?.cooldown || 120; // minutes
-        const lastSignal = this.lastSignalTimes.get(symbol);
-        if (!lastSignal) return false;
-
-        return (Date.now() - lastSignal) < (cooldown * 60 * 1000);
-    }
-
-    updateCooldown(symbol) {
-        this.lastSignalTimes.set(symbol, Date.now());
-    }
-
-    calculateOptimalBuyPrice(candles, orderBook, signal) {
-        if (signal !== 'long') return null;
-
-        const currentPrice = candles[candles.length - 1][4];
-        const lookback = this.config.riskManagement.optimalEntryLookback;
-        const recentCandles = candles.slice(-lookback);
-
-        if (recentCandles.length < 5) return null;
-        // Get recent lows (support levels)
-        const recentLows = recentCandles.map(candle => candle[3]);
-        const sortedLows = [...recentLows].sort((a, b) => a - b);
-
-        // Use median of recent lows as strong support (more robust than average)
-        const medianSupport = sortedLows[Math.floor(sortedLows.length / 2)];
-
-        // Calculate VWAP for the lookback period
-        let totalVolume = 0;
-        let volumeWeightedSum = 0;
-
-        recentCandles.forEach(candle => {
-            const typicalPrice = (candle[2] + candle[3] + candle[4]) / 3;
-            totalVolume += candle[5];
-            volumeWeightedSum += typicalPrice * candle[5];
-        });
-
-        const vwap = totalVolume > 0 ? volumeWeightedSum / totalVolume : currentPrice;
-
-        // Get order book support from significant bids
-        let orderBookSupport = currentPrice;
-        if (orderBook.bids && orderBook.bids.length > 0) {
-            const significantBids = orderBook.bids
-                .filter(bid => bid[1] > 0)
-                .slice(0, this.config.riskManagement.significantBidsCount);
-
-            if (significantBids.length > 0) {
-                const totalBidVolume = significantBids.reduce((sum, bid) => sum + bid[1], 0);
-                orderBookSupport = significantBids.reduce((sum, bid) => sum + (bid[0] * bid[1]), 0) / totalBidVolume;
-            }
-        }
-
-        // Calculate weighted optimal price
-        const weights = this.config.riskManagement;
-        let optimalPrice = (
-            weights.supportResistanceWeight * medianSupport +
-            weights.volumeWeight * vwap +
-            weights.orderBookWeight * orderBookSupport
-        );
-
-        // Apply constraints using config values
-        const maxDiscount = currentPrice * (1 - this.config.riskManagement.minOptimalDiscount);
-        const minDiscount = currentPrice * (1 - this.config.riskManagement.maxOptimalDiscount);
-
-        optimalPrice = Math.max(
-            Math.min(optimalPrice, maxDiscount),
-            minDiscount,
-            medianSupport
-        );
-
-        // Final sanity check - ensure optimal is below current
-        optimalPrice = Math.min(optimalPrice, currentPrice * (1 - this.config.riskManagement.minOptimalDiscountPercent));
-
-        // Round to appropriate precision
-        const precision = this.getPrecision(currentPrice);
-        optimalPrice = Math.round(optimalPrice / precision) * precision;
-
-        // If optimal price is still above or equal to current, return null
-        if (optimalPrice >= currentPrice) {
-            return null;
+            console.warn(`⚠️ ${symbol}: Skipping depth update, ${error.message}`);
+            return;
         }
-
-        return optimalPrice;
-
-    }
-
-    getPrecision(price) {
-        if (price >= 1000) return 1;
-        if (price >= 100) return 0.1;
-        if (price >= 10) return 0.01;
-        if (price >= 1) return 0.001;
-        if (price >= 0.1) return 0.0001;
-        if (price >= 0.01) return 0.00001;
-        if (price >= 0.001) return 0.000001;
-        return 0.0000001;
-    }
-
-    // UPDATED: Dynamic stop loss calculation with ATR
-calculateSuggestedPrices(orderBook, candles, signal, candleAnalysis, symbol) {
-    const currentPrice = candles[candles.length - 1][4];
-    const bestBid = orderBook.bids[0]?.[0] || currentPrice;
-    const bestAsk = orderBook.asks[0]?.[0] || currentPrice;
-    const bb = candleAnalysis.bollingerBands;
-
-    const pairConfig = this.pairConfigs[symbol];
-    const atr = this.calculateATR(candles, 14);
-    const volatility = atr / currentPrice;
-
-    // Dynamic stop loss based on volatility
-    const baseStopPercent = 0.02; // 2%
-    const volatilityAdjustedStop = baseStopPercent * pairConfig.volatilityMultiplier * (1 + volatility * 10);
-    const dynamicStopPercent = Math.min(Math.max(volatilityAdjustedStop, 0.015), 0.05); // 1.5% to 5%
-
-    const {
-        riskRewardRatio,
-        useBollingerBands,
-        longEntryDiscount,
-        shortEntryPremium,
-        bollingerBandAdjustment
-    } = this.config.riskManagement;
-
-    const optimalBuy = signal === 'long' ?
-        this.calculateOptimalBuyPrice(candles, orderBook, signal) :
-        null;
-
-    if (signal === 'long') {
-        let entryPrice = bestAsk * (1 - longEntryDiscount);
-
-        // Apply Bollinger Band adjustment if enabled
-        if (useBollingerBands && bb && candleAnalysis.nearLowerBand) {
-            entryPrice *= (1 - bollingerBandAdjustment);
-            console.log(`📊 ${symbol}: Applied Bollinger Band adjustment for long entry`);
-        }
-
-        // Use ATR-based stop loss instead of fixed percentage
-        const atrStopPrice = currentPrice - (atr * 1.5);
-        const percentageStopPrice = entryPrice * (1 - dynamicStopPercent);
-        
-        // Use Bollinger Band lower as stop if it provides better protection
-        let stopLossPrice = Math.max(atrStopPrice, percentageStopPrice);
-        if (useBollingerBands && bb && bb.lower) {
-            stopLossPrice = Math.max(stopLossPrice, bb.lower * (1 - 0.001)); // Slightly below lower band
-        }
-
-        const riskAmount = entryPrice - stopLossPrice;
-        const takeProfitPrice = entryPrice + (riskAmount * riskRewardRatio);
-
-        return {
-            entry: entryPrice,
-            optimalBuy: optimalBuy,
-            stopLoss: stopLossPrice,
-            takeProfit: takeProfitPrice
-        };
+        symbolData.previousOrderBook = symbolData.orderBook;
+        symbolData.orderBook = orderBook;
     }
 
-    if (signal === 'short') {
-        let entryPrice = bestBid * (1 + shortEntryPremium);
-
-        // Apply Bollinger Band adjustment if enabled
-        if (useBollingerBands && bb && candleAnalysis.nearUpperBand) {
-            entryPrice *= (1 + bollingerBandAdjustment);
-            console.log(`📊 ${symbol}: Applied Bollinger Band adjustment for short entry`);
-        }
-
-        const atrStopPrice = currentPrice + (atr * 1.5);
-        const percentageStopPrice = entryPrice * (1 + dynamicStopPercent);
-        
-        // Use Bollinger Band upper as stop if it provides better protection
-        let stopLossPrice = Math.min(atrStopPrice, percentageStopPrice);
-        if (useBollingerBands && bb && bb.upper) {
-            stopLossPrice = Math.min(stopLossPrice, bb.upper * (1 + 0.001)); // Slightly above upper band
+    async analyzeMarket(symbol) {
+        const { candles, orderBook, previousOrderBook } = this.marketData[symbol];
+        const prediction = this.predictor.predict(symbol, candles, orderBook, previousOrderBook);
+        const alert = SignalPredictor.toAlert(prediction);
+        if (alert) {
+            this.telegramBotHandler.sendAlert(alert);
+            this.saveState(); // new signal and alert cooldowns
         }
-
-        const riskAmount = stopLossPrice - entryPrice;
-        const takeProfitPrice = entryPrice - (riskAmount * riskRewardRatio);
-
-        return {
-            entry: entryPrice,
-            optimalBuy: null,
-            stopLoss: stopLossPrice,
-            takeProfit: takeProfitPrice
-        };
+        return prediction;
     }
 
-    return {
-        entry: null,
-        optimalBuy: null,
-        stopLoss: null,
-        takeProfit: null
-    };
-}
-
-    // ADDED: ATR calculation method
-    calculateATR(candles, period = 14) {
-        if (candles.length < period + 1) return 0;
-
-        let trueRanges = [];
-        for (let i = 1; i < candles.length; i++) {
-            const high = candles[i][2];
-            const low = candles[i][3];
-            const prevClose = candles[i - 1][4];
-
-            const tr1 = high - low;
-            const tr2 = Math.abs(high - prevClose);
-            const tr3 = Math.abs(low - prevClose);
-
-            trueRanges.push(Math.max(tr1, tr2, tr3));
-        }
-
-        // Simple moving average of true ranges
-        const atr = trueRanges.slice(-period).reduce((sum, tr) => sum + tr, 0) / period;
-        return atr;
+    saveState() {
+        this.stateStore.set('lastSignalTimes', Object.fromEntries(this.lastSignalTimes));
+        this.stateStore.set('lastAlertTimes', this.telegramBotHandler.lastAlertTimes);
+        this.stateStore.save();
     }
 
     async runAnalysis() {
@@ -740,6 +204,7 @@ calculateSuggestedPrices(orderBook, candles, signal, candleAnalysis, symbol) {
 
     async shutdown() {
         this.isRunning = false;
+        this.saveState();
         await this.exchangeManager.closeAllConnections();
     }
 }
@@ -0,0 +1,141 @@
+// Timeframe-adapted analysis settings of the v3 predictor, shared with the bot's score strategy
+
+const TIMEFRAME_CONFIGS = {
+    '1m': {
+        analysisInterval: 10000, // 10 seconds
+        maxCandles: 240,
+        lookbackMultiplier: 1,
+        emaMultiplier: 0.8
+    },
+    '5m': {
+        analysisInterval: 15000, // 15 seconds
+        maxCandles: 288,
+        lookbackMultiplier: 5,
+        emaMultiplier: 0.9
+    },
+    '15m': {
+        analysisInterval: 20000, // 20 seconds
+        maxCandles: 192,
+        lookbackMultiplier: 15,
+        emaMultiplier: 1.0
+    },
+    '1h': {
+        analysisInterval: 60000, // 1 minute
+        maxCandles: 168,
+        lookbackMultiplier: 60,
+        emaMultiplier: 1.0
+    },
+    '4h': {
+        analysisInterval: 5000, // 5 seconds
+        maxCandles: 126,
+        lookbackMultiplier: 240,
+        emaMultiplier: 1.2
+    },
+    '1d': {
+        analysisInterval: 10000, // 10 seconds
+        maxCandles: 90,
+        lookbackMultiplier: 1440,
+        emaMultiplier: 1.5
+    }
+};
+
+const BASE_RISK_MANAGEMENT = {
+    stopLossPercent: 0.02, // 2% stop loss
+    riskRewardRatio: 2,    // 2:1 risk-reward ratio
+    useBollingerBands: true,
+    supportResistanceWeight: 0.4,
+    volumeWeight: 0.3,
+    orderBookWeight: 0.2,
+    maxOptimalDiscount: 0.08,
+    minOptimalDiscount: 0.01,
+    longEntryDiscount: 0.002,
+    shortEntryPremium: 0.001,
+    minCandlesRequired: 20,
+    volumeSpikeMultiplier: 1.5,
+    volumeAverageMultiplier: 1.8,
+    volumeLookbackPeriod: 20,
+    significantBidsCount: 3,
+    minOptimalDiscountPercent: 0.005,
+    optimalBuyThreshold: 0.01,
+    bollingerBandAdjustment: 0.002,
+    // Base EMA periods (will be adjusted by timeframe)
+    baseEmaShortPeriod: 8,
+    baseEmaMediumPeriod: 21,
+    baseEmaLongPeriod: 50,
+    // Base lookback periods (will be adjusted by timeframe)
+    baseOptimalEntryLookback: 10,
+    basePriceTrendLookback: 8,
+    baseVolumeLookback: 20,
+    // Candle analyzer specific settings
+    buyingPressureLookback: 4,
+    buyingPressureThreshold: 0.7,
+    rsiPeriod: 14,
+    bbandsPeriod: 20,
+    bbandsStdDev: 2,
+    volumeEmaPeriod: 20,
+    minCandlesForAnalysis: 50
+};
+
+// Per-symbol signal cooldown (minutes), volume floor and stop widening; other symbols use DEFAULT_PAIR_SIGNAL_CONFIG
+const PAIR_SIGNAL_CONFIGS = {
+    'BTCUSDT': { cooldown: 10, minVolume: 1000000, volatilityMultiplier: 1.0 }, // 10 minutes
+    'ETHUSDT': { cooldown: 10, minVolume: 500000, volatilityMultiplier: 1.2 },
+    'XRPUSDT': { cooldown: 10, minVolume: 1000000, volatilityMultiplier: 1.5 },
+    'ADAUSDT': { cooldown: 10, minVolume: 500000, volatilityMultiplier: 1.5 },
+    'DOGEUSDT': { cooldown: 10, minVolume: 2000000, volatilityMultiplier: 1.8 },
+    'FETUSDT': { cooldown: 10, minVolume: 500000, volatilityMultiplier: 2.0 }
+};
+
+const DEFAULT_PAIR_SIGNAL_CONFIG = { cooldown: 120, minVolume: 0, volatilityMultiplier: 1.0 };
+
+const calculateAdaptiveRiskManagement = (baseRiskManagement, timeframeConfig) => {
+    const multiplier = timeframeConfig.lookbackMultiplier;
+    const emaMultiplier = timeframeConfig.emaMultiplier;
+
+    return {
+        ...baseRiskManagement,
+        // Scale lookback periods based on timeframe
+        optimalEntryLookback: Math.max(5, Math.round(baseRiskManagement.baseOptimalEntryLookback * (60 / multiplier))),
+        priceTrendLookback: Math.max(3, Math.round(baseRiskManagement.basePriceTrendLookback * (60 / multiplier))),
+        volumeLookback: Math.max(10, Math.round(baseRiskManagement.baseVolumeLookback * (60 / multiplier))),
+        // Adjust EMA periods for different timeframes
+        emaShortPeriod: Math.max(5, Math.round(baseRiskManagement.baseEmaShortPeriod * emaMultiplier)),
+        emaMediumPeriod: Math.max(10, Math.round(baseRiskManagement.baseEmaMediumPeriod * emaMultiplier)),
+        emaLongPeriod: Math.max(20, Math.round(baseRiskManagement.baseEmaLongPeriod * emaMultiplier)),
+        // Adjust analysis intervals and thresholds
+        minCandlesRequired: Math.max(20, Math.round(20 * (60 / multiplier))),
+        volumeSpikeThreshold: getAdaptiveVolumeThreshold(multiplier),
+        volumeAverageMultiplier: getAdaptiveVolumeAverageThreshold(multiplier)
+    };
+};
+
+const getAdaptiveVolumeThreshold = (multiplier) => {
+    // Higher timeframes need higher volume thresholds
+    const baseThreshold = 1.5;
+
+    if (multiplier <= 1) return baseThreshold; // 1m
+    if (multiplier <= 5) return 1.8; // 5m
+    if (multiplier <= 15) return 2.0; // 15m
+    if (multiplier <= 60) return 2.2; // 1h
+    if (multiplier <= 240) return 2.5; // 4h
+    return 3.0; // 1d and above
+};
+
+const getAdaptiveVolumeAverageThreshold = (multiplier) => {
+    // Slightly lower thresholds for average comparison
+    const baseThreshold = 1.8;
+
+    if (multiplier <= 1) return baseThreshold; // 1m
+    if (multiplier <= 5) return 2.0; // 5m
+    if (multiplier <= 15) return 2.2; // 15m
+    if (multiplier <= 60) return 2.0; // 1h
+    if (multiplier <= 240) return 2.2; // 4h
+    return 2.8; // 1d and above
+};
+
+const getTimeframeConfig = (timeframe) => TIMEFRAME_CONFIGS[timeframe] || TIMEFRAME_CONFIGS['1h'];
+
+const buildRiskManagement = (timeframe) =>
+    calculateAdaptiveRiskManagement(BASE_RISK_MANAGEMENT, getTimeframeConfig(timeframe));
+
+module.exports = { TIMEFRAME_CONFIGS, BASE_RISK_MANAGEMENT, PAIR_SIGNAL_CONFIGS, DEFAULT_PAIR_SIGNAL_CONFIG, getTimeframeConfig, buildRiskManagement };